@@ -0,0 +1,134 @@
+const { EventEmitter } = require('events');
+
+const breaker = require('../utils/osmCircuitBreaker');
+const { OSMHealthLogger } = require('../utils/osmHealthLogger');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  createWebhookNotifier,
+  startAlertWebhooks,
+} = require('../utils/alertWebhooks');
+
+/**
+ * Builds a mock fetch response.
+ *
+ * @param {number} status - HTTP status
+ * @returns {object} Mock response
+ */
+const reply = (status) => ({ ok: status >= 200 && status < 300, status });
+
+describe('breaker and health events', () => {
+  afterEach(() => {
+    breaker.resetAll();
+    breaker.events.removeAllListeners();
+  });
+
+  it('emits trip, recover and reset with the breaker status', () => {
+    const seen = [];
+    ['trip', 'recover', 'reset'].forEach((type) => breaker.events.on(type, (event) => seen.push(event)));
+    const events = breaker.getBreaker('events');
+
+    events.trip();
+    events.recordSuccess(events.getGeneration());
+    events.reset();
+
+    expect(seen.map((event) => event.type)).toEqual(['trip', 'recover', 'reset']);
+    expect(seen[0]).toEqual(expect.objectContaining({
+      breaker: 'events',
+      status: expect.objectContaining({ state: 'open', tripCount: 1 }),
+    }));
+  });
+
+  it('keeps the breaker working when a subscriber throws', () => {
+    breaker.events.on('trip', () => {
+      throw new Error('subscriber bug');
+    });
+
+    expect(() => breaker.trip()).not.toThrow();
+    expect(breaker.getStatus().state).toBe('open');
+  });
+
+  it('emits blocked and recovered from the OSM health tracker', () => {
+    const health = new OSMHealthLogger();
+    const seen = [];
+    health.on('blocked', (event) => seen.push(event));
+    health.on('recovered', (event) => seen.push(event));
+
+    health.logTokenExchange(false, null, { error: 'html_response_received', html_preview: '<title>Blocked</title>' });
+    health.logTokenExchange(true, {});
+
+    expect(seen.map((event) => event.type)).toEqual(['blocked', 'recovered']);
+    expect(seen[0].isBlocked).toBe(true);
+    expect(seen[1].previousFailures).toBe(1);
+  });
+});
+
+describe('webhook notifier', () => {
+  it('POSTs a signed Slack-compatible payload', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(reply(200));
+    const notifier = createWebhookNotifier({ urls: ['https://hooks.example/a'], secret: 's3cret', fetchImpl });
+
+    const [result] = await notifier.notify('breaker.trip', {
+      breaker: 'global',
+      status: { nextProbeAt: '2026-01-01T01:00:00.000Z' },
+    });
+
+    expect(result).toEqual({ url: 'https://hooks.example/a', delivered: true, attempts: 1, status: 200 });
+    const [url, options] = fetchImpl.mock.calls[0];
+    const body = JSON.parse(options.body);
+    expect(url).toBe('https://hooks.example/a');
+    expect(body.text).toBe('🚨 OSM has blocked the backend. All OSM requests are paused until 01:00 UTC.');
+    expect(body.event).toBe('breaker.trip');
+    expect(options.headers[SIGNATURE_HEADER])
+      .toBe(signPayload('s3cret', options.headers[TIMESTAMP_HEADER], options.body));
+  });
+
+  it('retries network errors and server errors, then gives up', async () => {
+    const fetchImpl = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(reply(503))
+      .mockResolvedValueOnce(reply(200));
+    const notifier = createWebhookNotifier({ urls: ['https://hooks.example/a'], retryDelayMs: 0, fetchImpl });
+
+    const [delivered] = await notifier.notify('breaker.reset', { breaker: 'events' });
+    expect(delivered).toEqual(expect.objectContaining({ delivered: true, attempts: 3 }));
+
+    fetchImpl.mockReset();
+    fetchImpl.mockResolvedValue(reply(500));
+    const [failed] = await notifier.notify('breaker.reset', { breaker: 'events' });
+    expect(failed).toEqual(expect.objectContaining({ delivered: false, attempts: 4, status: 500 }));
+  });
+
+  it('does not retry a receiver that rejects the alert', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(reply(404));
+    const notifier = createWebhookNotifier({ urls: ['https://hooks.example/gone'], retryDelayMs: 0, fetchImpl });
+
+    const [result] = await notifier.notify('health.blocked', {});
+
+    expect(result).toEqual(expect.objectContaining({ delivered: false, attempts: 1, status: 404 }));
+  });
+
+  it('forwards subscribed events to every URL until unsubscribed', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(reply(200));
+    const breakerEvents = new EventEmitter();
+    const healthEvents = new EventEmitter();
+    const notifier = createWebhookNotifier({ urls: ['https://a.example', 'https://b.example'], fetchImpl });
+
+    const unsubscribe = notifier.subscribe({ breakerEvents, healthEvents });
+    breakerEvents.emit('trip', { breaker: 'members', status: {} });
+    healthEvents.emit('failing', { consecutiveFailures: 10 });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(fetchImpl).toHaveBeenCalledTimes(4);
+    expect(JSON.parse(fetchImpl.mock.calls[2][1].body).text).toBe('🚨 OSM sign-ins are failing: 10 in a row.');
+
+    unsubscribe();
+    breakerEvents.emit('trip', { breaker: 'members', status: {} });
+    expect(fetchImpl).toHaveBeenCalledTimes(4);
+  });
+
+  it('only starts when webhook URLs are configured', () => {
+    expect(startAlertWebhooks({})).toBeNull();
+  });
+});
@@ -0,0 +1,312 @@
+const express = require('express');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const { rateLimitTier, RATE_LIMIT_TIERS, resolveRateLimitIdentity, setUserOverride } = require('../middleware/rateLimiting');
+const { storeToken, recordOSMUserId, refreshSessionToken, tokenStore } = require('../controllers/auth');
+
+/**
+ * Loads the rate limiting middleware with production limits, sharing the
+ * token store the rest of the app uses.
+ *
+ * @returns {object} Fresh middleware/rateLimiting module
+ */
+const loadProductionLimiter = () => {
+  const originalEnv = process.env.NODE_ENV;
+  let rateLimiting;
+  // Sessions stored through controllers/auth must be the ones it sees
+  const sharedTokenStore = require('../utils/tokenStore');
+  process.env.NODE_ENV = 'production';
+  try {
+    jest.isolateModules(() => {
+      jest.doMock('../utils/tokenStore', () => sharedTokenStore);
+      rateLimiting = require('../middleware/rateLimiting');
+    });
+  } finally {
+    jest.dontMock('../utils/tokenStore');
+    process.env.NODE_ENV = originalEnv;
+  }
+  return rateLimiting;
+};
+
+/**
+ * Runs a limiter middleware directly against a minimal request/response pair.
+ *
+ * @param {Function} middleware - Middleware from rateLimitTier()
+ * @param {object} headers - Request headers
+ * @returns {{statusCode: number, headers: object}} What the middleware sent
+ */
+const callLimiter = (middleware, headers = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  middleware({ ip: '203.0.113.9', path: '/bench', method: 'GET', headers }, res, () => {});
+  return res;
+};
+
+/**
+ * Median of a list of durations.
+ *
+ * @param {number[]} values - Durations in nanoseconds
+ * @returns {number} Median value
+ */
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+describe('tiered backend rate limiting', () => {
+  it.each([
+    ['/health', 'health'],
+    ['/rate-limit-status', 'health'],
+    ['/token', 'auth'],
+    ['/get-terms', 'osm'],
+    ['/admin/osm-breaker', 'admin'],
+  ])('registers %s in the %s tier', async (path, tier) => {
+    const res = await request(app).get(path);
+
+    expect(res.headers['x-backend-ratelimit-tier']).toBe(tier);
+  });
+
+  it('sends the tier\'s limits alongside the legacy headers', async () => {
+    const res = await request(app).get('/admin/osm-breaker');
+
+    expect(Number(res.headers['x-backend-ratelimit-limit-second'])).toBe(RATE_LIMIT_TIERS.admin.perSecond * 100);
+    expect(Number(res.headers['x-backend-ratelimit-limit-hour'])).toBe(RATE_LIMIT_TIERS.admin.perHour * 100);
+    expect(Number(res.headers['x-backend-ratelimit-limit'])).toBe(RATE_LIMIT_TIERS.admin.perMinute * 100);
+    expect(res.headers).toHaveProperty('x-backend-ratelimit-remaining');
+    expect(res.headers).toHaveProperty('x-backend-ratelimit-reset');
+  });
+
+  it('counts each tier separately', async () => {
+    // Held still so the continuously refilling windows cannot move between requests
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now());
+    try {
+      const before = await request(app).get('/get-terms').set('Cookie', 'session_id=tier-session');
+      await request(app).get('/health').set('Cookie', 'session_id=tier-session');
+      await request(app).get('/health').set('Cookie', 'session_id=tier-session');
+      const after = await request(app).get('/get-terms').set('Cookie', 'session_id=tier-session');
+
+      expect(Number(after.headers['x-backend-ratelimit-remaining-hour']))
+        .toBe(Number(before.headers['x-backend-ratelimit-remaining-hour']) - 1);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('answers 429 once a tier window is used up', async () => {
+    const { rateLimitTier: productionTier } = loadProductionLimiter();
+    const adminApp = express();
+    adminApp.get('/admin/thing', productionTier('admin'), (req, res) => res.json({ ok: true }));
+
+    const statuses = [];
+    for (let i = 0; i < RATE_LIMIT_TIERS.admin.perSecond; i++) {
+      statuses.push((await request(adminApp).get('/admin/thing')).status);
+    }
+
+    const limited = await request(adminApp).get('/admin/thing');
+    expect(statuses).toEqual([200, 200]);
+    expect(limited.status).toBe(429);
+    expect(limited.body.rateLimit).toEqual(expect.objectContaining({ tier: 'admin', window: 'per second' }));
+  });
+
+  it('refills one request at a time instead of resetting the whole window', () => {
+    const { rateLimitTier: productionTier, rateLimitTracker } = loadProductionLimiter();
+    const admin = productionTier('admin');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+    try {
+      expect([callLimiter(admin), callLimiter(admin), callLimiter(admin)].map((res) => res.statusCode))
+        .toEqual([200, 200, 429]);
+
+      // Half a second later one of the two per-second slots is free again
+      now.mockReturnValue(1_000_500);
+      const refilled = callLimiter(admin);
+      expect(refilled.statusCode).toBe(200);
+      // The refused request was not counted against the hour
+      expect(refilled.headers['x-backend-ratelimit-remaining-hour']).toBe(RATE_LIMIT_TIERS.admin.perHour - 2);
+      expect(Object.keys(rateLimitTracker.get('admin:ip:203.0.113.9'))).toEqual(['second', 'hour', 'minute']);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('rejects an unknown tier at registration', () => {
+    expect(() => rateLimitTier('public')).toThrow('Unknown rate limit tier: public');
+  });
+});
+
+describe('backend rate limit identity', () => {
+  beforeEach(() => {
+    tokenStore.clear();
+  });
+
+  afterEach(() => {
+    setUserOverride('4242', null);
+  });
+
+  it('counts a known session by its Bearer token or session cookie', () => {
+    storeToken('session-1', { access_token: 'token-1' });
+
+    expect(resolveRateLimitIdentity({ headers: { authorization: 'Bearer token-1' }, ip: '198.51.100.1' }))
+      .toEqual({ identity: 'session:session-1', userId: null });
+    expect(resolveRateLimitIdentity({ headers: {}, cookies: { session_id: 'session-1' }, ip: '198.51.100.1' }))
+      .toEqual({ identity: 'session:session-1', userId: null });
+  });
+
+  it('counts every session of one OSM user together once the user is known', () => {
+    storeToken('laptop', { access_token: 'laptop-token' });
+    storeToken('phone', { access_token: 'phone-token' });
+    recordOSMUserId('laptop-token', 4242);
+    recordOSMUserId('phone-token', '4242');
+
+    const identities = ['laptop-token', 'phone-token']
+      .map((token) => resolveRateLimitIdentity({ headers: { authorization: `Bearer ${token}` } }).identity);
+
+    expect(identities).toEqual(['user:4242', 'user:4242']);
+  });
+
+  it('keeps the OSM user across a token renewal', async () => {
+    storeToken('renewing', { access_token: 'before', refresh_token: 'r', expires_in: 600 });
+    recordOSMUserId('before', 77);
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      headers: { get: jest.fn(() => null) },
+      text: () => Promise.resolve(JSON.stringify({ access_token: 'after', expires_in: 3600 })),
+    });
+
+    await refreshSessionToken('renewing');
+
+    expect(resolveRateLimitIdentity({ headers: { authorization: 'Bearer after' } }).identity).toBe('user:77');
+  });
+
+  it('falls back to the IP address for unknown tokens, cookies and anonymous callers', () => {
+    const ip = '198.51.100.7';
+
+    expect(resolveRateLimitIdentity({ headers: { authorization: 'Bearer made-up' }, ip }).identity).toBe(`ip:${ip}`);
+    expect(resolveRateLimitIdentity({ headers: {}, cookies: { session_id: 'made-up' }, ip }).identity).toBe(`ip:${ip}`);
+    expect(resolveRateLimitIdentity({ headers: {}, ip }).identity).toBe(`ip:${ip}`);
+  });
+
+  it('shares one budget between a user\'s devices but not between users behind one address', () => {
+    const { rateLimitTier: productionTier } = loadProductionLimiter();
+    const admin = productionTier('admin');
+    storeToken('tab-1', { access_token: 'tab-1-token' });
+    storeToken('tab-2', { access_token: 'tab-2-token' });
+    storeToken('other-leader', { access_token: 'other-token' });
+    recordOSMUserId('tab-1-token', 4242);
+    recordOSMUserId('tab-2-token', 4242);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(5_000_000);
+
+    try {
+      const statuses = ['tab-1-token', 'tab-2-token', 'tab-1-token', 'other-token']
+        .map((token) => callLimiter(admin, { authorization: `Bearer ${token}` }).statusCode);
+
+      expect(statuses).toEqual([200, 200, 429, 200]);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('applies a per-user override on top of the tier limits', () => {
+    const { rateLimitTier: productionTier, setUserOverride: setProductionOverride } = loadProductionLimiter();
+    const admin = productionTier('admin');
+    storeToken('admin-session', { access_token: 'admin-token' });
+    recordOSMUserId('admin-token', 4242);
+    setProductionOverride('4242', { admin: { perSecond: 5 } });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(6_000_000);
+
+    try {
+      const responses = Array.from({ length: 6 }, () => callLimiter(admin, { authorization: 'Bearer admin-token' }));
+
+      expect(responses.map((res) => res.statusCode)).toEqual([200, 200, 200, 200, 200, 429]);
+      expect(responses[0].headers['x-backend-ratelimit-limit-second']).toBe(5);
+      expect(responses[0].headers['x-backend-ratelimit-limit-hour']).toBe(RATE_LIMIT_TIERS.admin.perHour);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('rejects overrides for unknown tiers or with invalid limits', () => {
+    expect(() => setUserOverride('4242', { public: { perSecond: 5 } })).toThrow('Unknown rate limit tier: public');
+    expect(() => setUserOverride('4242', { osm: { perHour: -1 } })).toThrow('osm.perHour must be a positive integer');
+  });
+
+  it('lets admins manage overrides over HTTP', async () => {
+    const originalAdminKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    try {
+      const set = await request(app)
+        .post('/admin/rate-limit-overrides')
+        .set('x-admin-key', 'admin-secret')
+        .send({ userId: '4242', limits: { osm: { perHour: 3000 } } });
+      const list = await request(app).get('/admin/rate-limit-overrides').set('x-admin-key', 'admin-secret');
+      const invalid = await request(app)
+        .post('/admin/rate-limit-overrides')
+        .set('x-admin-key', 'admin-secret')
+        .send({ userId: '4242', limits: { osm: { perWeek: 1 } } });
+
+      expect(set.body).toEqual({ userId: '4242', limits: { osm: { perHour: 3000 } } });
+      expect(list.body.overrides).toEqual({ 4242: { osm: { perHour: 3000 } } });
+      expect(invalid.status).toBe(400);
+    } finally {
+      if (originalAdminKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = originalAdminKey;
+      }
+    }
+  });
+});
+
+describe('backend rate limiter cost', () => {
+  it('keeps per-request cost and memory flat at 900 requests an hour per session', () => {
+    const { rateLimitTier: productionTier, rateLimitTracker } = loadProductionLimiter();
+    const osm = productionTier('osm');
+    const spacingMs = 3600000 / RATE_LIMIT_TIERS.osm.perHour;
+    let clock = 1_000_000;
+    const now = jest.spyOn(Date, 'now').mockImplementation(() => clock);
+
+    const durations = [];
+    const stateSizes = [];
+    try {
+      for (let i = 0; i < RATE_LIMIT_TIERS.osm.perHour; i++) {
+        const start = process.hrtime.bigint();
+        const res = callLimiter(osm);
+        durations.push(Number(process.hrtime.bigint() - start));
+
+        expect(res.statusCode).toBe(200);
+        stateSizes.push(JSON.stringify(rateLimitTracker.get('osm:ip:203.0.113.9')).length);
+        clock += spacingMs;
+      }
+    } finally {
+      now.mockRestore();
+    }
+
+    // The timestamp-array version grew with every request kept for the hour;
+    // the last hundred requests should cost what the first hundred did.
+    const early = median(durations.slice(0, 100));
+    const late = median(durations.slice(-100));
+    expect(late).toBeLessThanOrEqual(early * 3 + 50000);
+    expect(rateLimitTracker.size).toBe(1);
+    expect(Math.max(...stateSizes) - Math.min(...stateSizes)).toBeLessThanOrEqual(2);
+  });
+});
@@ -1,4 +1,4 @@
-const { detectBlockedResponse } = require('../utils/responseHelpers');
+const { detectBlockedResponse, getBlockedScope } = require('../utils/responseHelpers');
 const { processOSMResponse } = require('../utils/osmApiHandler');
 
 const BLOCKED_HTML = `<!DOCTYPE html>
@@ -86,3 +86,24 @@ describe('processOSMResponse', () => {
     expect(result.json.error).toBe('Invalid JSON response from OSM API');
   });
 });
+
+describe('getBlockedScope', () => {
+  it('returns null for anything but a Blocked page', () => {
+    expect(getBlockedScope(NON_BLOCKED_HTML)).toBeNull();
+    expect(getBlockedScope('{"ip": "blocked"}')).toBeNull();
+  });
+
+  it('treats a Blocked page naming the IP address as global', () => {
+    const html = '<html><head><title>OSM: Blocked</title></head><body>Your IP address has been blocked.</body></html>';
+    expect(getBlockedScope(html)).toBe('global');
+  });
+
+  it('treats a Blocked page that does not name an endpoint as global', () => {
+    expect(getBlockedScope(BLOCKED_HTML)).toBe('global');
+  });
+
+  it('only narrows the block to the endpoint when OSM says so', () => {
+    const html = '<html><head><title>OSM: Blocked</title></head><body>Access to this part of OSM has been blocked.</body></html>';
+    expect(getBlockedScope(html)).toBe('endpoint');
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const responseCache = require('../utils/osmResponseCache');
+const breaker = require('../utils/osmCircuitBreaker');
+const { applyFlexiValueWrite } = require('../utils/flexiRecordCache');
+
+/**
+ * Builds a mock fetch response carrying the given JSON payload.
+ *
+ * @param {object} payload - Body to serve
+ * @returns {object} Mock fetch response
+ */
+function mockJsonResponse(payload) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: jest.fn(() => null) },
+    json: () => Promise.resolve(payload),
+    text: () => Promise.resolve(JSON.stringify(payload)),
+  };
+}
+
+const flexiData = {
+  identifier: 'scoutid',
+  items: [
+    { scoutid: '101', firstname: 'Alex', f_1: 'Not started', f_2: '' },
+    { scoutid: '102', firstname: 'Sam', f_1: 'Not started', f_2: '' },
+  ],
+};
+
+const TOKEN = 'flexi-token';
+const singleUrl = '/get-single-flexi-record?sectionid=1&flexirecordid=22&termid=3';
+const structureUrl = '/get-flexi-structure?sectionid=1&flexirecordid=22&termid=3';
+const recordsUrl = '/get-flexi-records?sectionid=1';
+
+/**
+ * Issues an authenticated GET.
+ *
+ * @param {string} url - Proxy URL
+ * @returns {Promise<object>} Supertest response
+ */
+const get = (url) => request(app).get(url).set('Authorization', `Bearer ${TOKEN}`);
+
+/**
+ * Issues an authenticated POST with a JSON body.
+ *
+ * @param {string} url - Proxy URL
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Supertest response
+ */
+const post = (url, body) => request(app).post(url).set('Authorization', `Bearer ${TOKEN}`).send(body);
+
+/**
+ * Fills the cache with data, structure and record list for section 1 / record 22.
+ *
+ * @returns {Promise<void>}
+ */
+const primeFlexiReads = async () => {
+  global.fetch.mockResolvedValueOnce(mockJsonResponse(flexiData));
+  global.fetch.mockResolvedValueOnce(mockJsonResponse({ structure: {}, columns: {} }));
+  global.fetch.mockResolvedValueOnce(mockJsonResponse({ items: [{ extraid: '22' }] }));
+  await get(singleUrl);
+  await get(structureUrl);
+  await get(recordsUrl);
+  global.fetch.mockReset();
+};
+
+describe('FlexiRecord write-through caching', () => {
+  beforeEach(() => {
+    responseCache.clear();
+    breaker.reset();
+    global.fetch.mockReset();
+  });
+
+  it('patches cached record data with a single written value', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+
+    const write = await post('/update-flexi-record', {
+      sectionid: '1', scoutid: '101', flexirecordid: '22', columnid: 'f_1',
+      value: 'Completed', termid: '3', section: 'scouts',
+    });
+    expect(write.status).toBe(200);
+
+    const res = await get(singleUrl);
+    expect(res.headers['x-cache']).toBe('HIT');
+    expect(res.body.items[0].f_1).toBe('Completed');
+    expect(res.body.items[1].f_1).toBe('Not started');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('patches every member written by a bulk update', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+
+    await post('/multi-update-flexi-record', {
+      sectionid: '1', scouts: [101, 102], value: 'Yes', column: 'f_2', flexirecordid: '22',
+    });
+
+    const res = await get(singleUrl);
+    expect(res.headers['x-cache']).toBe('HIT');
+    expect(res.body.items.map((row) => row.f_2)).toEqual(['Yes', 'Yes']);
+  });
+
+  it('drops structure and record list reads after a value write', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+    await post('/multi-update-flexi-record', {
+      sectionid: '1', scouts: [101], value: 'Yes', column: 'f_2', flexirecordid: '22',
+    });
+
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [] }));
+    expect((await get(structureUrl)).headers['x-cache']).toBe('MISS');
+    expect((await get(recordsUrl)).headers['x-cache']).toBe('MISS');
+  });
+
+  it('drops all reads for the record when a column is added', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+    await post('/add-flexi-column', { sectionid: '1', flexirecordid: '22', columnName: 'Notes' });
+
+    global.fetch.mockResolvedValue(mockJsonResponse(flexiData));
+    expect((await get(singleUrl)).headers['x-cache']).toBe('MISS');
+    expect((await get(structureUrl)).headers['x-cache']).toBe('MISS');
+    expect((await get(recordsUrl)).headers['x-cache']).toBe('MISS');
+  });
+
+  it('drops the section\'s record list when a FlexiRecord is created', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+    await post('/create-flexi-record', { sectionid: '1', name: 'Camp kit' });
+
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [] }));
+    expect((await get(recordsUrl)).headers['x-cache']).toBe('MISS');
+  });
+
+  it('leaves other sections\' cached reads alone', async () => {
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ items: [] }));
+    await get('/get-flexi-records?sectionid=2');
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+    await post('/create-flexi-record', { sectionid: '1', name: 'Camp kit' });
+
+    expect((await get('/get-flexi-records?sectionid=2')).headers['x-cache']).toBe('HIT');
+  });
+
+  it('keeps the cache untouched when OSM rejects the write', async () => {
+    await primeFlexiReads();
+    global.fetch.mockResolvedValueOnce({
+      ...mockJsonResponse({}),
+      ok: false,
+      status: 500,
+      text: () => Promise.resolve('boom'),
+    });
+
+    await post('/add-flexi-column', { sectionid: '1', flexirecordid: '22', columnName: 'Notes' });
+
+    expect((await get(structureUrl)).headers['x-cache']).toBe('HIT');
+  });
+
+  it('does not cache a read that was in flight when the write landed', async () => {
+    let finishRead;
+    global.fetch.mockImplementationOnce(() => new Promise((resolve) => {
+      finishRead = () => resolve(mockJsonResponse(flexiData));
+    }));
+    const slowRead = get(singleUrl).then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+    await post('/update-flexi-record', {
+      sectionid: '1', scoutid: '101', flexirecordid: '22', columnid: 'f_1',
+      value: 'Completed', termid: '3', section: 'scouts',
+    });
+    finishRead();
+    expect((await slowRead).body.items[0].f_1).toBe('Not started');
+
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({
+      ...flexiData,
+      items: [{ ...flexiData.items[0], f_1: 'Completed' }, flexiData.items[1]],
+    }));
+    const res = await get(singleUrl);
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.items[0].f_1).toBe('Completed');
+  });
+
+  it('drops cached data it cannot patch', () => {
+    const key = responseCache.buildCacheKey('getSingleFlexiRecord', `token:${TOKEN}`, {
+      sectionid: '1', flexirecordid: '22', termid: '3',
+    });
+    responseCache.set(key, { unexpected: true }, 60000, {
+      endpoint: 'getSingleFlexiRecord',
+      params: { sectionid: '1', flexirecordid: '22', termid: '3' },
+    });
+
+    const result = applyFlexiValueWrite({
+      sectionid: 1, flexirecordid: 22, scoutids: [101], columnid: 'f_1', value: 'x',
+    });
+
+    expect(result.patched).toBe(0);
+    expect(responseCache.get(key)).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+const { EventEmitter } = require('events');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const idempotencyStore = require('../middleware/idempotency');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+const { createOSMApiHandler } = require('../utils/osmApiHandler');
+
+/**
+ * Builds a mock fetch response carrying the given JSON payload.
+ *
+ * @param {object} payload - Body to serve
+ * @param {number} status - HTTP status
+ * @returns {object} Mock fetch response
+ */
+function mockJsonResponse(payload, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: jest.fn(() => null) },
+    text: () => Promise.resolve(JSON.stringify(payload)),
+  };
+}
+
+const write = {
+  sectionid: '1', scoutid: '101', flexirecordid: '22', columnid: 'f_1',
+  value: 'Completed', termid: '3', section: 'scouts',
+};
+
+/**
+ * Sends a flexi record write, optionally with an Idempotency-Key.
+ *
+ * @param {object} body - Request body
+ * @param {object} [options] - Key and token to send
+ * @returns {object} Supertest request
+ */
+const postWrite = (body, { key, token = 'idem-token' } = {}) => {
+  const req = request(app).post('/update-flexi-record').set('Authorization', `Bearer ${token}`);
+  if (key !== undefined) {
+    req.set('Idempotency-Key', key);
+  }
+  return req.send(body);
+};
+
+describe('Idempotency-Key on POST proxy routes', () => {
+  beforeEach(() => {
+    idempotencyStore.reset();
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    global.fetch.mockReset();
+  });
+
+  it('replays the first response to a repeated write without calling OSM again', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ ok: true, count: 1 }));
+
+    const first = await postWrite(write, { key: 'write-1' });
+    const repeat = await postWrite(write, { key: 'write-1' });
+
+    expect(first.status).toBe(200);
+    expect(repeat.status).toBe(200);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotency-replayed']).toBe('true');
+    expect(first.headers['idempotency-replayed']).toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(idempotencyStore.getStatus()).toEqual(expect.objectContaining({ stored: 1, replayed: 1 }));
+  });
+
+  it('answers 409 to a repeat that arrives while the first is in flight', async () => {
+    let answer;
+    global.fetch.mockImplementation(() => new Promise((resolve) => {
+      answer = resolve;
+    }));
+
+    const first = postWrite(write, { key: 'write-2' }).then((res) => res);
+    while (!answer) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const repeat = await postWrite(write, { key: 'write-2' });
+    expect(repeat.status).toBe(409);
+    expect(repeat.body.code).toBe(idempotencyStore.IN_PROGRESS);
+    expect(repeat.headers['retry-after']).toBe('1');
+
+    answer(mockJsonResponse({ ok: true }));
+    expect((await first).status).toBe(200);
+    expect((await postWrite(write, { key: 'write-2' })).headers['idempotency-replayed']).toBe('true');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a key reused for a different write', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ ok: true }));
+    await postWrite(write, { key: 'write-3' });
+
+    const res = await postWrite({ ...write, value: 'Not started' }, { key: 'write-3' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe(idempotencyStore.KEY_REUSED);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps keys separate per caller and applies writes without a key every time', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ ok: true }));
+
+    await postWrite(write, { key: 'shared-key', token: 'leader-a' });
+    const other = await postWrite(write, { key: 'shared-key', token: 'leader-b' });
+    await postWrite(write);
+    await postWrite(write);
+
+    expect(other.headers['idempotency-replayed']).toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it('lets a repeat through after OSM turned the write away', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockJsonResponse({ error: 'unavailable' }, 503))
+      .mockResolvedValueOnce(mockJsonResponse({ ok: true }));
+
+    const first = await postWrite(write, { key: 'write-4' });
+    const repeat = await postWrite(write, { key: 'write-4' });
+
+    expect(first.status).toBe(503);
+    expect(repeat.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects an over-long key', async () => {
+    const res = await postWrite(write, { key: 'k'.repeat(256) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.validationErrors).toEqual(['Idempotency-Key must be 1-255 characters']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('forgets stored responses once the window has passed', async () => {
+    idempotencyStore.reset({ windowMs: 1000 });
+    global.fetch.mockResolvedValue(mockJsonResponse({ ok: true }));
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      await postWrite(write, { key: 'write-5' });
+      clock.mockReturnValue(now + 1000);
+      const later = await postWrite(write, { key: 'write-5' });
+
+      expect(later.headers['idempotency-replayed']).toBeUndefined();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+
+  it('finishes a keyed write when the client disconnects', async () => {
+    let answer;
+    global.fetch.mockImplementation(() => new Promise((resolve) => {
+      answer = resolve;
+    }));
+    const handler = createOSMApiHandler('addFlexiColumn', {
+      method: 'POST',
+      buildUrl: () => 'https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=addColumn',
+      buildRequestOptions: (req, token) => ({ method: 'POST', headers: { Authorization: `Bearer ${token}` } }),
+    });
+    const req = {
+      headers: { authorization: 'Bearer leaving-token' },
+      query: {},
+      body: {},
+      ip: '203.0.113.4',
+      idempotencyKey: 'column-1',
+    };
+    const res = Object.assign(new EventEmitter(), {
+      writableFinished: false,
+      status: jest.fn(() => res),
+      json: jest.fn(() => res),
+      set: jest.fn(() => res),
+      getHeader: jest.fn(),
+    });
+
+    const handled = handler(req, res);
+    while (!answer) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    res.emit('close');
+    answer(mockJsonResponse({ ok: true }));
+    await handled;
+
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(false);
+    expect(res.json).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+// Real fetch: these tests go over HTTP to the mock
+global.setInterval = jest.fn();
+
+const app = require('../server');
+const { ROUTES, createMockOSM } = require('../mock-osm/server');
+const { getOSMBaseUrl, osmUrl } = require('../config/osm');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+const retryPolicy = require('../utils/osmRetryPolicy');
+const timeouts = require('../utils/osmRequestTimeouts');
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock-osm', 'fixtures', `${name}.json`), 'utf8'));
+
+// One backend call for every OSM URL the mock serves
+const BACKEND_CALLS = [
+  ['get', '/get-terms'],
+  ['get', '/get-section-config?sectionid=49097'],
+  ['get', '/get-user-roles'],
+  ['get', '/get-events?sectionid=49097&termid=801234'],
+  ['get', '/get-event-attendance?sectionid=49097&termid=801234&eventid=1573792'],
+  ['get', '/get-programme-summary?sectionid=49097&termid=801234'],
+  ['get', '/get-event-sharing-status?eventid=1573792&sectionid=49097'],
+  ['get', '/get-shared-event-attendance?eventid=1573792&sectionid=49097'],
+  ['get', '/get-event-summary?eventid=1573792'],
+  ['get', '/get-contact-details?sectionid=49097&scoutid=1601995'],
+  ['get', '/get-list-of-members?sectionid=49097&termid=801234&section=scouts'],
+  ['get', '/get-flexi-records?sectionid=49097'],
+  ['get', '/get-flexi-structure?sectionid=49097&flexirecordid=72758&termid=801234'],
+  ['get', '/get-single-flexi-record?sectionid=49097&flexirecordid=72758&termid=801234'],
+  ['get', '/get-startup-data'],
+  ['post', '/update-flexi-record', {
+    sectionid: '49097', scoutid: '1601995', flexirecordid: '72758', columnid: 'f_1',
+    value: 'Yes', termid: '801234', section: 'scouts',
+  }],
+  ['post', '/multi-update-flexi-record', {
+    sectionid: '49097', scouts: ['1601995', '2060746'], value: 'Yes', column: 'f_1', flexirecordid: '72758',
+  }],
+  ['post', '/create-flexi-record', { sectionid: '49097', name: 'New Flexi Record' }],
+  ['post', '/add-flexi-column', { sectionid: '49097', flexirecordid: '72758', columnName: 'New column' }],
+  ['post', '/get-members-grid', { section_id: '49097', term_id: '801234' }],
+];
+
+/**
+ * Calls the backend as a signed-in client.
+ *
+ * @param {string} method - 'get' or 'post'
+ * @param {string} url - Backend URL
+ * @param {object} [body] - POST body
+ * @returns {Promise<object>} Supertest response
+ */
+const call = (method, url, body) => {
+  const req = request(app)[method](url)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Cookie', `session_id=${token}`);
+  return body ? req.send(body) : req;
+};
+
+// A fresh session per test: a scripted 429 puts the caller's session in cooldown
+let token;
+let tokens = 0;
+
+describe('mock OSM server', () => {
+  let mock;
+  let server;
+
+  beforeAll(async () => {
+    mock = createMockOSM();
+    server = await mock.listen(0);
+    process.env.OSM_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterAll(async () => {
+    delete process.env.OSM_BASE_URL;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tokens += 1;
+    token = `mock-osm-token-${tokens}`;
+    mock.reset();
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    retryPolicy.reset({ maxAttempts: 1 });
+  });
+
+  afterEach(() => {
+    retryPolicy.reset();
+    timeouts.reset();
+  });
+
+  it('resolves OSM paths against OSM_BASE_URL', () => {
+    expect(getOSMBaseUrl()).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(osmUrl('/api.php?action=getTerms')).toBe(`${getOSMBaseUrl()}/api.php?action=getTerms`);
+    expect(getOSMBaseUrl({})).toBe('https://www.onlinescoutmanager.co.uk');
+  });
+
+  it('serves a fixture for every OSM URL the backend calls', async () => {
+    for (const [method, url, body] of BACKEND_CALLS) {
+      const res = await call(method, url, body);
+      expect({ url, status: res.status }).toEqual({ url, status: 200 });
+    }
+
+    const served = new Set(mock.requests.map((entry) => entry.endpoint));
+    const unserved = ROUTES.map((route) => route.name).filter((name) => name !== 'oauthResource' && !served.has(name));
+    expect(unserved).toEqual([]);
+  });
+
+  it('passes fixtures through to the client', async () => {
+    const res = await call('get', '/get-flexi-records?sectionid=49097');
+
+    expect(res.body.items).toEqual(fixture('getFlexiRecords').items);
+    expect(budget.getStatus().source).toBe('osm');
+  });
+
+  it('answers 429 with X-RateLimit headers when scripted', async () => {
+    mock.addFailure({ type: 'rateLimit', endpoint: 'getTerms', times: 1, retryAfter: 120 });
+
+    const limited = await call('get', '/get-terms');
+    const next = await call('get', '/get-terms');
+
+    expect(limited.status).toBe(429);
+    expect(budget.getStatus()).toEqual(expect.objectContaining({ source: 'osm', remaining: 0 }));
+    // The backend holds off until OSM's reset instead of calling again
+    expect(next.status).toBe(429);
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  it('serves the Blocked page when scripted', async () => {
+    mock.addFailure({ type: 'blocked', endpoint: 'getUserRoles', scope: 'ip' });
+
+    const res = await call('get', '/get-user-roles');
+
+    expect(res.status).toBe(503);
+    expect(res.body.blocked).toBe(true);
+  });
+
+  it('retires the startup endpoint with 410 so the backend falls back to oauth/resource', async () => {
+    mock.addFailure({ type: 'gone', endpoint: 'getStartupData' });
+
+    const res = await call('get', '/get-startup-data');
+
+    expect(res.status).toBe(200);
+    expect(res.body.globals).toEqual(expect.objectContaining({ firstname: 'Morgan', lastname: 'Leader' }));
+    expect(mock.requests.map((entry) => entry.endpoint)).toEqual(['getStartupData', 'oauthResource']);
+  });
+
+  it('answers slowly when scripted', async () => {
+    timeouts.reset({ defaultTimeoutMs: 50 });
+    mock.addFailure({ type: 'slow', endpoint: 'getTerms', delayMs: 200, times: 1 });
+
+    const res = await call('get', '/get-terms');
+
+    expect(res.status).toBe(504);
+    expect(res.body.code).toBe('OSM_TIMEOUT');
+  });
+
+  it('takes failures over HTTP and rejects unknown ones', async () => {
+    const base = getOSMBaseUrl();
+    const added = await fetch(`${base}/__mock/failures`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'status', status: 502, endpoint: 'getEvents', times: 1 }),
+    });
+    const rejected = await fetch(`${base}/__mock/failures`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'meltdown' }),
+    });
+
+    expect(added.status).toBe(201);
+    expect(rejected.status).toBe(400);
+    expect((await call('get', '/get-events?sectionid=49097&termid=801234')).status).toBe(502);
+  });
+
+  it('signs in through /oauth/authorize and /oauth/token', async () => {
+    const base = getOSMBaseUrl();
+    const authorize = await fetch(`${base}/oauth/authorize?client_id=x&redirect_uri=${encodeURIComponent('https://localhost:3000/oauth/callback')}&state=abc`, { redirect: 'manual' });
+    const location = new URL(authorize.headers.get('location'));
+
+    const token = await fetch(`${base}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'authorization_code', code: location.searchParams.get('code') }),
+    });
+    const tokenData = await token.json();
+
+    expect(authorize.status).toBe(302);
+    expect(location.searchParams.get('state')).toBe('abc');
+    expect(tokenData).toEqual(expect.objectContaining({ token_type: 'Bearer', expires_in: 3600 }));
+    expect(tokenData.access_token).toMatch(/^mock-access-/);
+  });
+});
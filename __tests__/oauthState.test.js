@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const oauthState = require('../utils/oauthState');
+
+/**
+ * Starts a login and returns the authorize URL's query parameters.
+ *
+ * @param {object} query - /oauth/login query
+ * @returns {Promise<URLSearchParams>} Parameters sent to OSM
+ */
+const startLogin = async (query = {}) => {
+  const res = await request(app).get('/oauth/login').query(query);
+  return new URL(res.headers.location).searchParams;
+};
+
+/**
+ * Mocks a successful OSM token exchange.
+ *
+ * @returns {void}
+ */
+const mockTokenExchange = () => {
+  global.fetch.mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ access_token: 'pkce-token', token_type: 'Bearer' }),
+  });
+};
+
+describe('oauthState', () => {
+  afterEach(() => {
+    oauthState.clearPending();
+    jest.useRealTimers();
+  });
+
+  it('returns the wrapped state and verifier exactly once', () => {
+    const { state } = oauthState.createState('prod:ios');
+
+    const first = oauthState.consumeState(state);
+    expect(first).toEqual({ valid: true, legacyState: 'prod:ios', codeVerifier: expect.any(String) });
+    expect(oauthState.consumeState(state)).toEqual({ valid: false, reason: 'replayed' });
+  });
+
+  it('issues an S256 challenge derived from the stored verifier', () => {
+    const { state, codeChallenge, codeChallengeMethod } = oauthState.createState('prod');
+    const { codeVerifier } = oauthState.consumeState(state);
+
+    expect(codeChallengeMethod).toBe('S256');
+    expect(codeVerifier.length).toBeGreaterThanOrEqual(43);
+    expect(crypto.createHash('sha256').update(codeVerifier).digest('base64url')).toBe(codeChallenge);
+  });
+
+  it('rejects tampered, unsigned and missing states', () => {
+    const { state } = oauthState.createState('prod');
+    const [payload, signature] = state.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ n: 'x', s: 'prod:ios', e: Date.now() + 60000 })).toString('base64url');
+
+    expect(oauthState.consumeState(`${forgedPayload}.${signature}`).reason).toBe('bad_signature');
+    expect(oauthState.consumeState(payload).reason).toBe('malformed');
+    expect(oauthState.consumeState('prod:ios').reason).toBe('malformed');
+    expect(oauthState.consumeState(undefined).reason).toBe('missing');
+  });
+
+  it('keeps pending logins in the token store', () => {
+    const { tokenStore } = require('../controllers/auth');
+    const { state } = oauthState.createState('prod');
+
+    expect(tokenStore.pendingLoginEntries()).toHaveLength(1);
+    oauthState.consumeState(state);
+    expect(tokenStore.pendingLoginEntries()).toHaveLength(0);
+  });
+
+  it('refuses to start in production without OAUTH_STATE_SECRET', () => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, OAUTH_STATE_SECRET: process.env.OAUTH_STATE_SECRET };
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('exit');
+    });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.NODE_ENV = 'production';
+    delete process.env.OAUTH_STATE_SECRET;
+
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../utils/oauthState')).toThrow('exit');
+      });
+      expect(exit).toHaveBeenCalledWith(1);
+    } finally {
+      process.env.NODE_ENV = saved.NODE_ENV;
+      if (saved.OAUTH_STATE_SECRET !== undefined) {
+        process.env.OAUTH_STATE_SECRET = saved.OAUTH_STATE_SECRET;
+      }
+      exit.mockRestore();
+      error.mockRestore();
+    }
+  });
+
+  it('rejects states past their expiry', () => {
+    jest.useFakeTimers();
+    const { state } = oauthState.createState('prod');
+
+    jest.setSystemTime(Date.now() + oauthState.STATE_TTL_MS + 1);
+
+    expect(oauthState.consumeState(state).reason).toBe('expired');
+  });
+});
+
+describe('OAuth login and callback with signed state', () => {
+  beforeEach(() => {
+    oauthState.clearPending();
+    global.fetch.mockReset();
+  });
+
+  it('sends a signed state and PKCE challenge to OSM instead of the raw state', async () => {
+    const params = await startLogin({ state: 'prod:web', frontend_url: 'https://localhost:3001' });
+
+    expect(params.get('state')).not.toContain('frontend_url');
+    expect(params.get('state')).toMatch(/^[\w-]+\.[\w-]+$/);
+    expect(params.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+    expect(params.get('code_challenge_method')).toBe('S256');
+  });
+
+  it('sends the matching code_verifier with the token exchange', async () => {
+    mockTokenExchange();
+    const params = await startLogin({ state: 'prod' });
+
+    const res = await request(app)
+      .get('/oauth/callback')
+      .query({ code: 'auth-code', state: params.get('state') });
+
+    expect(res.headers.location).toContain('access_token=pkce-token');
+    const sent = new URLSearchParams(global.fetch.mock.calls[0][1].body.toString());
+    expect(crypto.createHash('sha256').update(sent.get('code_verifier')).digest('base64url'))
+      .toBe(params.get('code_challenge'));
+  });
+
+  it('restores platform and frontend URL from the signed state', async () => {
+    mockTokenExchange();
+    const params = await startLogin({ state: 'prod:ios' });
+
+    const res = await request(app)
+      .get('/oauth/callback')
+      .query({ code: 'auth-code', state: params.get('state') });
+
+    expect(res.headers.location).toMatch(/^vikings:\/\/oauth-callback\?/);
+  });
+
+  it('rejects a replayed state without calling OSM', async () => {
+    mockTokenExchange();
+    const params = await startLogin({ state: 'prod' });
+    await request(app).get('/oauth/callback').query({ code: 'auth-code', state: params.get('state') });
+    global.fetch.mockClear();
+
+    const replay = await request(app)
+      .get('/oauth/callback')
+      .query({ code: 'auth-code', state: params.get('state') });
+
+    expect(replay.headers.location).toContain('error=invalid_state');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('rejects a forged state without calling OSM', async () => {
+    mockTokenExchange();
+
+    const res = await request(app)
+      .get('/oauth/callback')
+      .query({ code: 'auth-code', state: 'prod:ios' });
+
+    expect(res.headers.location).toContain('error=invalid_state');
+    expect(res.headers.location).not.toMatch(/^vikings:/);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
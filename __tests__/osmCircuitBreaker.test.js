@@ -74,7 +74,7 @@ describe('osmCircuitBreaker', () => {
     expect(status.trippedAt).not.toBe(firstTrippedAt);
   });
 
-  it('leaves the breaker open on recordProbeFailure but allows the next request to probe again', () => {
+  it('reopens on recordProbeFailure and moves the next probe out by the backed-off window', () => {
     breaker.recordBlocked();
     jest.setSystemTime(new Date(Date.now() + COOLDOWN_MS));
     breaker.shouldAllowRequest();
@@ -82,7 +82,14 @@ describe('osmCircuitBreaker', () => {
 
     breaker.recordProbeFailure(generation);
 
-    expect(breaker.getStatus().state).toBe('open');
+    const status = breaker.getStatus();
+    expect(status.state).toBe('open');
+    expect(status.tripCount).toBe(1);
+    expect(status.cooldownMs).toBe(2 * COOLDOWN_MS);
+    expect(status.nextProbeAt).toBe(new Date(Date.now() + 2 * COOLDOWN_MS).toISOString());
+    expect(breaker.shouldAllowRequest()).toBe(false);
+
+    jest.setSystemTime(new Date(Date.now() + 2 * COOLDOWN_MS));
     expect(breaker.shouldAllowRequest()).toBe(true);
     expect(breaker.getStatus().state).toBe('half-open');
   });
@@ -121,10 +128,29 @@ describe('osmCircuitBreaker', () => {
       trippedAt: null,
       tripCount: 0,
       cooldownMs: COOLDOWN_MS,
+      nextProbeAt: null,
       secondsUntilProbe: null,
+      backoffLevel: 0,
+      policy: {
+        baseCooldownMs: COOLDOWN_MS,
+        multiplier: 2,
+        maxCooldownMs: 24 * COOLDOWN_MS,
+        jitter: 0,
+        successesToShrink: 50,
+      },
     });
   });
 
+  it('reports the next probe time while open', () => {
+    breaker.recordBlocked();
+
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({
+      cooldownMs: COOLDOWN_MS,
+      nextProbeAt: '2026-01-01T01:00:00.000Z',
+      secondsUntilProbe: COOLDOWN_MS / 1000,
+    }));
+  });
+
   it('reports secondsUntilProbe counting down while open', () => {
     breaker.recordBlocked();
     jest.setSystemTime(new Date(Date.now() + 1000));
@@ -174,3 +200,257 @@ describe('osmCircuitBreaker', () => {
     });
   });
 });
+
+describe('osmCircuitBreaker registry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    breaker.resetAll();
+  });
+
+  afterEach(() => {
+    breaker.resetAll();
+    jest.useRealTimers();
+  });
+
+  it('maps endpoints to their group and unknown endpoints to none', () => {
+    expect(breaker.getGroupForEndpoint('getEventAttendance')).toBe('events');
+    expect(breaker.getGroupForEndpoint('multiUpdateFlexiRecord')).toBe('flexirecords');
+    expect(breaker.getGroupForEndpoint('getNewThing')).toBeNull();
+  });
+
+  it('keeps group breakers independent of each other', () => {
+    breaker.forEndpoint('getEvents').recordBlocked('endpoint');
+
+    expect(breaker.forEndpoint('getEvents').shouldAllowRequest()).toBe(false);
+    expect(breaker.forEndpoint('getListOfMembers').shouldAllowRequest()).toBe(true);
+    expect(breaker.getBreaker('events').getStatus().tripCount).toBe(1);
+    expect(breaker.getStatus().tripCount).toBe(0);
+  });
+
+  it('trips the global breaker for a global block and for ungrouped endpoints', () => {
+    breaker.forEndpoint('getEvents').recordBlocked('global');
+    expect(breaker.getStatus().state).toBe('open');
+    expect(breaker.getBreaker('events').getStatus().state).toBe('closed');
+    expect(breaker.forEndpoint('getListOfMembers').shouldAllowRequest()).toBe(false);
+
+    breaker.resetAll();
+    breaker.forEndpoint('getNewThing').recordBlocked('endpoint');
+    expect(breaker.getStatus().state).toBe('open');
+  });
+
+  it('does not claim the global probe while the group is still cooling down', () => {
+    breaker.trip();
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    breaker.getBreaker('events').trip();
+    jest.advanceTimersByTime(30 * 60 * 1000);
+
+    expect(breaker.forEndpoint('getEvents').shouldAllowRequest()).toBe(false);
+    expect(breaker.getStatus().state).toBe('open');
+
+    // Another group takes the global probe and its success closes the global breaker
+    const members = breaker.forEndpoint('getListOfMembers');
+    expect(members.shouldAllowRequest()).toBe(true);
+    expect(breaker.getStatus().state).toBe('half-open');
+    members.recordSuccess(members.getGeneration());
+    expect(breaker.getStatus().state).toBe('closed');
+    expect(breaker.getBreaker('events').getStatus().state).toBe('open');
+  });
+
+  it('ignores stale generations per breaker', () => {
+    const events = breaker.forEndpoint('getEvents');
+    const staleGeneration = events.getGeneration();
+
+    breaker.getBreaker('events').trip();
+    events.recordSuccess(staleGeneration);
+
+    expect(breaker.getBreaker('events').getStatus().state).toBe('open');
+  });
+});
+
+describe('osmCircuitBreaker persistence', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const originalPath = process.env.OSM_BREAKER_STATE_PATH;
+  let tmpDir;
+  let statePath;
+
+  /**
+   * Loads a fresh copy of the module, as a restarted process would.
+   *
+   * @returns {object} osmCircuitBreaker module
+   */
+  const boot = () => {
+    let fresh;
+    jest.isolateModules(() => {
+      fresh = require('../utils/osmCircuitBreaker');
+    });
+    return fresh;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breaker-state-'));
+    statePath = path.join(tmpDir, 'osm-breakers.json');
+    process.env.OSM_BREAKER_STATE_PATH = statePath;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (originalPath === undefined) {
+      delete process.env.OSM_BREAKER_STATE_PATH;
+    } else {
+      process.env.OSM_BREAKER_STATE_PATH = originalPath;
+    }
+  });
+
+  it('keeps an open breaker and its cooldown across a restart', () => {
+    const before = boot();
+    before.getBreaker('events').trip();
+    const generation = before.getBreaker('events').getGeneration();
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    const after = boot();
+    const events = after.getBreaker('events');
+
+    expect(events.getStatus()).toEqual(expect.objectContaining({
+      state: 'open',
+      trippedAt: '2026-01-01T00:00:00.000Z',
+      tripCount: 1,
+      secondsUntilProbe: 50 * 60,
+    }));
+    expect(events.getGeneration()).toBe(generation);
+    expect(after.forEndpoint('getEvents').shouldAllowRequest()).toBe(false);
+    expect(after.getStatus().state).toBe('closed');
+  });
+
+  it('records every transition, not just trips', () => {
+    const breaker = boot();
+    breaker.trip();
+    jest.advanceTimersByTime(COOLDOWN_MS);
+    breaker.shouldAllowRequest();
+
+    expect(JSON.parse(fs.readFileSync(statePath, 'utf8')).breakers.global.state).toBe('half-open');
+
+    breaker.recordSuccess(breaker.getGeneration());
+    expect(JSON.parse(fs.readFileSync(statePath, 'utf8')).breakers.global.state).toBe('closed');
+  });
+
+  it('brings a half-open breaker back as open so the next request probes', () => {
+    const before = boot();
+    before.trip();
+    jest.advanceTimersByTime(COOLDOWN_MS);
+    before.shouldAllowRequest();
+
+    const after = boot();
+
+    expect(after.getStatus().state).toBe('open');
+    expect(after.shouldAllowRequest()).toBe(true);
+    expect(after.getStatus().state).toBe('half-open');
+  });
+
+  it('ignores a snapshot older than the cooldown', () => {
+    boot().trip();
+
+    jest.advanceTimersByTime(COOLDOWN_MS + 1000);
+    const after = boot();
+
+    expect(after.getStatus()).toEqual(expect.objectContaining({ state: 'closed', tripCount: 0 }));
+  });
+
+  it('starts closed when the snapshot is unreadable', () => {
+    fs.writeFileSync(statePath, '{not json');
+
+    expect(boot().getStatus().state).toBe('closed');
+  });
+});
+
+describe('osmCircuitBreaker cooldown policy', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    breaker.setPolicy(breaker.DEFAULT_POLICY);
+    breaker.reset();
+  });
+
+  afterEach(() => {
+    breaker.setPolicy(breaker.DEFAULT_POLICY);
+    breaker.reset();
+    jest.useRealTimers();
+    jest.spyOn(Math, 'random').mockRestore();
+  });
+
+  /**
+   * Trips the breaker, waits out its window and fails the probe with a block.
+   *
+   * @returns {void}
+   */
+  const tripAgainAfterProbe = () => {
+    jest.setSystemTime(new Date(breaker.getStatus().nextProbeAt));
+    breaker.shouldAllowRequest();
+    breaker.recordBlocked();
+  };
+
+  it('doubles the window on each repeat trip up to the maximum', () => {
+    breaker.setPolicy({ maxCooldownMs: 5 * COOLDOWN_MS });
+
+    breaker.trip();
+    expect(breaker.getStatus().cooldownMs).toBe(COOLDOWN_MS);
+    tripAgainAfterProbe();
+    expect(breaker.getStatus().cooldownMs).toBe(2 * COOLDOWN_MS);
+    tripAgainAfterProbe();
+    expect(breaker.getStatus().cooldownMs).toBe(4 * COOLDOWN_MS);
+    tripAgainAfterProbe();
+    expect(breaker.getStatus().cooldownMs).toBe(5 * COOLDOWN_MS);
+    tripAgainAfterProbe();
+    expect(breaker.getStatus().cooldownMs).toBe(5 * COOLDOWN_MS);
+  });
+
+  it('shrinks the window one level per streak of successes', () => {
+    breaker.setPolicy({ successesToShrink: 3 });
+    breaker.trip();
+    tripAgainAfterProbe();
+    jest.setSystemTime(new Date(breaker.getStatus().nextProbeAt));
+    breaker.shouldAllowRequest();
+    breaker.recordSuccess(breaker.getGeneration());
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'closed', backoffLevel: 2 }));
+
+    for (let i = 0; i < 3; i++) {
+      breaker.recordSuccess(breaker.getGeneration());
+    }
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ backoffLevel: 1, cooldownMs: 2 * COOLDOWN_MS }));
+
+    // A trip before the next streak completes starts from the shrunk window
+    breaker.recordSuccess(breaker.getGeneration());
+    breaker.trip();
+    expect(breaker.getStatus().cooldownMs).toBe(2 * COOLDOWN_MS);
+  });
+
+  it('spreads the window by the jitter fraction', () => {
+    breaker.setPolicy({ jitter: 0.2 });
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    breaker.trip();
+
+    expect(breaker.getStatus().cooldownMs).toBe(1.2 * COOLDOWN_MS);
+  });
+
+  it('rejects an invalid policy and keeps the current one', () => {
+    expect(() => breaker.setPolicy({ multiplier: 0.5 })).toThrow('multiplier');
+    expect(() => breaker.setPolicy({ maxCooldownMs: 1000 })).toThrow('maxCooldownMs');
+    expect(breaker.getPolicy()).toEqual(breaker.DEFAULT_POLICY);
+  });
+
+  it('reads the policy from the environment and falls back to defaults when invalid', () => {
+    expect(breaker.loadPolicyFromEnv({
+      OSM_BREAKER_BASE_COOLDOWN_MS: '600000',
+      OSM_BREAKER_COOLDOWN_MULTIPLIER: '3',
+      OSM_BREAKER_JITTER: '0.25',
+    })).toEqual(expect.objectContaining({ baseCooldownMs: 600000, multiplier: 3, jitter: 0.25 }));
+
+    expect(breaker.loadPolicyFromEnv({ OSM_BREAKER_JITTER: 'lots' })).toEqual(breaker.DEFAULT_POLICY);
+  });
+});
@@ -18,17 +18,19 @@ global.fetch = jest.fn(() =>
 
 const app = require('../server');
 const breaker = require('../utils/osmCircuitBreaker');
+const responseCache = require('../utils/osmResponseCache');
 
 describe('OSM circuit breaker gating', () => {
   const originalAdminKey = process.env.ADMIN_API_KEY;
 
   beforeEach(() => {
-    breaker.reset();
+    breaker.resetAll();
+    responseCache.clear();
     fetch.mockClear();
   });
 
   afterEach(() => {
-    breaker.reset();
+    breaker.resetAll();
     if (originalAdminKey === undefined) {
       delete process.env.ADMIN_API_KEY;
     } else {
@@ -60,6 +62,93 @@ describe('OSM circuit breaker gating', () => {
       });
       expect(fetch).not.toHaveBeenCalled();
     });
+
+    it('serves the last good response flagged stale when the breaker is open', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      try {
+        await request(app)
+          .get('/get-event-attendance?sectionid=1&termid=2&eventid=3')
+          .set('Authorization', 'Bearer stale-token');
+
+        jest.setSystemTime(new Date('2026-01-01T02:00:00Z'));
+        breaker.trip();
+
+        const res = await request(app)
+          .get('/get-event-attendance?sectionid=1&termid=2&eventid=3')
+          .set('Authorization', 'Bearer stale-token');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-cache']).toBe('STALE');
+        expect(res.body.data).toBe('test');
+        expect(res.body.stale).toBe(true);
+        expect(res.body.fetchedAt).toBe('2026-01-01T00:00:00.000Z');
+        expect(fetch).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('does not serve another user\'s stale response', async () => {
+      await request(app)
+        .get('/get-terms')
+        .set('Authorization', 'Bearer first-user');
+      breaker.trip();
+
+      const res = await request(app)
+        .get('/get-terms')
+        .set('Authorization', 'Bearer second-user');
+
+      expect(res.status).toBe(503);
+      expect(res.body.blocked).toBe(true);
+    });
+  });
+
+  describe('per-endpoint breakers', () => {
+    const blockedPage = (body) => ({
+      ok: true,
+      status: 200,
+      headers: { get: jest.fn(() => null) },
+      text: () => Promise.resolve(`<html><head><title>OSM: Blocked</title></head><body>${body}</body></html>`),
+    });
+
+    it('stops only the blocked endpoint group', async () => {
+      fetch.mockResolvedValueOnce(blockedPage('This API has been blocked for your application.'));
+
+      const blocked = await request(app)
+        .get('/get-event-attendance?sectionid=1&termid=2&eventid=3')
+        .set('Authorization', 'Bearer group-token');
+      expect(blocked.status).toBe(503);
+      expect(breaker.getBreaker('events').getStatus().state).toBe('open');
+      expect(breaker.getStatus().state).toBe('closed');
+
+      const sameGroup = await request(app)
+        .get('/get-events?sectionid=1&termid=2')
+        .set('Authorization', 'Bearer group-token');
+      expect(sameGroup.status).toBe(503);
+
+      const otherGroup = await request(app)
+        .get('/get-terms')
+        .set('Authorization', 'Bearer group-token');
+      expect(otherGroup.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops every endpoint when the Blocked page is IP-level', async () => {
+      fetch.mockResolvedValueOnce(blockedPage('Your IP address has been blocked.'));
+
+      await request(app)
+        .get('/get-flexi-records?sectionid=1')
+        .set('Authorization', 'Bearer ip-token');
+      expect(breaker.getStatus().state).toBe('open');
+      expect(breaker.getBreaker('flexirecords').getStatus().state).toBe('closed');
+
+      const res = await request(app)
+        .get('/get-terms')
+        .set('Authorization', 'Bearer ip-token');
+      expect(res.status).toBe(503);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('startup data handler', () => {
@@ -74,6 +163,31 @@ describe('OSM circuit breaker gating', () => {
       expect(res.body.blocked).toBe(true);
       expect(fetch).not.toHaveBeenCalled();
     });
+
+    it('serves the last good startup payload flagged stale when the breaker is open', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: jest.fn(() => null) },
+        text: () => Promise.resolve('var data_holder = {"globals":{"firstname":"Alex"}}'),
+      });
+
+      const fresh = await request(app)
+        .get('/get-startup-data')
+        .set('Authorization', 'Bearer startup-token');
+      expect(fresh.status).toBe(200);
+
+      breaker.trip();
+      const res = await request(app)
+        .get('/get-startup-data')
+        .set('Authorization', 'Bearer startup-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.globals).toEqual({ firstname: 'Alex' });
+      expect(res.body.stale).toBe(true);
+      expect(res.body.fetchedAt).toEqual(expect.any(String));
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('GET /admin/osm-breaker', () => {
@@ -106,21 +220,27 @@ describe('OSM circuit breaker gating', () => {
       expect(res.status).toBe(401);
     });
 
-    it('returns the breaker status with the correct key', async () => {
+    it('lists every breaker\'s status with the correct key', async () => {
       process.env.ADMIN_API_KEY = 'correct-key';
+      breaker.getBreaker('members').trip();
 
       const res = await request(app)
         .get('/admin/osm-breaker')
         .set('x-admin-key', 'correct-key');
 
       expect(res.status).toBe(200);
-      expect(res.body).toEqual({
+      expect(Object.keys(res.body.breakers)).toEqual(['global', 'events', 'members', 'flexirecords', 'startup', 'oauth']);
+      expect(res.body.breakers.global).toEqual(expect.objectContaining({
         state: 'closed',
         trippedAt: null,
         tripCount: 0,
         cooldownMs: 60 * 60 * 1000,
+        nextProbeAt: null,
         secondsUntilProbe: null,
-      });
+      }));
+      expect(res.body.policy).toEqual(breaker.getPolicy());
+      expect(res.body.breakers.members.state).toBe('open');
+      expect(res.body.breakers.events.state).toBe('closed');
     });
   });
 
@@ -151,6 +271,60 @@ describe('OSM circuit breaker gating', () => {
       expect(res.body.state).toBe('closed');
     });
 
+    it('trips and resets a group breaker on its own', async () => {
+      const tripped = await request(app)
+        .post('/admin/osm-breaker')
+        .set('x-admin-key', 'correct-key')
+        .send({ action: 'trip', breaker: 'events' });
+
+      expect(tripped.status).toBe(200);
+      expect(tripped.body).toEqual(expect.objectContaining({ breaker: 'events', state: 'open' }));
+      expect(breaker.getStatus().state).toBe('closed');
+
+      breaker.trip();
+      const reset = await request(app)
+        .post('/admin/osm-breaker')
+        .set('x-admin-key', 'correct-key')
+        .send({ action: 'reset', breaker: 'events' });
+
+      expect(reset.body.state).toBe('closed');
+      expect(breaker.getStatus().state).toBe('open');
+    });
+
+    it('returns 400 for an unknown breaker', async () => {
+      const res = await request(app)
+        .post('/admin/osm-breaker')
+        .set('x-admin-key', 'correct-key')
+        .send({ action: 'trip', breaker: 'badges' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.breakers).toContain('flexirecords');
+    });
+
+    it('changes the cooldown policy and rejects invalid values', async () => {
+      try {
+        const res = await request(app)
+          .post('/admin/osm-breaker/policy')
+          .set('x-admin-key', 'correct-key')
+          .send({ baseCooldownMs: 10 * 60 * 1000, multiplier: 3 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.policy).toEqual(expect.objectContaining({ baseCooldownMs: 600000, multiplier: 3 }));
+        breaker.trip();
+        expect(breaker.getStatus().cooldownMs).toBe(600000);
+
+        const invalid = await request(app)
+          .post('/admin/osm-breaker/policy')
+          .set('x-admin-key', 'correct-key')
+          .send({ jitter: 2 });
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.policy.baseCooldownMs).toBe(600000);
+      } finally {
+        breaker.setPolicy(breaker.DEFAULT_POLICY);
+      }
+    });
+
     it('returns 400 for an unknown action', async () => {
       const res = await request(app)
         .post('/admin/osm-breaker')
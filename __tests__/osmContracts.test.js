@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const sentry = require('../config/sentry');
+const osmContracts = require('../utils/osmContracts');
+const { OSM_ENDPOINTS } = require('../utils/osmEndpointRegistry');
+const { validate } = require('../utils/schemaValidator');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+
+/**
+ * Builds a mock fetch response carrying the given JSON payload.
+ *
+ * @param {object} payload - Body to serve
+ * @returns {object} Mock fetch response
+ */
+const mockJsonResponse = (payload) => ({
+  ok: true,
+  status: 200,
+  headers: { get: jest.fn(() => null) },
+  text: () => Promise.resolve(JSON.stringify(payload)),
+});
+
+/**
+ * Calls the backend as a signed-in client.
+ *
+ * @param {string} url - Backend URL
+ * @returns {Promise<object>} Supertest response
+ */
+const get = (url) => request(app).get(url).set('Authorization', 'Bearer contract-token');
+
+const driftedTerms = { 49097: [{ termid: 801234, name: 'Autumn 2026', startdate: '2026-09-01', enddate: '2026-12-18' }] };
+
+describe('OSM response contracts', () => {
+  let warn;
+  let capture;
+
+  beforeEach(() => {
+    osmContracts.reset();
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    global.fetch.mockReset();
+    warn = jest.spyOn(sentry.logger, 'warn');
+    capture = jest.spyOn(sentry.Sentry, 'captureMessage').mockImplementation(() => 'event-id');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    osmContracts.reset();
+  });
+
+  it('matches every mock fixture against its documented schema', () => {
+    const contracted = Object.entries(OSM_ENDPOINTS).filter(([, entry]) => entry.contract);
+    expect(contracted.length).toBeGreaterThan(0);
+
+    for (const [name, entry] of contracted) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock-osm', 'fixtures', `${name}.json`), 'utf8'));
+      expect({ name, errors: validate(entry.contract.schema, fixture, osmContracts.getSchemas()) }).toEqual({ name, errors: [] });
+    }
+  });
+
+  it('reports drift once with the failing path and passes the response on in warn mode', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse(driftedTerms));
+
+    const first = await get('/get-terms');
+    responseCache.clear();
+    await get('/get-terms');
+
+    expect(first.status).toBe(200);
+    expect(first.body[49097][0].termid).toBe(801234);
+    const drift = warn.mock.calls.filter(([, details]) => details?.section === 'osm-contract');
+    expect(drift).toHaveLength(1);
+    expect(drift[0][1]).toEqual(expect.objectContaining({
+      endpoint: 'getTerms',
+      mode: 'warn',
+      path: '49097[0].termid',
+      errors: ['49097[0].termid must be a string'],
+    }));
+    expect(capture).toHaveBeenCalledTimes(1);
+    expect(capture).toHaveBeenCalledWith('OSM response drift: getTerms', expect.objectContaining({
+      level: 'warning',
+      tags: expect.objectContaining({ section: 'osm-contract', path: '49097[0].termid' }),
+    }));
+    expect(osmContracts.getStatus()).toEqual(expect.objectContaining({ checked: 2, drifted: 2, rejected: 0 }));
+  });
+
+  it('rejects drifted responses with 502 in enforce mode and does not cache them', async () => {
+    osmContracts.reset({ modes: { getFlexiRecords: 'enforce' } });
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [{ id: '72758', name: 'Camp Kit Check' }] }));
+
+    const res = await get('/get-flexi-records?sectionid=49097');
+    const repeat = await get('/get-flexi-records?sectionid=49097');
+
+    expect(res.status).toBe(502);
+    expect(res.body).toEqual(expect.objectContaining({
+      code: osmContracts.CONTRACT_VIOLATION,
+      endpoint: 'getFlexiRecords',
+      path: 'items[0].extraid',
+      details: 'items[0].extraid is required',
+    }));
+    expect(capture).toHaveBeenCalledWith('OSM response drift: getFlexiRecords', expect.objectContaining({ level: 'error' }));
+    expect(repeat.status).toBe(502);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads per-endpoint modes from OSM_CONTRACT_MODES', () => {
+    process.env.OSM_CONTRACT_MODES = 'getTerms=enforce, *=off, getEvents=loud';
+    try {
+      osmContracts.reset();
+
+      expect(osmContracts.getModeForEndpoint('getTerms')).toBe('enforce');
+      expect(osmContracts.getModeForEndpoint('getEvents')).toBe('off');
+      expect(osmContracts.getModeForEndpoint('getUserRoles')).toBe('off');
+    } finally {
+      delete process.env.OSM_CONTRACT_MODES;
+    }
+    osmContracts.reset();
+    expect(osmContracts.getModeForEndpoint('getEvents')).toBe('warn');
+  });
+});
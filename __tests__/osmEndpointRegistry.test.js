@@ -0,0 +1,110 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const { OSM_ENDPOINTS, getEndpoint, endpointUrl, prepareOSMRequest } = require('../utils/osmEndpointRegistry');
+const { osmEndpoints } = require('../utils/osmEndpointFactories');
+const { ROUTES, matchRoute } = require('../mock-osm/server');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+
+/**
+ * Builds a mock fetch response carrying the given JSON payload.
+ *
+ * @param {object} payload - Body to serve
+ * @returns {object} Mock fetch response
+ */
+const mockJsonResponse = (payload) => ({
+  ok: true,
+  status: 200,
+  headers: { get: jest.fn(() => null) },
+  text: () => Promise.resolve(JSON.stringify(payload)),
+});
+
+describe('OSM endpoint registry', () => {
+  beforeEach(() => {
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.OSM_BASE_URL;
+  });
+
+  it('resolves every endpoint against OSM_BASE_URL', () => {
+    process.env.OSM_BASE_URL = 'http://localhost:3001/';
+
+    expect(endpointUrl('getTerms')).toBe('http://localhost:3001/api.php?action=getTerms');
+    expect(endpointUrl('oauthToken')).toBe('http://localhost:3001/oauth/token');
+    delete process.env.OSM_BASE_URL;
+    expect(endpointUrl('oauthAuthorize')).toBe('https://www.onlinescoutmanager.co.uk/oauth/authorize');
+  });
+
+  it('maps client params onto OSM names and keeps bare flags in the path', () => {
+    const url = endpointUrl('getSingleFlexiRecord', { sectionid: '1', flexirecordid: '22', termid: '3', extra: 'x' });
+
+    expect(url).toBe('https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=getData&nototal&extraid=22&sectionid=1&termid=3');
+  });
+
+  it('fills path segments without repeating them in the query string', () => {
+    expect(endpointUrl('getEventSummary', { eventid: '15 73' })).toBe(
+      'https://www.onlinescoutmanager.co.uk/v3/events/event/15%2073/summary',
+    );
+  });
+
+  it('splits POST params between the query string and the form body', () => {
+    const call = prepareOSMRequest('multiUpdateFlexiRecord', {
+      body: { sectionid: '1', scouts: ['101', '102'], value: 'Yes', column: 'f_2', flexirecordid: '22' },
+    });
+
+    expect(call.url).toBe('https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=multiUpdate&sectionid=1');
+    expect(Object.fromEntries(call.form)).toEqual({ scouts: '["101","102"]', value: 'Yes', col: 'f_2', extraid: '22' });
+  });
+
+  it('rejects bad input with 400 before calling OSM', async () => {
+    const res = await request(app)
+      .post('/update-flexi-record')
+      .set('Authorization', 'Bearer registry-token')
+      .send({ sectionid: '1', scoutid: '101', flexirecordid: '22', columnid: 'f_1', value: 'Yes' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('sends the generated request and parses the response with the entry parser', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [{ eventid: '1', startdate: '05/03/2025' }] }));
+
+    const res = await request(app)
+      .get('/get-events?sectionid=1&termid=3')
+      .set('Authorization', 'Bearer registry-token');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://www.onlinescoutmanager.co.uk/ext/events/summary/?action=get&sectionid=1&termid=3');
+    expect(options.headers.Authorization).toBe('Bearer registry-token');
+    expect(res.body.items[0]).toEqual(expect.objectContaining({ startdate_iso: '2025-03-05', startdate_original: '05/03/2025' }));
+  });
+
+  it('generates a handler for every proxied endpoint and a mock route for every endpoint', () => {
+    const proxied = Object.keys(OSM_ENDPOINTS).filter((name) => getEndpoint(name).kind !== 'oauth');
+    const routed = ROUTES.map((route) => route.name);
+
+    expect(Object.keys(osmEndpoints).sort()).toEqual(proxied.sort());
+    expect(routed).toEqual(expect.arrayContaining([...proxied, 'oauthResource']));
+    for (const name of proxied) {
+      const { pathname, searchParams } = new URL(endpointUrl(name, { eventid: '1' }));
+      expect(matchRoute(getEndpoint(name).method, pathname, Object.fromEntries(searchParams))?.name).toBe(name);
+    }
+    expect(() => getEndpoint('getEverything')).toThrow('Unknown OSM endpoint: getEverything');
+  });
+});
@@ -0,0 +1,115 @@
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const budget = require('../utils/osmRequestBudget');
+const scheduler = require('../utils/osmRequestScheduler');
+const { makeOSMRequest } = require('../middleware/rateLimiting');
+
+/**
+ * Builds a mock OSM response with rate limit headers.
+ *
+ * @param {object} rateLimit - Header values keyed by name
+ * @param {number} status - HTTP status
+ * @returns {object} Mock fetch response
+ */
+function mockOSMResponse(rateLimit = {}, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: jest.fn((name) => (rateLimit[name] !== undefined ? String(rateLimit[name]) : null)) },
+    json: () => Promise.resolve({}),
+  };
+}
+
+const resetInAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('osmRequestBudget', () => {
+  beforeEach(() => {
+    budget.reset({ safetyMargin: 5 });
+    scheduler.reset();
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    budget.reset();
+    jest.useRealTimers();
+  });
+
+  it('takes OSM\'s reported remaining as the shared budget', () => {
+    const reset = resetInAnHour();
+    budget.tryReserve().settle(mockOSMResponse({
+      'X-RateLimit-Limit': 1000,
+      'X-RateLimit-Remaining': 40,
+      'X-RateLimit-Reset': reset,
+    }));
+
+    expect(budget.getStatus()).toEqual(expect.objectContaining({
+      limit: 1000,
+      remaining: 40,
+      resetTime: reset * 1000,
+      source: 'osm',
+      available: 35,
+    }));
+  });
+
+  it('keeps the lowest count when responses arrive out of order', () => {
+    const reset = resetInAnHour();
+    const first = budget.tryReserve();
+    const second = budget.tryReserve();
+
+    second.settle(mockOSMResponse({ 'X-RateLimit-Remaining': 30, 'X-RateLimit-Reset': reset }));
+    first.settle(mockOSMResponse({ 'X-RateLimit-Remaining': 31, 'X-RateLimit-Reset': reset }));
+
+    expect(budget.getStatus().remaining).toBe(30);
+  });
+
+  it('counts in-flight calls and keeps the safety margin free', () => {
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Remaining': 8, 'X-RateLimit-Reset': resetInAnHour() }));
+
+    const held = [budget.tryReserve(), budget.tryReserve(), budget.tryReserve()];
+
+    expect(held.every(Boolean)).toBe(true);
+    expect(budget.tryReserve()).toBeNull();
+    expect(budget.getStatus()).toEqual(expect.objectContaining({ inFlight: 3, available: 0 }));
+
+    held[0].cancel();
+    expect(budget.getStatus().available).toBe(1);
+  });
+
+  it('empties the budget until the reset OSM gives with a 429', () => {
+    const reset = resetInAnHour();
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Reset': reset, 'Retry-After': 3600 }, 429));
+
+    expect(budget.getStatus()).toEqual(expect.objectContaining({ remaining: 0, resetTime: reset * 1000 }));
+    expect(budget.tryReserve()).toBeNull();
+  });
+
+  it('refills once the reset time passes', () => {
+    jest.useFakeTimers();
+    const reset = resetInAnHour();
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Remaining': 0, 'X-RateLimit-Reset': reset }));
+
+    jest.setSystemTime(reset * 1000 + 1);
+
+    expect(budget.getStatus()).toEqual(expect.objectContaining({ remaining: 1000, source: 'estimate' }));
+  });
+
+  it('makeOSMRequest answers 429 without calling OSM once the budget is spent', async () => {
+    global.fetch.mockResolvedValueOnce(mockOSMResponse({ 'X-RateLimit-Remaining': 5, 'X-RateLimit-Reset': resetInAnHour() }));
+    await makeOSMRequest('https://www.onlinescoutmanager.co.uk/ext/events/', {}, 'session-a');
+
+    const response = await makeOSMRequest('https://www.onlinescoutmanager.co.uk/ext/events/', {}, 'session-b');
+
+    expect(response.status).toBe(429);
+    expect(await response.json()).toEqual(expect.objectContaining({ code: scheduler.BUDGET_EXHAUSTED }));
+    expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('makeOSMRequest returns the reservation when the fetch fails', async () => {
+    global.fetch.mockRejectedValueOnce(new Error('socket hang up'));
+
+    await expect(makeOSMRequest('https://www.onlinescoutmanager.co.uk/ext/events/')).rejects.toThrow('socket hang up');
+    expect(budget.getStatus()).toEqual(expect.objectContaining({ inFlight: 0, remaining: 1000 }));
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const { storeToken, tokenStore } = require('../controllers/auth');
+const coalescer = require('../utils/osmRequestCoalescer');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+
+const ATTENDANCE_QUERY = { sectionid: '1', termid: '2', eventid: '3' };
+
+/**
+ * Mocks OSM answering every call after a short delay, so concurrent
+ * requests overlap.
+ *
+ * @param {object} payload - JSON body
+ * @param {number} status - HTTP status
+ * @returns {void}
+ */
+function mockSlowOSM(payload, status = 200) {
+  global.fetch.mockImplementation(() => new Promise((resolve) => setTimeout(() => resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: jest.fn(() => null) },
+    text: () => Promise.resolve(JSON.stringify(payload)),
+  }), 30)));
+}
+
+/**
+ * Requests event attendance with the given token.
+ *
+ * @param {string} token - Bearer token
+ * @returns {Promise<object>} supertest response
+ */
+const getAttendance = (token) => request(app)
+  .get('/get-event-attendance')
+  .query(ATTENDANCE_QUERY)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('coalescing identical in-flight OSM reads', () => {
+  beforeEach(() => {
+    coalescer.clear();
+    responseCache.clear();
+    budget.reset();
+    breaker.reset();
+    tokenStore.clear();
+    global.fetch.mockReset();
+  });
+
+  it('makes one OSM call for concurrent identical reads with the same token', async () => {
+    mockSlowOSM({ items: [{ scoutid: 1 }] });
+
+    const [first, second] = await Promise.all([getAttendance('leader-token'), getAttendance('leader-token')]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe(200);
+    expect(second.body.items).toEqual([{ scoutid: 1 }]);
+    expect(coalescer.getStats()).toEqual({
+      inFlight: 0,
+      upstreamCalls: 1,
+      coalesced: 1,
+      byEndpoint: { getEventAttendance: 1 },
+    });
+  });
+
+  it('shares between sessions of the same OSM user', async () => {
+    storeToken('phone', { access_token: 'token-phone', osm_user_id: '42' });
+    storeToken('laptop', { access_token: 'token-laptop', osm_user_id: '42' });
+    mockSlowOSM({ items: [] });
+
+    await Promise.all([getAttendance('token-phone'), getAttendance('token-laptop')]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('never shares between leaders with the same OAuth scope', async () => {
+    const scope = 'section:member:read section:programme:read section:event:read section:flexirecord:write';
+    storeToken('leader-a', { access_token: 'token-a', scope, osm_user_id: '1' });
+    storeToken('leader-b', { access_token: 'token-b', scope, osm_user_id: '2' });
+    storeToken('leader-c', { access_token: 'token-c', scope });
+    mockSlowOSM({ items: [] });
+
+    await Promise.all([
+      getAttendance('token-a'), getAttendance('token-b'), getAttendance('token-c'), getAttendance('unknown-token'),
+    ]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(coalescer.getStats().coalesced).toBe(0);
+  });
+
+  it('makes a separate call for each leader reading their user roles', async () => {
+    const scope = 'section:member:read section:programme:read section:event:read section:flexirecord:write';
+    storeToken('leader-a', { access_token: 'roles-a', scope });
+    storeToken('leader-b', { access_token: 'roles-b', scope });
+    mockSlowOSM({ data: [] });
+
+    await Promise.all([
+      request(app).get('/get-user-roles').set('Authorization', 'Bearer roles-a'),
+      request(app).get('/get-user-roles').set('Authorization', 'Bearer roles-b'),
+    ]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    const sentTokens = global.fetch.mock.calls.map(([, options]) => options.headers.Authorization);
+    expect(sentTokens.sort()).toEqual(['Bearer roles-a', 'Bearer roles-b']);
+  });
+
+  it('gives every waiter the shared error', async () => {
+    mockSlowOSM({ error: 'boom' }, 500);
+
+    const responses = await Promise.all([getAttendance('err-token'), getAttendance('err-token')]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(responses.map((res) => res.status)).toEqual([500, 500]);
+  });
+
+  it('never shares POST requests', async () => {
+    mockSlowOSM({ data: {}, meta: {} });
+    const post = () => request(app)
+      .post('/get-members-grid')
+      .set('Authorization', 'Bearer grid-token')
+      .send({ section_id: '1', term_id: '2' });
+
+    await Promise.all([post(), post()]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels a shared call only once every waiting client has gone', async () => {
+    const first = new AbortController();
+    const second = new AbortController();
+    let sharedSignal;
+    let finish;
+    const fn = (signal) => {
+      sharedSignal = signal;
+      return new Promise((resolve) => {
+        finish = resolve;
+      });
+    };
+
+    const calls = [
+      coalescer.run('key', fn, 'getEventAttendance', first.signal),
+      coalescer.run('key', fn, 'getEventAttendance', second.signal),
+    ];
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    first.abort();
+    expect(sharedSignal.aborted).toBe(false);
+
+    second.abort();
+    expect(sharedSignal.aborted).toBe(true);
+
+    finish('done');
+    await Promise.all(calls);
+  });
+
+  it('reports coalescing counts in /rate-limit-status', async () => {
+    mockSlowOSM({ items: [] });
+    await Promise.all([getAttendance('status-token'), getAttendance('status-token'), getAttendance('status-token')]);
+
+    const res = await request(app).get('/rate-limit-status');
+
+    expect(res.body.coalescing).toEqual(expect.objectContaining({ upstreamCalls: 1, coalesced: 2 }));
+  });
+});
@@ -0,0 +1,208 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const budget = require('../utils/osmRequestBudget');
+const scheduler = require('../utils/osmRequestScheduler');
+const responseCache = require('../utils/osmResponseCache');
+
+/**
+ * Builds a mock OSM response with optional rate limit headers.
+ *
+ * @param {object} rateLimit - Header values keyed by name
+ * @returns {object} Mock fetch response
+ */
+function mockOSMResponse(rateLimit = {}) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: jest.fn((name) => (rateLimit[name] !== undefined ? String(rateLimit[name]) : null)) },
+    text: () => Promise.resolve('{"items":[]}'),
+  };
+}
+
+/**
+ * A task that stays in flight until released.
+ *
+ * @returns {{task: Function, release: Function, fail: Function}} Controllable task
+ */
+function heldTask() {
+  const held = {};
+  const promise = new Promise((resolve, reject) => {
+    held.release = () => resolve(mockOSMResponse());
+    held.fail = () => reject(new Error('socket hang up'));
+  });
+  held.task = () => promise;
+  return held;
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('osmRequestScheduler', () => {
+  beforeEach(() => {
+    budget.reset({ safetyMargin: 5 });
+    scheduler.reset({ concurrency: 1, maxWaitMs: 1000 });
+  });
+
+  afterEach(() => {
+    scheduler.reset();
+    budget.reset();
+    jest.useRealTimers();
+  });
+
+  it('starts queued calls by priority once a slot frees', async () => {
+    const blocker = heldTask();
+    const started = [];
+    const running = scheduler.schedule(blocker.task);
+    const queued = ['bulk', 'read', 'write', 'attendance'].map((priority) => scheduler.schedule(() => {
+      started.push(priority);
+      return mockOSMResponse();
+    }, { priority }));
+
+    expect(scheduler.getStatus()).toEqual(expect.objectContaining({
+      running: 1,
+      queued: 4,
+      queuedByPriority: { write: 1, attendance: 1, read: 1, bulk: 1 },
+    }));
+
+    blocker.release();
+    await Promise.all([running, ...queued]);
+
+    expect(started).toEqual(['write', 'attendance', 'read', 'bulk']);
+  });
+
+  it('never runs more calls than the concurrency cap', async () => {
+    scheduler.reset({ concurrency: 2 });
+    const tasks = [heldTask(), heldTask(), heldTask()];
+    const calls = tasks.map((held) => scheduler.schedule(held.task));
+    await flush();
+
+    expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: 2, queued: 1 }));
+
+    tasks.forEach((held) => held.release());
+    await Promise.all(calls);
+    expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: 0, queued: 0, started: 3 }));
+  });
+
+  it('fails a call that is still queued at its deadline', async () => {
+    const blocker = heldTask();
+    scheduler.schedule(blocker.task);
+
+    await expect(scheduler.schedule(() => mockOSMResponse(), { deadlineMs: 20 }))
+      .rejects.toMatchObject({ code: scheduler.DEADLINE_EXCEEDED, status: 429 });
+    expect(scheduler.getStatus()).toEqual(expect.objectContaining({ queued: 0, timedOut: 1 }));
+
+    blocker.release();
+  });
+
+  it('takes a call out of the queue when its signal fires', async () => {
+    const blocker = heldTask();
+    const running = scheduler.schedule(blocker.task);
+    const controller = new AbortController();
+    const task = jest.fn(() => mockOSMResponse());
+    const queued = scheduler.schedule(task, { signal: controller.signal });
+
+    controller.abort(new Error('client went away'));
+
+    await expect(queued).rejects.toThrow('client went away');
+    expect(scheduler.getStatus().queued).toBe(0);
+    blocker.release();
+    await running;
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('hands budget returned by a failed call to the next in line', async () => {
+    scheduler.reset({ concurrency: 4 });
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Remaining': 6, 'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + 3600 }));
+    const failing = heldTask();
+    const first = scheduler.schedule(failing.task);
+    const second = scheduler.schedule(() => mockOSMResponse());
+    await flush();
+
+    expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: 1, queued: 1 }));
+
+    failing.fail();
+    await expect(first).rejects.toThrow('socket hang up');
+    await expect(second).resolves.toEqual(expect.objectContaining({ status: 200 }));
+  });
+
+  it('drains the queue when the budget refills', async () => {
+    jest.useFakeTimers();
+    budget.reset({ safetyMargin: 5 });
+    const resetAt = Math.floor(Date.now() / 1000) + 2;
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Remaining': 5, 'X-RateLimit-Reset': resetAt }));
+
+    const waiting = scheduler.schedule(() => mockOSMResponse(), { deadlineMs: 5000 });
+    expect(scheduler.getStatus().queued).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(2100);
+
+    await expect(waiting).resolves.toEqual(expect.objectContaining({ status: 200 }));
+    expect(budget.getStatus().source).toBe('estimate');
+  });
+
+  it('refuses straight away when the budget cannot refill before the deadline', async () => {
+    budget.tryReserve().settle(mockOSMResponse({ 'X-RateLimit-Remaining': 5, 'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + 3600 }));
+
+    await expect(scheduler.schedule(() => mockOSMResponse()))
+      .rejects.toMatchObject({ code: scheduler.BUDGET_EXHAUSTED, retryAfter: expect.any(Number) });
+
+    scheduler.reset({ budgetMode: 'reject' });
+    budget.reset({ safetyMargin: 1000 });
+    await expect(scheduler.schedule(() => mockOSMResponse(), { deadlineMs: 3600000 }))
+      .rejects.toMatchObject({ code: scheduler.BUDGET_EXHAUSTED });
+    expect(scheduler.getStatus().rejected).toBe(1);
+  });
+
+  it('picks priorities from the endpoint, falling back to the method', () => {
+    expect(scheduler.getPriorityForEndpoint('updateFlexiRecord', 'POST')).toBe('write');
+    expect(scheduler.getPriorityForEndpoint('getEventAttendance')).toBe('attendance');
+    expect(scheduler.getPriorityForEndpoint('getMembersGrid', 'POST')).toBe('read');
+    expect(scheduler.getPriorityForEndpoint('getTerms')).toBe('read');
+    expect(scheduler.getPriorityForEndpoint(null, 'POST')).toBe('write');
+  });
+});
+
+describe('OSM proxy routes and the scheduler', () => {
+  beforeEach(() => {
+    budget.reset();
+    scheduler.reset();
+    responseCache.clear();
+    global.fetch.mockReset();
+    global.fetch.mockResolvedValue(mockOSMResponse());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues attendance reads at attendance priority', async () => {
+    const schedule = jest.spyOn(scheduler, 'schedule');
+
+    await request(app)
+      .get('/get-event-attendance')
+      .query({ sectionid: '1', termid: '2', eventid: '3' })
+      .set('Authorization', 'Bearer attendance-token');
+
+    expect(schedule).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ priority: 'attendance' }));
+  });
+
+  it('lets clients mark a read as a bulk prefetch', async () => {
+    const schedule = jest.spyOn(scheduler, 'schedule');
+
+    await request(app)
+      .get('/get-event-attendance')
+      .query({ sectionid: '1', termid: '2', eventid: '4' })
+      .set('Authorization', 'Bearer prefetch-token')
+      .set('X-Request-Priority', 'bulk');
+
+    expect(schedule).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ priority: 'bulk' }));
+  });
+});
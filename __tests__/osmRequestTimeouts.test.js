@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const timeouts = require('../utils/osmRequestTimeouts');
+const retryPolicy = require('../utils/osmRetryPolicy');
+const budget = require('../utils/osmRequestBudget');
+const responseCache = require('../utils/osmResponseCache');
+const breaker = require('../utils/osmCircuitBreaker');
+const { createOSMApiHandler } = require('../utils/osmApiHandler');
+
+/**
+ * Builds a mock OSM response.
+ *
+ * @returns {object} Mock fetch response
+ */
+function mockOSMResponse() {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: jest.fn(() => null) },
+    text: () => Promise.resolve('{"items":[]}'),
+  };
+}
+
+/**
+ * A fetch that never answers, but rejects once its signal aborts, as
+ * the real fetch does.
+ *
+ * @param {string} _url - Request URL
+ * @param {object} options - fetch options
+ * @returns {Promise<never>} Settles only on abort
+ */
+function hangingFetch(_url, options) {
+  return new Promise((_resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason));
+  });
+}
+
+describe('osmRequestTimeouts', () => {
+  afterEach(() => {
+    timeouts.reset();
+    jest.useRealTimers();
+  });
+
+  it('fails a call that has not answered in time and aborts it', async () => {
+    jest.useFakeTimers();
+    let callSignal;
+    const result = timeouts.withTimeout((signal) => {
+      callSignal = signal;
+      return new Promise(() => {});
+    }, { timeoutMs: 1000 });
+    const settled = expect(result).rejects.toMatchObject({ code: timeouts.TIMEOUT, status: 504, timeoutMs: 1000 });
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await settled;
+    expect(callSignal.aborted).toBe(true);
+  });
+
+  it('cancels the call when the caller\'s signal fires', async () => {
+    const caller = new AbortController();
+    let callSignal;
+    const result = timeouts.withTimeout((signal) => {
+      callSignal = signal;
+      return new Promise(() => {});
+    }, { timeoutMs: 60000, signal: caller.signal });
+
+    caller.abort();
+
+    await expect(result).rejects.toMatchObject({ code: timeouts.CANCELLED });
+    expect(callSignal.aborted).toBe(true);
+  });
+
+  it('picks the endpoint\'s timeout unless the handler sets one', () => {
+    timeouts.reset({ defaultTimeoutMs: 8000 });
+
+    expect(timeouts.getTimeoutForEndpoint('getMembersGrid')).toBe(timeouts.ENDPOINT_TIMEOUT_MS.getMembersGrid);
+    expect(timeouts.getTimeoutForEndpoint('getTerms')).toBe(8000);
+    expect(timeouts.getTimeoutForEndpoint('getMembersGrid', 2500)).toBe(2500);
+  });
+});
+
+describe('OSM proxy routes and timeouts', () => {
+  beforeEach(() => {
+    timeouts.reset({ defaultTimeoutMs: 50 });
+    retryPolicy.reset({ maxAttempts: 1 });
+    budget.reset();
+    breaker.resetAll();
+    responseCache.clear();
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    timeouts.reset();
+    retryPolicy.reset();
+    breaker.resetAll();
+  });
+
+  it('answers 504 with an error code when OSM does not respond', async () => {
+    global.fetch.mockImplementation(hangingFetch);
+
+    const res = await request(app)
+      .get('/get-terms')
+      .set('Authorization', 'Bearer slow-token');
+
+    expect(res.status).toBe(504);
+    expect(res.body).toEqual({ error: 'OSM API request timed out', code: 'OSM_TIMEOUT', timeoutMs: 50 });
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('retries a read that timed out', async () => {
+    retryPolicy.reset({ maxAttempts: 2, baseDelayMs: 0 });
+    global.fetch
+      .mockImplementationOnce(hangingFetch)
+      .mockResolvedValueOnce(mockOSMResponse());
+
+    const res = await request(app)
+      .get('/get-terms')
+      .set('Authorization', 'Bearer slow-once-token');
+
+    expect(res.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels the OSM call when the client disconnects', async () => {
+    timeouts.reset();
+    global.fetch.mockImplementation(hangingFetch);
+    const handler = createOSMApiHandler('getTerms', {
+      method: 'GET',
+      buildUrl: () => 'https://www.onlinescoutmanager.co.uk/api.php?action=getTerms',
+      buildRequestOptions: (req, token) => ({ method: 'GET', headers: { Authorization: `Bearer ${token}` } }),
+    });
+    const req = { headers: { authorization: 'Bearer leaving-token' }, query: {}, body: {}, ip: '203.0.113.4' };
+    const res = Object.assign(new EventEmitter(), {
+      writableFinished: false,
+      status: jest.fn(() => res),
+      json: jest.fn(() => res),
+      set: jest.fn(() => res),
+      getHeader: jest.fn(),
+    });
+
+    const handled = handler(req, res);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    res.emit('close');
+    await handled;
+
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(res.json).not.toHaveBeenCalled();
+    expect(budget.getStatus().inFlight).toBe(0);
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const responseCache = require('../utils/osmResponseCache');
+const breaker = require('../utils/osmCircuitBreaker');
+const budget = require('../utils/osmRequestBudget');
+const { storeToken, refreshSessionToken, tokenStore } = require('../controllers/auth');
+
+/**
+ * Builds a mock fetch response carrying the given JSON payload.
+ *
+ * @param {object} payload - Body to serve
+ * @param {object} overrides - Response field overrides
+ * @returns {object} Mock fetch response
+ */
+function mockJsonResponse(payload, overrides = {}) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: jest.fn(() => null) },
+    json: () => Promise.resolve(payload),
+    text: () => Promise.resolve(JSON.stringify(payload)),
+    ...overrides,
+  };
+}
+
+describe('osmResponseCache', () => {
+  beforeEach(() => {
+    responseCache.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('uses long TTLs for terms and flexi structure and a short one for attendance', () => {
+    expect(responseCache.getTtlForEndpoint('getTerms')).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(responseCache.getTtlForEndpoint('getFlexiStructure')).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(responseCache.getTtlForEndpoint('getEventAttendance')).toBeLessThanOrEqual(60 * 1000);
+    expect(responseCache.getTtlForEndpoint('someNewEndpoint')).toBe(responseCache.DEFAULT_TTL_MS);
+    expect(responseCache.getTtlForEndpoint('getTerms', 0)).toBe(0);
+  });
+
+  it('scopes keys to the caller and ignores query parameter order', () => {
+    const a = responseCache.buildCacheKey('getEvents', 'token:token-a', { sectionid: '1', termid: '2' });
+    const reordered = responseCache.buildCacheKey('getEvents', 'token:token-a', { termid: '2', sectionid: '1' });
+    const otherUser = responseCache.buildCacheKey('getEvents', 'token:token-b', { sectionid: '1', termid: '2' });
+    const otherParams = responseCache.buildCacheKey('getEvents', 'token:token-a', { sectionid: '1', termid: '3' });
+
+    expect(a).toBe(reordered);
+    expect(a).not.toBe(otherUser);
+    expect(a).not.toBe(otherParams);
+    expect(a).not.toContain('token-a');
+  });
+
+  it('expires fresh hits after the TTL but keeps the entry for stale reads', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+
+    responseCache.set('key', { items: [1] }, 1000);
+    expect(responseCache.get('key').data).toEqual({ items: [1] });
+
+    jest.setSystemTime(new Date(Date.now() + 1000));
+    expect(responseCache.get('key')).toBeNull();
+    expect(responseCache.getStale('key').data).toEqual({ items: [1] });
+
+    jest.setSystemTime(new Date(Date.now() + responseCache.STALE_RETENTION_MS));
+    expect(responseCache.getStale('key')).toBeNull();
+  });
+});
+
+describe('cached OSM GET endpoints', () => {
+  beforeEach(() => {
+    responseCache.clear();
+    breaker.reset();
+    budget.reset();
+    global.fetch.mockReset();
+  });
+
+  it('serves a repeat request from cache with X-Cache: HIT', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [{ termid: '1' }] }));
+
+    const first = await request(app)
+      .get('/get-terms')
+      .set('Authorization', 'Bearer cache-hit-token');
+    const second = await request(app)
+      .get('/get-terms')
+      .set('Authorization', 'Bearer cache-hit-token');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.status).toBe(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body.items).toEqual([{ termid: '1' }]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not share entries between tokens or query parameters', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ items: [] }));
+
+    await request(app).get('/get-section-config?sectionid=1').set('Authorization', 'Bearer user-one');
+    await request(app).get('/get-section-config?sectionid=1').set('Authorization', 'Bearer user-two');
+    await request(app).get('/get-section-config?sectionid=2').set('Authorization', 'Bearer user-one');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not cache error responses', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockJsonResponse({}, { ok: false, status: 500, text: () => Promise.resolve('boom') }))
+      .mockResolvedValueOnce(mockJsonResponse({ items: [] }));
+
+    const failed = await request(app).get('/get-terms').set('Authorization', 'Bearer error-token');
+    const retried = await request(app).get('/get-terms').set('Authorization', 'Bearer error-token');
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(retried.headers['x-cache']).toBe('MISS');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves an expired copy with X-Cache: STALE when OSM rate limits the refresh', async () => {
+    const key = responseCache.buildCacheKey('getEventAttendance', 'token:stale-token', {
+      sectionid: '1', termid: '2', eventid: '3',
+    });
+    responseCache.set(key, { items: [{ scoutid: '9' }] }, 0, { endpoint: 'getEventAttendance' });
+    global.fetch.mockResolvedValueOnce(mockJsonResponse({}, { ok: false, status: 429 }));
+
+    const res = await request(app)
+      .get('/get-event-attendance?sectionid=1&termid=2&eventid=3')
+      .set('Authorization', 'Bearer stale-token');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-cache']).toBe('STALE');
+    expect(res.body.items).toEqual([{ scoutid: '9' }]);
+    expect(res.body.stale).toBe(true);
+  });
+
+  it('keeps a leader\'s entries when their token is renewed', async () => {
+    tokenStore.clear();
+    storeToken('renewed-session', { access_token: 'before-renewal', refresh_token: 'r', expires_in: 600 });
+    global.fetch
+      .mockResolvedValueOnce(mockJsonResponse({}, {
+        text: () => Promise.resolve(`var data_holder = ${JSON.stringify({ globals: { userid: 55 } })}`),
+      }))
+      .mockResolvedValueOnce(mockJsonResponse({ items: [{ termid: '1' }] }))
+      .mockResolvedValueOnce(mockJsonResponse({ access_token: 'after-renewal', expires_in: 3600 }));
+
+    try {
+      await request(app).get('/get-startup-data').set('Authorization', 'Bearer before-renewal');
+      await request(app).get('/get-terms').set('Authorization', 'Bearer before-renewal');
+      await refreshSessionToken('renewed-session');
+
+      const hit = await request(app).get('/get-terms').set('Authorization', 'Bearer after-renewal');
+      breaker.trip();
+      const stale = await request(app).get('/get-startup-data').set('Authorization', 'Bearer after-renewal');
+
+      expect(hit.headers['x-cache']).toBe('HIT');
+      expect(hit.body.items).toEqual([{ termid: '1' }]);
+      expect(stale.status).toBe(200);
+      expect(stale.headers['x-cache']).toBe('STALE');
+      expect(stale.body.globals).toEqual({ userid: 55 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    } finally {
+      breaker.resetAll();
+      tokenStore.clear();
+    }
+  });
+
+  it('never caches POST endpoints', async () => {
+    global.fetch.mockResolvedValue(mockJsonResponse({ data: {}, meta: {} }));
+
+    await request(app).post('/get-members-grid').set('Authorization', 'Bearer post-token').send({ section_id: '1', term_id: '2' });
+    const second = await request(app).post('/get-members-grid').set('Authorization', 'Bearer post-token').send({ section_id: '1', term_id: '2' });
+
+    expect(second.headers['x-cache']).toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,211 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const retryPolicy = require('../utils/osmRetryPolicy');
+const budget = require('../utils/osmRequestBudget');
+const responseCache = require('../utils/osmResponseCache');
+
+/**
+ * Builds a mock OSM response.
+ *
+ * @param {number} status - HTTP status
+ * @param {object} headers - Header values keyed by name
+ * @returns {object} Mock fetch response
+ */
+function mockOSMResponse(status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: jest.fn((name) => (headers[name] !== undefined ? String(headers[name]) : null)) },
+    text: () => Promise.resolve(status === 200 ? '{"items":[]}' : 'Bad Gateway'),
+  };
+}
+
+/**
+ * A fetch-style network failure (fetch rejects with a TypeError).
+ *
+ * @returns {TypeError} Error with an undici-style cause
+ */
+function networkError() {
+  return new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } });
+}
+
+describe('osmRetryPolicy', () => {
+  beforeEach(() => {
+    retryPolicy.reset({ baseDelayMs: 0 });
+  });
+
+  afterEach(() => {
+    retryPolicy.reset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('retries a GET after a gateway error and returns the recovered response', async () => {
+    const attempt = jest.fn()
+      .mockResolvedValueOnce(mockOSMResponse(503))
+      .mockResolvedValueOnce(mockOSMResponse(200));
+    const onRetry = jest.fn();
+
+    const { response, attempts } = await retryPolicy.withRetry(attempt, { method: 'GET', onRetry });
+
+    expect(response.status).toBe(200);
+    expect(attempts).toBe(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, maxAttempts: 3, reason: 'status 503' }));
+    expect(retryPolicy.getStatus()).toEqual(expect.objectContaining({ retried: 1, recovered: 1 }));
+  });
+
+  it('cancels the body of a response it is about to retry', async () => {
+    const failed = { ...mockOSMResponse(502), body: { cancel: jest.fn(() => Promise.resolve()) } };
+    const recovered = { ...mockOSMResponse(200), body: { cancel: jest.fn(() => Promise.resolve()) } };
+    const attempt = jest.fn().mockResolvedValueOnce(failed).mockResolvedValueOnce(recovered);
+
+    await retryPolicy.withRetry(attempt, { method: 'GET' });
+
+    expect(failed.body.cancel).toHaveBeenCalledTimes(1);
+    expect(recovered.body.cancel).not.toHaveBeenCalled();
+  });
+
+  it('retries network errors and timeouts but not other failures', async () => {
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    const attempt = jest.fn()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(timeout)
+      .mockResolvedValueOnce(mockOSMResponse(200));
+
+    await expect(retryPolicy.withRetry(attempt)).resolves.toEqual(expect.objectContaining({ attempts: 3 }));
+
+    const failing = jest.fn().mockRejectedValue(new Error('Unexpected token < in JSON'));
+    await expect(retryPolicy.withRetry(failing)).rejects.toThrow('Unexpected token');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the last attempt with OSM\'s response', async () => {
+    const attempt = jest.fn().mockResolvedValue(mockOSMResponse(502));
+
+    const { response, attempts } = await retryPolicy.withRetry(attempt);
+
+    expect(response.status).toBe(502);
+    expect(attempts).toBe(3);
+    expect(retryPolicy.getStatus().exhausted).toBe(1);
+  });
+
+  it('never retries a POST unless the caller vouches for it', async () => {
+    const post = jest.fn().mockResolvedValue(mockOSMResponse(504));
+
+    await retryPolicy.withRetry(post, { method: 'POST' });
+    expect(post).toHaveBeenCalledTimes(1);
+
+    await retryPolicy.withRetry(post, { method: 'POST', idempotent: true });
+    expect(post).toHaveBeenCalledTimes(4);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    jest.useFakeTimers();
+    const attempt = jest.fn()
+      .mockResolvedValueOnce(mockOSMResponse(503, { 'Retry-After': 2 }))
+      .mockResolvedValueOnce(mockOSMResponse(200));
+
+    const result = retryPolicy.withRetry(attempt);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(attempt).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual(expect.objectContaining({ attempts: 2 }));
+  });
+
+  it('hands back a response whose Retry-After is longer than the longest wait', async () => {
+    const attempt = jest.fn().mockResolvedValue(mockOSMResponse(503, { 'Retry-After': 600 }));
+
+    const { response } = await retryPolicy.withRetry(attempt);
+
+    expect(response.status).toBe(503);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying once the caller asks it to', async () => {
+    const attempt = jest.fn().mockRejectedValue(networkError());
+
+    await expect(retryPolicy.withRetry(attempt, { shouldStop: () => true })).rejects.toThrow('fetch failed');
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  it('draws backoff delays from a doubling, capped range', () => {
+    retryPolicy.reset({ baseDelayMs: 250, maxDelayMs: 800 });
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect([1, 2, 3, 4].map(retryPolicy.getBackoffDelay)).toEqual([250, 500, 800, 800]);
+
+    Math.random.mockReturnValue(0.5);
+    expect(retryPolicy.getBackoffDelay(2)).toBe(250);
+  });
+
+  it('reads Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    expect(retryPolicy.parseRetryAfter('3', now)).toBe(3000);
+    expect(retryPolicy.parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now)).toBe(5000);
+    expect(retryPolicy.parseRetryAfter(null, now)).toBeNull();
+    expect(retryPolicy.parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('OSM proxy routes and retries', () => {
+  beforeEach(() => {
+    retryPolicy.reset({ baseDelayMs: 0 });
+    budget.reset();
+    responseCache.clear();
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    retryPolicy.reset();
+  });
+
+  it('recovers a read from a transient OSM failure', async () => {
+    global.fetch
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce(mockOSMResponse(502))
+      .mockResolvedValueOnce(mockOSMResponse(200));
+
+    const res = await request(app)
+      .get('/get-terms')
+      .set('Authorization', 'Bearer retry-token');
+
+    expect(res.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(budget.getStatus().granted).toBe(3);
+  });
+
+  it('passes a POST failure straight back', async () => {
+    global.fetch.mockResolvedValue(mockOSMResponse(503));
+
+    const res = await request(app)
+      .post('/get-members-grid')
+      .set('Authorization', 'Bearer retry-token')
+      .send({ section_id: '1', term_id: '2' });
+
+    expect(res.status).toBe(503);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports retry counts in /rate-limit-status', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockOSMResponse(504))
+      .mockResolvedValueOnce(mockOSMResponse(200));
+    await request(app).get('/get-terms').set('Authorization', 'Bearer status-token');
+
+    const res = await request(app).get('/rate-limit-status');
+
+    expect(res.body.retries).toEqual(expect.objectContaining({ retried: 1, recovered: 1, exhausted: 0 }));
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+// Real fetch: recordings are made against the mock OSM over HTTP
+global.setInterval = jest.fn();
+
+const app = require('../server');
+const { createMockOSM } = require('../mock-osm/server');
+const recorder = require('../utils/osmTrafficRecorder');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+const retryPolicy = require('../utils/osmRetryPolicy');
+
+/**
+ * Reads every recording in a directory.
+ *
+ * @param {string} dir - Recordings directory
+ * @returns {Array<object>} Parsed recordings
+ */
+const readRecordings = (dir) => fs.readdirSync(dir).map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+
+/**
+ * Calls the backend as a signed-in client.
+ *
+ * @param {string} url - Backend URL
+ * @param {string} token - Access token
+ * @returns {Promise<object>} Supertest response
+ */
+const get = (url, token) => request(app).get(url)
+  .set('Authorization', `Bearer ${token}`)
+  .set('Cookie', `session_id=${token}`);
+
+describe('OSM traffic recording', () => {
+  let mock;
+  let server;
+  let dir;
+
+  beforeAll(async () => {
+    mock = createMockOSM();
+    server = await mock.listen(0);
+    process.env.OSM_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.OSM_BASE_URL;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-recordings-'));
+    mock.reset();
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    retryPolicy.reset({ maxAttempts: 1 });
+  });
+
+  afterEach(() => {
+    recorder.reset();
+    retryPolicy.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('scrubs tokens, names, emails and phone numbers but keeps the shape', () => {
+    const scrubbed = recorder.scrub({
+      access_token: 'abc123',
+      members: [{ scoutid: 1601995, firstname: 'Alex', last_name: 'Example', email1: 'a@b.co', phone1: '01632 960001' }],
+      notes: 'Call 07700 900123 or mail parent@example.org',
+      userid: null,
+    });
+
+    expect(scrubbed).toEqual({
+      access_token: 'redacted',
+      members: [{ scoutid: 1601995, firstname: 'Redacted', last_name: 'Redacted', email1: 'redacted@example.com', phone1: '00000 000000' }],
+      notes: 'Call 00000 000000 or mail redacted@example.com',
+      userid: null,
+    });
+  });
+
+  it('scrubs contact names and dates of birth from the members grid', () => {
+    const grid = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock-osm', 'fixtures', 'getMembersGrid.json'), 'utf8'));
+
+    const scrubbed = recorder.scrub(grid);
+
+    expect(JSON.stringify(scrubbed)).not.toMatch(/"(Pat|Chris|Jo|Example|Sample|Alex|Sam)"|parent\.one@|jo\.sample@|01632|2014-06-12/);
+    expect(scrubbed.data['1601995'].date_of_birth).toBe('2000-01-01');
+    expect(scrubbed.data['1601995'].custom_data['1']).toEqual({
+      2: 'Redacted', 3: 'Redacted', 12: 'redacted@example.com', 18: '00000 000000',
+    });
+    expect(scrubbed.data['2060746'].custom_data['3']['2']).toBe('');
+    expect(scrubbed.meta).toEqual(grid.meta);
+  });
+
+  it('writes sanitised request/response pairs in record mode', async () => {
+    recorder.reset({ mode: 'record', dir });
+
+    const res = await get('/get-contact-details?sectionid=49097&scoutid=1601995', 'secret-token-1');
+    await get('/get-startup-data', 'secret-token-1');
+
+    expect(res.body.firstname).toBe('Alex');
+    const recordings = readRecordings(dir);
+    const raw = fs.readdirSync(dir).map((file) => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n');
+    expect(raw).not.toMatch(/secret-token|Alex|Morgan|leader@|parent\.one@|01632/);
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      expect.stringMatching(/^getContactDetails\.[0-9a-f]{12}\.json$/),
+      expect.stringMatching(/^getStartupData\.[0-9a-f]{12}\.json$/),
+    ]);
+
+    const contact = recordings.find((entry) => entry.request.endpoint === 'getContactDetails');
+    expect(contact.request).toEqual({
+      endpoint: 'getContactDetails',
+      method: 'GET',
+      path: '/ext/members/contact/',
+      query: { action: 'getIndividual', scoutid: '1601995', sectionid: '49097' },
+      body: null,
+    });
+    expect(contact.response.status).toBe(200);
+    expect(contact.response.body.json).toEqual(expect.objectContaining({
+      scoutid: '1601995', firstname: 'Redacted', email1: 'redacted@example.com', phone1: '00000 000000',
+    }));
+
+    const startup = recordings.find((entry) => entry.request.endpoint === 'getStartupData');
+    expect(startup.response.body.prefix).toBe('var data_holder = ');
+    expect(recorder.getStatus()).toEqual(expect.objectContaining({ mode: 'record', recorded: 2 }));
+  });
+
+  it('records the members grid without contact details', async () => {
+    recorder.reset({ mode: 'record', dir });
+
+    const res = await request(app).post('/get-members-grid')
+      .set('Authorization', 'Bearer grid-token')
+      .send({ section_id: '49097', term_id: '123' });
+
+    expect(res.status).toBe(200);
+    const raw = fs.readdirSync(dir).map((file) => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n');
+    expect(raw).toMatch(/getMembers/);
+    expect(raw).not.toMatch(/"Pat"|"Chris"|"Example"|"Alex"|01632|2014-06-12/);
+  });
+
+  it('replays recordings deterministically without calling OSM', async () => {
+    recorder.reset({ mode: 'record', dir });
+    await get('/get-startup-data', 'recording-token');
+    recorder.reset({ mode: 'replay', dir });
+    mock.reset();
+
+    const first = await get('/get-startup-data', 'replay-token-1');
+    const second = await get('/get-startup-data', 'replay-token-2');
+
+    expect(first.status).toBe(200);
+    expect(first.body.globals).toEqual(expect.objectContaining({ firstname: 'Redacted', email: 'redacted@example.com' }));
+    expect(second.body.globals).toEqual(first.body.globals);
+    expect(mock.requests).toHaveLength(0);
+    expect(recorder.getStatus().replayed).toBe(2);
+  });
+
+  it('fails a call that was never recorded in replay mode', async () => {
+    recorder.reset({ mode: 'replay', dir });
+
+    const res = await get('/get-flexi-records?sectionid=49097', 'replay-token-3');
+
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe(recorder.RECORDING_MISSING);
+    expect(mock.requests).toHaveLength(0);
+  });
+});
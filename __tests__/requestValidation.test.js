@@ -0,0 +1,215 @@
+const os = require('os');
+const express = require('express');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const { specs } = require('../docs/frontend-api/swagger');
+const { getRequestRules, validateRequest } = require('../middleware/requestValidation');
+const { OSM_ENDPOINTS, getEndpoint } = require('../utils/osmEndpointRegistry');
+const responseCache = require('../utils/osmResponseCache');
+const budget = require('../utils/osmRequestBudget');
+const breaker = require('../utils/osmCircuitBreaker');
+
+/**
+ * The backend route a registry entry is served on, e.g. getFlexiRecords ->
+ * /get-flexi-records.
+ *
+ * @param {string} name - Registry endpoint name
+ * @returns {string} Route path
+ */
+const backendPath = (name) => `/${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+/**
+ * Every route mounted on the app, as 'METHOD /path'.
+ *
+ * @returns {Array<string>} Routes
+ */
+const mountedRoutes = () => app._router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${layer.route.path}`));
+
+/**
+ * Names of the params a request to a route may carry, with the required ones.
+ *
+ * @param {Object} rules - From getRequestRules
+ * @returns {{documented: Array<string>, required: Array<string>}} Param names
+ */
+const specParams = (rules) => {
+  if (rules.body) {
+    const schema = specs.components.schemas[rules.body.schema.$ref.split('/').pop()];
+    return { documented: Object.keys(schema.properties), required: schema.required || [] };
+  }
+  return {
+    documented: rules.query.map((param) => param.name),
+    required: rules.query.filter((param) => param.required).map((param) => param.name),
+  };
+};
+
+/**
+ * Calls the backend as a signed-in client.
+ *
+ * @param {string} method - 'get' or 'post'
+ * @param {string} url - Backend URL
+ * @param {Object} [body] - JSON body for POSTs
+ * @returns {Promise<object>} Supertest response
+ */
+const call = (method, url, body) => {
+  const req = request(app)[method](url).set('Authorization', 'Bearer validation-token');
+  return body ? req.send(body) : req;
+};
+
+const proxied = Object.keys(OSM_ENDPOINTS).filter((name) => getEndpoint(name).kind !== 'oauth');
+
+describe('request validation from the frontend API spec', () => {
+  beforeEach(() => {
+    responseCache.clear();
+    budget.reset();
+    breaker.resetAll();
+    global.fetch.mockReset();
+  });
+
+  it('documents every proxy route with the params the registry uses', () => {
+    const routes = mountedRoutes();
+
+    for (const name of proxied) {
+      const { method, requiredParams, query, body, path } = getEndpoint(name);
+      const route = backendPath(name);
+      expect(routes).toContain(`${method} ${route}`);
+
+      const rules = getRequestRules(method, route);
+      expect({ route, documented: Boolean(rules) }).toEqual({ route, documented: true });
+
+      const { documented, required } = specParams(rules);
+      const pathParams = (path.match(/:[A-Za-z_]+/g) || []).map((segment) => segment.slice(1));
+      const sent = [...(query === 'all' ? [] : query), ...body, ...pathParams];
+      expect({ route, missingFromSpec: requiredParams.filter((param) => !required.includes(param)) })
+        .toEqual({ route, missingFromSpec: [] });
+      expect({ route, undocumented: sent.filter((param) => !documented.includes(param)) })
+        .toEqual({ route, undocumented: [] });
+      if (query !== 'all') {
+        expect({ route, unused: required.filter((param) => ![...sent, ...requiredParams].includes(param)) })
+          .toEqual({ route, unused: [] });
+      }
+    }
+  });
+
+  it('loads the same spec whatever directory the server starts in', () => {
+    const cwd = process.cwd();
+    let elsewhere;
+    process.chdir(os.tmpdir());
+    try {
+      jest.isolateModules(() => {
+        elsewhere = require('../docs/frontend-api/swagger').specs;
+      });
+    } finally {
+      process.chdir(cwd);
+    }
+
+    expect(Object.keys(elsewhere.paths)).toEqual(Object.keys(specs.paths));
+    expect(Object.keys(specs.paths).length).toBeGreaterThan(0);
+  });
+
+  it('refuses requests to a route the spec does not describe', async () => {
+    const handler = jest.fn((req, res) => res.json({ ok: true }));
+    const undocumented = express().get('/not-in-spec', validateRequest(), handler);
+
+    const res = await request(undocumented).get('/not-in-spec').set('Authorization', 'Bearer validation-token');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Request validation unavailable for this route');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('mounts every route the spec describes', () => {
+    const routes = mountedRoutes();
+    const described = Object.entries(specs.paths)
+      .flatMap(([route, operations]) => Object.keys(operations).map((method) => `${method.toUpperCase()} ${route}`));
+
+    expect(described.filter((route) => !routes.includes(route))).toEqual([]);
+  });
+
+  it('rejects a request missing spec-required params on every proxy route before calling OSM', async () => {
+    for (const name of proxied) {
+      const { method, requiredParams } = getEndpoint(name);
+      const route = backendPath(name);
+      const { required } = specParams(getRequestRules(method, route));
+      if (required.length === 0) {
+        continue;
+      }
+
+      const res = await call(method.toLowerCase(), route, method === 'POST' ? {} : undefined);
+
+      expect({ route, status: res.status }).toEqual({ route, status: 400 });
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(res.body.validationErrors).toEqual(expect.arrayContaining(
+        [...new Set([...required, ...requiredParams])].map((param) => `${param} is required`),
+      ));
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('lists type, enum, length and field id problems together', async () => {
+    const multi = await call('post', '/multi-update-flexi-record', {
+      sectionid: 49097, scouts: [], value: 'Yes', column: 'col_1', flexirecordid: '72758',
+    });
+    const column = await call('post', '/add-flexi-column', {
+      sectionid: '49097', flexirecordid: '72758', columnName: 'x'.repeat(101),
+    });
+    const records = await call('get', '/get-flexi-records?sectionid=49097&archived=maybe');
+    const empty = await call('get', '/get-events?sectionid=&termid=801234');
+
+    expect(multi.status).toBe(400);
+    expect(multi.body).toEqual({
+      error: 'Validation failed: sectionid must be a string; scouts must have at least 1 items; column must match ^f_\\d+$',
+      code: 'VALIDATION_ERROR',
+      validationErrors: [
+        'sectionid must be a string',
+        'scouts must have at least 1 items',
+        'column must match ^f_\\d+$',
+      ],
+    });
+    expect(column.body.validationErrors).toEqual(['columnName must be at most 100 characters']);
+    expect(records.body).toEqual(expect.objectContaining({
+      error: 'archived must be one of: "yes", "no"',
+      validationErrors: ['archived must be one of: "yes", "no"'],
+    }));
+    expect(empty.body.validationErrors).toEqual(['sectionid is required']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('leaves flexi record updates to the spec', async () => {
+    const res = await call('post', '/update-flexi-record', {
+      sectionid: '49097', scoutid: '1601995', flexirecordid: '72758', columnid: 'col_1',
+      termid: '801234', section: 'scouts',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.validationErrors).toEqual(['value is required', 'columnid must match ^f_\\d+$']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('passes valid requests through to OSM', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: jest.fn(() => null) },
+      text: () => Promise.resolve(JSON.stringify({ ok: true })),
+    });
+
+    const res = await call('post', '/update-flexi-record', {
+      sectionid: '49097', scoutid: '1601995', flexirecordid: '72758', columnid: 'f_1',
+      value: '', termid: '801234', section: 'scouts',
+    });
+
+    expect(res.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -26,6 +26,18 @@ global.fetch = jest.fn(() =>
 // Import server AFTER mocking setInterval
 const app = require('../server');
 
+/**
+ * Starts a login and returns the signed state /oauth/login handed to OSM,
+ * which the callback requires.
+ *
+ * @param {string} state - Legacy state to wrap (e.g. prod:ios)
+ * @returns {Promise<string>} Signed state for /oauth/callback
+ */
+const issueState = async (state) => {
+  const login = await request(app).get('/oauth/login').query({ state });
+  return new URL(login.headers.location).searchParams.get('state');
+};
+
 describe('Vikings OSM Backend API', () => {
   afterAll((done) => {
     // Restore original setInterval
@@ -55,6 +67,21 @@ describe('Vikings OSM Backend API', () => {
       expect(response.body.backend).toHaveProperty('limit');
       expect(response.body.backend).toHaveProperty('remaining');
       expect(response.body.backend).toHaveProperty('window', 'per minute');
+
+      // Shared OSM budget across all sessions
+      expect(response.body.budget).toEqual(expect.objectContaining({
+        limit: expect.any(Number),
+        remaining: expect.any(Number),
+        safetyMargin: expect.any(Number),
+        available: expect.any(Number),
+        inFlight: 0,
+      }));
+      expect(response.body.scheduler).toEqual(expect.objectContaining({
+        concurrency: expect.any(Number),
+        running: 0,
+        queued: 0,
+        queuedByPriority: { write: 0, attendance: 0, read: 0, bulk: 0 },
+      }));
     });
   });
 
@@ -74,19 +101,26 @@ describe('Vikings OSM Backend API', () => {
 
     // Test for decrementing remaining count
     it('should decrement remaining count on each request', async () => {
-      const response1 = await request(app)
-        .get('/rate-limit-status')
-        .set('Authorization', 'Bearer test_token');
+      // Hold the clock still: the limiter refills continuously, and at test
+      // limits a few milliseconds between requests would refill the slot
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now());
+      try {
+        const response1 = await request(app)
+          .get('/rate-limit-status')
+          .set('Authorization', 'Bearer test_token');
 
-      const remaining1 = parseInt(response1.headers['x-backend-ratelimit-remaining']);
+        const remaining1 = parseInt(response1.headers['x-backend-ratelimit-remaining']);
 
-      const response2 = await request(app)
-        .get('/rate-limit-status')
-        .set('Authorization', 'Bearer test_token');
+        const response2 = await request(app)
+          .get('/rate-limit-status')
+          .set('Authorization', 'Bearer test_token');
 
-      const remaining2 = parseInt(response2.headers['x-backend-ratelimit-remaining']);
+        const remaining2 = parseInt(response2.headers['x-backend-ratelimit-remaining']);
 
-      expect(remaining2).toBeLessThan(remaining1);
+        expect(remaining2).toBeLessThan(remaining1);
+      } finally {
+        now.mockRestore();
+      }
     });
   });
 
@@ -482,7 +516,7 @@ describe('OAuth Callback Advanced Testing', () => {
       .get('/oauth/callback')
       .query({
         code: 'test-code',
-        state: state,
+        state: await issueState(state),
       });
       
     expect(response.status).toBe(302);
@@ -504,7 +538,7 @@ describe('OAuth Callback Advanced Testing', () => {
       .get('/oauth/callback')
       .query({
         code: 'test-code',
-        state: maliciousState,
+        state: await issueState(maliciousState),
       });
       
     expect(response.status).toBe(302);
@@ -540,7 +574,7 @@ describe('OAuth Callback Advanced Testing', () => {
         .get('/oauth/callback')
         .query({
           code: 'test-code',
-          state: 'test-state',
+          state: await issueState('test-state'),
         });
         
       expect(response.status).toBe(302);
@@ -564,7 +598,7 @@ describe('OAuth Callback Advanced Testing', () => {
       .get('/oauth/callback')
       .query({
         code: 'test-code',
-        state: 'retry-test',
+        state: await issueState('retry-test'),
       });
 
     expect(response.status).toBe(302);
@@ -586,7 +620,7 @@ describe('OAuth Callback Advanced Testing', () => {
       .get('/oauth/callback')
       .query({
         code: 'test-code',
-        state: 'prod:ios',
+        state: await issueState('prod:ios'),
       });
 
     expect(response.status).toBe(302);
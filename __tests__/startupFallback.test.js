@@ -9,6 +9,8 @@ global.setInterval = jest.fn();
 global.fetch = jest.fn();
 
 const app = require('../server');
+const budget = require('../utils/osmRequestBudget');
+const { storeToken, tokenStore } = require('../controllers/auth');
 
 /**
  * Builds a mock fetch response in the shape makeOSMRequest expects
@@ -30,6 +32,7 @@ function mockResponse(overrides = {}) {
 
 describe('GET /get-startup-data oauth/resource fallback', () => {
   beforeEach(() => {
+    budget.reset();
     global.fetch.mockReset();
   });
 
@@ -58,6 +61,21 @@ describe('GET /get-startup-data oauth/resource fallback', () => {
     expect(String(global.fetch.mock.calls[1][0])).toContain('/oauth/resource');
   });
 
+  it('links the session to the OSM user for backend rate limiting', async () => {
+    storeToken('startup-session', { access_token: 'linked-token' });
+    global.fetch
+      .mockResolvedValueOnce(mockResponse({ ok: false, status: 410 }))
+      .mockResolvedValueOnce(mockResponse({
+        json: () => Promise.resolve({ data: { full_name: 'John Smith', user_id: 123 } }),
+      }));
+
+    await request(app)
+      .get('/get-startup-data')
+      .set('Authorization', 'Bearer linked-token');
+
+    expect(tokenStore.get('startup-session').osm_user_id).toBe('123');
+  });
+
   it('splits single-word and multi-part names sensibly', async () => {
     global.fetch
       .mockResolvedValueOnce(mockResponse({ ok: false, status: 410 }))
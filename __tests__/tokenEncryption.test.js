@@ -0,0 +1,54 @@
+const {
+  loadEncryptionKeys,
+  encryptSecret,
+  decryptSecret,
+} = require('../utils/tokenEncryption');
+
+const HEX_KEY = '0123456789abcdef'.repeat(4);
+const BASE64_KEY = Buffer.alloc(32, 7).toString('base64');
+
+describe('tokenEncryption', () => {
+  it('returns null when no key is configured', () => {
+    expect(loadEncryptionKeys({})).toBeNull();
+  });
+
+  it('accepts 32-byte keys as hex or base64 and rejects anything else', () => {
+    expect(loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: HEX_KEY }).current.key).toHaveLength(32);
+    expect(loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: BASE64_KEY }).current.key).toHaveLength(32);
+    expect(() => loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: 'hunter2' })).toThrow('32 bytes');
+    expect(() => loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: HEX_KEY, TOKEN_ENCRYPTION_PREVIOUS_KEYS: 'short' }))
+      .toThrow('TOKEN_ENCRYPTION_PREVIOUS_KEYS');
+  });
+
+  it('round-trips a secret and uses a fresh IV each time', () => {
+    const keys = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: HEX_KEY });
+    const first = encryptSecret('osm-token', 'session:access_token', keys);
+    const second = encryptSecret('osm-token', 'session:access_token', keys);
+
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first, 'session:access_token', keys)).toEqual({
+      plaintext: 'osm-token',
+      needsReencrypt: false,
+    });
+  });
+
+  it('rejects tampered ciphertext and a mismatched context', () => {
+    const keys = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: HEX_KEY });
+    const sealed = encryptSecret('osm-token', 'session:access_token', keys);
+    const parts = sealed.split(':');
+    parts[4] = Buffer.from('forged-token').toString('base64url');
+
+    expect(() => decryptSecret(parts.join(':'), 'session:access_token', keys)).toThrow();
+    expect(() => decryptSecret(sealed, 'other:access_token', keys)).toThrow();
+  });
+
+  it('decrypts with a previous key and flags the value for re-encryption', () => {
+    const oldKeys = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: HEX_KEY });
+    const sealed = encryptSecret('osm-token', 'ctx', oldKeys);
+    const rotated = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: BASE64_KEY, TOKEN_ENCRYPTION_PREVIOUS_KEYS: HEX_KEY });
+
+    expect(decryptSecret(sealed, 'ctx', rotated)).toEqual({ plaintext: 'osm-token', needsReencrypt: true });
+    expect(() => decryptSecret(sealed, 'ctx', loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: BASE64_KEY })))
+      .toThrow('No encryption key configured');
+  });
+});
@@ -0,0 +1,259 @@
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+global.fetch = jest.fn();
+
+const app = require('../server');
+const {
+  storeToken,
+  tokenStore,
+  refreshSessionToken,
+  renewExpiringTokens,
+} = require('../controllers/auth');
+const breaker = require('../utils/osmCircuitBreaker');
+
+/**
+ * Builds a mock OSM token endpoint response.
+ *
+ * @param {object} payload - JSON body
+ * @param {number} status - HTTP status
+ * @returns {object} Mock fetch response
+ */
+function mockTokenResponse(payload, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: jest.fn(() => null) },
+    json: () => Promise.resolve(payload),
+    text: () => Promise.resolve(JSON.stringify(payload)),
+  };
+}
+
+/**
+ * Reads the form body sent to OSM by the nth fetch call.
+ *
+ * @param {number} call - Zero-based call index
+ * @returns {URLSearchParams} Submitted form fields
+ */
+const sentForm = (call = 0) => new URLSearchParams(global.fetch.mock.calls[call][1].body.toString());
+
+describe('OAuth refresh tokens', () => {
+  beforeEach(() => {
+    tokenStore.clear();
+    breaker.resetAll();
+    global.fetch.mockReset();
+  });
+
+  it('stores the refresh token from the callback against a session cookie', async () => {
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({
+      access_token: 'callback-access',
+      refresh_token: 'callback-refresh',
+      token_type: 'Bearer',
+      expires_in: 3600,
+    }));
+
+    const login = await request(app).get('/oauth/login?state=prod');
+    const state = new URL(login.headers.location).searchParams.get('state');
+    const res = await request(app).get('/oauth/callback').query({ code: 'abc', state });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).not.toContain('callback-refresh');
+    const cookie = res.headers['set-cookie'].find((value) => value.startsWith('session_id='));
+    expect(cookie).toContain('HttpOnly');
+    const sessionId = decodeURIComponent(cookie.split(';')[0].split('=')[1]);
+    expect(tokenStore.get(sessionId).refresh_token).toBe('callback-refresh');
+  });
+
+  it('renews via POST /token/refresh and keeps the old token valid until it expires', async () => {
+    storeToken('session-1', { access_token: 'old-access', refresh_token: 'refresh-1', expires_in: 600 });
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({
+      access_token: 'new-access',
+      refresh_token: 'refresh-2',
+      expires_in: 3600,
+    }));
+
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer old-access');
+
+    expect(res.status).toBe(200);
+    expect(res.body.access_token).toBe('new-access');
+    expect(res.body.expires_in).toBeGreaterThan(3500);
+    expect(sentForm().get('grant_type')).toBe('refresh_token');
+    expect(sentForm().get('refresh_token')).toBe('refresh-1');
+    expect(tokenStore.get('session-1').refresh_token).toBe('refresh-2');
+
+    const oldTokenCheck = await request(app)
+      .get('/validate-token')
+      .set('Authorization', 'Bearer old-access');
+    expect(oldTokenCheck.status).toBe(200);
+    expect(oldTokenCheck.body.access_token).toBe('new-access');
+
+    // The replaced token cannot be used to extend the session again
+    const replay = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer old-access');
+    expect(replay.status).toBe(401);
+  });
+
+  it('renews by session cookie and keeps the refresh token when OSM does not rotate it', async () => {
+    storeToken('cookie-session', { access_token: 'cookie-access', refresh_token: 'keep-me', expires_in: 600 });
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'cookie-access-2', expires_in: 3600 }));
+
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Cookie', 'session_id=cookie-session');
+
+    expect(res.status).toBe(200);
+    expect(tokenStore.get('cookie-session').refresh_token).toBe('keep-me');
+  });
+
+  it('lets an expired token with a refresh token be renewed instead of deleting the session', async () => {
+    tokenStore.set('expired-session', {
+      access_token: 'expired-access',
+      refresh_token: 'still-good',
+      token_type: 'Bearer',
+      expires_at: Date.now() - 1000,
+      created_at: Date.now() - 3600000,
+    });
+
+    const check = await request(app)
+      .get('/validate-token')
+      .set('Authorization', 'Bearer expired-access');
+    expect(check.status).toBe(401);
+    expect(check.body.details).toContain('/token/refresh');
+
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'fresh-access', expires_in: 3600 }));
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer expired-access');
+    expect(res.status).toBe(200);
+    expect(res.body.access_token).toBe('fresh-access');
+  });
+
+  it('returns 401 for a session without a refresh token', async () => {
+    storeToken('no-refresh', { access_token: 'plain-access', expires_in: 3600 });
+
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer plain-access');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Session cannot be renewed');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('discards a refresh token OSM rejects', async () => {
+    storeToken('revoked', { access_token: 'revoked-access', refresh_token: 'revoked-refresh', expires_in: 600 });
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({ error: 'invalid_grant' }, 400));
+
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer revoked-access');
+
+    expect(res.status).toBe(401);
+    expect(tokenStore.get('revoked').refresh_token).toBeNull();
+    expect(tokenStore.get('revoked').access_token).toBe('revoked-access');
+  });
+
+  it('does not call OSM while the breaker is open', async () => {
+    storeToken('blocked', { access_token: 'blocked-access', refresh_token: 'r', expires_in: 600 });
+    breaker.trip();
+
+    const res = await request(app)
+      .post('/token/refresh')
+      .set('Authorization', 'Bearer blocked-access');
+
+    expect(res.status).toBe(503);
+    expect(res.body.blocked).toBe(true);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('keeps the oauth breaker open when its probe renewal gets a server error', async () => {
+    storeToken('probe', { access_token: 'probe-access', refresh_token: 'probe-refresh', expires_in: 600 });
+    breaker.getBreaker('oauth').trip();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 25 * 60 * 60 * 1000);
+    global.fetch.mockResolvedValueOnce(mockTokenResponse({ error: 'server_error' }, 503));
+
+    try {
+      const result = await refreshSessionToken('probe');
+
+      expect(result.success).toBe(false);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(breaker.getBreaker('oauth').getStatus().state).toBe('open');
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('refuses to renew a session past its maximum age and forgets it', async () => {
+    storeToken('ancient', { access_token: 'ancient-access', refresh_token: 'ancient-refresh', expires_in: 600 });
+    tokenStore.set('ancient', {
+      ...tokenStore.get('ancient'),
+      signed_in_at: Date.now() - 31 * 24 * 60 * 60 * 1000,
+    });
+
+    const result = await refreshSessionToken('ancient');
+
+    expect(result.status).toBe(401);
+    expect(tokenStore.get('ancient')).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('shares one OSM call between concurrent renewals of a session', async () => {
+    storeToken('busy', { access_token: 'busy-access', refresh_token: 'busy-refresh', expires_in: 600 });
+    global.fetch.mockResolvedValue(mockTokenResponse({ access_token: 'busy-access-2', expires_in: 3600 }));
+
+    const [first, second] = await Promise.all([refreshSessionToken('busy'), refreshSessionToken('busy')]);
+
+    expect(first.success).toBe(true);
+    expect(second.tokenData.access_token).toBe('busy-access-2');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('sweeps only sessions close to expiry that have a refresh token', async () => {
+    storeToken('due', { access_token: 'due-access', refresh_token: 'due-refresh', expires_in: 300 });
+    storeToken('later', { access_token: 'later-access', refresh_token: 'later-refresh', expires_in: 3600 });
+    storeToken('no-refresh', { access_token: 'nr-access', expires_in: 300 });
+    global.fetch.mockResolvedValue(mockTokenResponse({ access_token: 'due-access-2', expires_in: 3600 }));
+
+    const result = await renewExpiringTokens(Date.now());
+
+    expect(result).toEqual({ renewed: 1, failed: 0 });
+    expect(tokenStore.get('due').access_token).toBe('due-access-2');
+    expect(tokenStore.get('later').access_token).toBe('later-access');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves sessions nobody has used recently to renew on demand', async () => {
+    storeToken('idle', { access_token: 'idle-access', refresh_token: 'idle-refresh', expires_in: 300 });
+    tokenStore.set('idle', { ...tokenStore.get('idle'), last_used_at: Date.now() - 3 * 60 * 60 * 1000 });
+
+    const result = await renewExpiringTokens(Date.now());
+
+    expect(result).toEqual({ renewed: 0, failed: 0 });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('keeps a refreshable session after its access token expires but drops it once idle too long', () => {
+    const base = {
+      access_token: 'a', refresh_token: 'r', token_type: 'Bearer',
+      expires_at: Date.now() - 1000, created_at: Date.now() - 2 * 60 * 60 * 1000,
+    };
+    tokenStore.set('refreshable', { ...base, access_token: 'refreshable-access' });
+    tokenStore.set('abandoned', {
+      ...base,
+      access_token: 'abandoned-access',
+      last_used_at: Date.now() - 8 * 24 * 60 * 60 * 1000,
+    });
+
+    expect(tokenStore.deleteExpired(Date.now())).toBe(1);
+    expect(tokenStore.get('refreshable')).not.toBeNull();
+    expect(tokenStore.get('abandoned')).toBeNull();
+  });
+});
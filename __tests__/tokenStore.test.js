@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+require('dotenv').config();
+
+process.env.OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'test_client_id';
+process.env.OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'test_client_secret';
+
+global.setInterval = jest.fn();
+
+const app = require('../server');
+const { storeToken, tokenStore } = require('../controllers/auth');
+const {
+  createMemoryTokenStore,
+  createFileTokenStore,
+  createTokenStore,
+} = require('../utils/tokenStore');
+const { loadEncryptionKeys } = require('../utils/tokenEncryption');
+const sentry = require('../config/sentry');
+
+const KEY_A = 'a'.repeat(64);
+const KEY_B = 'b'.repeat(64);
+const keysA = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: KEY_A });
+
+/**
+ * Builds stored token data expiring relative to now.
+ *
+ * @param {string} accessToken - Token value
+ * @param {number} expiresInMs - Milliseconds until expiry (negative for expired)
+ * @returns {object} Token data as stored by storeToken
+ */
+const tokenData = (accessToken, expiresInMs = 60000) => ({
+  access_token: accessToken,
+  token_type: 'Bearer',
+  expires_at: Date.now() + expiresInMs,
+  scope: 'section:member:read',
+  created_at: Date.now(),
+});
+
+describe('token store backends', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('looks sessions up by id and by access token', () => {
+    const store = createMemoryTokenStore();
+    store.set('session-1', tokenData('token-1'));
+
+    expect(store.get('session-1').access_token).toBe('token-1');
+    expect(store.findByToken('token-1').sessionId).toBe('session-1');
+    expect(store.findByToken('unknown')).toBeNull();
+  });
+
+  it('drops the old token from the index when a session gets a new one', () => {
+    const store = createMemoryTokenStore();
+    store.set('session-1', tokenData('old-token'));
+    store.set('session-1', tokenData('new-token'));
+
+    expect(store.findByToken('old-token')).toBeNull();
+    expect(store.findByToken('new-token').sessionId).toBe('session-1');
+    expect(store.size()).toBe(1);
+  });
+
+  it('removes only expired sessions', () => {
+    const store = createMemoryTokenStore();
+    store.set('live', tokenData('live-token'));
+    store.set('dead', tokenData('dead-token', -1000));
+
+    expect(store.deleteExpired(Date.now())).toBe(1);
+    expect(store.get('dead')).toBeNull();
+    expect(store.findByToken('dead-token')).toBeNull();
+    expect(store.get('live')).not.toBeNull();
+  });
+
+  it('keeps sessions across restarts with the file backend', () => {
+    const filePath = path.join(tmpDir, 'nested', 'tokens.json');
+    const first = createFileTokenStore(filePath, keysA);
+    first.set('session-1', tokenData('token-1'));
+    first.set('session-2', tokenData('token-2'));
+    first.delete('session-2');
+    first.flush();
+
+    const restarted = createFileTokenStore(filePath, keysA);
+
+    expect(restarted.backend).toBe('file');
+    expect(restarted.size()).toBe(1);
+    expect(restarted.findByToken('token-1').sessionId).toBe('session-1');
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  it('starts empty rather than failing on a corrupt file', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    fs.writeFileSync(filePath, '{not json');
+
+    const store = createFileTokenStore(filePath, keysA);
+
+    expect(store.size()).toBe(0);
+    store.set('session-1', tokenData('token-1'));
+    store.flush();
+    expect(createFileTokenStore(filePath, keysA).get('session-1').access_token).toBe('token-1');
+  });
+
+  it('never writes access or refresh tokens to disk in clear', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    const store = createFileTokenStore(filePath, keysA);
+    store.set('session-1', { ...tokenData('secret-access'), refresh_token: 'secret-refresh' });
+    store.flush();
+
+    const onDisk = fs.readFileSync(filePath, 'utf8');
+    expect(onDisk).not.toContain('secret-access');
+    expect(onDisk).not.toContain('secret-refresh');
+    expect(JSON.parse(onDisk).sessions['session-1'].access_token).toMatch(/^v1:/);
+  });
+
+  it('re-encrypts sessions written under a previous key the first time they are read', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    const original = createFileTokenStore(filePath, keysA);
+    original.set('session-1', tokenData('token-1'));
+    original.flush();
+    const readKeyId = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions['session-1'].access_token.split(':')[1];
+    const before = readKeyId();
+
+    const rotated = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: KEY_B, TOKEN_ENCRYPTION_PREVIOUS_KEYS: KEY_A });
+    const store = createFileTokenStore(filePath, rotated);
+    store.flush();
+    expect(readKeyId()).toBe(before);
+
+    expect(store.findByToken('token-1').sessionId).toBe('session-1');
+    store.flush();
+    expect(readKeyId()).not.toBe(before);
+    // The old key can be retired once everything has been rewritten
+    const keysB = loadEncryptionKeys({ TOKEN_ENCRYPTION_KEY: KEY_B });
+    expect(createFileTokenStore(filePath, keysB).get('session-1').access_token).toBe('token-1');
+  });
+
+  it('logs and encrypts credentials found in the file without encryption', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: 1,
+      sessions: { 'session-1': tokenData('planted-token') },
+    }));
+    const warn = jest.spyOn(sentry.logger, 'warn');
+
+    const store = createFileTokenStore(filePath, keysA);
+
+    expect(store.findByToken('planted-token').sessionId).toBe('session-1');
+    expect(warn.mock.calls.some(([message]) => String(message).includes('unencrypted credentials'))).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('planted-token');
+    warn.mockRestore();
+  });
+
+  it('batches writes instead of rewriting the file on every change', () => {
+    jest.useFakeTimers();
+    try {
+      const filePath = path.join(tmpDir, 'tokens.json');
+      const store = createFileTokenStore(filePath, keysA);
+      store.set('session-1', tokenData('token-1'));
+      store.set('session-2', tokenData('token-2'));
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      jest.runOnlyPendingTimers();
+      expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions)).toEqual(['session-1', 'session-2']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('keeps logins in progress across restarts, encrypted and single-use', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    const first = createFileTokenStore(filePath, keysA);
+    first.putPendingLogin('nonce-1', { codeVerifier: 'secret-verifier', expiresAt: Date.now() + 60000 });
+    first.putPendingLogin('nonce-old', { codeVerifier: 'old-verifier', expiresAt: Date.now() - 1 });
+    first.flush();
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('secret-verifier');
+
+    const restarted = createFileTokenStore(filePath, keysA);
+
+    expect(restarted.takePendingLogin('nonce-1').codeVerifier).toBe('secret-verifier');
+    expect(restarted.takePendingLogin('nonce-1')).toBeNull();
+    expect(restarted.takePendingLogin('nonce-old')).toBeNull();
+  });
+
+  it('drops sessions that fail authentication instead of trusting them', () => {
+    const filePath = path.join(tmpDir, 'tokens.json');
+    const original = createFileTokenStore(filePath, keysA);
+    original.set('session-1', tokenData('token-1'));
+    original.flush();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // Moving a ciphertext to another session must not decrypt
+    saved.sessions['attacker-session'] = saved.sessions['session-1'];
+    delete saved.sessions['session-1'];
+    fs.writeFileSync(filePath, JSON.stringify(saved));
+
+    expect(createFileTokenStore(filePath, keysA).size()).toBe(0);
+  });
+
+  it('refuses to create a persistent store without an encryption key', () => {
+    expect(() => createFileTokenStore(path.join(tmpDir, 'tokens.json'), null)).toThrow('TOKEN_ENCRYPTION_KEY');
+    expect(() => createTokenStore({ backend: 'file', filePath: path.join(tmpDir, 'tokens.json'), keys: null }))
+      .toThrow('TOKEN_ENCRYPTION_KEY');
+  });
+
+  it('selects the backend from options and rejects unknown names', () => {
+    expect(createTokenStore({ backend: 'memory' }).backend).toBe('memory');
+    expect(createTokenStore({ backend: 'file', filePath: path.join(tmpDir, 't.json'), keys: keysA }).backend).toBe('file');
+    expect(() => createTokenStore({ backend: 'redis' })).toThrow('Unknown TOKEN_STORE backend');
+  });
+});
+
+describe('auth and admin routes against the configured store', () => {
+  beforeEach(() => {
+    tokenStore.clear();
+  });
+
+  it('validates a bearer token stored through storeToken', async () => {
+    storeToken('store-session', { access_token: 'stored-token', expires_in: 3600 });
+
+    const res = await request(app)
+      .get('/validate-token')
+      .set('Authorization', 'Bearer stored-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionId).toBe('store-session');
+  });
+
+  it('lists, cleans up and clears stored tokens', async () => {
+    storeToken('live-session', { access_token: 'live-token', expires_in: 3600 });
+    tokenStore.set('expired-session', tokenData('expired-token', -1000));
+
+    const listed = await request(app).get('/admin/tokens');
+    expect(listed.body.summary).toEqual({ total: 2, active: 1, expired: 1, backend: 'memory' });
+
+    const cleaned = await request(app).post('/admin/tokens/cleanup');
+    expect(cleaned.body.remaining).toBe(1);
+
+    const cleared = await request(app).post('/admin/tokens/clear');
+    expect(cleared.body.message).toBe('Cleared all 1 tokens');
+    expect(tokenStore.size()).toBe(0);
+  });
+});
@@ -0,0 +1,40 @@
+// Where OSM lives. OSM_BASE_URL points the backend somewhere else - usually
+// the mock OSM server in mock-osm/ for local development and tests - and is
+// read on every call, so a test can switch it without reloading modules.
+const DEFAULT_OSM_BASE_URL = 'https://www.onlinescoutmanager.co.uk';
+
+/**
+ * The OSM origin requests are sent to, without a trailing slash.
+ * @param {Object} [env] - Environment variables
+ * @returns {string} Base URL, e.g. 'https://www.onlinescoutmanager.co.uk'
+ */
+const getOSMBaseUrl = (env = process.env) => {
+  const configured = typeof env.OSM_BASE_URL === 'string' ? env.OSM_BASE_URL.trim() : '';
+  return (configured || DEFAULT_OSM_BASE_URL).replace(/\/+$/, '');
+};
+
+/**
+ * Resolves an OSM path against the configured base URL. Absolute URLs are
+ * returned unchanged.
+ * @param {string} path - OSM path, e.g. '/api.php?action=getTerms'
+ * @returns {string} Absolute URL
+ */
+const osmUrl = (path) => {
+  if (/^https?:\/\//i.test(path)) {
+    return path;
+  }
+  return `${getOSMBaseUrl()}${path.startsWith('/') ? '' : '/'}${path}`;
+};
+
+/**
+ * Whether requests go somewhere other than the real OSM.
+ * @returns {boolean} True when OSM_BASE_URL is set to another origin
+ */
+const isCustomOSMBaseUrl = () => getOSMBaseUrl() !== DEFAULT_OSM_BASE_URL;
+
+module.exports = {
+  DEFAULT_OSM_BASE_URL,
+  getOSMBaseUrl,
+  osmUrl,
+  isCustomOSMBaseUrl,
+};
@@ -10,13 +10,24 @@ if (!oauthclientid || !oauthsecret) {
   process.exit(1);
 }
 
-// Store tokens in memory (use Redis/DB in production)
-const userTokens = new Map();
-// Reverse map for O(1) token lookup: token -> sessionId
-const tokenToSessionId = new Map();
+// Session tokens live in the backend selected by TOKEN_STORE (memory or file)
+const {
+  tokenStore,
+  isSessionExpired,
+  markSessionUsed,
+  markTokenUsed,
+  recordOSMUserId,
+} = require('../utils/tokenStore');
 
 // Import rate limiting utilities
 const { getSessionId } = require('../middleware/rateLimiting');
+const osmCircuitBreaker = require('../utils/osmCircuitBreaker');
+const { getBlockedScope } = require('../utils/responseHelpers');
+
+const { endpointUrl } = require('../utils/osmEndpointRegistry');
+
+// Token renewal is gated by the global breaker and the oauth group breaker
+const tokenRefreshBreakers = osmCircuitBreaker.forEndpoint('tokenRefresh');
 
 // Import Sentry logging
 const { logger, Sentry } = require('../config/sentry');
@@ -31,28 +42,33 @@ const log = logger || fallbackLogger;
 
 // Cleanup expired tokens every 15 minutes to prevent memory leaks
 const CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minutes
-setInterval(() => {
-  const now = Date.now();
-  let cleanedCount = 0;
-  
-  for (const [sessionId, tokenData] of userTokens.entries()) {
-    if (now > tokenData.expires_at) {
-      // Clean up both maps
-      userTokens.delete(sessionId);
-      tokenToSessionId.delete(tokenData.access_token);
-      cleanedCount++;
-    }
+// Renew anything that would otherwise expire before the next sweep has run
+const RENEW_BEFORE_EXPIRY_MS = CLEANUP_INTERVAL + 5 * 60 * 1000;
+// Only sessions someone is actually using are renewed in the background; the
+// rest renew on demand via POST /token/refresh when their leader comes back
+const RENEW_IF_USED_WITHIN_MS = 2 * 60 * 60 * 1000;
+setInterval(async () => {
+  try {
+    await renewExpiringTokens(Date.now());
+  } catch (error) {
+    log.error(log.fmt`Token renewal sweep failed: ${error.message}`, {
+      error: error.message,
+      section: 'oauth-token-refresh',
+      timestamp: new Date().toISOString(),
+    });
   }
+
+  const cleanedCount = tokenStore.deleteExpired(Date.now());
   
   if (cleanedCount > 0) {
     log.info(log.fmt`Token cleanup completed: ${cleanedCount} tokens removed`, {
       cleanedCount,
-      activeTokens: userTokens.size,
+      activeTokens: tokenStore.size(),
       section: 'oauth-token-cleanup',
       timestamp: new Date().toISOString(),
     });
   }
-}, CLEANUP_INTERVAL);
+}, CLEANUP_INTERVAL)?.unref?.();
 
 // Shared token validation utility
 const authUtils = {
@@ -211,9 +227,10 @@ const authUtils = {
       };
     }
     
-    // O(1) token lookup using reverse map
-    const foundSessionId = tokenToSessionId.get(token);
-    const tokenData = foundSessionId ? userTokens.get(foundSessionId) : null;
+    // O(1) token lookup via the store's reverse index
+    const found = tokenStore.findByToken(token);
+    const foundSessionId = found ? found.sessionId : null;
+    const tokenData = found ? found.tokenData : null;
     
     if (!tokenData) {
       log.warn(log.fmt`Token validation failed: Token not found`, {
@@ -222,7 +239,7 @@ const authUtils = {
         method,
         userAgent,
         tokenLength: token.length,
-        totalStoredTokens: userTokens.size,
+        totalStoredTokens: tokenStore.size(),
         errorType: 'token_not_found',
         section,
         timestamp: new Date().toISOString(),
@@ -242,7 +259,7 @@ const authUtils = {
             method,
             userAgent,
             tokenLength: token.length,
-            totalStoredTokens: userTokens.size,
+            totalStoredTokens: tokenStore.size(),
           },
         });
       }
@@ -255,21 +272,30 @@ const authUtils = {
       };
     }
     
+    // A client still holding the token its session was renewed from may keep
+    // using it until that token's own expiry.
+    const usedPreviousToken = token !== tokenData.access_token;
+    const presentedExpiresAt = usedPreviousToken ? tokenData.previous_expires_at : tokenData.expires_at;
+    
     // Check if token is expired
     const now = Date.now();
-    if (now > tokenData.expires_at) {
-      // Remove expired token from both maps
-      userTokens.delete(foundSessionId);
-      tokenToSessionId.delete(token);
+    if (now > presentedExpiresAt) {
+      // Sessions with a refresh token survive so POST /token/refresh can
+      // renew them, until they reach their maximum age or idle limit
+      const refreshable = !usedPreviousToken && !isSessionExpired(tokenData, now);
+      if (!usedPreviousToken && !refreshable) {
+        tokenStore.delete(foundSessionId);
+      }
       
       log.warn(log.fmt`Token validation failed: Token expired`, {
         sessionId: foundSessionId,
         endpoint,
         method,
         userAgent,
-        expiresAt: new Date(tokenData.expires_at).toISOString(),
+        expiresAt: new Date(presentedExpiresAt).toISOString(),
         currentTime: new Date(now).toISOString(),
-        expiredBy: Math.floor((now - tokenData.expires_at) / 1000),
+        expiredBy: Math.floor((now - presentedExpiresAt) / 1000),
+        refreshable,
         errorType: 'token_expired',
         section,
         timestamp: new Date().toISOString(),
@@ -288,8 +314,8 @@ const authUtils = {
             endpoint,
             method,
             userAgent,
-            expiresAt: new Date(tokenData.expires_at).toISOString(),
-            expiredBy: Math.floor((now - tokenData.expires_at) / 1000),
+            expiresAt: new Date(presentedExpiresAt).toISOString(),
+            expiredBy: Math.floor((now - presentedExpiresAt) / 1000),
           },
         });
       }
@@ -297,11 +323,15 @@ const authUtils = {
       return {
         success: false,
         error: 'Invalid or expired token',
-        details: 'Token has expired, please re-authenticate',
+        details: refreshable
+          ? 'Token has expired, renew it with POST /token/refresh'
+          : 'Token has expired, please re-authenticate',
         sessionId: foundSessionId,
       };
     }
     
+    markSessionUsed(foundSessionId, tokenData, now);
+
     // Token validation successful
     log.info(log.fmt`Token validation successful`, {
       sessionId: foundSessionId,
@@ -312,6 +342,7 @@ const authUtils = {
       scope: tokenData.scope,
       expiresAt: new Date(tokenData.expires_at).toISOString(),
       timeToExpiry: Math.floor((tokenData.expires_at - now) / 1000),
+      usedPreviousToken,
       section,
       timestamp: new Date().toISOString(),
     });
@@ -377,7 +408,7 @@ const authUtils = {
  */
 const getCurrentToken = (req, res) => {
   const sessionId = getSessionId(req);
-  const tokenData = userTokens.get(sessionId);
+  const tokenData = tokenStore.get(sessionId);
     
   if (!tokenData) {
     return res.status(401).json({ error: 'No active session' });
@@ -385,11 +416,13 @@ const getCurrentToken = (req, res) => {
     
   // Check if token is expired
   if (Date.now() > tokenData.expires_at) {
-    // Clean up both maps
-    userTokens.delete(sessionId);
-    tokenToSessionId.delete(tokenData.access_token);
+    if (isSessionExpired(tokenData)) {
+      tokenStore.delete(sessionId);
+    }
     return res.status(401).json({ error: 'Token expired' });
   }
+
+  markSessionUsed(sessionId, tokenData);
     
   res.json({
     access_token: tokenData.access_token,
@@ -417,13 +450,7 @@ const getCurrentToken = (req, res) => {
  */
 const logout = (req, res) => {
   const sessionId = getSessionId(req);
-  const tokenData = userTokens.get(sessionId);
-    
-  // Remove token from both maps
-  if (tokenData) {
-    tokenToSessionId.delete(tokenData.access_token);
-  }
-  userTokens.delete(sessionId);
+  tokenStore.delete(sessionId);
     
   // Clear session cookie
   res.clearCookie('session_id');
@@ -436,29 +463,49 @@ const logout = (req, res) => {
   res.json({ success: true, message: 'Logged out successfully' });
 };
 
-// Helper function to store token (for use in OAuth callback)
+/**
+ * Stores an OSM token response against a session (OAuth callback and renewals).
+ * When it replaces a still-valid access token, that token is kept as
+ * `previous_access_token` until it expires so clients that have not picked
+ * up the renewed token yet are not logged out.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} tokenData - OSM token response (access_token, expires_in, refresh_token, ...);
+ *   renewals also pass the session's signed_in_at and last_used_at so they carry over
+ * @returns {Object} Stored token data
+ */
 const storeToken = (sessionId, tokenData) => {
   // Calculate expiration time (OSM tokens typically last 1 hour)
   const expiresIn = tokenData.expires_in || 3600; // Default to 1 hour
-  const expiresAt = Date.now() + (expiresIn * 1000);
+  const now = Date.now();
+  const expiresAt = now + (expiresIn * 1000);
+  const existing = tokenStore.get(sessionId);
   
   const storedTokenData = {
     access_token: tokenData.access_token,
     token_type: tokenData.token_type || 'Bearer',
     expires_at: expiresAt,
-    scope: tokenData.scope,
-    created_at: Date.now(),
+    scope: tokenData.scope || existing?.scope,
+    created_at: now,
+    signed_in_at: tokenData.signed_in_at || now,
+    last_used_at: tokenData.last_used_at || now,
+    refresh_token: tokenData.refresh_token || null,
+    osm_user_id: tokenData.osm_user_id || null,
   };
+
+  if (existing && existing.access_token !== tokenData.access_token && Date.now() < existing.expires_at) {
+    storedTokenData.previous_access_token = existing.access_token;
+    storedTokenData.previous_expires_at = existing.expires_at;
+  }
   
-  // Store in both maps
-  userTokens.set(sessionId, storedTokenData);
-  tokenToSessionId.set(tokenData.access_token, sessionId);
+  tokenStore.set(sessionId, storedTokenData);
   
   log.info(log.fmt`Token stored successfully: ${sessionId}`, {
     sessionId,
+    backend: tokenStore.backend,
     tokenType: storedTokenData.token_type,
     expiresAt: new Date(expiresAt).toISOString(),
     expiresIn: expiresIn,
+    hasRefreshToken: !!storedTokenData.refresh_token,
     scope: tokenData.scope || 'Not specified',
     section: 'oauth-token-storage',
     timestamp: new Date().toISOString(),
@@ -467,13 +514,271 @@ const storeToken = (sessionId, tokenData) => {
   return storedTokenData;
 };
 
+// Renewals in flight per session, so the sweep, POST /token/refresh and
+// concurrent tabs never spend the same refresh token twice
+const refreshesInFlight = new Map();
+
+/**
+ * Exchanges a session's refresh token for a new access token at OSM and
+ * stores the result. OSM may rotate the refresh token; if it does not
+ * return one, the existing refresh token is kept.
+ * @param {string} sessionId - Session to renew
+ * @returns {Promise<Object>} `{ success: true, tokenData }` or `{ success: false, status, error, details }`
+ */
+const performTokenRefresh = async (sessionId) => {
+  const existing = tokenStore.get(sessionId);
+  if (!existing) {
+    return { success: false, status: 401, error: 'No active session' };
+  }
+  if (!existing.refresh_token) {
+    return {
+      success: false,
+      status: 401,
+      error: 'Session cannot be renewed',
+      details: 'No refresh token for this session, please re-authenticate',
+    };
+  }
+  if (isSessionExpired(existing)) {
+    tokenStore.delete(sessionId);
+    return {
+      success: false,
+      status: 401,
+      error: 'Session cannot be renewed',
+      details: 'Session has reached its maximum age or was idle too long, please re-authenticate',
+    };
+  }
+  if (!tokenRefreshBreakers.shouldAllowRequest()) {
+    return {
+      success: false,
+      status: 503,
+      error: 'OSM API access blocked - sign in again to reconnect',
+      blocked: true,
+    };
+  }
+
+  const breakerGeneration = tokenRefreshBreakers.getGeneration();
+  let response;
+  let responseText;
+  try {
+    response = await fetch(endpointUrl('oauthToken'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: existing.refresh_token,
+        client_id: oauthclientid,
+        client_secret: oauthsecret,
+      }),
+      signal: global.AbortSignal?.timeout ? global.AbortSignal.timeout(30000) : undefined,
+    });
+    responseText = await response.text();
+  } catch (error) {
+    tokenRefreshBreakers.recordProbeFailure(breakerGeneration);
+    log.error(log.fmt`Token refresh request failed: ${error.message}`, {
+      sessionId,
+      error: error.message,
+      section: 'oauth-token-refresh',
+      timestamp: new Date().toISOString(),
+    });
+    return { success: false, status: 502, error: 'Token refresh failed', details: error.message };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch (parseError) {
+    const blockedScope = getBlockedScope(responseText);
+    if (blockedScope) {
+      tokenRefreshBreakers.recordBlocked(blockedScope);
+    } else {
+      tokenRefreshBreakers.recordProbeFailure(breakerGeneration);
+    }
+    log.error('Token refresh returned a non-JSON response', {
+      sessionId,
+      status: response.status,
+      responsePreview: responseText.substring(0, /^\s*</.test(responseText) ? 15000 : 200),
+      section: 'oauth-token-refresh',
+      timestamp: new Date().toISOString(),
+    });
+    return { success: false, status: 502, error: 'Token refresh failed', details: 'Invalid response from OSM' };
+  }
+
+  if (!response.ok || !data.access_token) {
+    tokenRefreshBreakers.recordProbeFailure(breakerGeneration);
+    // 400/401 means OSM has revoked or expired the refresh token itself: stop
+    // retrying it and let the access token run out normally.
+    const rejected = response.status === 400 || response.status === 401;
+    if (rejected) {
+      tokenStore.set(sessionId, { ...existing, refresh_token: null });
+    }
+    log.warn(log.fmt`Token refresh rejected by OSM: ${data.error || response.status}`, {
+      sessionId,
+      status: response.status,
+      oauthError: data.error,
+      refreshTokenDiscarded: rejected,
+      section: 'oauth-token-refresh',
+      timestamp: new Date().toISOString(),
+    });
+    return {
+      success: false,
+      status: rejected ? 401 : 502,
+      error: 'Token refresh failed',
+      details: data.error_description || data.error || `OSM returned ${response.status}`,
+    };
+  }
+
+  tokenRefreshBreakers.recordSuccess(breakerGeneration);
+
+  const tokenData = storeToken(sessionId, {
+    ...data,
+    refresh_token: data.refresh_token || existing.refresh_token,
+    osm_user_id: existing.osm_user_id,
+    signed_in_at: existing.signed_in_at ?? existing.created_at,
+    last_used_at: existing.last_used_at,
+  });
+
+  log.info(log.fmt`Token refreshed: ${sessionId}`, {
+    sessionId,
+    expiresAt: new Date(tokenData.expires_at).toISOString(),
+    refreshTokenRotated: !!data.refresh_token && data.refresh_token !== existing.refresh_token,
+    section: 'oauth-token-refresh',
+    timestamp: new Date().toISOString(),
+  });
+
+  return { success: true, tokenData };
+};
+
+/**
+ * Renews a session's access token, sharing one OSM call between concurrent callers.
+ * @param {string} sessionId - Session to renew
+ * @returns {Promise<Object>} Result from performTokenRefresh()
+ */
+const refreshSessionToken = (sessionId) => {
+  if (refreshesInFlight.has(sessionId)) {
+    return refreshesInFlight.get(sessionId);
+  }
+  const refresh = performTokenRefresh(sessionId).finally(() => refreshesInFlight.delete(sessionId));
+  refreshesInFlight.set(sessionId, refresh);
+  return refresh;
+};
+
+/**
+ * Background renewal: refreshes every session with a refresh token whose
+ * access token expires within RENEW_BEFORE_EXPIRY_MS and that was used
+ * within RENEW_IF_USED_WITHIN_MS. Sessions past their maximum age or idle
+ * limit are left for deleteExpired. Sessions are renewed one at a time to
+ * keep the burst against OSM's token endpoint small.
+ * @param {number} now - Current time in ms
+ * @returns {Promise<{renewed: number, failed: number}>} Sweep outcome
+ */
+const renewExpiringTokens = async (now = Date.now()) => {
+  const due = tokenStore.entries()
+    .filter(([_sessionId, tokenData]) => tokenData.refresh_token
+      && tokenData.expires_at - now < RENEW_BEFORE_EXPIRY_MS
+      && now - (tokenData.last_used_at ?? tokenData.created_at) < RENEW_IF_USED_WITHIN_MS
+      && !isSessionExpired(tokenData, now))
+    .map(([sessionId]) => sessionId);
+
+  let renewed = 0;
+  let failed = 0;
+  for (const sessionId of due) {
+    const result = await refreshSessionToken(sessionId);
+    if (result.success) {
+      renewed++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (due.length > 0) {
+    log.info(log.fmt`Token renewal sweep completed: ${renewed} renewed, ${failed} failed`, {
+      renewed,
+      failed,
+      section: 'oauth-token-refresh',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return { renewed, failed };
+};
+
+/**
+ * Auth: Renew the access token for the caller's session.
+ *
+ * Uses the refresh token stored at sign-in, so the frontend can renew a token
+ * that is about to expire (or already has) without sending the leader back
+ * through /oauth/login. The session is identified by the current access token
+ * in the Authorization header, or by the `session_id` cookie. The token being
+ * replaced keeps working until its original expiry.
+ *
+ * @tags Auth
+ * @route POST /token/refresh
+ * @header Authorization {string} - Bearer token of the session to renew (may be expired)
+ * @param {Cookie} session_id - Alternative to the Authorization header
+ * @returns {object} 200 - Renewed token info
+ * @returns {object} 401 - No session, or the session cannot be renewed
+ * @returns {object} 502 - OSM could not renew the token
+ * @returns {object} 503 - OSM access is blocked
+ * @example Success response
+ * {
+ *   "access_token": "eyJhbGciOi...example...",
+ *   "token_type": "Bearer",
+ *   "expires_at": 1736446800000,
+ *   "expires_in": 3600
+ * }
+ * @example Error response
+ * {
+ *   "error": "Session cannot be renewed",
+ *   "details": "No refresh token for this session, please re-authenticate"
+ * }
+ */
+const refreshToken = async (req, res) => {
+  const authHeader = req.headers.authorization;
+  let sessionId = null;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const found = tokenStore.findByToken(authHeader.substring(7));
+    // Only the session's current token can renew it; a replaced token is
+    // valid until its own expiry but must not be usable to extend the session.
+    if (found && found.tokenData.access_token === authHeader.substring(7)) {
+      sessionId = found.sessionId;
+    }
+  } else if (req.cookies?.session_id) {
+    sessionId = getSessionId(req);
+  }
+
+  if (!sessionId) {
+    return res.status(401).json({ error: 'No active session' });
+  }
+
+  markSessionUsed(sessionId, tokenStore.get(sessionId));
+  const result = await refreshSessionToken(sessionId);
+  if (!result.success) {
+    return res.status(result.status).json({
+      error: result.error,
+      details: result.details,
+      blocked: result.blocked,
+    });
+  }
+
+  const now = Date.now();
+  res.json({
+    access_token: result.tokenData.access_token,
+    token_type: result.tokenData.token_type,
+    expires_at: result.tokenData.expires_at,
+    expires_in: Math.floor((result.tokenData.expires_at - now) / 1000),
+  });
+};
+
 // Get token storage statistics (for debugging)
 const getTokenStats = () => {
   const now = Date.now();
   let activeTokens = 0;
   let expiredTokens = 0;
   
-  for (const [_sessionId, tokenData] of userTokens.entries()) {
+  for (const [_sessionId, tokenData] of tokenStore.entries()) {
     if (now > tokenData.expires_at) {
       expiredTokens++;
     } else {
@@ -482,10 +787,10 @@ const getTokenStats = () => {
   }
   
   return {
-    total: userTokens.size,
+    total: tokenStore.size(),
     active: activeTokens,
     expired: expiredTokens,
-    reverseMapSize: tokenToSessionId.size,
+    backend: tokenStore.backend,
   };
 };
 
@@ -584,9 +889,13 @@ module.exports = {
   getCurrentToken,
   logout,
   storeToken,
+  recordOSMUserId,
+  markTokenUsed,
+  refreshToken,
+  refreshSessionToken,
+  renewExpiringTokens,
   getTokenStats,
-  userTokens, // Export for debugging (remove in production)
-  tokenToSessionId, // Export for debugging (remove in production)
+  tokenStore, // Used by the /admin/tokens* routes
   validateTokenFromHeader,
   validateTokenEndpoint,
   authUtils, // Export utility functions
@@ -8,20 +8,14 @@ const {
 
 // Import our new utility functions
 const { osmEndpoints } = require('../utils/osmEndpointFactories');
-const { createOSMApiHandler } = require('../utils/osmApiHandler');
-const { validateFieldIdFormat, validateArrayParam, validateFlexiRecordUpdateParams } = require('../utils/validators');
-const { logger } = require('../config/sentry');
-const fallbackLogger = {
-  info: console.log,
-  warn: console.warn,
-  error: console.error,
-  debug: console.log,
-  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
-};
-const log = logger || fallbackLogger;
-
-// Import existing complex functions that need custom handling
-const { transformMemberGridData } = require('./osm-legacy');
+const responseCache = require('../utils/osmResponseCache');
+const osmRequestBudget = require('../utils/osmRequestBudget');
+const osmRequestScheduler = require('../utils/osmRequestScheduler');
+const osmRequestCoalescer = require('../utils/osmRequestCoalescer');
+const osmRetryPolicy = require('../utils/osmRetryPolicy');
+const idempotencyStore = require('../middleware/idempotency');
+const osmTrafficRecorder = require('../utils/osmTrafficRecorder');
+const osmContracts = require('../utils/osmContracts');
 
 /**
  * Monitoring: Get current backend and OSM API rate-limit status for this session.
@@ -33,6 +27,7 @@ const { transformMemberGridData } = require('./osm-legacy');
  * {
  *   "backend": { "limit": 100, "remaining": 100, "resetTime": 1736443200000, "window": "per minute" },
  *   "osm": { "limit": 1000, "remaining": 742, "resetTime": 1736446800000, "window": "per hour", "available": true },
+ *   "cache": { "size": 12, "maxEntries": 1000, "hits": 40, "misses": 12, "stale": 0, "evictions": 0 },
  *   "timestamp": 1736443185000
  * }
  */
@@ -72,6 +67,14 @@ const getRateLimitStatus = (req, res) => {
   res.json({
     backend: backendInfo,
     osm: osmRateLimit,
+    budget: osmRequestBudget.getStatus(),
+    scheduler: osmRequestScheduler.getStatus(),
+    coalescing: osmRequestCoalescer.getStats(),
+    retries: osmRetryPolicy.getStatus(),
+    idempotency: idempotencyStore.getStatus(),
+    recording: osmTrafficRecorder.getStatus(),
+    contracts: osmContracts.getStatus(),
+    cache: responseCache.getStats(),
     timestamp: now,
   });
 };
@@ -335,71 +338,7 @@ const getSharedEventAttendance = osmEndpoints.getSharedEventAttendance();
  * @example Error response
  * { "error": "Missing required parameter: value (can be empty string to clear field)" }
  */
-const updateFlexiRecord = createOSMApiHandler('updateFlexiRecord', {
-  method: 'POST',
-  requiredParams: [], // Custom validation handles all parameters
-  buildUrl: (_req) => 'https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=updateScout&nototal=null',
-  buildRequestOptions: (req, access_token) => {
-    // Debug log the incoming request
-    log.info('updateFlexiRecord: Incoming request', {
-      method: req.method,
-      body: req.body,
-      hasTermid: !!req.body.termid,
-      termidValue: req.body.termid,
-    });
-    
-    // Use centralized validation with comprehensive error logging
-    const validation = validateFlexiRecordUpdateParams(req);
-    
-    if (!validation.valid) {
-      const validationError = new Error(validation.error);
-      
-      // Log validation failure using standard logger
-      log.error('updateFlexiRecord: Parameter validation failed', {
-        operation: 'updateFlexiRecord',
-        validationType: 'parameter_validation',
-        method: req.method,
-        url: req.url,
-        missing: validation.missing,
-        error: validation.error,
-      });
-      
-      throw validationError;
-    }
-    
-    const { sectionid, scoutid, flexirecordid, columnid, value, termid, section } = req.body;
-    
-    // Log successful validation with operation context
-    log.info('updateFlexiRecord: Parameters validated successfully', {
-      operation: 'updateFlexiRecord',
-      sectionid,
-      scoutid,
-      flexirecordid,
-      columnid,
-      hasValue: req.body.hasOwnProperty('value'),
-      valueLength: String(value).length,
-    });
-    
-    const requestBody = new URLSearchParams({
-      termid,
-      sectionid,
-      section,
-      extraid: flexirecordid,
-      scoutid,
-      column: columnid,
-      value,
-    });
-    
-    return {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: requestBody,
-    };
-  },
-});
+const updateFlexiRecord = osmEndpoints.updateFlexiRecord();
 
 /**
  * OSM: Bulk update a FlexiRecord field for multiple members.
@@ -417,48 +356,7 @@ const updateFlexiRecord = createOSMApiHandler('updateFlexiRecord', {
  * @example Error response
  * { "error": "scouts must be an array" }
  */
-const multiUpdateFlexiRecord = createOSMApiHandler('multiUpdateFlexiRecord', {
-  method: 'POST',
-  requiredParams: ['sectionid', 'scouts', 'value', 'column', 'flexirecordid'],
-  buildUrl: (req) => `https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=multiUpdate&sectionid=${req.body.sectionid}`,
-  buildRequestOptions: (req, access_token) => {
-    const { scouts, value, column, flexirecordid } = req.body;
-
-    // Custom validation for scouts array
-    const scoutsValidation = validateArrayParam(scouts, 'scouts');
-    if (!scoutsValidation.valid) {
-      const err = new Error(scoutsValidation.error);
-      err.status = 400;
-      err.code = 'VALIDATION_ERROR';
-      throw err;
-    }
-
-    // Custom validation for field ID format
-    const fieldValidation = validateFieldIdFormat(column);
-    if (!fieldValidation.valid) {
-      const err = new Error(fieldValidation.error);
-      err.status = 400;
-      err.code = 'VALIDATION_ERROR';
-      throw err;
-    }
-
-    const requestBody = new URLSearchParams({
-      scouts: JSON.stringify(scouts),
-      value,
-      col: column, // OSM uses 'col' not 'column'
-      extraid: flexirecordid,
-    });
-
-    return {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: requestBody,
-    };
-  },
-});
+const multiUpdateFlexiRecord = osmEndpoints.multiUpdateFlexiRecord();
 
 /**
  * OSM: Create a new FlexiRecord template.
@@ -481,42 +379,7 @@ const multiUpdateFlexiRecord = createOSMApiHandler('multiUpdateFlexiRecord', {
  * @example Error response
  * { "error": "Missing required parameter: name" }
  */
-const createFlexiRecord = createOSMApiHandler('createFlexiRecord', {
-  method: 'POST',
-  requiredParams: ['sectionid', 'name'],
-  buildUrl: (req) => `https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=addRecordSet&sectionid=${req.body.sectionid}`,
-  buildRequestOptions: (req, access_token) => {
-    const { name, dob = '1', age = '1', patrol = '1', type = 'none' } = req.body;
-    const safeTrim = (s) => String(s ?? '').trim();
-    const as01 = (v) => (v === '1' || v === 1 || v === true || String(v).toLowerCase() === 'true') ? '1' : '0';
-
-    const nameTrimmed = safeTrim(name);
-    if (!nameTrimmed) {
-      const err = new Error('name must be a non-empty string');
-      err.status = 400; err.code = 'VALIDATION_ERROR'; throw err;
-    }
-    const dobNorm = as01(dob);
-    const ageNorm = as01(age);
-    const patrolNorm = as01(patrol);
-
-    const requestBody = new URLSearchParams({
-      name: nameTrimmed,
-      dob: dobNorm,
-      age: ageNorm,
-      patrol: patrolNorm,
-      type,
-    });
-
-    return {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: requestBody,
-    };
-  },
-});
+const createFlexiRecord = osmEndpoints.createFlexiRecord();
 
 /**
  * OSM: Add a new column/field to an existing FlexiRecord.
@@ -536,36 +399,7 @@ const createFlexiRecord = createOSMApiHandler('createFlexiRecord', {
  * @example Error response
  * { "error": "Missing required parameter: columnName" }
  */
-const addFlexiColumn = createOSMApiHandler('addFlexiColumn', {
-  method: 'POST',
-  requiredParams: ['sectionid', 'flexirecordid', 'columnName'],
-  buildUrl: (req) => `https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=addColumn&sectionid=${req.body.sectionid}&extraid=${req.body.flexirecordid}`,
-  buildRequestOptions: (req, access_token) => {
-    const { columnName } = req.body;
-    const name = String(columnName ?? '').trim();
-    if (!name) {
-      const err = new Error('columnName must be a non-empty string');
-      err.status = 400; err.code = 'VALIDATION_ERROR'; throw err;
-    }
-    if (name.length > 100) {
-      const err = new Error('columnName must be <= 100 characters');
-      err.status = 400; err.code = 'VALIDATION_ERROR'; throw err;
-    }
-
-    const requestBody = new URLSearchParams({
-      columnName: name,
-    });
-
-    return {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: requestBody,
-    };
-  },
-});
+const addFlexiColumn = osmEndpoints.addFlexiColumn();
 
 /**
  * OSM: Get startup data payload used by OSM web app (parsed from JS to JSON).
@@ -594,30 +428,7 @@ const getStartupData = osmEndpoints.getStartupData();
  * @example Error response (missing params)
  * { "error": "Missing required parameters: section_id, term_id" }
  */
-const getMembersGrid = createOSMApiHandler('getMembersGrid', {
-  method: 'POST',
-  requiredParams: ['section_id', 'term_id'],
-  buildUrl: (_req) => 'https://www.onlinescoutmanager.co.uk/ext/members/contact/grid/?action=getMembers',
-  buildRequestOptions: (req, access_token) => {
-    const requestBody = new URLSearchParams({
-      section_id: req.body.section_id,
-      term_id: req.body.term_id,
-    });
-    
-    return {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: requestBody,
-    };
-  },
-  processResponse: (data, _req) => {
-    // Apply the existing transformation logic
-    return transformMemberGridData(data);
-  },
-});
+const getMembersGrid = osmEndpoints.getMembersGrid();
 
 module.exports = {
   // Utility
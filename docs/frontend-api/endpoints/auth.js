@@ -7,6 +7,10 @@
  *       Handles the OAuth callback from Online Scout Manager after user authentication.
  *       This endpoint exchanges the authorization code for an access token and redirects
  *       the user back to the frontend with the token.
+ *       The token (including any refresh token) is also stored server-side against a new
+ *       `session_id` cookie so it can later be renewed with `POST /token/refresh`.
+ *       The authorization code is exchanged with the PKCE `code_verifier` generated
+ *       when `/oauth/login` issued the state.
  *       
  *       **Frontend URL Detection Priority:**
  *       1. `frontend_url` query parameter (highest priority)
@@ -27,8 +31,11 @@
  *         name: state
  *         schema:
  *           type: string
- *         description: OAuth state parameter (can contain embedded frontend_url)
- *         example: "prod&frontend_url=https://my-frontend.com"
+ *         description: |
+ *           Signed, single-use state issued by `/oauth/login`. It wraps the frontend's
+ *           original state (which can contain an embedded frontend_url). Forged, expired
+ *           or replayed values redirect with `error=invalid_state` without contacting OSM.
+ *         example: "eyJuIjoi...In0.Q2hhbmdlTWU"
  *       - in: query
  *         name: frontend_url
  *         schema:
@@ -119,6 +126,48 @@
  *     security:
  *       - bearerAuth: []
  * 
+ * /token/refresh:
+ *   post:
+ *     summary: Renew the access token
+ *     description: |
+ *       Exchanges the refresh token stored at sign-in for a new OSM access token,
+ *       so the frontend can renew a token that is about to expire (or already has)
+ *       without sending the leader back through `/oauth/login`.
+ *       
+ *       The session is identified by its current access token in the
+ *       `Authorization` header, or by the `session_id` cookie set by
+ *       `/oauth/callback`. The replaced token keeps working until its original
+ *       expiry. The backend also renews tokens in the background shortly before
+ *       they expire; `/validate-token` returns the renewed token.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Renewed token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthToken'
+ *       401:
+ *         description: No session, or the session has no usable refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: OSM could not renew the token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: OSM access is blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *     security:
+ *       - bearerAuth: []
+ * 
  * /logout:
  *   post:
  *     summary: Logout and invalidate token
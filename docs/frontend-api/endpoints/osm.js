@@ -52,6 +52,195 @@
  *                       type: integer
  *                       nullable: true
  *                       example: 300
+ *                 budget:
+ *                   type: object
+ *                   description: OSM request budget shared by all sessions
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       example: 1000
+ *                     remaining:
+ *                       type: integer
+ *                       description: Requests OSM says are left, excluding calls in flight
+ *                       example: 742
+ *                     resetTime:
+ *                       type: integer
+ *                       description: When the budget refills (ms since epoch)
+ *                       example: 1640995200000
+ *                     source:
+ *                       type: string
+ *                       enum: [osm, estimate]
+ *                       example: osm
+ *                     inFlight:
+ *                       type: integer
+ *                       example: 2
+ *                     safetyMargin:
+ *                       type: integer
+ *                       example: 50
+ *                     available:
+ *                       type: integer
+ *                       description: Requests that can start now
+ *                       example: 690
+ *                     granted:
+ *                       type: integer
+ *                       example: 258
+ *                 scheduler:
+ *                   type: object
+ *                   description: Priority queue of OSM calls waiting for a slot or budget
+ *                   properties:
+ *                     concurrency:
+ *                       type: integer
+ *                       example: 4
+ *                     running:
+ *                       type: integer
+ *                       example: 2
+ *                     queued:
+ *                       type: integer
+ *                       example: 1
+ *                     queuedByPriority:
+ *                       type: object
+ *                       properties:
+ *                         write:
+ *                           type: integer
+ *                         attendance:
+ *                           type: integer
+ *                         read:
+ *                           type: integer
+ *                         bulk:
+ *                           type: integer
+ *                     maxWaitMs:
+ *                       type: integer
+ *                       example: 10000
+ *                     budgetMode:
+ *                       type: string
+ *                       enum: [queue, reject]
+ *                       example: queue
+ *                     started:
+ *                       type: integer
+ *                       example: 258
+ *                     rejected:
+ *                       type: integer
+ *                       description: Calls refused because the budget was spent
+ *                       example: 0
+ *                     timedOut:
+ *                       type: integer
+ *                       description: Calls that waited past their deadline for a slot
+ *                       example: 0
+ *                 coalescing:
+ *                   type: object
+ *                   description: Identical concurrent GETs that shared one OSM call
+ *                   properties:
+ *                     inFlight:
+ *                       type: integer
+ *                       example: 1
+ *                     upstreamCalls:
+ *                       type: integer
+ *                       description: OSM calls made for coalescable reads
+ *                       example: 214
+ *                     coalesced:
+ *                       type: integer
+ *                       description: Requests answered from another request's call
+ *                       example: 37
+ *                     byEndpoint:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example: { getEventAttendance: 29, getEventSummary: 8 }
+ *                 retries:
+ *                   type: object
+ *                   description: Retries of idempotent OSM calls after network errors, timeouts and 502/503/504
+ *                   properties:
+ *                     maxAttempts:
+ *                       type: integer
+ *                       example: 3
+ *                     baseDelayMs:
+ *                       type: integer
+ *                       example: 250
+ *                     maxDelayMs:
+ *                       type: integer
+ *                       example: 5000
+ *                     retried:
+ *                       type: integer
+ *                       description: Retries made
+ *                       example: 6
+ *                     recovered:
+ *                       type: integer
+ *                       description: Calls that succeeded on a retry
+ *                       example: 5
+ *                     exhausted:
+ *                       type: integer
+ *                       description: Calls that failed on every attempt
+ *                       example: 0
+ *                 idempotency:
+ *                   type: object
+ *                   description: POSTs sent with an Idempotency-Key header
+ *                   properties:
+ *                     windowMs:
+ *                       type: integer
+ *                       example: 86400000
+ *                     maxEntries:
+ *                       type: integer
+ *                       example: 1000
+ *                     size:
+ *                       type: integer
+ *                       description: Responses currently stored
+ *                       example: 42
+ *                     stored:
+ *                       type: integer
+ *                       example: 57
+ *                     replayed:
+ *                       type: integer
+ *                       description: Repeats answered with a stored response
+ *                       example: 4
+ *                     conflicts:
+ *                       type: integer
+ *                       description: Repeats refused with 409 or 422
+ *                       example: 1
+ *                     evictions:
+ *                       type: integer
+ *                       example: 0
+ *                 recording:
+ *                   type: object
+ *                   description: OSM traffic recording (OSM_TRAFFIC_MODE)
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       enum: [off, record, replay]
+ *                       example: off
+ *                     recorded:
+ *                       type: integer
+ *                       description: OSM responses written to recordings
+ *                       example: 0
+ *                     replayed:
+ *                       type: integer
+ *                       description: OSM calls answered from recordings
+ *                       example: 0
+ *                     missing:
+ *                       type: integer
+ *                       description: Calls in replay mode with no recording
+ *                       example: 0
+ *                 contracts:
+ *                   type: object
+ *                   description: Checks of OSM responses against docs/osm-api/schemas
+ *                   properties:
+ *                     modes:
+ *                       type: object
+ *                       description: Contract mode by endpoint
+ *                       additionalProperties:
+ *                         type: string
+ *                         enum: [off, warn, enforce]
+ *                       example: { "getTerms": "warn", "getFlexiStructure": "enforce" }
+ *                     checked:
+ *                       type: integer
+ *                       example: 310
+ *                     drifted:
+ *                       type: integer
+ *                       description: Responses that did not match their schema
+ *                       example: 2
+ *                     rejected:
+ *                       type: integer
+ *                       description: Drifted responses answered with 502 (enforce mode)
+ *                       example: 0
  *                 timestamp:
  *                   type: integer
  *                   description: Current server timestamp
@@ -95,13 +284,6 @@
  *     tags: [OSM Data]
  *     parameters:
  *       - in: query
- *         name: access_token
- *         required: true
- *         schema:
- *           type: string
- *         description: OAuth access token
- *         example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *       - in: query
  *         name: sectionid
  *         required: true
  *         schema:
@@ -123,11 +305,7 @@
  *                       description: Section configuration object
  *                       additionalProperties: true
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -200,11 +378,7 @@
  *                       items:
  *                         $ref: '#/components/schemas/OSMEvent'
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -256,11 +430,240 @@
  *                       items:
  *                         $ref: '#/components/schemas/OSMAttendance'
  *       400:
- *         description: Missing required parameters
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-event-summary:
+ *   get:
+ *     summary: Get the summary of an event
+ *     description: |
+ *       Retrieves an event's details (name, dates, location, cost) from OSM's
+ *       v3 events API.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: eventid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event identifier
+ *         example: "1288540"
+ *     responses:
+ *       200:
+ *         description: Event summary, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-event-sharing-status:
+ *   get:
+ *     summary: Get which sections an event is shared with
+ *     description: |
+ *       Retrieves the sharing status of an event: the sections it has been shared
+ *       with and whether each has accepted.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: eventid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event identifier
+ *         example: "1288540"
+ *       - in: query
+ *         name: sectionid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Section identifier
+ *         example: "49097"
+ *     responses:
+ *       200:
+ *         description: Event sharing status, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-shared-event-attendance:
+ *   get:
+ *     summary: Get attendance across every section sharing an event
+ *     description: |
+ *       Retrieves attendance for a shared event, covering members of every
+ *       section the event is shared with.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: eventid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event identifier
+ *         example: "1288540"
+ *       - in: query
+ *         name: sectionid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Section identifier
+ *         example: "49097"
+ *     responses:
+ *       200:
+ *         description: Combined attendance, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-programme-summary:
+ *   get:
+ *     summary: Get the programme (meeting list) for a section and term
+ *     description: |
+ *       Retrieves the meetings planned for a section in a term, with their
+ *       dates and activities.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: sectionid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Section identifier
+ *         example: "49097"
+ *       - in: query
+ *         name: termid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Term identifier
+ *         example: "801234"
+ *     responses:
+ *       200:
+ *         description: Programme summary, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-contact-details:
+ *   get:
+ *     summary: Get a member's contact details
+ *     description: |
+ *       Retrieves the contact details held for a single member.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: sectionid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Section identifier
+ *         example: "49097"
+ *       - in: query
+ *         name: scoutid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Scout (member) identifier
+ *         example: "1601995"
+ *     responses:
+ *       200:
+ *         description: Member contact details, as returned by OSM
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /get-list-of-members:
+ *   get:
+ *     summary: Get the members of a section
+ *     description: |
+ *       Retrieves the list of members of a section for a term.
+ *     tags: [OSM Data]
+ *     parameters:
+ *       - in: query
+ *         name: sectionid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Section identifier
+ *         example: "49097"
+ *       - in: query
+ *         name: termid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Term identifier
+ *         example: "801234"
+ *       - in: query
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *         description: Section type
+ *         example: "scouts"
+ *     responses:
+ *       200:
+ *         description: Member list, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -299,12 +702,6 @@
  *     tags: [Flexi Records]
  *     parameters:
  *       - in: query
- *         name: access_token
- *         required: true
- *         schema:
- *           type: string
- *         description: OAuth access token
- *       - in: query
  *         name: sectionid
  *         required: true
  *         schema:
@@ -333,11 +730,7 @@
  *                       items:
  *                         $ref: '#/components/schemas/OSMFlexiRecord'
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -354,12 +747,6 @@
  *     tags: [Flexi Records]
  *     parameters:
  *       - in: query
- *         name: access_token
- *         required: true
- *         schema:
- *           type: string
- *         description: OAuth access token
- *       - in: query
  *         name: sectionid
  *         required: true
  *         schema:
@@ -395,11 +782,7 @@
  *                       description: Field definitions and configuration
  *                       additionalProperties: true
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -416,12 +799,6 @@
  *     tags: [Flexi Records]
  *     parameters:
  *       - in: query
- *         name: access_token
- *         required: true
- *         schema:
- *           type: string
- *         description: OAuth access token
- *       - in: query
  *         name: sectionid
  *         required: true
  *         schema:
@@ -457,11 +834,7 @@
  *                       items:
  *                         $ref: '#/components/schemas/OSMFlexiRecordData'
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       429:
@@ -484,6 +857,8 @@
  *       - Rate limit monitoring with warnings
  *       - Detailed error context
  *     tags: [Flexi Records]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -509,18 +884,11 @@
  *                       description: Update status message
  *                       example: "Record updated successfully"
  *       400:
- *         description: Invalid request or field ID format
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Error'
- *                 - type: object
- *                   properties:
- *                     error:
- *                       example: "Invalid field ID format. Expected format: f_1, f_2, etc."
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
  *       429:
  *         $ref: '#/components/responses/RateLimited'
  *       500:
@@ -552,6 +920,8 @@
  *       - Atomic operation (all succeed or all fail)
  *       - Better error handling for batch operations
  *     tags: [Flexi Records]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -598,24 +968,78 @@
  *                       description: Number of scouts updated
  *                       example: 3
  *       400:
- *         description: Invalid request parameters
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /create-flexi-record:
+ *   post:
+ *     summary: Create a flexi record
+ *     description: |
+ *       Creates a new flexi record in a section. The name is trimmed; the
+ *       date of birth, age and patrol columns are shown unless turned off.
+ *     tags: [Flexi Records]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateFlexiRecordRequest'
+ *     responses:
+ *       200:
+ *         description: Flexi record created, as returned by OSM
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ * 
+ * /add-flexi-column:
+ *   post:
+ *     summary: Add a column to a flexi record
+ *     description: |
+ *       Adds a new column to an existing flexi record. The column name is trimmed.
+ *     tags: [Flexi Records]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddFlexiColumnRequest'
+ *     responses:
+ *       200:
+ *         description: Column added, as returned by OSM
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Error'
- *                 - type: object
- *                   properties:
- *                     error:
- *                       oneOf:
- *                         - type: string
- *                           example: "Missing required parameters: sectionid, scouts (array), value, column, flexirecordid are required, plus Authorization header"
- *                         - type: string
- *                           example: "scouts array cannot be empty"
- *                         - type: string
- *                           example: "Invalid field ID format. Expected format: f_1, f_2, etc."
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
  *       429:
  *         $ref: '#/components/responses/RateLimited'
  *       500:
@@ -640,6 +1064,8 @@
  *       - Contact data is grouped by relationship type
  *       - Column metadata includes type information (text, email, telephone)
  *     tags: [OSM Data]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -659,18 +1085,11 @@
  *                     data:
  *                       $ref: '#/components/schemas/MembersGridResponse'
  *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Error'
- *                 - type: object
- *                   properties:
- *                     error:
- *                       example: "Missing required parameters: section_id and term_id are required, plus Authorization header"
+ *         $ref: '#/components/responses/ValidationFailed'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
  *       429:
  *         $ref: '#/components/responses/RateLimited'
  *       500:
@@ -22,6 +22,27 @@
  *         rateLimitInfo:
  *           $ref: '#/components/schemas/RateLimitInfo'
  *     
+ *     ValidationError:
+ *       type: object
+ *       required:
+ *         - error
+ *         - code
+ *         - validationErrors
+ *       properties:
+ *         error:
+ *           type: string
+ *           description: The only problem, or all of them after "Validation failed:" when there are several
+ *           example: "Validation failed: termid is required; columnid must match ^f_\\d+$"
+ *         code:
+ *           type: string
+ *           enum: [VALIDATION_ERROR]
+ *         validationErrors:
+ *           type: array
+ *           description: Every problem with the request, one sentence each
+ *           items:
+ *             type: string
+ *           example: ["termid is required", "columnid must match ^f_\\d+$"]
+ *     
  *     RateLimitInfo:
  *       type: object
  *       description: Rate limiting information included in all API responses
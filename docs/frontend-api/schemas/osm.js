@@ -143,6 +143,8 @@
  *         - flexirecordid
  *         - columnid
  *         - value
+ *         - termid
+ *         - section
  *       properties:
  *         sectionid:
  *           type: string
@@ -162,9 +164,20 @@
  *           description: "Field identifier (format: f_1, f_2, etc.)"
  *           example: "f_1"
  *         value:
- *           type: string
- *           description: New field value
+ *           oneOf:
+ *             - type: string
+ *             - type: number
+ *           description: New field value (an empty string clears the field)
  *           example: "2023-10-15"
+ *         termid:
+ *           type: string
+ *           description: Term identifier
+ *           example: "123"
+ *         section:
+ *           type: string
+ *           minLength: 1
+ *           description: Section type
+ *           example: "scouts"
  *     
  *     MultiUpdateFlexiRecordRequest:
  *       type: object
@@ -182,7 +195,9 @@
  *         scouts:
  *           type: array
  *           items:
- *             type: string
+ *             oneOf:
+ *               - type: string
+ *               - type: integer
  *           minItems: 1
  *           maxItems: 50
  *           description: Array of scout IDs to update (recommended max 50 for optimal performance)
@@ -203,6 +218,65 @@
  *           description: Flexi record identifier (extraid)
  *           example: "72758"
  *     
+ *     CreateFlexiRecordRequest:
+ *       type: object
+ *       required:
+ *         - sectionid
+ *         - name
+ *       properties:
+ *         sectionid:
+ *           type: string
+ *           description: Section identifier
+ *           example: "49097"
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           description: Name of the new flexi record
+ *           example: "Camp Kit Check"
+ *         dob:
+ *           $ref: '#/components/schemas/FlexiRecordOption'
+ *         age:
+ *           $ref: '#/components/schemas/FlexiRecordOption'
+ *         patrol:
+ *           $ref: '#/components/schemas/FlexiRecordOption'
+ *         type:
+ *           type: string
+ *           description: OSM record type
+ *           default: "none"
+ *           example: "none"
+ *     
+ *     FlexiRecordOption:
+ *       description: Whether the record shows this member column (defaults to on)
+ *       oneOf:
+ *         - type: boolean
+ *         - type: string
+ *           enum: ["0", "1", "true", "false"]
+ *         - type: integer
+ *           enum: [0, 1]
+ *       example: "1"
+ *     
+ *     AddFlexiColumnRequest:
+ *       type: object
+ *       required:
+ *         - sectionid
+ *         - flexirecordid
+ *         - columnName
+ *       properties:
+ *         sectionid:
+ *           type: string
+ *           description: Section identifier
+ *           example: "49097"
+ *         flexirecordid:
+ *           type: string
+ *           description: Flexi record identifier (extraid)
+ *           example: "72758"
+ *         columnName:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           description: Name of the new column
+ *           example: "Tent group"
+ *     
  *     StartupData:
  *       type: object
  *       properties:
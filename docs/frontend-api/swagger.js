@@ -1,3 +1,4 @@
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
@@ -66,7 +67,27 @@ const options = {
           `,
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Client-generated key for this write. Repeats with the same key get the first response back (with `Idempotency-Replayed: true`) instead of writing again.',
+          schema: { type: 'string', minLength: 1, maxLength: 255 },
+          example: '3f0c1d9e-7a4b-4e0a-9d2e-5b8c6a1f2e44',
+        },
+      },
       responses: {
+        ValidationFailed: {
+          description: 'The request does not match this specification (checked before OSM is called)',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ValidationError',
+              },
+            },
+          },
+        },
         Unauthorized: {
           description: 'Unauthorized - invalid or expired token',
           content: {
@@ -97,6 +118,16 @@ const options = {
             },
           },
         },
+        IdempotencyConflict: {
+          description: 'A request with the same Idempotency-Key is still being processed',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error',
+              },
+            },
+          },
+        },
         InternalServerError: {
           description: 'Internal server error',
           content: {
@@ -111,11 +142,13 @@ const options = {
     },
     security: [{ bearerAuth: [] }],
   },
+  // Resolved from this file, so the spec (and request validation built on
+  // it) is the same whatever directory the server is started from
   apis: [
-    './controllers/*.js',
-    './docs/frontend-api/schemas/*.js',
-    './docs/frontend-api/endpoints/*.js',
-    './server.js',
+    path.join(__dirname, '..', '..', 'controllers', '*.js'),
+    path.join(__dirname, 'schemas', '*.js'),
+    path.join(__dirname, 'endpoints', '*.js'),
+    path.join(__dirname, '..', '..', 'server.js'),
   ],
 };
 
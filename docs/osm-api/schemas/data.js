@@ -5,6 +5,7 @@
  *     OSMRawTerm:
  *       type: object
  *       description: Raw term data from OSM getTerms endpoint
+ *       required: [termid, name, startdate, enddate]
  *       properties:
  *         termid:
  *           type: string
@@ -26,7 +27,8 @@
  *           example: "2023-12-15"
  *         master_term:
  *           type: string
- *           description: Master term identifier
+ *           nullable: true
+ *           description: Master term identifier (null for most terms)
  *           example: "1"
  *     
  *     OSMRawSection:
@@ -58,6 +60,7 @@
  *     OSMRawEvent:
  *       type: object
  *       description: Raw event data from OSM events endpoint
+ *       required: [eventid, name, startdate]
  *       properties:
  *         eventid:
  *           type: string
@@ -69,14 +72,14 @@
  *           example: "Weekly Meeting"
  *         startdate:
  *           type: string
- *           format: date
- *           description: Event start date (YYYY-MM-DD)
- *           example: "2023-10-15"
+ *           pattern: '^\d{2}/\d{2}/\d{4}$'
+ *           description: Event start date (DD/MM/YYYY, unlike other OSM dates)
+ *           example: "15/10/2023"
  *         enddate:
  *           type: string
- *           format: date
- *           description: Event end date (YYYY-MM-DD)
- *           example: "2023-10-15"
+ *           pattern: '^(\d{2}/\d{2}/\d{4})?$'
+ *           description: Event end date (DD/MM/YYYY, unlike other OSM dates)
+ *           example: "15/10/2023"
  *         starttime:
  *           type: string
  *           description: Event start time (HH:MM)
@@ -112,10 +115,15 @@
  *       allOf:
  *         - $ref: '#/components/schemas/OSMMetadata'
  *         - type: object
+ *           required: [scoutid]
  *           properties:
+ *             scoutid:
+ *               type: string
+ *               description: Member identifier
+ *               example: "1601995"
  *             attending:
  *               type: string
- *               enum: ["Yes", "No", ""]
+ *               enum: ["Yes", "No", "Invited", ""]
  *               description: Attendance status
  *               example: "Yes"
  *             attendingdate:
@@ -131,6 +139,7 @@
  *     OSMRawFlexiRecord:
  *       type: object
  *       description: Raw flexi record from OSM flexi records endpoint
+ *       required: [extraid, name]
  *       properties:
  *         extraid:
  *           type: string
@@ -153,35 +162,47 @@
  *     OSMRawFlexiStructure:
  *       type: object
  *       description: Raw flexi record structure from OSM structure endpoint
+ *       required: [extraid, structure]
  *       properties:
+ *         extraid:
+ *           type: string
+ *           description: Flexible record identifier
+ *           example: "22222"
+ *         name:
+ *           type: string
+ *           description: Flexible record name
+ *           example: "Activity Badges"
+ *         config:
+ *           type: string
+ *           description: Column configuration, as a JSON-encoded array of {id, name, width}
+ *           example: '[{"id":"f_1","name":"Date Completed","width":"150"}]'
  *         structure:
- *           type: object
- *           description: Field structure definitions
- *           additionalProperties:
+ *           type: array
+ *           description: Column groups as shown in OSM's grid
+ *           items:
  *             type: object
  *             properties:
- *               name:
- *                 type: string
- *                 description: Field display name
- *                 example: "Date Completed"
- *               type:
- *                 type: string
- *                 description: Field data type
- *                 enum: ["text", "date", "select", "number", "textarea"]
- *                 example: "date"
- *               required:
- *                 type: string
- *                 enum: ["0", "1"]
- *                 description: Whether field is required
- *                 example: "0"
- *               tooltip:
- *                 type: string
- *                 description: Field tooltip/help text
- *                 example: "Date the badge was completed"
- *         columns:
- *           type: object
- *           description: Column configuration for display
- *           additionalProperties: true
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [field]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       description: Column display name
+ *                       example: "Date Completed"
+ *                     field:
+ *                       type: string
+ *                       description: Member field or flexi column id (f_1, f_2, etc.)
+ *                       example: "f_1"
+ *                     width:
+ *                       type: string
+ *                       example: "150px"
+ *                     editable:
+ *                       type: boolean
+ *                       description: Whether the column holds flexi values
+ *                       example: true
  *     
  *     OSMRawFlexiData:
  *       type: object
@@ -190,6 +211,7 @@
  *         - $ref: '#/components/schemas/OSMMetadata'
  *         - type: object
  *           description: Dynamic fields with f_ prefix
+ *           required: [scoutid]
  *           additionalProperties:
  *             type: string
  *             description: Field value (f_1, f_2, etc.)
@@ -22,6 +22,7 @@ module.exports = [
         URLSearchParams: 'readonly',
         fetch: 'readonly',
         Response: 'readonly',
+        AbortController: 'readonly',
       },
     },
     rules: {
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { sendValidationError } = require('../utils/responseHelpers');
+const { resolveRateLimitIdentity } = require('./rateLimiting');
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// A client on a poor connection may never see the answer to a write and send
+// it again. When the request carries an Idempotency-Key header, the first
+// response is kept for a while and handed back to any repeat instead of
+// repeating the write against OSM; a repeat that arrives while the first is
+// still being handled gets 409.
+const HEADER_NAME = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotency-Replayed';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// A request still marked in flight after this long never answered (e.g. the
+// handler threw); later repeats are let through rather than blocked for the
+// whole window.
+const IN_FLIGHT_TTL_MS = 2 * 60 * 1000;
+
+// These mean the write was turned away before it reached OSM (rate limits,
+// the circuit breaker, the request budget), so a repeat may try again.
+const UNSTORED_STATUSES = [429, 503];
+
+const IN_PROGRESS = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+const KEY_REUSED = 'IDEMPOTENCY_KEY_REUSED';
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the idempotency settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{windowMs: number, maxEntries: number}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  windowMs: readPositiveInt(env.IDEMPOTENCY_WINDOW_MS, DEFAULT_WINDOW_MS),
+  maxEntries: readPositiveInt(env.IDEMPOTENCY_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+});
+
+let config = loadConfigFromEnv();
+
+// Keyed by a digest of caller, route and key. Map preserves insertion order,
+// so the first entry is always the oldest and is the one evicted when full.
+const entries = new Map();
+const stats = { stored: 0, replayed: 0, conflicts: 0, evictions: 0 };
+
+/**
+ * Hashes a value so raw tokens and request bodies are never held in memory.
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Works out whose key this is. Keys are only unique per client, so the same
+ * key from someone else must never replay this caller's response. Known
+ * sessions keep their scope across token renewal; any other token is
+ * scoped to itself.
+ * @param {Object} req - Express request object
+ * @returns {string} Caller scope
+ */
+const resolveScope = (req) => {
+  const { identity } = resolveRateLimitIdentity(req);
+  const authHeader = req.headers?.authorization;
+  if (identity.startsWith('ip:') && authHeader) {
+    return `token:${digest(authHeader)}`;
+  }
+  return identity;
+};
+
+/**
+ * Fingerprints what a request asks for, so a key reused for a different
+ * write is refused rather than answered with an unrelated response.
+ * @param {Object} req - Express request object
+ * @returns {string} Hex digest of query and body
+ */
+const fingerprintRequest = (req) => digest(JSON.stringify([req.query || {}, req.body ?? null]));
+
+/**
+ * Drops expired entries and, past maxEntries, the oldest ones.
+ * @param {number} now - Current time in ms
+ * @returns {void}
+ */
+const prune = (now) => {
+  entries.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  });
+  while (entries.size > config.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions += 1;
+  }
+};
+
+/**
+ * Sends a stored response again.
+ * @param {Object} res - Express response object
+ * @param {Object} stored - {status, contentType, body}
+ * @returns {void}
+ */
+const replay = (res, stored) => {
+  res.set(REPLAYED_HEADER, 'true');
+  if (stored.contentType) {
+    res.set('Content-Type', stored.contentType);
+  }
+  res.status(stored.status).send(stored.body);
+};
+
+/**
+ * Middleware for POST proxy routes honouring the Idempotency-Key header.
+ * Requests without the header pass straight through.
+ * @returns {Function} Express middleware
+ */
+const idempotency = () => (req, res, next) => {
+  const idempotencyKey = req.get ? req.get(HEADER_NAME) : req.headers?.[HEADER_NAME.toLowerCase()];
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+  if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return sendValidationError(res, [`${HEADER_NAME} must be 1-${MAX_KEY_LENGTH} characters`]);
+  }
+
+  const now = Date.now();
+  prune(now);
+
+  const key = digest(`${resolveScope(req)}|${req.method}|${req.path}|${idempotencyKey}`);
+  const fingerprint = fingerprintRequest(req);
+  const existing = entries.get(key);
+
+  if (existing && !(existing.inFlight && now - existing.startedAt > IN_FLIGHT_TTL_MS)) {
+    if (existing.fingerprint !== fingerprint) {
+      stats.conflicts += 1;
+      return res.status(422).json({
+        error: `${HEADER_NAME} was already used for a different request`,
+        code: KEY_REUSED,
+      });
+    }
+    if (existing.inFlight) {
+      stats.conflicts += 1;
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: `A request with this ${HEADER_NAME} is still being processed`,
+        code: IN_PROGRESS,
+      });
+    }
+    stats.replayed += 1;
+    log.info(log.fmt`Replaying stored response for ${req.method} ${req.path}`, {
+      section: 'idempotency',
+      status: existing.response.status,
+      timestamp: new Date().toISOString(),
+    });
+    return replay(res, existing.response);
+  }
+
+  const entry = { inFlight: true, fingerprint, startedAt: now, expiresAt: now + config.windowMs, response: null };
+  entries.set(key, entry);
+  req.idempotencyKey = idempotencyKey;
+
+  // Everything the handlers send goes through res.send (res.json included)
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    res.send = send;
+    if (entries.get(key) === entry) {
+      if (UNSTORED_STATUSES.includes(res.statusCode)) {
+        entries.delete(key);
+      } else {
+        entry.inFlight = false;
+        entry.response = { status: res.statusCode, contentType: res.get('Content-Type'), body };
+        stats.stored += 1;
+      }
+    }
+    return send(body);
+  };
+  // Answered some other way (or not at all): nothing to replay, so let repeats through
+  res.on('finish', () => {
+    if (entries.get(key) === entry && entry.inFlight) {
+      entries.delete(key);
+    }
+  });
+
+  return next();
+};
+
+/**
+ * Idempotency settings and counts for /rate-limit-status.
+ * @returns {{windowMs: number, maxEntries: number, size: number, stored: number, replayed: number, conflicts: number, evictions: number}} Status
+ */
+const getStatus = () => ({ ...config, size: entries.size, ...stats });
+
+/**
+ * Forgets every stored response and clears the counts, re-reading settings
+ * from the environment with optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+  entries.clear();
+  stats.stored = 0;
+  stats.replayed = 0;
+  stats.conflicts = 0;
+  stats.evictions = 0;
+};
+
+module.exports = {
+  HEADER_NAME,
+  REPLAYED_HEADER,
+  IN_PROGRESS,
+  KEY_REUSED,
+  idempotency,
+  getStatus,
+  reset,
+};
@@ -9,19 +9,215 @@ const fallbackLogger = {
 };
 const log = logger || fallbackLogger;
 
-// Rate limiting tracking for our backend
+const osmRequestScheduler = require('../utils/osmRequestScheduler');
+const osmRetryPolicy = require('../utils/osmRetryPolicy');
+const osmRequestTimeouts = require('../utils/osmRequestTimeouts');
+const osmTrafficRecorder = require('../utils/osmTrafficRecorder');
+const { tokenStore } = require('../utils/tokenStore');
+
+// Backend rate limits by route tier (see FUTURE_ENHANCEMENTS.md). Each route
+// picks its tier at registration with rateLimitTier(); every tier counts
+// separately, so health checks never eat into a leader's OSM proxy quota.
+const RATE_LIMIT_TIERS = {
+  // High-frequency monitoring and docs
+  health: { perSecond: 50, perMinute: 500, perHour: 3000 },
+  // Sign-in, token and logout
+  auth: { perSecond: 10, perMinute: 60, perHour: 300 },
+  // OSM proxy: the hourly cap keeps us under OSM's 1000/hour limit
+  osm: { perSecond: 10, perMinute: 100, perHour: 900 },
+  // Admin and test endpoints get extra protection
+  admin: { perSecond: 2, perMinute: 20, perHour: 100 },
+};
+// Tests fire requests in tight bursts from one address, so scale every tier up
+const LIMIT_MULTIPLIER = process.env.NODE_ENV === 'test' ? 100 : 1;
+
+// Backend rate limiting state, keyed by `${tier}:${identity}` (see
+// resolveRateLimitIdentity). Each entry holds one GCRA theoretical arrival
+// time per window, so memory and work per request stay constant however much
+// traffic a caller sends.
 const rateLimitTracker = new Map();
 const BACKEND_RATE_LIMIT_WINDOW = 60000; // 1 minute window
-// Adjust limits based on environment
-const MAX_REQUESTS_PER_WINDOW = process.env.NODE_ENV === 'test' ? 1000 : 100; // Higher for tests
-
-// Per-second rate limiting to prevent burst requests
 const BACKEND_RATE_LIMIT_SECOND = 1000; // 1 second window
-const MAX_REQUESTS_PER_SECOND = process.env.NODE_ENV === 'test' ? 100 : 10; // 10 req/sec for development and production
-
-// Per-hour rate limiting to stay under OSM's 1000/hour limit
 const BACKEND_RATE_LIMIT_HOUR = 3600000; // 1 hour window (60 * 60 * 1000)
-const MAX_REQUESTS_PER_HOUR = process.env.NODE_ENV === 'test' ? 10000 : 900; // Higher for tests
+
+const LIMIT_FIELDS = ['perSecond', 'perMinute', 'perHour'];
+
+/**
+ * Checks a set of per-user limit overrides: tier names mapping to any of
+ * perSecond/perMinute/perHour as positive integers.
+ * @param {Object} override - e.g. `{ osm: { perHour: 3000 } }`
+ * @returns {Object} The override, unchanged
+ * @throws {Error} Unknown tier or field, or a limit that is not a positive integer
+ */
+const validateUserOverride = (override) => {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error('override must be an object of tier limits');
+  }
+  Object.entries(override).forEach(([tier, limits]) => {
+    if (!RATE_LIMIT_TIERS[tier]) {
+      throw new Error(`Unknown rate limit tier: ${tier}`);
+    }
+    if (!limits || typeof limits !== 'object') {
+      throw new Error(`${tier} limits must be an object`);
+    }
+    Object.entries(limits).forEach(([field, value]) => {
+      if (!LIMIT_FIELDS.includes(field)) {
+        throw new Error(`Unknown limit ${tier}.${field}`);
+      }
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${tier}.${field} must be a positive integer`);
+      }
+    });
+  });
+  return override;
+};
+
+/**
+ * Reads per-user overrides from RATE_LIMIT_USER_OVERRIDES, a JSON object
+ * keyed by OSM user id. A malformed value is logged and ignored, since a
+ * typo here must not stop the server from starting.
+ * @param {Object} env - Environment variables
+ * @returns {Map<string, Object>} Overrides by OSM user id
+ */
+const loadUserOverridesFromEnv = (env = process.env) => {
+  const overrides = new Map();
+  if (!env.RATE_LIMIT_USER_OVERRIDES) {
+    return overrides;
+  }
+  try {
+    Object.entries(JSON.parse(env.RATE_LIMIT_USER_OVERRIDES)).forEach(([userId, override]) => {
+      overrides.set(String(userId), validateUserOverride(override));
+    });
+  } catch (error) {
+    log.error(log.fmt`Ignoring RATE_LIMIT_USER_OVERRIDES: ${error.message}`, {
+      section: 'backend-rate-limit-config',
+      timestamp: new Date().toISOString(),
+    });
+    overrides.clear();
+  }
+  return overrides;
+};
+
+// Higher (or lower) limits for particular OSM users, e.g. admin accounts
+const userOverrides = loadUserOverridesFromEnv();
+
+/**
+ * Resolves a tier's limits for the current environment, with any override
+ * for the given OSM user applied.
+ * @param {string} tier - Tier name from RATE_LIMIT_TIERS
+ * @param {string|null} [userId] - OSM user id of the caller
+ * @returns {{perSecond: number, perMinute: number, perHour: number}} Limits
+ */
+const getTierLimits = (tier, userId = null) => {
+  const tierLimits = RATE_LIMIT_TIERS[tier];
+  if (!tierLimits) {
+    throw new Error(`Unknown rate limit tier: ${tier}`);
+  }
+  const limits = { ...tierLimits, ...(userId !== null && userOverrides.get(String(userId))?.[tier]) };
+  return {
+    perSecond: limits.perSecond * LIMIT_MULTIPLIER,
+    perMinute: limits.perMinute * LIMIT_MULTIPLIER,
+    perHour: limits.perHour * LIMIT_MULTIPLIER,
+  };
+};
+
+/**
+ * Sets or removes the limit overrides for one OSM user until the next
+ * restart (set RATE_LIMIT_USER_OVERRIDES to make them permanent).
+ * @param {string|number} userId - OSM user id
+ * @param {Object|null} override - Tier limits, or null to remove
+ * @returns {Object|null} The override now in effect
+ * @throws {Error} Invalid user id or override; the previous one stays in effect
+ */
+const setUserOverride = (userId, override) => {
+  if ((typeof userId !== 'string' && typeof userId !== 'number') || String(userId).trim() === '') {
+    throw new Error('userId is required');
+  }
+  const key = String(userId).trim();
+  if (override === null || override === undefined) {
+    userOverrides.delete(key);
+  } else {
+    userOverrides.set(key, validateUserOverride(override));
+  }
+  log.warn(log.fmt`Backend rate limit override ${override ? 'set' : 'removed'} for OSM user ${key}`, {
+    userId: key,
+    override: override || null,
+    section: 'backend-rate-limit-config',
+    timestamp: new Date().toISOString(),
+  });
+  return userOverrides.get(key) || null;
+};
+
+/**
+ * Current per-user overrides, for the admin endpoint.
+ * @returns {Object} Overrides keyed by OSM user id
+ */
+const getUserOverrides = () => Object.fromEntries(userOverrides);
+
+/**
+ * Works out who a request counts against. Callers with a session the token
+ * store knows (by Bearer token, else by session cookie) are counted per OSM
+ * user once their user id is known, so every tab and device a leader uses
+ * shares one budget, and per session until then. Requests without a known
+ * session - unauthenticated routes, and made-up tokens or cookies, which
+ * must not mint fresh budgets - are counted per IP address.
+ * @param {Object} req - Express request
+ * @returns {{identity: string, userId: string|null}} Tracker identity and OSM user id
+ */
+const resolveRateLimitIdentity = (req) => {
+  const authHeader = req.headers?.authorization;
+  let session = null;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    session = tokenStore.findByToken(authHeader.substring(7));
+  } else if (req.cookies?.session_id) {
+    const tokenData = tokenStore.get(req.cookies.session_id);
+    session = tokenData ? { sessionId: req.cookies.session_id, tokenData } : null;
+  }
+
+  const userId = session?.tokenData?.osm_user_id;
+  if (userId) {
+    return { identity: `user:${userId}`, userId: String(userId) };
+  }
+  if (session) {
+    return { identity: `session:${session.sessionId}`, userId: null };
+  }
+  return { identity: `ip:${req.ip || req.connection?.remoteAddress}`, userId: null };
+};
+
+/**
+ * Checks one window with the generic cell rate algorithm (GCRA). Requests
+ * are spaced `intervalMs` (window / limit) apart on average; up to `limit`
+ * may arrive together, after which each has to wait for the next slot.
+ * The whole state is the theoretical arrival time (TAT): when the window
+ * would be empty again if no more requests arrived.
+ * @param {number|undefined} tat - Stored TAT for the window (undefined when new)
+ * @param {number} now - Current time in ms
+ * @param {{limit: number, windowMs: number, intervalMs: number}} window - Window settings
+ * @returns {{allowed: boolean, remaining: number, nextTat: number, retryAt: number}} Outcome
+ */
+const checkGcraWindow = (tat, now, window) => {
+  // A TAT more than a window ahead can only come from the clock moving
+  // backwards; start the window afresh rather than lock the session out
+  const currentTat = tat > now && tat - now <= window.windowMs ? tat : now;
+  const nextTat = currentTat + window.intervalMs;
+  // Earliest time this request would fit inside the window
+  const retryAt = nextTat - window.windowMs;
+  // Requests left before this one is counted; 0 means this one is refused
+  const remaining = Math.min(Math.floor((window.windowMs - (currentTat - now)) / window.intervalMs + 1e-9), window.limit);
+  return {
+    allowed: retryAt <= now,
+    remaining: Math.max(remaining, 0),
+    nextTat,
+    retryAt,
+  };
+};
+
+// OSM proxy tier limits, kept under their original names for existing callers
+const {
+  perMinute: MAX_REQUESTS_PER_WINDOW,
+  perSecond: MAX_REQUESTS_PER_SECOND,
+  perHour: MAX_REQUESTS_PER_HOUR,
+} = getTierLimits('osm');
 
 // OSM Rate limit tracking per user
 const osmRateLimitTracker = new Map();
@@ -29,22 +225,9 @@ const osmRateLimitTracker = new Map();
 // Clean up old tracking data periodically
 setInterval(() => {
   const now = Date.now();
-  // Clean backend rate limit tracking
-  for (const [key, data] of rateLimitTracker.entries()) {
-    // Clean minute window requests
-    data.requests = data.requests.filter(timestamp => 
-      now - timestamp < BACKEND_RATE_LIMIT_WINDOW,
-    );
-    // Clean second window requests
-    data.secondRequests = data.secondRequests?.filter(timestamp => 
-      now - timestamp < BACKEND_RATE_LIMIT_SECOND,
-    ) || [];
-    // Clean hour window requests
-    data.hourRequests = data.hourRequests?.filter(timestamp => 
-      now - timestamp < BACKEND_RATE_LIMIT_HOUR,
-    ) || [];
-    
-    if (data.requests.length === 0 && data.secondRequests.length === 0 && data.hourRequests.length === 0) {
+  // Drop sessions whose windows have all refilled; they start empty again
+  for (const [key, tats] of rateLimitTracker.entries()) {
+    if (Object.values(tats).every((tat) => tat <= now)) {
       rateLimitTracker.delete(key);
     }
   }
@@ -55,177 +238,108 @@ setInterval(() => {
       osmRateLimitTracker.delete(key);
     }
   }
-}, 300000); // Clean every 5 minutes
-
-// Backend rate limiting middleware
-const backendRateLimit = (req, res, next) => {
-  const sessionId = req.cookies?.session_id || req.ip;
-
-  // Skip rate limiting for health and debug endpoints
-  if (req.path === '/health' || req.path === '/oauth/debug' || req.path.startsWith('/docs')) {
-    return next();
-  }
-
-  // Ensure rateLimitTracker is initialized for the sessionId
-  if (!rateLimitTracker.has(sessionId)) {
-    rateLimitTracker.set(sessionId, { requests: [], secondRequests: [], hourRequests: [] });
-  }
-
-  const userLimits = rateLimitTracker.get(sessionId);
-  const now = Date.now();
+}, 300000)?.unref?.(); // Clean every 5 minutes
 
-  // Validate userLimits and requests arrays
-  if (!userLimits || !Array.isArray(userLimits.requests)) {
-    userLimits.requests = [];
-  }
-  if (!Array.isArray(userLimits.secondRequests)) {
-    userLimits.secondRequests = [];
-  }
-  if (!Array.isArray(userLimits.hourRequests)) {
-    userLimits.hourRequests = [];
-  }
+/**
+ * Creates the backend rate limiting middleware for one tier. Register it on
+ * each route, e.g. `app.get('/health', rateLimitTier('health'), handler)`.
+ * Sets tier-specific `x-backend-ratelimit-*` headers plus the legacy
+ * headers, and answers 429 once any window is used up.
+ * @param {string} tier - Tier name from RATE_LIMIT_TIERS
+ * @returns {Function} Express middleware
+ */
+const rateLimitTier = (tier) => {
+  /**
+   * Builds the windows for a set of limits, checked in this order:
+   * per-second first (most restrictive), then the hourly total, then per-minute.
+   * @param {{perSecond: number, perMinute: number, perHour: number}} limits - Limits
+   * @returns {Array<Object>} Window settings
+   */
+  const buildWindows = (limits) => [
+    { name: 'second', title: 'Per-Second', limit: limits.perSecond, windowMs: BACKEND_RATE_LIMIT_SECOND, label: 'per second', error: 'Rate limit exceeded. Too many requests per second.' },
+    { name: 'hour', title: 'Per-Hour', limit: limits.perHour, windowMs: BACKEND_RATE_LIMIT_HOUR, label: 'per hour', error: 'Rate limit exceeded. Too many requests per hour.' },
+    { name: 'minute', title: 'Per-Minute', limit: limits.perMinute, windowMs: BACKEND_RATE_LIMIT_WINDOW, label: 'per minute', error: 'Rate limit exceeded. Please try again later.' },
+  ].map((window) => ({ ...window, intervalMs: window.windowMs / window.limit }));
 
-  // Clean up old requests outside all rate limit windows
-  userLimits.requests = userLimits.requests.filter(timestamp => now - timestamp < BACKEND_RATE_LIMIT_WINDOW);
-  userLimits.secondRequests = userLimits.secondRequests.filter(timestamp => now - timestamp < BACKEND_RATE_LIMIT_SECOND);
-  userLimits.hourRequests = userLimits.hourRequests.filter(timestamp => now - timestamp < BACKEND_RATE_LIMIT_HOUR);
+  const tierWindows = buildWindows(getTierLimits(tier));
 
-  // Calculate remaining requests for all windows
-  const remaining = MAX_REQUESTS_PER_WINDOW - userLimits.requests.length;
-  const remainingPerSecond = MAX_REQUESTS_PER_SECOND - userLimits.secondRequests.length;
-  const remainingPerHour = MAX_REQUESTS_PER_HOUR - userLimits.hourRequests.length;
-  
-  const resetTime = userLimits.requests.length > 0
-    ? Math.ceil((userLimits.requests[0] + BACKEND_RATE_LIMIT_WINDOW) / 1000)
-    : Math.ceil((Date.now() + BACKEND_RATE_LIMIT_WINDOW) / 1000);
-  
-  const resetTimeSecond = userLimits.secondRequests.length > 0
-    ? Math.ceil((userLimits.secondRequests[0] + BACKEND_RATE_LIMIT_SECOND) / 1000)
-    : Math.ceil((Date.now() + BACKEND_RATE_LIMIT_SECOND) / 1000);
-  
-  const resetTimeHour = userLimits.hourRequests.length > 0
-    ? Math.ceil((userLimits.hourRequests[0] + BACKEND_RATE_LIMIT_HOUR) / 1000)
-    : Math.ceil((Date.now() + BACKEND_RATE_LIMIT_HOUR) / 1000);
-
-  // Ensure rate limit headers are always set (show the most restrictive limit)
-  res.set({
-    'x-backend-ratelimit-limit-minute': MAX_REQUESTS_PER_WINDOW,
-    'x-backend-ratelimit-remaining-minute': Math.max(remaining, 0),
-    'x-backend-ratelimit-reset-minute': resetTime,
-    'x-backend-ratelimit-limit-second': MAX_REQUESTS_PER_SECOND,
-    'x-backend-ratelimit-remaining-second': Math.max(remainingPerSecond, 0),
-    'x-backend-ratelimit-reset-second': resetTimeSecond,
-    'x-backend-ratelimit-limit-hour': MAX_REQUESTS_PER_HOUR,
-    'x-backend-ratelimit-remaining-hour': Math.max(remainingPerHour, 0),
-    'x-backend-ratelimit-reset-hour': resetTimeHour,
-    // Legacy headers for backward compatibility (use most restrictive)
-    'x-backend-ratelimit-limit': MAX_REQUESTS_PER_WINDOW,
-    'x-backend-ratelimit-remaining': Math.max(Math.min(remaining, remainingPerSecond, remainingPerHour), 0),
-    'x-backend-ratelimit-reset': resetTime,
-  });
+  const middleware = (req, res, next) => {
+    const { identity, userId } = resolveRateLimitIdentity(req);
+    const trackerKey = `${tier}:${identity}`;
+    const windows = userId !== null && userOverrides.get(userId)?.[tier]
+      ? buildWindows(getTierLimits(tier, userId))
+      : tierWindows;
+    const now = Date.now();
 
-  // Check per-second rate limit first (more restrictive)
-  if (userLimits.secondRequests.length >= MAX_REQUESTS_PER_SECOND) {
-    log.warn(log.fmt`Backend Per-Second Rate Limit Exceeded: ${req.path}`, {
-      endpoint: req.path,
-      method: req.method,
-      identifier: sessionId,
-      clientIp: req.ip || req.connection?.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      rateLimitInfo: {
-        limit: MAX_REQUESTS_PER_SECOND,
-        remaining: 0,
-        reset: resetTimeSecond,
-        window: 'per second',
-        requestCount: userLimits.secondRequests.length,
-      },
-      section: 'backend-rate-limit-second',
-      timestamp: new Date().toISOString(),
+    // One theoretical arrival time per window; a new session starts empty
+    const tats = rateLimitTracker.get(trackerKey) || {};
+    const usage = windows.map((window) => {
+      const check = checkGcraWindow(tats[window.name], now, window);
+      return {
+        ...window,
+        ...check,
+        reset: Math.ceil((check.allowed ? check.nextTat : check.retryAt) / 1000),
+      };
     });
-        
-    return res.status(429).json({
-      error: 'Rate limit exceeded. Too many requests per second.',
-      rateLimit: {
-        limit: MAX_REQUESTS_PER_SECOND,
-        remaining: 0,
-        reset: resetTimeSecond,
-        window: 'per second',
-        retryAfter: Math.ceil((resetTimeSecond * 1000 - Date.now()) / 1000),
-      },
-    });
-  }
+    const byName = Object.fromEntries(usage.map((window) => [window.name, window]));
 
-  // Check per-hour rate limit (most restrictive for total volume)
-  if (userLimits.hourRequests.length >= MAX_REQUESTS_PER_HOUR) {
-    log.warn(log.fmt`Backend Per-Hour Rate Limit Exceeded: ${req.path}`, {
-      endpoint: req.path,
-      method: req.method,
-      identifier: sessionId,
-      clientIp: req.ip || req.connection?.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      rateLimitInfo: {
-        limit: MAX_REQUESTS_PER_HOUR,
-        remaining: 0,
-        reset: resetTimeHour,
-        window: 'per hour',
-        requestCount: userLimits.hourRequests.length,
-      },
-      section: 'backend-rate-limit-hour',
-      timestamp: new Date().toISOString(),
-    });
-        
-    return res.status(429).json({
-      error: 'Rate limit exceeded. Too many requests per hour.',
-      rateLimit: {
-        limit: MAX_REQUESTS_PER_HOUR,
-        remaining: 0,
-        reset: resetTimeHour,
-        window: 'per hour',
-        retryAfter: Math.ceil((resetTimeHour * 1000 - Date.now()) / 1000),
-      },
+    // Ensure rate limit headers are always set (legacy ones show the most restrictive limit)
+    const headers = { 'x-backend-ratelimit-tier': tier };
+    usage.forEach((window) => {
+      headers[`x-backend-ratelimit-limit-${window.name}`] = window.limit;
+      headers[`x-backend-ratelimit-remaining-${window.name}`] = window.remaining;
+      headers[`x-backend-ratelimit-reset-${window.name}`] = window.reset;
     });
-  }
+    // Legacy headers for backward compatibility
+    headers['x-backend-ratelimit-limit'] = byName.minute.limit;
+    headers['x-backend-ratelimit-remaining'] = Math.min(...usage.map((window) => window.remaining));
+    headers['x-backend-ratelimit-reset'] = byName.minute.reset;
+    res.set(headers);
 
-  // Check per-minute rate limit
-  if (userLimits.requests.length >= MAX_REQUESTS_PER_WINDOW) {
-    // Log backend rate limiting
-    log.warn(log.fmt`Backend Per-Minute Rate Limit Exceeded: ${req.path}`, {
-      endpoint: req.path,
-      method: req.method,
-      identifier: sessionId,
-      clientIp: req.ip || req.connection?.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      rateLimitInfo: {
-        limit: MAX_REQUESTS_PER_WINDOW,
-        remaining: 0,
-        reset: resetTime,
-        window: 'per minute',
-        requestCount: userLimits.requests.length,
-      },
-      section: 'backend-rate-limit-minute',
-      timestamp: new Date().toISOString(),
-    });
-        
-    return res.status(429).json({
-      error: 'Rate limit exceeded. Please try again later.',
-      rateLimit: {
-        limit: MAX_REQUESTS_PER_WINDOW,
-        remaining: 0,
-        reset: resetTime,
-        window: 'per minute',
-        retryAfter: Math.ceil((resetTime * 1000 - Date.now()) / 1000),
-      },
-    });
-  }
+    const exceeded = usage.find((window) => !window.allowed);
+    if (exceeded) {
+      log.warn(log.fmt`Backend ${exceeded.title} Rate Limit Exceeded (${tier} tier): ${req.path}`, {
+        endpoint: req.path,
+        method: req.method,
+        identifier: identity,
+        tier,
+        clientIp: req.ip || req.connection?.remoteAddress,
+        userAgent: req.headers['user-agent'],
+        rateLimitInfo: {
+          limit: exceeded.limit,
+          remaining: 0,
+          reset: exceeded.reset,
+          window: exceeded.label,
+        },
+        section: `backend-rate-limit-${exceeded.name}`,
+        timestamp: new Date().toISOString(),
+      });
+
+      return res.status(429).json({
+        error: exceeded.error,
+        rateLimit: {
+          tier,
+          limit: exceeded.limit,
+          remaining: 0,
+          reset: exceeded.reset,
+          window: exceeded.label,
+          retryAfter: Math.max(Math.ceil((exceeded.retryAt - now) / 1000), 1),
+        },
+      });
+    }
 
-  // Add the current request timestamp to all arrays
-  userLimits.requests.push(now);
-  userLimits.secondRequests.push(now);
-  userLimits.hourRequests.push(now);
+    // Count the request in every window only once all of them allow it
+    rateLimitTracker.set(trackerKey, Object.fromEntries(usage.map((window) => [window.name, window.nextTat])));
 
-  next();
+    next();
+  };
+  middleware.tier = tier;
+  return middleware;
 };
 
+// The OSM proxy tier, under its original name
+const backendRateLimit = rateLimitTier('osm');
+
 // Check if we should allow OSM API request based on tracked rate limits
 const shouldAllowOSMRequest = (sessionId) => {
   if (!sessionId) return true; // Allow if no session tracking
@@ -260,8 +374,13 @@ const shouldAllowOSMRequest = (sessionId) => {
   return osmInfo.remaining === null || osmInfo.remaining > 0;
 };
 
-// OSM API request wrapper that handles rate limiting
-const makeOSMRequest = async (url, options = {}, sessionId = null) => {
+// OSM API request wrapper that handles rate limiting, timeouts and retries.
+// `callOptions` sets the call's queue priority and deadline (see
+// utils/osmRequestScheduler.js), `timeoutMs` per attempt and a `signal` that
+// cancels it (see utils/osmRequestTimeouts.js), `idempotent` lets a non-GET
+// call be retried, and `onRetry` is told about each retry (see
+// utils/osmRetryPolicy.js).
+const makeOSMRequest = async (url, options = {}, sessionId = null, callOptions = {}) => {
   // Check rate limits before making request
   if (sessionId && !shouldAllowOSMRequest(sessionId)) {
     const osmInfo = osmRateLimitTracker.get(sessionId);
@@ -290,7 +409,68 @@ const makeOSMRequest = async (url, options = {}, sessionId = null) => {
     return response;
   }
 
-  const response = await fetch(url, options);
+  // Every session draws on the same OSM limit, so each attempt waits its
+  // turn for the shared budget and a concurrency slot
+  const method = options.method || 'GET';
+  const priority = callOptions.priority || osmRequestScheduler.getPriorityForEndpoint(null, method);
+  const timeoutMs = osmRequestTimeouts.getTimeoutForEndpoint(null, callOptions.timeoutMs);
+  const signal = callOptions.signal || null;
+  let response;
+  try {
+    ({ response } = await osmRetryPolicy.withRetry(() => osmRequestScheduler.schedule(() => osmRequestTimeouts.withTimeout(
+      (attemptSignal) => osmTrafficRecorder.osmFetch(url, { ...options, signal: attemptSignal }),
+      { timeoutMs, signal },
+    ), {
+      priority,
+      deadlineMs: callOptions.deadlineMs,
+      signal,
+    }), {
+      method,
+      idempotent: callOptions.idempotent,
+      shouldStop: () => Boolean(signal?.aborted),
+      onRetry: (retry) => {
+        // Handlers log retries against their own request; log the rest here
+        if (callOptions.onRetry) {
+          callOptions.onRetry(retry);
+          return;
+        }
+        log.warn(log.fmt`Retrying OSM request after ${retry.reason}: ${url}`, {
+          url,
+          sessionId,
+          method,
+          ...retry,
+          section: 'osm-retry',
+          timestamp: new Date().toISOString(),
+        });
+      },
+    }));
+  } catch (error) {
+    if (signal?.aborted) {
+      // Nobody is waiting for the answer any more
+      throw osmRequestTimeouts.isCancelledError(error) ? error : osmRequestTimeouts.cancelledError();
+    }
+    if (osmRequestTimeouts.isTimeoutError(error)) {
+      log.warn(log.fmt`OSM request timed out: ${url}`, {
+        url,
+        sessionId,
+        method,
+        timeoutMs,
+        section: 'osm-timeout',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (!osmRequestScheduler.isSchedulerError(error)) {
+      throw error;
+    }
+    osmRequestScheduler.logRejection(error, { url, sessionId, method, priority });
+    return new Response(JSON.stringify({
+      error: error.code === osmRequestScheduler.BUDGET_EXHAUSTED
+        ? 'OSM request budget exhausted'
+        : 'OSM request queue is full',
+      code: error.code,
+      retryAfter: error.retryAfter,
+    }), { status: 429, headers: { 'Retry-After': String(error.retryAfter) } });
+  }
     
   // Extract rate limit headers from OSM response
   const limit = response.headers.get('X-RateLimit-Limit');
@@ -445,6 +625,12 @@ const addRateLimitInfoToResponse = (req, res, data) => {
 };
 
 module.exports = {
+  RATE_LIMIT_TIERS,
+  getTierLimits,
+  rateLimitTier,
+  resolveRateLimitIdentity,
+  setUserOverride,
+  getUserOverrides,
   backendRateLimit,
   makeOSMRequest,
   getSessionId,
@@ -457,4 +643,5 @@ module.exports = {
   BACKEND_RATE_LIMIT_SECOND,
   MAX_REQUESTS_PER_HOUR,
   BACKEND_RATE_LIMIT_HOUR,
+  rateLimitTracker,
 };
@@ -0,0 +1,173 @@
+const { specs } = require('../docs/frontend-api/swagger');
+const { validate, formatError } = require('../utils/schemaValidator');
+const { sendValidationError, sendErrorResponse } = require('../utils/responseHelpers');
+const { validateAccessToken } = require('../utils/validators');
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Checks requests against the frontend API spec (docs/frontend-api) before
+// they reach a handler, so the spec is the one place a route's query
+// params and JSON body are defined. Types, required fields, enums, lengths
+// and patterns all come from there; a request that breaks any of them gets
+// 400 with every problem listed in `validationErrors`. Header params are
+// left to their own middleware (e.g. Idempotency-Key). Requests without an
+// access token pass straight through, so the handler's 401 still comes
+// before any 400. A route the spec does not describe answers 500 rather
+// than reaching OSM unchecked.
+//
+// Query values arrive as strings: they are converted for integer, number
+// and boolean params, and an empty value counts as missing (OpenAPI's
+// allowEmptyValue defaults to false).
+
+const SCALAR_COERCIONS = {
+  integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : value),
+  number: (value) => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value),
+  boolean: (value) => ({ true: true, false: false }[value] ?? value),
+};
+
+// Compiled rules by 'METHOD /path'; null for an operation the spec lacks
+const compiled = new Map();
+
+/**
+ * Looks up a local reference in the spec's components.
+ * @param {Object} item - Parameter or request body, possibly a $ref
+ * @returns {Object} Referenced item, or the item itself
+ * @throws {Error} Reference to a component that does not exist
+ */
+const resolveComponent = (item) => {
+  if (!item || !item.$ref) {
+    return item;
+  }
+  const [, kind, name] = item.$ref.match(/^#\/components\/([^/]+)\/(.+)$/) || [];
+  const resolved = specs.components?.[kind]?.[name];
+  if (!resolved) {
+    throw new Error(`Unknown spec reference: ${item.$ref}`);
+  }
+  return resolved;
+};
+
+/**
+ * The rules the spec sets for one route.
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path as mounted, e.g. '/get-events'
+ * @returns {{query: Array<Object>, body: ({required: boolean, schema: Object}|null)}|null}
+ *   Query params ({name, required, schema}) and JSON body; null when the
+ *   spec does not describe the route
+ */
+const getRequestRules = (method, path) => {
+  const key = `${String(method).toUpperCase()} ${path}`;
+  if (!compiled.has(key)) {
+    const operation = specs.paths?.[path]?.[String(method).toLowerCase()];
+    compiled.set(key, operation ? {
+      query: (operation.parameters || [])
+        .map(resolveComponent)
+        .filter((param) => param.in === 'query')
+        .map(({ name, required = false, schema = {} }) => ({ name, required, schema })),
+      body: operation.requestBody?.content?.['application/json']
+        ? {
+          required: Boolean(operation.requestBody.required),
+          schema: operation.requestBody.content['application/json'].schema,
+        }
+        : null,
+    } : null);
+  }
+  return compiled.get(key);
+};
+
+/**
+ * Converts a query value to the type its schema asks for, where it can.
+ * @param {any} value - Value from req.query
+ * @param {Object} schema - Param schema
+ * @returns {any} Converted value, or the value unchanged
+ */
+const coerceQueryValue = (value, schema) => {
+  const resolved = schema.$ref ? resolveComponent(schema) : schema;
+  const coerce = SCALAR_COERCIONS[resolved.type];
+  return coerce && typeof value === 'string' ? coerce(value) : value;
+};
+
+/**
+ * Lists every way a request breaks the spec for its route.
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path as mounted
+ * @param {Object} req - Express request object (query and body are read)
+ * @returns {Array<string>} Problems, e.g. 'termid is required'; empty when valid
+ *   or when the spec does not describe the route
+ */
+const checkRequest = (method, path, req) => {
+  const rules = getRequestRules(method, path);
+  if (!rules) {
+    return [];
+  }
+
+  const schemas = specs.components?.schemas || {};
+  const errors = [];
+  rules.query.forEach(({ name, required, schema }) => {
+    const value = req.query?.[name];
+    if (value === undefined || value === '') {
+      if (required) {
+        errors.push({ path: name, message: 'is required' });
+      }
+      return;
+    }
+    errors.push(...validate(schema, coerceQueryValue(value, schema), schemas, name));
+  });
+
+  if (rules.body) {
+    const body = req.body === undefined ? {} : req.body;
+    if (rules.body.required || Object.keys(body).length > 0) {
+      errors.push(...validate(rules.body.schema, body, schemas));
+    }
+  }
+
+  return errors.map((error) => formatError(error, 'body'));
+};
+
+/**
+ * Middleware that rejects requests the spec does not allow, before the
+ * route's handler (and OSM) sees them. Reads the route from req.route, so
+ * it must be mounted on the route itself. Routes missing from the spec get
+ * 500: the handlers rely on these checks, so they never run without them.
+ * @returns {Function} Express middleware
+ */
+const validateRequest = () => (req, res, next) => {
+  const path = req.route?.path;
+  if (!path || !validateAccessToken(req).valid) {
+    return next();
+  }
+  if (getRequestRules(req.method, path) === null) {
+    log.error(log.fmt`No spec for ${req.method} ${path}: request refused`, {
+      method: req.method,
+      path,
+      section: 'request-validation',
+    });
+    return sendErrorResponse(res, 500, 'Request validation unavailable for this route');
+  }
+
+  const errors = checkRequest(req.method, path, req);
+  if (errors.length === 0) {
+    return next();
+  }
+
+  log.info(log.fmt`Request rejected by spec: ${req.method} ${path}`, {
+    method: req.method,
+    path,
+    validationErrors: errors,
+    section: 'request-validation',
+    timestamp: new Date().toISOString(),
+  });
+  return sendValidationError(res, errors);
+};
+
+module.exports = {
+  getRequestRules,
+  checkRequest,
+  validateRequest,
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { OSM_ENDPOINTS, endpointRoute } = require('../utils/osmEndpointRegistry');
+
+// A stand-in for OSM that serves canned fixtures for every OSM URL the
+// backend calls, so the backend can run locally and in integration tests
+// without real OSM credentials. Point the backend at it with OSM_BASE_URL.
+// Failures are scripted per endpoint, over HTTP (/__mock/failures) or from
+// a test holding the object createMockOSM returns.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_PORT = 3001;
+
+// OSM's startup endpoint answers JavaScript: this assignment, then the JSON
+const STARTUP_PREFIX = 'var data_holder = ';
+
+const BLOCKED_TITLE = 'Online Scout Manager (OSM): Blocked';
+
+// Sign-in is served by its own handlers below; every other registry entry
+// is a fixture route
+const SIGN_IN_ENDPOINTS = ['oauthAuthorize', 'oauthToken'];
+
+// Every OSM URL the backend uses, by the registry name that calls it. An
+// `action` must match the query string's action parameter as well.
+const ROUTES = Object.keys(OSM_ENDPOINTS)
+  .filter((name) => !SIGN_IN_ENDPOINTS.includes(name))
+  .map(endpointRoute);
+
+const FAILURE_TYPES = ['rateLimit', 'blocked', 'gone', 'slow', 'status'];
+
+/**
+ * Finds the route a request is for.
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {Object} query - Parsed query string
+ * @returns {Object|null} Route, or null for an unknown URL
+ */
+const matchRoute = (method, pathname, query) => {
+  return ROUTES.find((route) => {
+    if (route.method !== method) {
+      return false;
+    }
+    const pathMatches = route.path instanceof RegExp ? route.path.test(pathname) : route.path === pathname;
+    return pathMatches && (!route.action || query.action === route.action);
+  }) || null;
+};
+
+/**
+ * Reads a fixture from disk. Read on every request, so fixtures can be
+ * edited while the mock is running.
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} name - Route or fixture name
+ * @returns {any} Parsed fixture
+ */
+const loadFixture = (fixturesDir, name) => {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+};
+
+/**
+ * Checks a scripted failure.
+ * @param {Object} rule - Failure rule
+ * @returns {Object} The rule with defaults filled in
+ * @throws {Error} Unknown type or a missing setting
+ */
+const validateFailure = (rule) => {
+  if (!rule || !FAILURE_TYPES.includes(rule.type)) {
+    throw new Error(`type must be one of: ${FAILURE_TYPES.join(', ')}`);
+  }
+  if (rule.endpoint !== undefined && rule.endpoint !== '*' && !ROUTES.some((route) => route.name === rule.endpoint)) {
+    throw new Error(`Unknown endpoint: ${rule.endpoint}`);
+  }
+  if (rule.type === 'status' && !(Number.isInteger(rule.status) && rule.status >= 400 && rule.status <= 599)) {
+    throw new Error('status failures need a status between 400 and 599');
+  }
+  if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times > 0)) {
+    throw new Error('times must be a positive integer');
+  }
+  return {
+    endpoint: '*',
+    delayMs: 5000,
+    retryAfter: 60,
+    scope: 'endpoint',
+    ...rule,
+  };
+};
+
+/**
+ * The Blocked page OSM serves once it stops accepting requests. An
+ * IP-wide block names the IP address in the body.
+ * @param {'ip'|'endpoint'} scope - What the block covers
+ * @returns {string} HTML page
+ */
+const blockedPage = (scope) => `<!DOCTYPE html>
+<html>
+<head><title>${BLOCKED_TITLE}</title></head>
+<body><p>${scope === 'ip'
+    ? 'Your IP address has been blocked because of too many requests.'
+    : 'Access to this part of OSM has been blocked because of too many requests.'}</p></body>
+</html>`;
+
+/**
+ * Creates a mock OSM.
+ * @param {Object} [options] - Options
+ * @param {string} [options.fixturesDir] - Where fixtures are read from
+ * @param {number} [options.rateLimit] - Requests per hour reported in X-RateLimit-* headers
+ * @param {Array<Object>} [options.failures] - Failures to script from the start
+ * @returns {Object} { app, addFailure, clearFailures, requests, reset, listen }
+ */
+const createMockOSM = (options = {}) => {
+  const { fixturesDir = FIXTURES_DIR, rateLimit = 1000, failures: initialFailures = [] } = options;
+  const app = express();
+  let failures = [];
+  const requests = [];
+  let quota = { resetAt: Date.now() + 3600000, used: 0 };
+
+  /**
+   * Scripts a failure for matching requests.
+   * @param {Object} rule - { type, endpoint?, times?, status?, delayMs?, retryAfter?, scope? }
+   * @returns {Object} The stored rule
+   */
+  const addFailure = (rule) => {
+    const failure = validateFailure(rule);
+    failures.push(failure);
+    return failure;
+  };
+
+  /**
+   * Removes every scripted failure.
+   * @returns {void}
+   */
+  const clearFailures = () => {
+    failures = [];
+  };
+
+  /**
+   * Takes the first scripted failure for an endpoint, using up one of its times.
+   * @param {string} endpoint - Route name
+   * @returns {Object|null} Failure, or null to answer normally
+   */
+  const takeFailure = (endpoint) => {
+    const failure = failures.find((rule) => rule.endpoint === '*' || rule.endpoint === endpoint);
+    if (failure && failure.times !== undefined) {
+      failure.times -= 1;
+      if (failure.times === 0) {
+        failures = failures.filter((rule) => rule !== failure);
+      }
+    }
+    return failure || null;
+  };
+
+  /**
+   * Counts a request against the hourly limit and sets OSM's headers.
+   * @param {Object} res - Express response object
+   * @param {boolean} exhausted - Report the limit as used up
+   * @returns {void}
+   */
+  const setRateLimitHeaders = (res, exhausted = false) => {
+    const now = Date.now();
+    if (now >= quota.resetAt) {
+      quota = { resetAt: now + 3600000, used: 0 };
+    }
+    quota.used += 1;
+    res.set({
+      'X-RateLimit-Limit': String(rateLimit),
+      'X-RateLimit-Remaining': String(exhausted ? 0 : Math.max(rateLimit - quota.used, 0)),
+      'X-RateLimit-Reset': String(Math.ceil(quota.resetAt / 1000)),
+    });
+  };
+
+  initialFailures.forEach(addFailure);
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.get('/__mock/failures', (_req, res) => res.json({ failures }));
+  app.post('/__mock/failures', (req, res) => {
+    try {
+      res.status(201).json(addFailure(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  app.delete('/__mock/failures', (_req, res) => {
+    clearFailures();
+    res.status(204).end();
+  });
+  app.get('/__mock/requests', (_req, res) => res.json({ requests }));
+
+  // Signing in: the browser is sent straight back with a code
+  app.get('/oauth/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.query;
+    if (!redirectUri) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+    }
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', `mock-code-${crypto.randomUUID()}`);
+    if (state) {
+      target.searchParams.set('state', state);
+    }
+    requests.push({ endpoint: 'oauthAuthorize', method: 'GET', url: req.originalUrl });
+    return res.redirect(302, target.toString());
+  });
+
+  // Each exchange or refresh issues fresh tokens, so sessions never collide
+  app.post('/oauth/token', (req, res) => {
+    requests.push({ endpoint: 'oauthToken', method: 'POST', url: req.originalUrl, body: { grant_type: req.body.grant_type } });
+    const grantType = req.body.grant_type;
+    if (!['authorization_code', 'refresh_token'].includes(grantType)) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if ((grantType === 'authorization_code' && !req.body.code) || (grantType === 'refresh_token' && !req.body.refresh_token)) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    const id = crypto.randomUUID();
+    return res.json({
+      ...loadFixture(fixturesDir, 'oauthToken'),
+      access_token: `mock-access-${id}`,
+      refresh_token: `mock-refresh-${id}`,
+    });
+  });
+
+  app.use(async (req, res) => {
+    const route = matchRoute(req.method, req.path, req.query);
+    if (!route) {
+      return res.status(404).json({ error: `Mock OSM has no fixture for ${req.method} ${req.originalUrl}` });
+    }
+    requests.push({ endpoint: route.name, method: req.method, url: req.originalUrl, body: req.body });
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    const failure = takeFailure(route.name);
+    if (failure?.type === 'slow') {
+      await new Promise((resolve) => setTimeout(resolve, failure.delayMs));
+    }
+
+    if (failure?.type === 'rateLimit') {
+      setRateLimitHeaders(res, true);
+      res.set('Retry-After', String(failure.retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+    if (failure?.type === 'blocked') {
+      return res.status(200).type('html').send(blockedPage(failure.scope));
+    }
+    if (failure?.type === 'gone') {
+      return res.status(410).type('text').send('Gone');
+    }
+
+    setRateLimitHeaders(res);
+    if (failure?.type === 'status') {
+      return res.status(failure.status).json({ error: `Mock OSM failure (${failure.status})` });
+    }
+
+    const fixture = loadFixture(fixturesDir, route.name);
+    if (route.name === 'getStartupData') {
+      return res.type('application/javascript').send(`${STARTUP_PREFIX}${JSON.stringify(fixture)}`);
+    }
+    return res.json(fixture);
+  });
+
+  return {
+    app,
+    addFailure,
+    clearFailures,
+    requests,
+    /**
+     * Clears failures, the request log and the rate limit window.
+     * @returns {void}
+     */
+    reset: () => {
+      clearFailures();
+      requests.length = 0;
+      quota = { resetAt: Date.now() + 3600000, used: 0 };
+    },
+    /**
+     * Starts listening.
+     * @param {number} [port] - Port; 0 picks a free one
+     * @returns {Promise<import('http').Server>} Listening server
+     */
+    listen: (port = DEFAULT_PORT) => new Promise((resolve) => {
+      const server = app.listen(port, () => resolve(server));
+    }),
+  };
+};
+
+/**
+ * Reads failures to script at start-up from MOCK_OSM_FAILURES, a JSON array.
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Failure rules
+ */
+const loadFailuresFromEnv = (env = process.env) => {
+  if (!env.MOCK_OSM_FAILURES) {
+    return [];
+  }
+  const parsed = JSON.parse(env.MOCK_OSM_FAILURES);
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+if (require.main === module) {
+  const mock = createMockOSM({ failures: loadFailuresFromEnv() });
+  const port = Number.parseInt(process.env.MOCK_OSM_PORT, 10) || DEFAULT_PORT;
+  mock.listen(port).then(() => {
+    console.log(`🧪 Mock OSM listening on http://localhost:${port}`);
+    console.log(`   Start the backend with OSM_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  ROUTES,
+  FAILURE_TYPES,
+  STARTUP_PREFIX,
+  createMockOSM,
+  matchRoute,
+};
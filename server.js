@@ -3,6 +3,7 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const https = require('https');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Load environment variables
 require('dotenv').config();
@@ -11,7 +12,9 @@ require('dotenv').config();
 const { Sentry, logger } = require('./config/sentry');
 
 // Import middleware and controllers
-const { backendRateLimit } = require('./middleware/rateLimiting');
+const { rateLimitTier, RATE_LIMIT_TIERS, setUserOverride, getUserOverrides } = require('./middleware/rateLimiting');
+const { idempotency } = require('./middleware/idempotency');
+const { validateRequest } = require('./middleware/requestValidation');
 const authController = require('./controllers/auth');
 const osmController = require('./controllers/osm');
 
@@ -31,8 +34,17 @@ const {
   oAuthCallbackLogger,
 } = require('./utils/serverHelpers');
 const { osmHealthLogger } = require('./utils/osmHealthLogger');
-const { detectBlockedResponse } = require('./utils/responseHelpers');
+const { getBlockedScope } = require('./utils/responseHelpers');
 const osmCircuitBreaker = require('./utils/osmCircuitBreaker');
+const oauthState = require('./utils/oauthState');
+const { startAlertWebhooks } = require('./utils/alertWebhooks');
+const { endpointUrl } = require('./utils/osmEndpointRegistry');
+
+// The callback's token exchange reports to the global and oauth breakers
+const oauthCallbackBreakers = osmCircuitBreaker.forEndpoint('oauthCallback');
+
+// Tell leaders when OSM blocks the backend (no-op unless OSM_ALERT_WEBHOOK_URLS is set)
+startAlertWebhooks();
 
 // Successfully loaded documentation
 console.log('✅ Frontend API docs loaded:', frontendApiDocs.specs.info.title, '(' + Object.keys(frontendApiDocs.specs.paths).length + ' endpoints)');
@@ -40,6 +52,10 @@ console.log('✅ Frontend API docs loaded:', frontendApiDocs.specs.info.title, '
 
 const app = express();
 
+// The session cookie outlives individual access tokens: it is what lets
+// POST /token/refresh find the stored refresh token.
+const SESSION_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
 // Security: Validate frontend URL against whitelist to prevent open redirect vulnerabilities
 const validateFrontendUrl = (url) => {
   if (!url || typeof url !== 'string') {
@@ -226,17 +242,19 @@ app.use(cors({
   origin: createCorsOriginValidator(allowedOrigins, prPreviewPattern),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Priority', 'Idempotency-Key'],
+  exposedHeaders: ['X-Cache', 'Idempotency-Replayed'],
   optionsSuccessStatus: 200,
 }));
 
 app.use(express.json());
 app.use(cookieParser());
-app.use(backendRateLimit); // Apply rate limiting middleware to all routes
 
 // ========================================
 // ROUTES - Using imported controllers
 // ========================================
+// Every route registers its backend rate limit tier (health, auth, osm or
+// admin - see RATE_LIMIT_TIERS in middleware/rateLimiting.js)
 
 // Backend API Documentation endpoints - Clean setup
 const swaggerUi = require('swagger-ui-express');
@@ -246,7 +264,8 @@ const swaggerUi = require('swagger-ui-express');
  * @route GET /backend-docs
  * @returns {text/html} 200 - Rendered Swagger UI
  */
-app.use('/backend-docs', swaggerUi.serve);
+// The docs page and its assets share one limiter here rather than per route
+app.use('/backend-docs', rateLimitTier('health'), swaggerUi.serve);
 app.get('/backend-docs', swaggerUi.setup(frontendApiDocs.specs, {
   customSiteTitle: 'Vikings OSM Backend API Documentation',
   explorer: false,
@@ -258,7 +277,7 @@ app.get('/backend-docs', swaggerUi.setup(frontendApiDocs.specs, {
  * @route GET /backend-docs.json
  * @returns {object} 200 - OpenAPI JSON
  */
-app.get('/backend-docs.json', createJsonSpecEndpoint(frontendApiDocs.specs));
+app.get('/backend-docs.json', rateLimitTier('health'), createJsonSpecEndpoint(frontendApiDocs.specs));
 
 /**
  * Docs: Legacy OpenAPI spec JSON (backward compatibility).
@@ -266,7 +285,7 @@ app.get('/backend-docs.json', createJsonSpecEndpoint(frontendApiDocs.specs));
  * @route GET /api-docs.json
  * @returns {object} 200 - OpenAPI JSON (same as /backend-docs.json)
  */
-app.get('/api-docs.json', createJsonSpecEndpoint(frontendApiDocs.specs));
+app.get('/api-docs.json', rateLimitTier('health'), createJsonSpecEndpoint(frontendApiDocs.specs));
 
 // OSM API Documentation endpoints - DISABLED to fix conflicts
 // const osmApp = require('express')();
@@ -285,12 +304,13 @@ app.get('/api-docs.json', createJsonSpecEndpoint(frontendApiDocs.specs));
 // });
 
 // Rate limit monitoring endpoint
-app.get('/rate-limit-status', osmController.getRateLimitStatus);
+app.get('/rate-limit-status', rateLimitTier('health'), osmController.getRateLimitStatus);
 
 // OAuth/Authentication endpoints
-app.get('/token', authController.getCurrentToken);
-app.get('/validate-token', authController.validateTokenEndpoint);
-app.post('/logout', authController.logout);
+app.get('/token', rateLimitTier('auth'), authController.getCurrentToken);
+app.post('/token/refresh', rateLimitTier('auth'), authController.refreshToken);
+app.get('/validate-token', rateLimitTier('auth'), authController.validateTokenEndpoint);
+app.post('/logout', rateLimitTier('auth'), authController.logout);
 
 // Add comprehensive API monitoring middleware
 const apiMonitoringMiddleware = (req, res, next) => {
@@ -426,7 +446,7 @@ app.use(apiMonitoringMiddleware);
  *   "tokenStats": { "total": 2, "active": 2, "expired": 0 }
  * }
  */
-app.get('/health', (req, res) => {
+app.get('/health', rateLimitTier('health'), (req, res) => {
   const { getTokenStats } = require('./controllers/auth');
   const stats = getTokenStats();
   const uptime = Math.round(process.uptime());
@@ -508,26 +528,26 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Admin: Inspect in-memory tokens (disabled in production).
+ * Admin: Inspect stored tokens (disabled in production).
  *
  * @tags Admin
  * @route GET /admin/tokens
  * @returns {object} 200 - Summary and redacted token list
  * @returns {object} 403 - When NODE_ENV=production
  */
-app.get('/admin/tokens', (req, res) => {
+app.get('/admin/tokens', rateLimitTier('admin'), (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({ error: 'Admin endpoints disabled in production' });
   }
   
-  const { getTokenStats, userTokens } = require('./controllers/auth');
+  const { getTokenStats, tokenStore } = require('./controllers/auth');
   const stats = getTokenStats();
   
   // Get detailed token info without exposing actual tokens
   const tokenDetails = [];
   const now = Date.now();
   
-  for (const [sessionId, tokenData] of userTokens.entries()) {
+  for (const [sessionId, tokenData] of tokenStore.entries()) {
     const timeToExpiry = tokenData.expires_at - now;
     const isExpired = timeToExpiry <= 0;
     
@@ -553,51 +573,42 @@ app.get('/admin/tokens', (req, res) => {
 });
 
 /**
- * Admin: Remove expired tokens from memory (disabled in production).
+ * Admin: Remove expired tokens from the token store (disabled in production).
  *
  * @tags Admin
  * @route POST /admin/tokens/cleanup
  * @returns {object} 200 - Cleanup summary
  * @returns {object} 403 - When NODE_ENV=production
  */
-app.post('/admin/tokens/cleanup', (req, res) => {
+app.post('/admin/tokens/cleanup', rateLimitTier('admin'), (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({ error: 'Admin endpoints disabled in production' });
   }
   
-  const { userTokens } = require('./controllers/auth');
-  const now = Date.now();
-  let cleanedCount = 0;
-  
-  for (const [sessionId, tokenData] of userTokens.entries()) {
-    if (now > tokenData.expires_at) {
-      userTokens.delete(sessionId);
-      cleanedCount++;
-    }
-  }
+  const { tokenStore } = require('./controllers/auth');
+  const cleanedCount = tokenStore.deleteExpired(Date.now());
   
   res.json({
     message: `Cleaned up ${cleanedCount} expired tokens`,
-    remaining: userTokens.size,
+    remaining: tokenStore.size(),
   });
 });
 
 /**
- * Admin: Clear all tokens from memory (disabled in production).
+ * Admin: Clear all tokens from the token store (disabled in production).
  *
  * @tags Admin
  * @route POST /admin/tokens/clear
  * @returns {object} 200 - Clear summary
  * @returns {object} 403 - When NODE_ENV=production
  */
-app.post('/admin/tokens/clear', (req, res) => {
+app.post('/admin/tokens/clear', rateLimitTier('admin'), (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({ error: 'Admin endpoints disabled in production' });
   }
   
-  const { userTokens } = require('./controllers/auth');
-  const clearedCount = userTokens.size;
-  userTokens.clear();
+  const { tokenStore } = require('./controllers/auth');
+  const clearedCount = tokenStore.clear();
   
   res.json({
     message: `Cleared all ${clearedCount} tokens`,
@@ -627,43 +638,111 @@ const requireAdminKey = (req, res) => {
 };
 
 /**
- * Admin: Inspect the OSM circuit breaker state.
+ * Admin: Inspect the OSM circuit breakers - the global breaker (IP-level
+ * blocks) and one per endpoint group.
  * @tags Admin
  * @route GET /admin/osm-breaker
- * @returns {object} 200 - Breaker status
+ * @returns {object} 200 - { policy, breakers: { global, events, members, flexirecords, startup, oauth } } with each breaker's status
+ * @returns {object} 401 - Wrong or missing x-admin-key
+ * @returns {object} 503 - ADMIN_API_KEY not configured
+ */
+app.get('/admin/osm-breaker', rateLimitTier('admin'), (req, res) => {
+  if (!requireAdminKey(req, res)) {
+    return;
+  }
+  res.json({ policy: osmCircuitBreaker.getPolicy(), breakers: osmCircuitBreaker.getAllStatus() });
+});
+
+/**
+ * Admin: Change the cooldown policy shared by the OSM circuit breakers until
+ * the next restart (set the OSM_BREAKER_* variables to make it permanent).
+ * @tags Admin
+ * @route POST /admin/osm-breaker/policy
+ * @param {object} req.body - Any of { baseCooldownMs, multiplier, maxCooldownMs, jitter, successesToShrink }
+ * @returns {object} 200 - { policy } now in effect
+ * @returns {object} 400 - Invalid policy; the previous one stays in effect
  * @returns {object} 401 - Wrong or missing x-admin-key
  * @returns {object} 503 - ADMIN_API_KEY not configured
  */
-app.get('/admin/osm-breaker', (req, res) => {
+app.post('/admin/osm-breaker/policy', rateLimitTier('admin'), (req, res) => {
   if (!requireAdminKey(req, res)) {
     return;
   }
-  res.json(osmCircuitBreaker.getStatus());
+  try {
+    res.json({ policy: osmCircuitBreaker.setPolicy(req.body) });
+  } catch (error) {
+    res.status(400).json({ error: `Invalid breaker policy: ${error.message}`, policy: osmCircuitBreaker.getPolicy() });
+  }
 });
 
 /**
- * Admin: Force-trip or force-reset the OSM circuit breaker.
+ * Admin: Force-trip or force-reset one OSM circuit breaker.
  * @tags Admin
  * @route POST /admin/osm-breaker
- * @param {object} req.body - { "action": "trip" | "reset" }
- * @returns {object} 200 - Updated breaker status
- * @returns {object} 400 - Unknown action
+ * @param {object} req.body - { "action": "trip" | "reset", "breaker": "global" (default) | "events" | "members" | "flexirecords" | "startup" | "oauth" }
+ * @returns {object} 200 - { breaker, ...status } for the updated breaker
+ * @returns {object} 400 - Unknown action or breaker
  * @returns {object} 401 - Wrong or missing x-admin-key
  * @returns {object} 503 - ADMIN_API_KEY not configured
  */
-app.post('/admin/osm-breaker', (req, res) => {
+app.post('/admin/osm-breaker', rateLimitTier('admin'), (req, res) => {
   if (!requireAdminKey(req, res)) {
     return;
   }
-  const { action } = req.body || {};
+  const { action, breaker: name = osmCircuitBreaker.GLOBAL_BREAKER } = req.body || {};
+  const breaker = osmCircuitBreaker.getBreaker(name);
+  if (!breaker) {
+    return res.status(400).json({
+      error: `Unknown breaker: ${name}`,
+      breakers: Object.keys(osmCircuitBreaker.getAllStatus()),
+    });
+  }
   if (action === 'trip') {
-    osmCircuitBreaker.trip();
+    breaker.trip();
   } else if (action === 'reset') {
-    osmCircuitBreaker.reset();
+    breaker.reset();
   } else {
     return res.status(400).json({ error: `Unknown action: ${action}` });
   }
-  res.json(osmCircuitBreaker.getStatus());
+  res.json({ breaker: name, ...breaker.getStatus() });
+});
+
+/**
+ * Admin: List per-user backend rate limit overrides.
+ * @tags Admin
+ * @route GET /admin/rate-limit-overrides
+ * @returns {object} 200 - { tiers, overrides } with overrides keyed by OSM user id
+ * @returns {object} 401 - Wrong or missing x-admin-key
+ * @returns {object} 503 - ADMIN_API_KEY not configured
+ */
+app.get('/admin/rate-limit-overrides', rateLimitTier('admin'), (req, res) => {
+  if (!requireAdminKey(req, res)) {
+    return;
+  }
+  res.json({ tiers: RATE_LIMIT_TIERS, overrides: getUserOverrides() });
+});
+
+/**
+ * Admin: Set or remove one OSM user's backend rate limit override until the
+ * next restart (set RATE_LIMIT_USER_OVERRIDES to make it permanent).
+ * @tags Admin
+ * @route POST /admin/rate-limit-overrides
+ * @param {object} req.body - { "userId": "12345", "limits": { "osm": { "perHour": 3000 } } }; "limits": null removes the override
+ * @returns {object} 200 - { userId, limits } now in effect
+ * @returns {object} 400 - Invalid user id or limits; the previous override stays in effect
+ * @returns {object} 401 - Wrong or missing x-admin-key
+ * @returns {object} 503 - ADMIN_API_KEY not configured
+ */
+app.post('/admin/rate-limit-overrides', rateLimitTier('admin'), (req, res) => {
+  if (!requireAdminKey(req, res)) {
+    return;
+  }
+  const { userId, limits = null } = req.body || {};
+  try {
+    res.json({ userId: String(userId), limits: setUserOverride(userId, limits) });
+  } catch (error) {
+    res.status(400).json({ error: `Invalid rate limit override: ${error.message}` });
+  }
 });
 
 /**
@@ -671,140 +750,140 @@ app.post('/admin/osm-breaker', (req, res) => {
  * @tags OSM
  * @route GET /get-terms
  */
-app.get('/get-terms', osmController.getTerms); // Updated to GET
+app.get('/get-terms', rateLimitTier('osm'), validateRequest(), osmController.getTerms); // Updated to GET
 
 /**
  * OSM: Section configuration proxy.
  * @tags OSM
  * @route GET /get-section-config
  */
-app.get('/get-section-config', osmController.getSectionConfig); // Updated to GET
+app.get('/get-section-config', rateLimitTier('osm'), validateRequest(), osmController.getSectionConfig); // Updated to GET
 
 /**
  * OSM: User roles proxy.
  * @tags OSM
  * @route GET /get-user-roles
  */
-app.get('/get-user-roles', osmController.getUserRoles); // Updated to GET
+app.get('/get-user-roles', rateLimitTier('osm'), validateRequest(), osmController.getUserRoles); // Updated to GET
 
 /**
  * OSM: Events proxy.
  * @tags OSM
  * @route GET /get-events
  */
-app.get('/get-events', osmController.getEvents); // Updated to GET
+app.get('/get-events', rateLimitTier('osm'), validateRequest(), osmController.getEvents); // Updated to GET
 
 /**
  * OSM: Event attendance proxy.
  * @tags OSM
  * @route GET /get-event-attendance
  */
-app.get('/get-event-attendance', osmController.getEventAttendance);
+app.get('/get-event-attendance', rateLimitTier('osm'), validateRequest(), osmController.getEventAttendance);
 
 /**
  * OSM: Programme summary proxy (meeting list for a section/term).
  * @tags OSM
  * @route GET /get-programme-summary
  */
-app.get('/get-programme-summary', osmController.getProgrammeSummary);
+app.get('/get-programme-summary', rateLimitTier('osm'), validateRequest(), osmController.getProgrammeSummary);
 
 /**
  * OSM: Event sharing status proxy.
  * @tags OSM
  * @route GET /get-event-sharing-status
  */
-app.get('/get-event-sharing-status', osmController.getEventSharingStatus);
+app.get('/get-event-sharing-status', rateLimitTier('osm'), validateRequest(), osmController.getEventSharingStatus);
 
 /**
  * OSM: Shared event attendance proxy.
  * @tags OSM
  * @route GET /get-shared-event-attendance
  */
-app.get('/get-shared-event-attendance', osmController.getSharedEventAttendance);
+app.get('/get-shared-event-attendance', rateLimitTier('osm'), validateRequest(), osmController.getSharedEventAttendance);
 
 /**
  * OSM: Event summary proxy.
  * @tags OSM
  * @route GET /get-event-summary
  */
-app.get('/get-event-summary', osmController.getEventSummary);
+app.get('/get-event-summary', rateLimitTier('osm'), validateRequest(), osmController.getEventSummary);
 
 /**
  * OSM: Contact details proxy.
  * @tags OSM
  * @route GET /get-contact-details
  */
-app.get('/get-contact-details', osmController.getContactDetails);
+app.get('/get-contact-details', rateLimitTier('osm'), validateRequest(), osmController.getContactDetails);
 
 /**
  * OSM: Members list proxy.
  * @tags OSM
  * @route GET /get-list-of-members
  */
-app.get('/get-list-of-members', osmController.getListOfMembers);
+app.get('/get-list-of-members', rateLimitTier('osm'), validateRequest(), osmController.getListOfMembers);
 
 /**
  * OSM: Flexi records proxy.
  * @tags OSM
  * @route GET /get-flexi-records
  */
-app.get('/get-flexi-records', osmController.getFlexiRecords);
+app.get('/get-flexi-records', rateLimitTier('osm'), validateRequest(), osmController.getFlexiRecords);
 
 /**
  * OSM: Flexi structure proxy.
  * @tags OSM
  * @route GET /get-flexi-structure
  */
-app.get('/get-flexi-structure', osmController.getFlexiStructure);
+app.get('/get-flexi-structure', rateLimitTier('osm'), validateRequest(), osmController.getFlexiStructure);
 
 /**
  * OSM: Single flexi record proxy.
  * @tags OSM
  * @route GET /get-single-flexi-record
  */
-app.get('/get-single-flexi-record', osmController.getSingleFlexiRecord);
+app.get('/get-single-flexi-record', rateLimitTier('osm'), validateRequest(), osmController.getSingleFlexiRecord);
 
 /**
  * OSM: Update single flexi record.
  * @tags OSM
  * @route POST /update-flexi-record
  */
-app.post('/update-flexi-record', osmController.updateFlexiRecord);
+app.post('/update-flexi-record', rateLimitTier('osm'), validateRequest(), idempotency(), osmController.updateFlexiRecord);
 
 /**
  * OSM: Bulk update flexi record.
  * @tags OSM
  * @route POST /multi-update-flexi-record
  */
-app.post('/multi-update-flexi-record', osmController.multiUpdateFlexiRecord);
+app.post('/multi-update-flexi-record', rateLimitTier('osm'), validateRequest(), idempotency(), osmController.multiUpdateFlexiRecord);
 
 /**
  * OSM: Create new flexi record.
  * @tags OSM
  * @route POST /create-flexi-record
  */
-app.post('/create-flexi-record', osmController.createFlexiRecord);
+app.post('/create-flexi-record', rateLimitTier('osm'), validateRequest(), idempotency(), osmController.createFlexiRecord);
 
 /**
  * OSM: Add column to flexi record.
  * @tags OSM
  * @route POST /add-flexi-column
  */
-app.post('/add-flexi-column', osmController.addFlexiColumn);
+app.post('/add-flexi-column', rateLimitTier('osm'), validateRequest(), idempotency(), osmController.addFlexiColumn);
 
 /**
  * OSM: Startup data proxy.
  * @tags OSM
  * @route GET /get-startup-data
  */
-app.get('/get-startup-data', osmController.getStartupData);
+app.get('/get-startup-data', rateLimitTier('osm'), validateRequest(), osmController.getStartupData);
 
 /**
  * OSM: Members grid (transformed).
  * @tags OSM
  * @route POST /get-members-grid
  */
-app.post('/get-members-grid', osmController.getMembersGrid);
+app.post('/get-members-grid', rateLimitTier('osm'), validateRequest(), idempotency(), osmController.getMembersGrid);
 
 /**
  * Monitoring: Sentry test helper.
@@ -816,7 +895,7 @@ app.post('/get-members-grid', osmController.getMembersGrid);
  * @param {string} [query.type] - One of: error, message, exception
  * @returns {object} 200 - Guidance or confirmation
  */
-app.get('/test-sentry', createTestEndpoint({
+app.get('/test-sentry', rateLimitTier('admin'), createTestEndpoint({
   'error': (_req, _res) => {
     throw new Error('Test error for Sentry - this is expected!');
   },
@@ -857,7 +936,7 @@ app.get('/test-sentry', createTestEndpoint({
  * @param {string} [query.type] - One of: error, message, exception
  * @returns {object} 200 - Guidance or confirmation
  */
-app.get('/test-sentry', createTestEndpoint({
+app.get('/test-sentry', rateLimitTier('admin'), createTestEndpoint({
   'error': (_req, _res) => {
     throw new Error('Test error for Sentry - this is expected!');
   },
@@ -896,7 +975,7 @@ app.get('/test-sentry', createTestEndpoint({
  * @param {string} [query.type] - backend-stress | osm-simulation
  * @returns {object} 200 - Guidance or simulation
  */
-app.get('/test-rate-limits', createTestEndpoint({
+app.get('/test-rate-limits', rateLimitTier('admin'), createTestEndpoint({
   'backend-stress': (req, res) => {
     // This will trigger backend rate limiting after multiple requests
     res.json({ 
@@ -943,7 +1022,7 @@ app.get('/test-rate-limits', createTestEndpoint({
  * @route GET /oauth/debug
  * @returns {object} 200 - Environment and token diagnostics
  */
-app.get('/oauth/debug', (req, res) => {
+app.get('/oauth/debug', rateLimitTier('health'), (req, res) => {
   const { getTokenStats } = require('./controllers/auth');
   const { getSessionId } = require('./middleware/rateLimiting');
   
@@ -969,7 +1048,8 @@ app.get('/oauth/debug', (req, res) => {
       totalTokens: tokenStats.total,
       activeTokens: tokenStats.active,
       expiredTokens: tokenStats.expired,
-      memoryUsage: tokenStats.total > 0 ? 'In-memory (not persistent)' : 'Empty',
+      backend: tokenStats.backend,
+      persistent: tokenStats.backend !== 'memory',
     },
     environment: {
       nodeEnv: process.env.NODE_ENV || 'development',
@@ -982,7 +1062,7 @@ app.get('/oauth/debug', (req, res) => {
       !process.env.BACKEND_URL ? 'BACKEND_URL not set' : null,
       !process.env.FRONTEND_URL ? 'FRONTEND_URL not set' : null,
     ].filter(Boolean),
-    authUrl: `https://www.onlinescoutmanager.co.uk/oauth/authorize?client_id=${process.env.OAUTH_CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.BACKEND_URL || 'https://vikings-osm-backend.onrender.com')}/oauth/callback&scope=section%3Amember%3Aread%20section%3Aprogramme%3Aread%20section%3Aevent%3Aread%20section%3Aevent%3Awrite&response_type=code&state=debug`,
+    authUrl: `${endpointUrl('oauthAuthorize')}?client_id=${process.env.OAUTH_CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.BACKEND_URL || 'https://vikings-osm-backend.onrender.com')}/oauth/callback&scope=section%3Amember%3Aread%20section%3Aprogramme%3Aread%20section%3Aevent%3Aread%20section%3Aevent%3Awrite&response_type=code&state=debug`,
   });
 });
 
@@ -995,7 +1075,7 @@ app.get('/oauth/debug', (req, res) => {
  * @param {string} [query.frontend_url] - Frontend URL for callback redirect
  * @returns {object} 302 - Redirect to OSM OAuth authorization
  */
-app.get('/oauth/login', (req, res) => {
+app.get('/oauth/login', rateLimitTier('auth'), (req, res) => {
   // Check OAuth configuration
   if (!process.env.OAUTH_CLIENT_ID || !process.env.OAUTH_CLIENT_SECRET) {
     logger.error('OAuth login attempted but credentials not configured', {
@@ -1022,16 +1102,22 @@ app.get('/oauth/login', (req, res) => {
   if (frontend_url) {
     stateParam += `&frontend_url=${encodeURIComponent(frontend_url)}`;
   }
+
+  // OSM only ever sees a signed, single-use nonce wrapping that state, plus
+  // the PKCE challenge; the callback checks both before exchanging the code.
+  const { state: signedState, codeChallenge, codeChallengeMethod } = oauthState.createState(stateParam);
   
   // OAuth scope
   const scope = 'section:member:read section:programme:read section:event:read section:flexirecord:write';
   
   // Construct the OAuth authorization URL
-  const authUrl = 'https://www.onlinescoutmanager.co.uk/oauth/authorize?' +
+  const authUrl = `${endpointUrl('oauthAuthorize')}?` +
     `client_id=${encodeURIComponent(process.env.OAUTH_CLIENT_ID)}&` +
     `redirect_uri=${encodeURIComponent(redirectUri)}&` +
-    `state=${encodeURIComponent(stateParam)}&` +
+    `state=${encodeURIComponent(signedState)}&` +
     `scope=${encodeURIComponent(scope)}&` +
+    `code_challenge=${encodeURIComponent(codeChallenge)}&` +
+    `code_challenge_method=${codeChallengeMethod}&` +
     'response_type=code';
 
   logger.info('OAuth login initiated - redirecting to OSM', {
@@ -1056,7 +1142,7 @@ app.get('/oauth/login', (req, res) => {
  * @param {string} [query.frontend_url] - Explicit override
  * @returns {object} 200 - Detection details and scenarios
  */
-app.get('/test-frontend-url', (req, res) => {
+app.get('/test-frontend-url', rateLimitTier('admin'), (req, res) => {
   const detectedUrl = getFrontendUrl(req, { enableLogging: true });
   
   // Parse the current request to understand the context
@@ -1297,7 +1383,13 @@ function buildRedirectUrl(frontendUrl, isIOS, params) {
  * @example iOS error
  * 302 Location: vikings://oauth-callback?error=access_denied
  */
-app.get('/oauth/callback', async (req, res) => {
+app.get('/oauth/callback', rateLimitTier('auth'), async (req, res) => {
+  // Platform and frontend URL are read from the state, so swap the signed
+  // state for the one we wrapped at login before anything parses it. A state
+  // we did not issue (or already used) is dropped and rejected below.
+  const stateCheck = oauthState.consumeState(req.query.state);
+  req.query.state = stateCheck.valid ? stateCheck.legacyState : undefined;
+
   const platform = parsePlatformFromState(req.query.state);
   const isIOS = platform === 'ios';
   const frontendUrl = getFrontendUrl(req, {enableLogging: true});
@@ -1351,6 +1443,18 @@ app.get('/oauth/callback', async (req, res) => {
       return res.redirect(buildRedirectUrl(frontendUrl, isIOS, { error: 'no_code' }));
     }
 
+    if (!stateCheck.valid) {
+      (logger?.warn || console.warn)('OAuth callback rejected: state not issued by this server or already used', {
+        reason: stateCheck.reason,
+        clientIp: req.ip,
+        section: 'oauth-security',
+        securityAction: 'state_validation_failed',
+        endpoint: '/oauth/callback',
+        timestamp: new Date().toISOString(),
+      });
+      return res.redirect(buildRedirectUrl(frontendUrl, isIOS, { error: 'invalid_state' }));
+    }
+
     // Exchange authorization code for access token
     // IMPORTANT: redirect_uri must match exactly what was sent in the authorization request
     const baseRedirectUri = `${process.env.BACKEND_URL || 'https://vikings-osm-backend.onrender.com'}/oauth/callback`;
@@ -1389,6 +1493,7 @@ app.get('/oauth/callback', async (req, res) => {
       client_secret: process.env.OAUTH_CLIENT_SECRET,
       code: code,
       redirect_uri: fullRedirectUri,
+      code_verifier: stateCheck.codeVerifier,
     };
     
     // Enhanced logging for token exchange request
@@ -1397,6 +1502,7 @@ app.get('/oauth/callback', async (req, res) => {
       clientId: tokenPayload.client_id,
       hasClientSecret: !!tokenPayload.client_secret,
       hasCode: !!tokenPayload.code,
+      hasCodeVerifier: !!tokenPayload.code_verifier,
       codeLength: tokenPayload.code ? tokenPayload.code.length : 0,
       redirectUri: tokenPayload.redirect_uri,
       section: 'oauth-token-exchange-request',
@@ -1406,7 +1512,7 @@ app.get('/oauth/callback', async (req, res) => {
     
     oAuthCallbackLogger.logTokenExchange(tokenPayload);
 
-    const breakerGeneration = osmCircuitBreaker.getGeneration();
+    const breakerGeneration = oauthCallbackBreakers.getGeneration();
 
     // Retry logic for token exchange with better timeout handling
     let tokenResponse;
@@ -1416,7 +1522,7 @@ app.get('/oauth/callback', async (req, res) => {
       try {
         oAuthCallbackLogger.logTokenExchangeAttempt(attempt, maxRetries);
         
-        tokenResponse = await fetch('https://www.onlinescoutmanager.co.uk/oauth/token', {
+        tokenResponse = await fetch(endpointUrl('oauthToken'), {
           method: 'POST',
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -1483,8 +1589,9 @@ app.get('/oauth/callback', async (req, res) => {
         });
 
         if (looksHTML || contentType.includes('text/html')) {
-          if (detectBlockedResponse(rawResponseText)) {
-            osmCircuitBreaker.recordBlocked();
+          const blockedScope = getBlockedScope(rawResponseText);
+          if (blockedScope) {
+            oauthCallbackBreakers.recordBlocked(blockedScope);
           }
           // HTML response - this is the error we're trying to capture.
           // Capture a wide preview (OSM's "Blocked" page is ~8-9KB) so the full
@@ -1578,7 +1685,20 @@ app.get('/oauth/callback', async (req, res) => {
 
     // Log successful token exchange
     osmHealthLogger.logTokenExchange(true, tokenData);
-    osmCircuitBreaker.recordSuccess(breakerGeneration);
+    oauthCallbackBreakers.recordSuccess(breakerGeneration);
+
+    // Keep the session (and its refresh token) server-side so the access
+    // token can be renewed without another trip through /oauth/login.
+    if (tokenData.access_token) {
+      const sessionId = crypto.randomUUID();
+      authController.storeToken(sessionId, tokenData);
+      res.cookie('session_id', sessionId, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+        maxAge: SESSION_COOKIE_MAX_AGE_MS,
+      });
+    }
 
     if (!tokenData.access_token) {
       (logger?.error || console.error)('Missing access_token at redirect-build (defensive guard)', {
@@ -1687,6 +1807,8 @@ if (process.env.NODE_ENV !== 'test') {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, shutting down gracefully');
+      // Write out token changes still waiting in the file store's debounce
+      authController.tokenStore.flush();
       process.exit(0);
     });
   }
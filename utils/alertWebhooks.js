@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+
+const osmCircuitBreaker = require('./osmCircuitBreaker');
+const { osmHealthLogger } = require('./osmHealthLogger');
+
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Defaults keep the worst case (every attempt timing out, with the backoff
+// between them) under a minute, so leaders hear about a block promptly.
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const SIGNATURE_HEADER = 'X-Vikings-Signature';
+const TIMESTAMP_HEADER = 'X-Vikings-Timestamp';
+const EVENT_HEADER = 'X-Vikings-Event';
+
+/**
+ * Formats a UTC time for alert text.
+ * @param {string|null} isoTime - ISO timestamp
+ * @returns {string} e.g. "14:05 UTC", or "unknown"
+ */
+const formatTime = (isoTime) => (isoTime ? `${isoTime.substring(11, 16)} UTC` : 'unknown');
+
+/**
+ * Builds the human-readable alert line. Slack-compatible endpoints show
+ * `text`; everything else can use the structured fields beside it.
+ * @param {string} event - Event name, e.g. 'breaker.trip'
+ * @param {Object} data - Event payload
+ * @returns {string} Message text
+ */
+const formatAlertText = (event, data) => {
+  const isGlobal = data.breaker === osmCircuitBreaker.GLOBAL_BREAKER;
+  switch (event) {
+  case 'breaker.trip':
+    return isGlobal
+      ? `🚨 OSM has blocked the backend. All OSM requests are paused until ${formatTime(data.status?.nextProbeAt)}.`
+      : `⚠️ OSM has blocked ${data.breaker} requests. They are paused until ${formatTime(data.status?.nextProbeAt)}. OSM said only these requests are blocked, so others continue.`;
+  case 'breaker.recover':
+    return `✅ OSM ${isGlobal ? 'access' : `${data.breaker} requests`} recovered - requests are flowing again.`;
+  case 'breaker.reset':
+    return `ℹ️ The OSM ${data.breaker} circuit breaker was reset.`;
+  case 'health.blocked':
+    return '🚨 OSM is returning its Blocked page to sign-ins. Leaders cannot sign in.';
+  case 'health.failing':
+    return `🚨 OSM sign-ins are failing: ${data.consecutiveFailures} in a row.`;
+  case 'health.degraded':
+    return `⚠️ OSM sign-ins are degraded: ${data.consecutiveFailures} failures in a row.`;
+  case 'health.recovered':
+    return `✅ OSM sign-ins recovered after ${data.previousFailures} failures.`;
+  default:
+    return `OSM alert: ${event}`;
+  }
+};
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC over
+ * `${timestamp}.${body}` and reject stale timestamps to stop replays.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds, as sent in the timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} `sha256=<hex>`
+ */
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+/**
+ * Waits before the next delivery attempt.
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a webhook notifier that POSTs signed JSON alerts.
+ * @param {Object} options - Notifier settings
+ * @param {Array<string>} options.urls - Webhook URLs; every alert goes to each of them
+ * @param {string|null} [options.secret] - HMAC secret; unsigned when null
+ * @param {number} [options.retries] - Extra attempts after a failed delivery
+ * @param {number} [options.retryDelayMs] - First retry delay, doubled per attempt
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {Function} [options.fetchImpl] - fetch implementation
+ * @returns {{notify: Function, subscribe: Function}} Notifier
+ */
+const createWebhookNotifier = ({
+  urls,
+  secret = null,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = (...args) => fetch(...args),
+}) => {
+  /**
+   * Delivers one body to one URL, retrying network errors, timeouts, 429
+   * and 5xx. Other 4xx responses mean the receiver rejected the alert and
+   * won't change their mind on a retry.
+   * @param {string} url - Webhook URL
+   * @param {string} event - Event name
+   * @param {string} body - JSON body
+   * @returns {Promise<{url: string, delivered: boolean, attempts: number, status: number|null}>} Outcome
+   */
+  const deliver = async (url, event, body) => {
+    let status = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        'Content-Type': 'application/json',
+        [EVENT_HEADER]: event,
+        [TIMESTAMP_HEADER]: timestamp,
+      };
+      if (secret) {
+        headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+      }
+
+      let retryable = true;
+      try {
+        const response = await fetchImpl(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: global.AbortSignal?.timeout ? global.AbortSignal.timeout(timeoutMs) : undefined,
+        });
+        status = response.status;
+        if (response.ok) {
+          return { url, delivered: true, attempts: attempt, status };
+        }
+        retryable = status === 429 || status >= 500;
+      } catch (error) {
+        status = null;
+        log.warn(log.fmt`Alert webhook attempt ${attempt} failed: ${error.message}`, {
+          event,
+          attempt,
+          error: error.message,
+          section: 'alert-webhooks',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!retryable || attempt > retries) {
+        log.error(log.fmt`Alert webhook not delivered: ${event}`, {
+          event,
+          attempts: attempt,
+          status,
+          section: 'alert-webhooks',
+          timestamp: new Date().toISOString(),
+        });
+        return { url, delivered: false, attempts: attempt, status };
+      }
+      await sleep(retryDelayMs * Math.pow(2, attempt - 1));
+    }
+    return { url, delivered: false, attempts: retries + 1, status };
+  };
+
+  /**
+   * Sends an alert to every configured URL.
+   * @param {string} event - Event name, e.g. 'breaker.trip'
+   * @param {Object} data - Event payload
+   * @returns {Promise<Array<Object>>} Delivery outcome per URL
+   */
+  const notify = (event, data) => {
+    const body = JSON.stringify({
+      text: formatAlertText(event, data),
+      event,
+      service: 'vikings-osm-backend',
+      environment: process.env.NODE_ENV || 'development',
+      data,
+    });
+    return Promise.all(urls.map((url) => deliver(url, event, body)));
+  };
+
+  /**
+   * Forwards breaker and OSM health events as alerts.
+   * @param {Object} sources - Event emitters to listen to
+   * @param {EventEmitter} sources.breakerEvents - osmCircuitBreaker.events
+   * @param {EventEmitter} sources.healthEvents - osmHealthLogger
+   * @returns {Function} Removes the listeners again
+   */
+  const subscribe = ({ breakerEvents, healthEvents }) => {
+    const listeners = [];
+    const forward = (emitter, prefix, type) => {
+      const listener = (data) => {
+        notify(`${prefix}.${type}`, data).catch((error) => {
+          log.error(log.fmt`Alert webhook delivery crashed: ${error.message}`, {
+            event: `${prefix}.${type}`,
+            error: error.message,
+            section: 'alert-webhooks',
+            timestamp: new Date().toISOString(),
+          });
+        });
+      };
+      emitter.on(type, listener);
+      listeners.push(() => emitter.off(type, listener));
+    };
+
+    ['trip', 'recover', 'reset'].forEach((type) => forward(breakerEvents, 'breaker', type));
+    ['blocked', 'failing', 'degraded', 'recovered'].forEach((type) => forward(healthEvents, 'health', type));
+    return () => listeners.forEach((remove) => remove());
+  };
+
+  return { notify, subscribe };
+};
+
+/**
+ * Starts alert webhooks from the environment. Does nothing unless
+ * OSM_ALERT_WEBHOOK_URLS is set.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} The notifier, or null when not configured
+ */
+const startAlertWebhooks = (env = process.env) => {
+  const urls = (env.OSM_ALERT_WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean);
+  if (urls.length === 0) {
+    return null;
+  }
+  const secret = env.OSM_ALERT_WEBHOOK_SECRET || null;
+  if (!secret) {
+    log.warn('OSM_ALERT_WEBHOOK_SECRET not set - alert webhooks will be sent unsigned', {
+      section: 'alert-webhooks',
+      timestamp: new Date().toISOString(),
+    });
+  }
+  const retries = Number.parseInt(env.OSM_ALERT_WEBHOOK_RETRIES, 10);
+
+  const notifier = createWebhookNotifier({
+    urls,
+    secret,
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES,
+  });
+  notifier.subscribe({ breakerEvents: osmCircuitBreaker.events, healthEvents: osmHealthLogger });
+  log.info(log.fmt`Alert webhooks enabled for ${urls.length} URL(s)`, {
+    urlCount: urls.length,
+    signed: !!secret,
+    section: 'alert-webhooks',
+    timestamp: new Date().toISOString(),
+  });
+  return notifier;
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_HEADER,
+  formatAlertText,
+  signPayload,
+  createWebhookNotifier,
+  startAlertWebhooks,
+};
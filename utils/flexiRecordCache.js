@@ -0,0 +1,82 @@
+const responseCache = require('./osmResponseCache');
+
+/**
+ * Cached reads that a FlexiRecord write can make out of date.
+ */
+const FLEXI_READ_ENDPOINTS = ['getFlexiRecords', 'getFlexiStructure', 'getSingleFlexiRecord'];
+
+/**
+ * Drops cached FlexiRecord reads for a section, across all users. When a
+ * flexirecordid is given only that record's structure and data are dropped;
+ * the section's record list (which has no flexirecordid) always goes.
+ * @param {Object} ids - Identifiers from the write
+ * @param {string|number} ids.sectionid - Section id
+ * @param {string|number} [ids.flexirecordid] - FlexiRecord id
+ * @param {Array<string>} [endpoints] - Subset of FLEXI_READ_ENDPOINTS to drop
+ * @returns {number} Number of entries removed
+ */
+const invalidateFlexiRecordReads = ({ sectionid, flexirecordid }, endpoints = FLEXI_READ_ENDPOINTS) => {
+  let removed = 0;
+  if (endpoints.includes('getFlexiRecords')) {
+    removed += responseCache.invalidate(['getFlexiRecords'], { sectionid });
+  }
+  const recordEndpoints = endpoints.filter((endpoint) => endpoint !== 'getFlexiRecords');
+  if (recordEndpoints.length > 0) {
+    removed += responseCache.invalidate(recordEndpoints, { sectionid, flexirecordid });
+  }
+  return removed;
+};
+
+/**
+ * Sets a column value on the matching member rows of an OSM getData payload
+ * (`{ identifier: 'scoutid', items: [{ scoutid, f_1, ... }] }`).
+ * @param {Object} data - Cached getSingleFlexiRecord payload
+ * @param {Array<string|number>} scoutids - Members that were written
+ * @param {string} columnid - Field id (e.g. f_1)
+ * @param {string} value - Value written to OSM
+ * @returns {Object|null} Patched copy, or null if the payload has no items list
+ */
+const patchFlexiRows = (data, scoutids, columnid, value) => {
+  if (!data || !Array.isArray(data.items)) {
+    return null;
+  }
+  const written = new Set(scoutids.map(String));
+  return {
+    ...data,
+    items: data.items.map((row) => (
+      written.has(String(row.scoutid)) ? { ...row, [columnid]: value } : row
+    )),
+  };
+};
+
+/**
+ * Applies a successful value write to the cache: cached record data for the
+ * FlexiRecord is patched with the new value so the UI can read its own write
+ * without another OSM call, and the section's other FlexiRecord reads are
+ * dropped.
+ * @param {Object} write - The write OSM accepted
+ * @param {string|number} write.sectionid - Section id
+ * @param {string|number} write.flexirecordid - FlexiRecord id
+ * @param {Array<string|number>} write.scoutids - Members that were written
+ * @param {string} write.columnid - Field id (e.g. f_1)
+ * @param {string} write.value - Value written
+ * @returns {{patched: number, removed: number}} Cache entries touched
+ */
+const applyFlexiValueWrite = ({ sectionid, flexirecordid, scoutids, columnid, value }) => {
+  const result = responseCache.patch(
+    ['getSingleFlexiRecord'],
+    { sectionid, flexirecordid },
+    (data) => patchFlexiRows(data, scoutids, columnid, value),
+  );
+  result.removed += invalidateFlexiRecordReads(
+    { sectionid, flexirecordid },
+    ['getFlexiRecords', 'getFlexiStructure'],
+  );
+  return result;
+};
+
+module.exports = {
+  FLEXI_READ_ENDPOINTS,
+  invalidateFlexiRecordReads,
+  applyFlexiValueWrite,
+};
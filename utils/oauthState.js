@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+// Pending logins (nonce -> { codeVerifier, expiresAt }) live with the
+// sessions, so a login started before a restart can still finish. Taking one
+// removes it, which is what makes each state single-use.
+const { tokenStore } = require('./tokenStore');
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Long enough for a leader to find their OSM password, short enough that a
+// leaked login URL is useless soon after
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// /oauth/login is unauthenticated, so cap how many pending logins we hold
+const MAX_PENDING = 10000;
+
+let secret = process.env.OAUTH_STATE_SECRET || null;
+if (!secret && process.env.NODE_ENV === 'production') {
+  // A per-process secret would fail every login in progress at each deploy
+  console.error('❌ CRITICAL: OAUTH_STATE_SECRET not found in environment variables!');
+  console.error('❌ Set OAUTH_STATE_SECRET (32 random bytes, hex or base64) to sign OAuth state');
+  console.error('❌ Server cannot start without it in production');
+  process.exit(1);
+}
+if (!secret) {
+  // A per-process secret works for a single instance; states issued before a
+  // restart simply fail verification and the leader signs in again.
+  secret = crypto.randomBytes(32).toString('hex');
+  if (process.env.NODE_ENV !== 'test') {
+    log.warn('OAUTH_STATE_SECRET not set - using a per-process secret for OAuth state signing', {
+      section: 'oauth-state',
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Signs a state payload.
+ * @param {string} payload - base64url-encoded JSON
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Starts a login: issues a signed, expiring, single-use state carrying the
+ * caller's legacy state string (`${env}:${platform}&frontend_url=...`), and
+ * a PKCE verifier/challenge pair. The verifier stays server-side until the
+ * callback consumes the state.
+ * @param {string} legacyState - Platform/frontend state the callback needs back
+ * @returns {{state: string, codeChallenge: string, codeChallengeMethod: string}} Values for the authorize URL
+ */
+const createState = (legacyState) => {
+  const now = Date.now();
+  tokenStore.prunePendingLogins(now, MAX_PENDING);
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = now + STATE_TTL_MS;
+  tokenStore.putPendingLogin(nonce, { codeVerifier, expiresAt });
+
+  const payload = Buffer.from(JSON.stringify({ n: nonce, s: legacyState, e: expiresAt })).toString('base64url');
+  return {
+    state: `${payload}.${sign(payload)}`,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    codeChallengeMethod: 'S256',
+  };
+};
+
+/**
+ * Verifies and consumes a state returned to /oauth/callback. A state is
+ * accepted once: forged, tampered, expired and replayed states all fail.
+ * @param {string|undefined} state - `state` query value from OSM
+ * @returns {{valid: true, legacyState: string, codeVerifier: string}|{valid: false, reason: string}} Outcome
+ */
+const consumeState = (state) => {
+  if (typeof state !== 'string' || !state) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [payload, signature, extra] = state.split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const entry = tokenStore.takePendingLogin(decoded.n);
+
+  if (Date.now() > decoded.e) {
+    return { valid: false, reason: 'expired' };
+  }
+  if (!entry) {
+    return { valid: false, reason: 'replayed' };
+  }
+
+  return { valid: true, legacyState: decoded.s, codeVerifier: entry.codeVerifier };
+};
+
+/**
+ * Forgets all pending logins (test isolation).
+ * @returns {void}
+ */
+const clearPending = () => {
+  tokenStore.clearPendingLogins();
+};
+
+module.exports = {
+  STATE_TTL_MS,
+  createState,
+  consumeState,
+  clearPending,
+};
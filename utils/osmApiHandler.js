@@ -4,16 +4,16 @@ const {
   getOSMRateLimitInfo, 
   addRateLimitInfoToResponse,
 } = require('../middleware/rateLimiting');
+const { tokenStore, markTokenUsed } = require('./tokenStore');
 
 const { logger } = require('../config/sentry');
-const { detectBlockedResponse } = require('./responseHelpers');
-const {
-  shouldAllowRequest,
-  recordBlocked,
-  recordSuccess,
-  recordProbeFailure,
-  getGeneration,
-} = require('./osmCircuitBreaker');
+const { getBlockedScope } = require('./responseHelpers');
+const osmCircuitBreaker = require('./osmCircuitBreaker');
+const responseCache = require('./osmResponseCache');
+const osmRequestScheduler = require('./osmRequestScheduler');
+const osmRequestCoalescer = require('./osmRequestCoalescer');
+const osmRequestTimeouts = require('./osmRequestTimeouts');
+const osmContracts = require('./osmContracts');
 const fallbackLogger = {
   info: console.log,
   warn: console.warn,
@@ -102,9 +102,14 @@ const validateRequestParams = (req, access_token, requiredParams, endpointLogger
  * @param {Function} processResponse - Optional custom response processor
  * @param {Object} req - Express request object
  * @param {Object} endpointLogger - Logger instance
+ * @param {Object} [breakers] - Endpoint guard from osmCircuitBreaker.forEndpoint(); a Blocked page trips it
+ * @param {string|null} [endpoint] - Registry endpoint name, for its response contract
  * @returns {Object} Processed response data or error response
  */
-const processOSMResponse = async (response, responseText, processResponse, req, endpointLogger) => {
+const processOSMResponse = async (
+  response, responseText, processResponse, req, endpointLogger, breakers = osmCircuitBreaker.forEndpoint(null),
+  endpoint = null,
+) => {
   // Handle empty response
   if (!responseText.trim()) {
     endpointLogger.error('Empty response from OSM API');
@@ -119,9 +124,12 @@ const processOSMResponse = async (response, responseText, processResponse, req,
   try {
     data = JSON.parse(responseText);
   } catch (parseError) {
-    if (detectBlockedResponse(responseText)) {
-      recordBlocked();
+    const blockedScope = getBlockedScope(responseText);
+    if (blockedScope) {
+      breakers.recordBlocked(blockedScope);
       endpointLogger.error('OSM returned Blocked page', {
+        blockedScope,
+        breaker: blockedScope === 'endpoint' ? breakers.name : osmCircuitBreaker.GLOBAL_BREAKER,
         parseError: parseError.message,
         responseLength: responseText.length,
         responsePreview: responseText.substring(0, 15000),
@@ -151,6 +159,20 @@ const processOSMResponse = async (response, responseText, processResponse, req,
     };
   }
 
+  // Check OSM's payload against its documented shape before reshaping it
+  const contract = osmContracts.checkResponse(endpoint, data);
+  if (contract.rejected) {
+    endpointLogger.error('OSM response rejected by its contract', {
+      path: contract.errors[0].path,
+      errorCount: contract.errors.length,
+    });
+    return {
+      status: 502,
+      contractViolation: true,
+      json: osmContracts.violationResponseBody(endpoint, contract.errors),
+    };
+  }
+
   // Apply custom response processing if provided
   if (processResponse) {
     data = processResponse(data, req);
@@ -168,6 +190,57 @@ const processOSMResponse = async (response, responseText, processResponse, req,
   return { data }; // Success - return data
 };
 
+/**
+ * Serves the last good response for this user and URL in place of an OSM
+ * call we cannot make (breaker open, OSM budget exhausted). The payload is
+ * flagged with `stale: true` and the time it was originally fetched so the
+ * frontend can tell leaders they are looking at an older copy.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} entry - Entry returned by responseCache.getStale()
+ * @returns {void}
+ */
+const sendStaleResponse = (req, res, entry) => {
+  res.set(responseCache.HEADER_NAME, responseCache.CACHE_STALE);
+  res.json(addRateLimitInfoToResponse(req, res, {
+    ...entry.data,
+    stale: true,
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+  }));
+};
+
+/**
+ * Signal that fires when the client disconnects before the response is
+ * finished, so the OSM call made for it can be cancelled.
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} Disconnect signal
+ */
+const createDisconnectSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+/**
+ * Works out whose data a read returns, so cached responses and identical
+ * reads are only shared between requests for the same OSM user. What OSM
+ * answers depends on the user behind the token (their roles, terms and
+ * sections), not just the URL or the OAuth scope, which is the same for
+ * every leader. Tokens whose session knows its OSM user share with that
+ * user's other sessions, including after the token is renewed; any other
+ * token only shares with itself.
+ * @param {string} accessToken - Caller's OSM access token
+ * @returns {string} Caller identity
+ */
+const getCallerIdentity = (accessToken) => {
+  const userId = tokenStore.findByToken(accessToken)?.tokenData?.osm_user_id;
+  return userId ? `user:${userId}` : `token:${accessToken}`;
+};
+
 /**
  * Creates a standardized OSM API request handler
  * @param {string} endpoint - The endpoint name for logging
@@ -178,6 +251,11 @@ const processOSMResponse = async (response, responseText, processResponse, req,
  * @param {Function} config.buildRequestOptions - Function to build request options
  * @param {Function} config.processResponse - Optional response processor
  * @param {boolean} config.useStructuredLogging - Whether to use structured logging
+ * @param {number} [config.cacheTtlMs] - Override the endpoint's cache TTL (GET only, 0 disables fresh hits)
+ * @param {Function} [config.onSuccess] - Called with (req, data) after OSM accepts the request, e.g. to update cached reads after a write
+ * @param {string} [config.priority] - OSM queue priority; defaults to the endpoint's (see osmRequestScheduler)
+ * @param {number} [config.deadlineMs] - Longest the OSM call may wait in the queue
+ * @param {number} [config.timeoutMs] - Longest wait for OSM to answer each attempt; defaults to the endpoint's (see osmRequestTimeouts)
  * @returns {Function} Express request handler
  */
 const createOSMApiHandler = (endpoint, config) => {
@@ -188,8 +266,20 @@ const createOSMApiHandler = (endpoint, config) => {
     buildRequestOptions,
     processResponse = null,
     useStructuredLogging = true,
+    cacheTtlMs,
+    onSuccess = null,
+    priority = osmRequestScheduler.getPriorityForEndpoint(endpoint, method),
+    deadlineMs,
+    timeoutMs: configuredTimeoutMs,
   } = config;
 
+  // Only reads are cached; writes always go to OSM.
+  const isCacheable = method === 'GET';
+  const ttlMs = isCacheable ? responseCache.getTtlForEndpoint(endpoint, cacheTtlMs) : 0;
+
+  // The global breaker plus this endpoint's group breaker, if it has one
+  const breakers = osmCircuitBreaker.forEndpoint(endpoint);
+
   return async (req, res) => {
     const access_token = req.headers.authorization?.replace('Bearer ', '');
     const sessionId = getSessionId(req);
@@ -211,42 +301,187 @@ const createOSMApiHandler = (endpoint, config) => {
       return res.status(validationError.status).json(validationError.json);
     }
 
-    if (!shouldAllowRequest()) {
-      endpointLogger.warn('OSM circuit breaker open - request blocked without calling OSM');
-      return res.status(503).json({
-        error: 'OSM API access blocked - sign in again to reconnect',
-        blocked: true,
-      });
-    }
+    // Keeps the caller's session alive, and renewed in the background, while
+    // it is in use
+    markTokenUsed(access_token);
 
-    const breakerGeneration = getGeneration();
+    const cacheKey = isCacheable ? responseCache.buildCacheKey(endpoint, getCallerIdentity(access_token), req.query) : null;
+    if (cacheKey) {
+      const cached = responseCache.get(cacheKey);
+      if (cached) {
+        endpointLogger.info('Serving cached response', {
+          cacheAgeMs: Date.now() - cached.fetchedAt,
+        });
+        res.set(responseCache.HEADER_NAME, responseCache.CACHE_HIT);
+        return res.json(addRateLimitInfoToResponse(req, res, cached.data));
+      }
+    }
 
     try {
       // Build request URL and options
       const url = buildUrl(req);
       const requestOptions = buildRequestOptions(req, access_token);
 
-      endpointLogger.info('Sending request to OSM', {
-        url: url.replace(/access_token=[^&]+/, 'access_token=***'),
-        method: requestOptions.method || method,
-      });
+      // Clients mark background prefetches so they queue behind interactive calls
+      const requestPriority = req.headers['x-request-priority'] === 'bulk' ? 'bulk' : priority;
 
-      // Make OSM API request
-      const response = await makeOSMRequest(url, requestOptions, sessionId);
+      const timeoutMs = osmRequestTimeouts.getTimeoutForEndpoint(endpoint, configuredTimeoutMs);
+      // Cancels the OSM call if the client goes away before we answer. A
+      // write sent with an Idempotency-Key is left to finish instead, so the
+      // client's retry gets its outcome rather than an unknown half-write.
+      const clientSignal = req.idempotencyKey ? null : createDisconnectSignal(res);
+      // OSM calls made, including retries, for the log
+      let attemptsMade = 0;
 
-      endpointLogger.info('OSM response received', {
-        status: response.status,
-        statusText: response.statusText,
-      });
+      /**
+       * Makes the OSM call and turns the response into an outcome every
+       * request sharing this call can answer from. Breakers, rate limit
+       * tracking and the Blocked page check run once per upstream call.
+       * @param {AbortSignal} signal - Cancels the call once nobody is waiting for it
+       * @returns {Promise<Object>} {blocked} | {rateLimited} | {cancelled} | {status, json} | {data, cacheGeneration}
+       */
+      const callOSM = async (signal) => {
+        if (!breakers.shouldAllowRequest()) {
+          return { blocked: true };
+        }
+        const breakerGeneration = breakers.getGeneration();
+        // Noted before the call so a write landing meanwhile wins over this read
+        const cacheGeneration = responseCache.currentGeneration();
+
+        try {
+          endpointLogger.info('Sending request to OSM', {
+            url: url.replace(/access_token=[^&]+/, 'access_token=***'),
+            method: requestOptions.method || method,
+            priority: requestPriority,
+          });
 
-      // Handle rate limiting
-      if (response.status === 429) {
-        recordProbeFailure(breakerGeneration);
+          // Make OSM API request (GETs are retried after transient failures)
+          attemptsMade = 1;
+          const response = await makeOSMRequest(url, requestOptions, sessionId, {
+            priority: requestPriority,
+            deadlineMs,
+            timeoutMs,
+            signal,
+            onRetry: (retry) => {
+              attemptsMade = retry.attempt + 1;
+              endpointLogger.warn('Retrying OSM request', retry);
+            },
+          });
+
+          endpointLogger.info('OSM response received', {
+            status: response.status,
+            statusText: response.statusText,
+            attempts: attemptsMade,
+          });
+
+          // Handle rate limiting
+          if (response.status === 429) {
+            breakers.recordProbeFailure(breakerGeneration);
+            return { rateLimited: true };
+          }
+
+          // Handle non-OK responses
+          if (!response.ok) {
+            breakers.recordProbeFailure(breakerGeneration);
+            const errorText = await response.text();
+            endpointLogger.error('OSM API error', {
+              status: response.status,
+              statusText: response.statusText,
+              errorText: errorText.substring(0, 500),
+            });
+            return {
+              status: response.status,
+              json: {
+                error: `OSM API error: ${response.status}`,
+                details: errorText,
+              },
+            };
+          }
+
+          // Process response
+          const responseText = await response.text();
+
+          // Store sessionId on req for the helper function
+          req.sessionId = sessionId;
+
+          const processResult = await processOSMResponse(
+            response, responseText, processResponse, req, endpointLogger, breakers, endpoint,
+          );
+
+          // Check if processing returned an error. A rejected contract means
+          // OSM answered, just not in the shape we expect: not an outage.
+          if (processResult.status) {
+            if (processResult.contractViolation) {
+              breakers.recordSuccess(breakerGeneration);
+            } else {
+              breakers.recordProbeFailure(breakerGeneration);
+            }
+            return processResult;
+          }
+
+          breakers.recordSuccess(breakerGeneration);
+          return { data: processResult.data, cacheGeneration };
+        } catch (err) {
+          if (osmRequestTimeouts.isCancelledError(err)) {
+            return { cancelled: true };
+          }
+          breakers.recordProbeFailure(breakerGeneration);
+          if (osmRequestTimeouts.isTimeoutError(err)) {
+            endpointLogger.error('OSM request timed out', { timeoutMs, attempts: attemptsMade });
+            return { status: 504, json: osmRequestTimeouts.timeoutResponseBody(err) };
+          }
+          throw err;
+        }
+      };
+
+      // Concurrent identical reads by one leader (several tabs or devices
+      // opening the same event) share one OSM call. Writes always get their own.
+      let outcome;
+      if (isCacheable) {
+        const coalesceKey = osmRequestCoalescer.buildKey(url, getCallerIdentity(access_token));
+        const shared = await osmRequestCoalescer.run(coalesceKey, callOSM, endpoint, clientSignal);
+        if (shared.coalesced) {
+          endpointLogger.info('Shared an identical in-flight OSM request');
+        }
+        outcome = shared.result;
+      } else {
+        outcome = await callOSM(clientSignal);
+      }
+
+      if (outcome.cancelled) {
+        endpointLogger.info('Client disconnected - OSM request cancelled');
+        return;
+      }
+
+      if (outcome.blocked) {
+        const stale = cacheKey ? responseCache.getStale(cacheKey) : null;
+        if (stale) {
+          endpointLogger.warn('OSM circuit breaker open - serving stale cached response', {
+            cacheAgeMs: Date.now() - stale.fetchedAt,
+          });
+          return sendStaleResponse(req, res, stale);
+        }
+        endpointLogger.warn('OSM circuit breaker open - request blocked without calling OSM');
+        return res.status(503).json({
+          error: 'OSM API access blocked - sign in again to reconnect',
+          blocked: true,
+        });
+      }
+
+      if (outcome.rateLimited) {
         const osmInfo = getOSMRateLimitInfo(sessionId);
         endpointLogger.warn('Rate limit exceeded', {
-          status: response.status,
+          status: 429,
           rateLimitInfo: osmInfo,
         });
+        // Out of OSM budget: an expired copy beats an error for read-only data
+        const stale = cacheKey ? responseCache.getStale(cacheKey) : null;
+        if (stale) {
+          endpointLogger.info('Serving stale cached response while rate limited', {
+            cacheAgeMs: Date.now() - stale.fetchedAt,
+          });
+          return sendStaleResponse(req, res, stale);
+        }
         return res.status(429).json({
           error: 'OSM API rate limit exceeded',
           rateLimitInfo: osmInfo,
@@ -254,43 +489,34 @@ const createOSMApiHandler = (endpoint, config) => {
         });
       }
 
-      // Handle non-OK responses
-      if (!response.ok) {
-        recordProbeFailure(breakerGeneration);
-        const errorText = await response.text();
-        endpointLogger.error('OSM API error', {
-          status: response.status,
-          statusText: response.statusText,
-          errorText: errorText.substring(0, 500),
-        });
-        return res.status(response.status).json({
-          error: `OSM API error: ${response.status}`,
-          details: errorText,
-        });
+      if (outcome.status) {
+        return res.status(outcome.status).json(outcome.json);
       }
 
-      // Process response
-      const responseText = await response.text();
-      
-      // Store sessionId on req for the helper function
-      req.sessionId = sessionId;
-      
-      const processResult = await processOSMResponse(response, responseText, processResponse, req, endpointLogger);
-      
-      // Check if processing returned an error
-      if (processResult.status) {
-        recordProbeFailure(breakerGeneration);
-        return res.status(processResult.status).json(processResult.json);
+      if (cacheKey) {
+        responseCache.set(cacheKey, outcome.data, ttlMs, {
+          endpoint,
+          params: { ...req.query },
+          generation: outcome.cacheGeneration,
+        });
+        res.set(responseCache.HEADER_NAME, responseCache.CACHE_MISS);
       }
 
-      recordSuccess(breakerGeneration);
+      if (onSuccess) {
+        // OSM has already applied the request; a failing hook must not turn
+        // that into an error response the client would retry.
+        try {
+          onSuccess(req, outcome.data);
+        } catch (hookError) {
+          endpointLogger.warn('onSuccess hook failed', { error: hookError.message });
+        }
+      }
 
       // Send successful response with rate limit info
-      const responseWithRateInfo = addRateLimitInfoToResponse(req, res, processResult.data);
+      const responseWithRateInfo = addRateLimitInfoToResponse(req, res, outcome.data);
       res.json(responseWithRateInfo);
 
     } catch (err) {
-      recordProbeFailure(breakerGeneration);
       const status = Number.isInteger(err.status) ? err.status : 500;
       const isClientError = status >= 400 && status < 500;
       endpointLogger.error(isClientError ? 'Request validation failed' : 'Internal server error', {
@@ -302,6 +528,8 @@ const createOSMApiHandler = (endpoint, config) => {
         error: isClientError ? 'Bad Request' : 'Internal Server Error',
         details: err.message,
         code: err.code,
+        // Same list the spec-driven checks send (middleware/requestValidation.js)
+        ...(err.code === 'VALIDATION_ERROR' ? { validationErrors: [err.message] } : {}),
       });
     }
   };
@@ -344,6 +572,9 @@ module.exports = {
   createOSMApiHandler,
   createSimpleOSMHandler,
   createEndpointLogger,
+  createDisconnectSignal,
+  sendStaleResponse,
+  getCallerIdentity,
   validateRequestParams,
   processOSMResponse,
 };
\ No newline at end of file
@@ -1,176 +1,648 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
 const { logger } = require('../config/sentry');
 
 const COOLDOWN_MS = 60 * 60 * 1000;
 
+/**
+ * Cooldown policy shared by every breaker. The first trip waits
+ * baseCooldownMs; each further trip or failed probe before the breaker has
+ * earned its way back multiplies the wait by multiplier, up to
+ * maxCooldownMs. Each run of successesToShrink successes while closed steps
+ * the backoff back down one level. jitter spreads probe times by up to that
+ * fraction so several instances don't probe OSM in the same second.
+ */
+const DEFAULT_POLICY = {
+  baseCooldownMs: COOLDOWN_MS,
+  multiplier: 2,
+  maxCooldownMs: 24 * 60 * 60 * 1000,
+  jitter: process.env.NODE_ENV === 'test' ? 0 : 0.1,
+  successesToShrink: 50,
+};
+
+// Policy field -> environment variable
+const POLICY_ENV = {
+  baseCooldownMs: 'OSM_BREAKER_BASE_COOLDOWN_MS',
+  multiplier: 'OSM_BREAKER_COOLDOWN_MULTIPLIER',
+  maxCooldownMs: 'OSM_BREAKER_MAX_COOLDOWN_MS',
+  jitter: 'OSM_BREAKER_JITTER',
+  successesToShrink: 'OSM_BREAKER_SUCCESSES_TO_SHRINK',
+};
+
+// Breaker state is written here on every transition and read back at boot,
+// so a restart during an OSM block doesn't reopen traffic early. An empty
+// OSM_BREAKER_STATE_PATH disables it (the default under test).
+const DEFAULT_STATE_PATH = path.join(__dirname, '..', 'data', 'osm-breakers.json');
+const STATE_PATH = process.env.OSM_BREAKER_STATE_PATH !== undefined
+  ? process.env.OSM_BREAKER_STATE_PATH
+  : (process.env.NODE_ENV === 'test' ? '' : DEFAULT_STATE_PATH);
+
 const STATE_CLOSED = 'closed';
 const STATE_OPEN = 'open';
 const STATE_HALF_OPEN = 'half-open';
 
-let state = STATE_CLOSED;
-let trippedAt = null;
-let tripCount = 0;
-let probeInFlight = false;
-let generation = 0;
+const GLOBAL_BREAKER = 'global';
 
 /**
- * Builds the status snapshot shared by getStatus() and log calls.
- * @returns {{state: string, trippedAt: string|null, tripCount: number, cooldownMs: number, secondsUntilProbe: number|null}}
+ * Endpoint groups with their own breaker. A Blocked page that says it only
+ * covers the endpoint called stops that group; the global breaker, which
+ * gates every group, trips on any other Blocked page.
  */
-const buildStatus = () => {
-  let secondsUntilProbe = null;
-  if (state !== STATE_CLOSED && trippedAt !== null) {
-    const remainingMs = trippedAt + COOLDOWN_MS - Date.now();
-    secondsUntilProbe = Math.max(0, Math.ceil(remainingMs / 1000));
-  }
-  return {
-    state,
-    trippedAt: trippedAt !== null ? new Date(trippedAt).toISOString() : null,
-    tripCount,
-    cooldownMs: COOLDOWN_MS,
-    secondsUntilProbe,
-  };
+const BREAKER_GROUPS = ['events', 'members', 'flexirecords', 'startup', 'oauth'];
+
+// Handler endpoint name -> breaker group. Endpoints not listed are gated by
+// the global breaker only.
+const ENDPOINT_GROUPS = {
+  getEvents: 'events',
+  getEventAttendance: 'events',
+  getEventSummary: 'events',
+  getEventSharingStatus: 'events',
+  getSharedEventAttendance: 'events',
+  getProgrammeSummary: 'events',
+  getContactDetails: 'members',
+  getListOfMembers: 'members',
+  getMembersGrid: 'members',
+  getFlexiRecords: 'flexirecords',
+  getFlexiStructure: 'flexirecords',
+  getSingleFlexiRecord: 'flexirecords',
+  updateFlexiRecord: 'flexirecords',
+  multiUpdateFlexiRecord: 'flexirecords',
+  createFlexiRecord: 'flexirecords',
+  addFlexiColumn: 'flexirecords',
+  getStartupData: 'startup',
+  getTerms: 'startup',
+  getSectionConfig: 'startup',
+  getUserRoles: 'startup',
+  oauthCallback: 'oauth',
+  tokenRefresh: 'oauth',
 };
 
 /**
- * Trips the breaker to open, stamping a fresh trippedAt and incrementing
- * tripCount. Used both when OSM's Blocked page is detected and for
- * admin/testing force-open.
- * @returns {void}
+ * Breaker events for other modules to subscribe to. Every event carries the
+ * breaker's name and status at the time it fired:
+ *
+ *   'trip'    -> breaker opened (Blocked page or admin)
+ *   'recover' -> breaker closed after a successful probe or sign-in
+ *   'reset'   -> breaker force-closed (admin or test isolation)
  */
-const trip = () => {
-  state = STATE_OPEN;
-  trippedAt = Date.now();
-  tripCount += 1;
-  probeInFlight = false;
-  generation += 1;
-  logger.error('OSM circuit breaker tripped', buildStatus());
-};
+const events = new EventEmitter();
 
 /**
- * Called when a Blocked page is detected on any OSM-facing request.
- * Alias for trip() - kept as a separate name so call sites read intent.
+ * Emits a breaker event. A subscriber that throws is logged rather than
+ * allowed to fail the OSM request that caused the transition.
+ * @param {string} type - Event name
+ * @param {Object} payload - Event data
  * @returns {void}
  */
-const recordBlocked = () => {
-  trip();
+const emitEvent = (type, payload) => {
+  try {
+    events.emit(type, { type, ...payload, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('OSM circuit breaker event subscriber failed', { type, error: error.message });
+  }
 };
 
 /**
- * Determines whether a new request may proceed to OSM.
- * Closed: always allows. Open: denies until the hourly cooldown has
- * elapsed since trippedAt, at which point it transitions to half-open and
- * allows exactly one caller through as the probe - concurrent callers
- * during that same open window keep getting denied until the probe
- * resolves (recordSuccess/recordProbeFailure) or the breaker is reset.
- * @returns {boolean} True if the request may proceed
+ * Checks a policy, throwing on the first invalid field.
+ * @param {Object} policy - Candidate policy
+ * @returns {Object} The same policy
+ * @throws {Error} When a field is missing or out of range
  */
-const shouldAllowRequest = () => {
-  if (state === STATE_CLOSED) {
-    return true;
+const validatePolicy = (policy) => {
+  const { baseCooldownMs, multiplier, maxCooldownMs, jitter, successesToShrink } = policy;
+  if (!Number.isInteger(baseCooldownMs) || baseCooldownMs <= 0) {
+    throw new Error('baseCooldownMs must be a positive integer');
   }
+  if (typeof multiplier !== 'number' || !(multiplier >= 1)) {
+    throw new Error('multiplier must be a number of at least 1');
+  }
+  if (!Number.isInteger(maxCooldownMs) || maxCooldownMs < baseCooldownMs) {
+    throw new Error('maxCooldownMs must be an integer no smaller than baseCooldownMs');
+  }
+  if (typeof jitter !== 'number' || !(jitter >= 0 && jitter < 1)) {
+    throw new Error('jitter must be a number from 0 up to (not including) 1');
+  }
+  if (!Number.isInteger(successesToShrink) || successesToShrink <= 0) {
+    throw new Error('successesToShrink must be a positive integer');
+  }
+  return policy;
+};
 
-  if (state === STATE_HALF_OPEN) {
-    return false;
+/**
+ * Reads the policy from the environment. Unset variables keep their default;
+ * an invalid combination is logged and the defaults are used instead, since
+ * a typo here must not stop the server from starting.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Policy
+ */
+const loadPolicyFromEnv = (env = process.env) => {
+  const policy = { ...DEFAULT_POLICY };
+  Object.entries(POLICY_ENV).forEach(([field, variable]) => {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      policy[field] = Number(env[variable]);
+    }
+  });
+  try {
+    return validatePolicy(policy);
+  } catch (error) {
+    logger.error('Invalid OSM circuit breaker policy in environment - using defaults', {
+      error: error.message,
+    });
+    return { ...DEFAULT_POLICY };
   }
+};
+
+let policy = loadPolicyFromEnv();
+
+/**
+ * Returns the cooldown policy in effect.
+ * @returns {Object} Copy of the policy
+ */
+const getPolicy = () => ({ ...policy });
+
+/**
+ * Updates the cooldown policy for every breaker. Fields not given keep their
+ * current value. Windows already running keep the length they started with.
+ * @param {Object} changes - Policy fields to change
+ * @returns {Object} The new policy
+ * @throws {Error} When the resulting policy is invalid; the old one stays in effect
+ */
+const setPolicy = (changes) => {
+  const known = Object.fromEntries(Object.entries(changes || {}).filter(([field]) => field in DEFAULT_POLICY));
+  policy = validatePolicy({ ...policy, ...known });
+  logger.warn('OSM circuit breaker policy changed', { policy });
+  return getPolicy();
+};
 
-  const cooldownElapsed = trippedAt !== null && Date.now() - trippedAt >= COOLDOWN_MS;
-  if (!cooldownElapsed || probeInFlight) {
-    return false;
+/**
+ * Cooldown for a backoff level under the current policy.
+ * @param {number} level - Number of back-offs since the breaker last recovered
+ * @param {boolean} withJitter - Whether to apply the policy's jitter
+ * @returns {number} Cooldown in ms
+ */
+const cooldownForLevel = (level, withJitter) => {
+  const scaled = Math.min(policy.maxCooldownMs, policy.baseCooldownMs * Math.pow(policy.multiplier, level));
+  if (!withJitter || policy.jitter === 0) {
+    return scaled;
   }
+  const jittered = scaled * (1 + (Math.random() * 2 - 1) * policy.jitter);
+  return Math.round(Math.min(policy.maxCooldownMs, jittered));
+};
+
+/**
+ * Creates one breaker: a closed/open/half-open state machine with its own
+ * trippedAt, tripCount, generation and backoff, timed by the shared policy.
+ * @param {string} name - Breaker name used in logs
+ * @param {Function} [onTransition] - Called after every state change, e.g. to persist it
+ * @returns {Object} Breaker
+ */
+const createCircuitBreaker = (name, onTransition = () => {}) => {
+  let state = STATE_CLOSED;
+  let trippedAt = null;
+  let tripCount = 0;
+  let probeInFlight = false;
+  let generation = 0;
+  // When the next probe may go out, and the window that set it
+  let nextProbeAt = null;
+  let cooldownMs = null;
+  // Back-offs since the breaker last earned its way down, and the run of
+  // successes counting towards the next step down
+  let backoffLevel = 0;
+  let successStreak = 0;
+
+  /**
+   * Opens (or keeps open) the breaker for the current backoff level's
+   * window, then raises the level for next time.
+   * @returns {void}
+   */
+  const startCooldown = () => {
+    cooldownMs = cooldownForLevel(backoffLevel, true);
+    nextProbeAt = Date.now() + cooldownMs;
+    if (policy.baseCooldownMs * Math.pow(policy.multiplier, backoffLevel) < policy.maxCooldownMs) {
+      backoffLevel += 1;
+    }
+    successStreak = 0;
+  };
+
+  /**
+   * Builds the status snapshot shared by getStatus() and log calls.
+   * @returns {{state: string, trippedAt: string|null, tripCount: number, cooldownMs: number, nextProbeAt: string|null, secondsUntilProbe: number|null, backoffLevel: number, policy: Object}}
+   */
+  const buildStatus = () => {
+    const isClosed = state === STATE_CLOSED;
+    let secondsUntilProbe = null;
+    if (!isClosed && nextProbeAt !== null) {
+      secondsUntilProbe = Math.max(0, Math.ceil((nextProbeAt - Date.now()) / 1000));
+    }
+    return {
+      state,
+      trippedAt: trippedAt !== null ? new Date(trippedAt).toISOString() : null,
+      tripCount,
+      // While closed, the window the next trip would start with
+      cooldownMs: isClosed ? cooldownForLevel(backoffLevel, false) : cooldownMs,
+      nextProbeAt: !isClosed && nextProbeAt !== null ? new Date(nextProbeAt).toISOString() : null,
+      secondsUntilProbe,
+      backoffLevel,
+      policy: getPolicy(),
+    };
+  };
+
+  /**
+   * Trips the breaker to open, stamping a fresh trippedAt and incrementing
+   * tripCount. Each trip before the backoff has shrunk back waits longer
+   * than the last. Used both when OSM's Blocked page is detected and for
+   * admin/testing force-open.
+   * @returns {void}
+   */
+  const trip = () => {
+    state = STATE_OPEN;
+    trippedAt = Date.now();
+    tripCount += 1;
+    probeInFlight = false;
+    generation += 1;
+    startCooldown();
+    logger.error('OSM circuit breaker tripped', { breaker: name, ...buildStatus() });
+    onTransition();
+    emitEvent('trip', { breaker: name, status: buildStatus() });
+  };
 
-  state = STATE_HALF_OPEN;
-  probeInFlight = true;
-  logger.info('OSM circuit breaker probing', buildStatus());
-  return true;
+  /**
+   * Called when a Blocked page is detected on a request gated by this breaker.
+   * Alias for trip() - kept as a separate name so call sites read intent.
+   * @returns {void}
+   */
+  const recordBlocked = () => {
+    trip();
+  };
+
+  /**
+   * Whether shouldAllowRequest() would let a request through, without
+   * claiming the half-open probe. Lets a caller gated by several breakers
+   * check all of them before committing to any.
+   * @returns {boolean} True if the request would be allowed
+   */
+  const wouldAllowRequest = () => {
+    if (state === STATE_CLOSED) {
+      return true;
+    }
+    if (state === STATE_HALF_OPEN) {
+      return false;
+    }
+    const cooldownElapsed = nextProbeAt !== null && Date.now() >= nextProbeAt;
+    return cooldownElapsed && !probeInFlight;
+  };
+
+  /**
+   * Determines whether a new request may proceed to OSM.
+   * Closed: always allows. Open: denies until nextProbeAt, at which point it
+   * transitions to half-open and allows exactly
+   * one caller through as the probe - concurrent callers during that same
+   * open window keep getting denied until the probe resolves
+   * (recordSuccess/recordProbeFailure) or the breaker is reset.
+   * @returns {boolean} True if the request may proceed
+   */
+  const shouldAllowRequest = () => {
+    if (!wouldAllowRequest()) {
+      return false;
+    }
+    if (state === STATE_CLOSED) {
+      return true;
+    }
+
+    state = STATE_HALF_OPEN;
+    probeInFlight = true;
+    logger.info('OSM circuit breaker probing', { breaker: name, ...buildStatus() });
+    onTransition();
+    return true;
+  };
+
+  /**
+   * Called on any successfully-parsed OSM response. Closes the breaker if it
+   * was half-open or open. While closed, counts towards the success streak
+   * that steps the backoff level back down.
+   * @param {number} observedGeneration - The generation captured by the caller
+   *   at the moment its request was dispatched (via getGeneration()). If a
+   *   trip()/reset() has since bumped the generation, this observation is
+   *   stale (TOCTOU: the request was in flight during a state change it never
+   *   observed) and must be ignored rather than force-closing a fresh trip.
+   * @returns {void}
+   */
+  const recordSuccess = (observedGeneration) => {
+    if (observedGeneration !== generation) {
+      return;
+    }
+    if (state !== STATE_CLOSED) {
+      const wasHalfOpen = state === STATE_HALF_OPEN;
+      state = STATE_CLOSED;
+      trippedAt = null;
+      nextProbeAt = null;
+      cooldownMs = null;
+      probeInFlight = false;
+      successStreak = 0;
+      if (wasHalfOpen) {
+        logger.info('OSM circuit breaker recovered', { breaker: name, ...buildStatus() });
+      }
+      onTransition();
+      emitEvent('recover', { breaker: name, status: buildStatus() });
+      return;
+    }
+    if (backoffLevel === 0) {
+      return;
+    }
+    successStreak += 1;
+    if (successStreak >= policy.successesToShrink) {
+      backoffLevel -= 1;
+      successStreak = 0;
+      logger.info('OSM circuit breaker backoff reduced', { breaker: name, ...buildStatus() });
+      onTransition();
+    }
+  };
+
+  /**
+   * Called when the half-open probe request fails for a non-blocked reason
+   * (network error, non-HTML error, etc). No-ops unless the breaker is
+   * currently half-open. Returns to open and backs off: the next probe waits
+   * for the next level's window, so a struggling OSM isn't probed on every
+   * request. trippedAt and tripCount are left alone - this is not a new
+   * block.
+   * @param {number} observedGeneration - The generation captured by the caller
+   *   at the moment its request was dispatched (via getGeneration()). A stale
+   *   pre-trip failure landing during a genuine half-open probe must not be
+   *   allowed to end a probe cycle it never belonged to.
+   * @returns {void}
+   */
+  const recordProbeFailure = (observedGeneration) => {
+    if (observedGeneration !== generation) {
+      return;
+    }
+    if (state !== STATE_HALF_OPEN) {
+      return;
+    }
+    state = STATE_OPEN;
+    probeInFlight = false;
+    startCooldown();
+    logger.warn('OSM circuit breaker probe failed', { breaker: name, ...buildStatus() });
+    onTransition();
+  };
+
+  /**
+   * Force-closes the breaker and clears its history (admin use / test isolation).
+   * @returns {void}
+   */
+  const reset = () => {
+    state = STATE_CLOSED;
+    trippedAt = null;
+    tripCount = 0;
+    probeInFlight = false;
+    nextProbeAt = null;
+    cooldownMs = null;
+    backoffLevel = 0;
+    successStreak = 0;
+    generation += 1;
+    logger.warn('OSM circuit breaker reset', { breaker: name, ...buildStatus() });
+    onTransition();
+    emitEvent('reset', { breaker: name, status: buildStatus() });
+  };
+
+  /**
+   * Returns the current generation counter. Callers should capture this right
+   * after shouldAllowRequest() passes and pass it back into recordSuccess()/
+   * recordProbeFailure() so a forced trip()/reset() during the request can
+   * invalidate that stale observation (TOCTOU guard). Not reusing tripCount
+   * for this because reset() zeroes tripCount, which could make a stale
+   * generation match again after a reset.
+   * @returns {number} The current generation
+   */
+  const getGeneration = () => generation;
+
+  /**
+   * Returns the fields that survive a restart.
+   * @returns {Object} Snapshot
+   */
+  const toSnapshot = () => ({
+    state,
+    trippedAt,
+    tripCount,
+    generation,
+    nextProbeAt,
+    cooldownMs,
+    backoffLevel,
+    successStreak,
+  });
+
+  /**
+   * Restores a snapshot taken before a restart. A probe that was in flight
+   * died with the old process, so half-open comes back as open and the next
+   * request becomes the probe.
+   * @param {Object} snapshot - Value from toSnapshot()
+   * @returns {void}
+   */
+  const restore = (snapshot) => {
+    state = snapshot.state === STATE_CLOSED ? STATE_CLOSED : STATE_OPEN;
+    const isClosed = state === STATE_CLOSED;
+    trippedAt = isClosed ? null : snapshot.trippedAt;
+    cooldownMs = isClosed ? null : (snapshot.cooldownMs || policy.baseCooldownMs);
+    nextProbeAt = isClosed ? null : (snapshot.nextProbeAt || trippedAt + cooldownMs);
+    tripCount = snapshot.tripCount || 0;
+    generation = snapshot.generation || 0;
+    backoffLevel = snapshot.backoffLevel || 0;
+    successStreak = snapshot.successStreak || 0;
+    probeInFlight = false;
+  };
+
+  return {
+    name,
+    shouldAllowRequest,
+    wouldAllowRequest,
+    recordBlocked,
+    recordSuccess,
+    recordProbeFailure,
+    reset,
+    trip,
+    getStatus: buildStatus,
+    getGeneration,
+    toSnapshot,
+    restore,
+  };
 };
 
+const registry = new Map();
+
 /**
- * Called on any successfully-parsed OSM response. Closes the breaker if it
- * was half-open or open; no-op when already closed.
- * @param {number} observedGeneration - The generation captured by the caller
- *   at the moment its request was dispatched (via getGeneration()). If a
- *   trip()/reset() has since bumped the generation, this observation is
- *   stale (TOCTOU: the request was in flight during a state change it never
- *   observed) and must be ignored rather than force-closing a fresh trip.
+ * Writes every breaker's snapshot to STATE_PATH. Goes through a temp file
+ * and rename so a crash mid-write never leaves a truncated snapshot.
  * @returns {void}
  */
-const recordSuccess = (observedGeneration) => {
-  if (observedGeneration !== generation) {
+const persistState = () => {
+  if (!STATE_PATH) {
     return;
   }
-  if (state === STATE_CLOSED) {
-    return;
-  }
-  const wasHalfOpen = state === STATE_HALF_OPEN;
-  state = STATE_CLOSED;
-  trippedAt = null;
-  probeInFlight = false;
-  if (wasHalfOpen) {
-    logger.info('OSM circuit breaker recovered', buildStatus());
+  const breakers = Object.fromEntries(Array.from(registry, ([name, breaker]) => [name, breaker.toSnapshot()]));
+  const tmpPath = `${STATE_PATH}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, savedAt: Date.now(), breakers }));
+    fs.renameSync(tmpPath, STATE_PATH);
+  } catch (error) {
+    logger.error('OSM circuit breaker state could not be saved', {
+      filePath: STATE_PATH,
+      error: error.message,
+    });
   }
 };
 
 /**
- * Called when the half-open probe request fails for a non-blocked reason
- * (network error, non-HTML error, etc). No-ops unless the breaker is
- * currently half-open. Clears probe-in-flight and returns to open WITHOUT
- * resetting trippedAt to now, so the next request immediately becomes the
- * next probe attempt rather than the cooldown being pushed out another
- * full hour.
- * @param {number} observedGeneration - The generation captured by the caller
- *   at the moment its request was dispatched (via getGeneration()). A stale
- *   pre-trip failure landing during a genuine half-open probe must not be
- *   allowed to end a probe cycle it never belonged to.
+ * Restores breaker state saved by a previous process. A snapshot older than
+ * the longest cooldown it records is ignored: every breaker in it would have
+ * been allowed to probe by now anyway. An unreadable file is logged and
+ * ignored - starting closed is what happened before persistence existed.
  * @returns {void}
  */
-const recordProbeFailure = (observedGeneration) => {
-  if (observedGeneration !== generation) {
+const restoreState = () => {
+  if (!STATE_PATH || !fs.existsSync(STATE_PATH)) {
     return;
   }
-  if (state !== STATE_HALF_OPEN) {
-    return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+    const ageMs = Date.now() - saved.savedAt;
+    const longestCooldownMs = Math.max(
+      policy.baseCooldownMs,
+      ...Object.values(saved.breakers || {}).map((snapshot) => snapshot.cooldownMs || 0),
+    );
+    if (!(ageMs >= 0 && ageMs < longestCooldownMs)) {
+      logger.info('OSM circuit breaker state ignored - older than the cooldown', {
+        filePath: STATE_PATH,
+        savedAt: saved.savedAt,
+      });
+      return;
+    }
+    Object.entries(saved.breakers || {}).forEach(([name, snapshot]) => {
+      const breaker = registry.get(name);
+      if (breaker) {
+        breaker.restore(snapshot);
+      }
+    });
+    logger.info('OSM circuit breaker state restored', {
+      filePath: STATE_PATH,
+      breakers: Object.fromEntries(Array.from(registry, ([name, breaker]) => [name, breaker.getStatus().state])),
+    });
+  } catch (error) {
+    logger.error('OSM circuit breaker state could not be read, starting closed', {
+      filePath: STATE_PATH,
+      error: error.message,
+    });
   }
-  state = STATE_OPEN;
-  probeInFlight = false;
 };
 
+[GLOBAL_BREAKER, ...BREAKER_GROUPS].forEach((name) => {
+  registry.set(name, createCircuitBreaker(name, persistState));
+});
+restoreState();
+const globalBreaker = registry.get(GLOBAL_BREAKER);
+
 /**
- * Force-closes the breaker and clears its history (admin use / test isolation).
- * @returns {void}
+ * Looks up a breaker by name.
+ * @param {string} name - 'global' or one of BREAKER_GROUPS
+ * @returns {Object|null} Breaker, or null for an unknown name
+ */
+const getBreaker = (name) => registry.get(name) || null;
+
+/**
+ * Maps a handler endpoint name to its breaker group.
+ * @param {string} endpoint - Endpoint name as passed to createOSMApiHandler
+ * @returns {string|null} Group name, or null when only the global breaker applies
+ */
+const getGroupForEndpoint = (endpoint) => ENDPOINT_GROUPS[endpoint] || null;
+
+/**
+ * Returns the breakers gating one endpoint as a single breaker-shaped
+ * object: a request needs both the global and the group breaker to allow
+ * it, successes and probe failures are reported to both, and a Blocked
+ * page trips the group breaker when it is scoped to the endpoint and the
+ * global breaker otherwise.
+ *
+ * getGeneration() returns an opaque value to hand back to recordSuccess()/
+ * recordProbeFailure(), carrying each breaker's own generation.
+ * @param {string} endpoint - Endpoint name (see ENDPOINT_GROUPS)
+ * @returns {Object} Endpoint guard
  */
-const reset = () => {
-  state = STATE_CLOSED;
-  trippedAt = null;
-  tripCount = 0;
-  probeInFlight = false;
-  generation += 1;
-  logger.warn('OSM circuit breaker reset', buildStatus());
+const forEndpoint = (endpoint) => {
+  const group = getBreaker(getGroupForEndpoint(endpoint));
+  const breakers = group ? [globalBreaker, group] : [globalBreaker];
+
+  return {
+    name: group ? group.name : GLOBAL_BREAKER,
+
+    shouldAllowRequest: () => {
+      // Check every breaker before any of them claims its half-open probe,
+      // so a group that is still cooling down can't strand a global probe.
+      if (!breakers.every((breaker) => breaker.wouldAllowRequest())) {
+        return false;
+      }
+      breakers.forEach((breaker) => breaker.shouldAllowRequest());
+      return true;
+    },
+
+    getGeneration: () => breakers.map((breaker) => breaker.getGeneration()),
+
+    recordSuccess: (observed) => {
+      breakers.forEach((breaker, i) => breaker.recordSuccess(observed[i]));
+    },
+
+    recordProbeFailure: (observed) => {
+      breakers.forEach((breaker, i) => breaker.recordProbeFailure(observed[i]));
+    },
+
+    /**
+     * Trips the breaker a Blocked page belongs to.
+     * @param {string} scope - 'endpoint' for a block on this endpoint only, anything else stops every group
+     * @returns {void}
+     */
+    recordBlocked: (scope) => {
+      (scope === 'endpoint' && group ? group : globalBreaker).recordBlocked();
+    },
+  };
 };
 
 /**
- * Returns the current breaker status.
- * @returns {{state: string, trippedAt: string|null, tripCount: number, cooldownMs: number, secondsUntilProbe: number|null}}
+ * Returns every breaker's status keyed by name, global first.
+ * @returns {Object<string, Object>} Status per breaker
  */
-const getStatus = () => buildStatus();
+const getAllStatus = () => {
+  return Object.fromEntries(Array.from(registry, ([name, breaker]) => [name, breaker.getStatus()]));
+};
 
 /**
- * Returns the current generation counter. Callers should capture this right
- * after shouldAllowRequest() passes and pass it back into recordSuccess()/
- * recordProbeFailure() so a forced trip()/reset() during the request can
- * invalidate that stale observation (TOCTOU guard). Not reusing tripCount
- * for this because reset() zeroes tripCount, which could make a stale
- * generation match again after a reset.
- * @returns {number} The current generation
+ * Force-closes every breaker (admin use / test isolation).
+ * @returns {void}
  */
-const getGeneration = () => generation;
+const resetAll = () => {
+  registry.forEach((breaker) => breaker.reset());
+};
 
 module.exports = {
-  shouldAllowRequest,
-  recordBlocked,
-  recordSuccess,
-  recordProbeFailure,
-  reset,
-  trip,
-  getStatus,
-  getGeneration,
+  GLOBAL_BREAKER,
+  BREAKER_GROUPS,
+  events,
+  DEFAULT_POLICY,
+  createCircuitBreaker,
+  loadPolicyFromEnv,
+  getPolicy,
+  setPolicy,
+  getBreaker,
+  getGroupForEndpoint,
+  forEndpoint,
+  getAllStatus,
+  resetAll,
+  // The module-level API is the global breaker
+  shouldAllowRequest: globalBreaker.shouldAllowRequest,
+  recordBlocked: globalBreaker.recordBlocked,
+  recordSuccess: globalBreaker.recordSuccess,
+  recordProbeFailure: globalBreaker.recordProbeFailure,
+  reset: globalBreaker.reset,
+  trip: globalBreaker.trip,
+  getStatus: globalBreaker.getStatus,
+  getGeneration: globalBreaker.getGeneration,
 };
@@ -0,0 +1,215 @@
+const path = require('path');
+const swaggerJsdoc = require('swagger-jsdoc');
+const { OSM_ENDPOINTS, getEndpoint } = require('./osmEndpointRegistry');
+const { validate, formatError } = require('./schemaValidator');
+const { logger, Sentry } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Checks OSM's parsed responses against the shapes documented in
+// docs/osm-api/schemas, so a change on OSM's side is reported before
+// leaders find broken screens. Each registry entry with a `contract` names
+// its schema and a mode:
+//   warn     report drift and pass the response on (the default)
+//   enforce  report drift and answer 502 instead of passing it on
+//   off      skip the check
+// OSM_CONTRACT_MODES overrides modes per endpoint, e.g.
+// 'getFlexiStructure=enforce,*=warn' (`*` covers every endpoint).
+const MODES = ['off', 'warn', 'enforce'];
+const SCHEMA_FILES = path.join(__dirname, '..', 'docs', 'osm-api', 'schemas', '*.js');
+
+const CONTRACT_VIOLATION = 'OSM_CONTRACT_VIOLATION';
+
+// The same drift is reported once per interval, not on every request
+const DEFAULT_REPORT_INTERVAL_MS = 60 * 60 * 1000;
+// Errors listed in a drift report; the count covers the rest
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Parses per-endpoint modes, e.g. 'getTerms=enforce,*=off'. Unknown modes
+ * are ignored.
+ * @param {string|undefined} value - Raw value
+ * @returns {Object} Endpoint name (or '*') -> mode
+ */
+const parseModes = (value) => {
+  return Object.fromEntries(String(value || '')
+    .split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([name, mode]) => name && MODES.includes(mode)));
+};
+
+/**
+ * Builds the contract settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{modes: Object, reportIntervalMs: number}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  modes: parseModes(env.OSM_CONTRACT_MODES),
+  reportIntervalMs: readPositiveInt(env.OSM_CONTRACT_REPORT_INTERVAL_MS, DEFAULT_REPORT_INTERVAL_MS),
+});
+
+let config = loadConfigFromEnv();
+let schemas = null;
+const lastReported = new Map();
+const stats = { checked: 0, drifted: 0, rejected: 0 };
+
+/**
+ * The documented OSM schemas, parsed from docs/osm-api/schemas on first use.
+ * @returns {Object} components.schemas
+ */
+const getSchemas = () => {
+  if (!schemas) {
+    schemas = swaggerJsdoc({
+      definition: { openapi: '3.0.0', info: { title: 'OSM contracts', version: '1.0.0' } },
+      apis: [SCHEMA_FILES],
+    }).components?.schemas || {};
+  }
+  return schemas;
+};
+
+/**
+ * Picks the contract mode for an endpoint.
+ * @param {string|null} endpoint - Registry endpoint name
+ * @returns {string} 'off', 'warn' or 'enforce'
+ */
+const getModeForEndpoint = (endpoint) => {
+  const contract = endpoint && OSM_ENDPOINTS[endpoint] ? getEndpoint(endpoint).contract : null;
+  if (!contract) {
+    return 'off';
+  }
+  return config.modes[endpoint] || config.modes['*'] || contract.mode || 'warn';
+};
+
+/**
+ * Reports drift as a structured log and a Sentry event, once per endpoint
+ * and failing path per interval. Array indexes are ignored, so drift in
+ * every item counts once.
+ * @param {string} endpoint - Registry endpoint name
+ * @param {string} mode - 'warn' or 'enforce'
+ * @param {Array<Object>} errors - Errors from the schema validator
+ * @returns {void}
+ */
+const reportDrift = (endpoint, mode, errors) => {
+  const failingPath = errors[0].path;
+  const key = `${endpoint}|${failingPath.replace(/\[\d+\]/g, '[]')}`;
+  const now = Date.now();
+  if (lastReported.has(key) && now - lastReported.get(key) < config.reportIntervalMs) {
+    return;
+  }
+  lastReported.set(key, now);
+
+  const details = {
+    endpoint,
+    mode,
+    path: failingPath,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS).map((error) => formatError(error, 'response')),
+    errorCount: errors.length,
+  };
+  log.warn(log.fmt`OSM response drift: ${endpoint} at ${failingPath || 'response'}`, {
+    ...details,
+    section: 'osm-contract',
+    timestamp: new Date().toISOString(),
+  });
+  if (Sentry && typeof Sentry.captureMessage === 'function') {
+    Sentry.captureMessage(`OSM response drift: ${endpoint}`, {
+      level: mode === 'enforce' ? 'error' : 'warning',
+      tags: { section: 'osm-contract', endpoint, path: failingPath },
+      extra: details,
+    });
+  }
+};
+
+/**
+ * Checks a parsed OSM response against its endpoint's contract.
+ * @param {string|null} endpoint - Registry endpoint name
+ * @param {any} data - Parsed response, before any reshaping
+ * @returns {{mode: string, errors: Array<Object>, rejected: boolean}} Outcome;
+ *   rejected when the response drifted and the endpoint is enforced
+ */
+const checkResponse = (endpoint, data) => {
+  const mode = getModeForEndpoint(endpoint);
+  if (mode === 'off') {
+    return { mode, errors: [], rejected: false };
+  }
+
+  stats.checked += 1;
+  const errors = validate(getEndpoint(endpoint).contract.schema, data, getSchemas());
+  if (errors.length === 0) {
+    return { mode, errors, rejected: false };
+  }
+
+  stats.drifted += 1;
+  reportDrift(endpoint, mode, errors);
+  const rejected = mode === 'enforce';
+  if (rejected) {
+    stats.rejected += 1;
+  }
+  return { mode, errors, rejected };
+};
+
+/**
+ * Body for a response rejected by an enforced contract.
+ * @param {string} endpoint - Registry endpoint name
+ * @param {Array<Object>} errors - Errors from checkResponse
+ * @returns {Object} JSON error body
+ */
+const violationResponseBody = (endpoint, errors) => ({
+  error: 'OSM returned data in an unexpected shape',
+  code: CONTRACT_VIOLATION,
+  endpoint,
+  path: errors[0].path,
+  details: formatError(errors[0], 'response'),
+});
+
+/**
+ * Current modes and counts, for monitoring.
+ * @returns {Object} Modes by endpoint and counts
+ */
+const getStatus = () => ({
+  modes: Object.fromEntries(Object.keys(OSM_ENDPOINTS)
+    .filter((name) => getEndpoint(name).contract)
+    .map((name) => [name, getModeForEndpoint(name)])),
+  ...stats,
+});
+
+/**
+ * Clears the counts and report history, re-reading settings from the
+ * environment with optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+  lastReported.clear();
+  stats.checked = 0;
+  stats.drifted = 0;
+  stats.rejected = 0;
+};
+
+module.exports = {
+  MODES,
+  CONTRACT_VIOLATION,
+  getSchemas,
+  getModeForEndpoint,
+  checkResponse,
+  violationResponseBody,
+  getStatus,
+  reset,
+};
@@ -1,134 +1,63 @@
-const { createOSMApiHandler } = require('./osmApiHandler');
+const {
+  createOSMApiHandler,
+  createDisconnectSignal,
+  sendStaleResponse,
+  getCallerIdentity,
+} = require('./osmApiHandler');
 const { 
   getSessionId, 
   makeOSMRequest, 
   getOSMRateLimitInfo, 
   addRateLimitInfoToResponse,
 } = require('../middleware/rateLimiting');
+const { recordOSMUserId } = require('./tokenStore');
 const { logger } = require('../config/sentry');
-const { detectBlockedResponse } = require('./responseHelpers');
-const {
-  shouldAllowRequest,
-  recordBlocked,
-  recordSuccess,
-  recordProbeFailure,
-  getGeneration,
-} = require('./osmCircuitBreaker');
-
-/**
- * Creates a simple OSM GET endpoint handler
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
- * @param {Array<string>} requiredParams - Required parameters
- * @returns {Function} Express request handler
- */
-const createSimpleGetHandler = (endpoint, baseUrl, requiredParams = []) => {
-  return createOSMApiHandler(endpoint, {
-    method: 'GET',
-    requiredParams,
-    buildUrl: (req) => {
-      const url = new URL(baseUrl);
-      
-      // Add query parameters
-      Object.entries(req.query).forEach(([key, value]) => {
-        if (value !== undefined) {
-          url.searchParams.append(key, value);
-        }
-      });
-      
-      return url.toString();
-    },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/json',
-      },
-    }),
-  });
-};
+const { getBlockedScope } = require('./responseHelpers');
+const osmCircuitBreaker = require('./osmCircuitBreaker');
+const responseCache = require('./osmResponseCache');
+const osmRequestTimeouts = require('./osmRequestTimeouts');
+const { OSM_ENDPOINTS, getEndpoint, endpointUrl, prepareOSMRequest } = require('./osmEndpointRegistry');
 
 /**
- * Creates a simple OSM POST endpoint handler
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
- * @param {Array<string>} requiredParams - Required parameters
+ * Creates the Express handler for a registry endpoint. URL, form body,
+ * param mapping, validation and response parsing all come from its entry
+ * in osmEndpointRegistry.js.
+ * @param {string} name - Endpoint name in the registry
  * @returns {Function} Express request handler
  */
-const createSimplePostHandler = (endpoint, baseUrl, requiredParams = []) => {
-  return createOSMApiHandler(endpoint, {
-    method: 'POST',
-    requiredParams,
-    buildUrl: (_req) => baseUrl,
-    buildRequestOptions: (req, access_token) => ({
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(req.body),
-    }),
-  });
-};
+const createEndpointHandler = (name) => {
+  const entry = getEndpoint(name);
+  if (entry.kind === 'startup') {
+    return createStartupHandler(name);
+  }
+  if (entry.kind !== 'proxy') {
+    throw new Error(`OSM endpoint ${name} has no proxy handler`);
+  }
 
-/**
- * Creates a form-encoded POST endpoint handler (for OSM APIs that expect form data)
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
- * @param {Array<string>} requiredParams - Required parameters
- * @param {Function} buildFormData - Function to build form data from request
- * @returns {Function} Express request handler
- */
-const createFormPostHandler = (endpoint, baseUrl, requiredParams, buildFormData) => {
-  return createOSMApiHandler(endpoint, {
-    method: 'POST',
-    requiredParams,
-    buildUrl: (_req) => baseUrl,
-    buildRequestOptions: (req, access_token) => ({
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: buildFormData(req),
-    }),
-  });
-};
+  // buildUrl prepares the call once; buildRequestOptions reuses it
+  const prepared = new WeakMap();
 
-/**
- * Creates a contact-related endpoint handler (with special JSON parsing)
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
- * @param {Array<string>} requiredParams - Required parameters
- * @returns {Function} Express request handler
- */
-const createContactHandler = (endpoint, baseUrl, requiredParams = []) => {
-  return createOSMApiHandler(endpoint, {
-    method: 'GET',
-    requiredParams,
+  return createOSMApiHandler(name, {
+    method: entry.method,
+    requiredParams: entry.requiredParams,
     buildUrl: (req) => {
-      const url = new URL(baseUrl);
-      
-      // Add query parameters
-      Object.entries(req.query).forEach(([key, value]) => {
-        if (value !== undefined) {
-          url.searchParams.append(key, value);
-        }
-      });
-      
-      return url.toString();
+      const call = prepareOSMRequest(name, req);
+      prepared.set(req, call);
+      return call.url;
     },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-      },
-    }),
-    processResponse: (data, _req) => {
-      // For contact endpoints, we just return the data as-is
-      // The JSON parsing is already handled by the main handler
-      return data;
+    buildRequestOptions: (req, access_token) => {
+      const { method, form } = prepared.get(req) || prepareOSMRequest(name, req);
+      return {
+        method,
+        headers: {
+          'Authorization': `Bearer ${access_token}`,
+          ...(form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+        },
+        ...(form ? { body: form } : {}),
+      };
     },
+    processResponse: entry.parse,
+    onSuccess: entry.onSuccess,
   });
 };
 
@@ -143,16 +72,17 @@ const createContactHandler = (endpoint, baseUrl, requiredParams = []) => {
  *
  * @param {string} accessToken - OSM OAuth access token
  * @param {string} sessionId - Session id for rate-limit tracking
+ * @param {Object} [callOptions] - makeOSMRequest options, e.g. timeoutMs and signal
  * @returns {Promise<{data: object}|{failureStatus: number, reason: string}>}
  *   Startup-shaped payload, or the fallback's own failure status and reason
  */
-const buildStartupDataFromOAuthResource = async (accessToken, sessionId) => {
-  const response = await makeOSMRequest('https://www.onlinescoutmanager.co.uk/oauth/resource', {
+const buildStartupDataFromOAuthResource = async (accessToken, sessionId, callOptions = {}) => {
+  const response = await makeOSMRequest(endpointUrl('oauthResource'), {
     method: 'GET',
     headers: {
       'Authorization': `Bearer ${accessToken}`,
     },
-  }, sessionId);
+  }, sessionId, callOptions);
 
   if (!response.ok) {
     logger.warn('Startup fallback: oauth/resource returned non-ok', {
@@ -203,16 +133,35 @@ const buildStartupDataFromOAuthResource = async (accessToken, sessionId) => {
   };
 };
 
+/**
+ * Keeps a good startup payload for replay, after linking the caller's session
+ * to the OSM user in it. The backend rate limiter then counts all of that
+ * user's sessions together, and the copy is kept under the user rather than
+ * the token, so it can still be replayed after the token is renewed.
+ * @param {string} endpoint - Endpoint name in the registry
+ * @param {string} accessToken - Access token the payload was fetched with
+ * @param {object} data - Startup payload
+ * @returns {void}
+ */
+const keepStartupData = (endpoint, accessToken, data) => {
+  recordOSMUserId(accessToken, data?.globals?.userid);
+  responseCache.set(responseCache.buildCacheKey(endpoint, getCallerIdentity(accessToken), {}), data, 0, { endpoint });
+};
+
 /**
  * Creates startup data endpoint handler (with special response processing).
  * When OSM's startup endpoint returns 410 Gone (retired), falls back to the
  * OAuth resource-owner endpoint via buildStartupDataFromOAuthResource.
  *
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
+ * Startup data is never served fresh from cache, but every good payload is
+ * kept so it can be replayed (flagged stale) while the breaker is open.
+ *
+ * @param {string} endpoint - Endpoint name in the registry
  * @returns {Function} Express request handler
  */
-const createStartupHandler = (endpoint, baseUrl) => {
+const createStartupHandler = (endpoint) => {
+  const breakers = osmCircuitBreaker.forEndpoint(endpoint);
+
   // Special handler for startup endpoint that needs custom response processing
   return async (req, res) => {
     const access_token = req.headers.authorization?.replace('Bearer ', '');
@@ -222,7 +171,15 @@ const createStartupHandler = (endpoint, baseUrl) => {
       return res.status(401).json({ error: 'Access token is required in Authorization header' });
     }
 
-    if (!shouldAllowRequest()) {
+    if (!breakers.shouldAllowRequest()) {
+      const stale = responseCache.getStale(responseCache.buildCacheKey(endpoint, getCallerIdentity(access_token), {}));
+      if (stale) {
+        logger.warn('OSM circuit breaker open - serving stale startup data', {
+          sessionId,
+          cacheAgeMs: Date.now() - stale.fetchedAt,
+        });
+        return sendStaleResponse(req, res, stale);
+      }
       logger.warn('OSM circuit breaker open - startup request blocked without calling OSM', { sessionId });
       return res.status(503).json({
         error: 'OSM API access blocked - sign in again to reconnect',
@@ -230,18 +187,22 @@ const createStartupHandler = (endpoint, baseUrl) => {
       });
     }
 
-    const breakerGeneration = getGeneration();
+    const breakerGeneration = breakers.getGeneration();
+    const callOptions = {
+      timeoutMs: osmRequestTimeouts.getTimeoutForEndpoint(endpoint),
+      signal: createDisconnectSignal(res),
+    };
 
     try {
-      const response = await makeOSMRequest(baseUrl, {
+      const response = await makeOSMRequest(endpointUrl(endpoint), {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${access_token}`,
         },
-      }, sessionId);
+      }, sessionId, callOptions);
 
       if (response.status === 429) {
-        recordProbeFailure(breakerGeneration);
+        breakers.recordProbeFailure(breakerGeneration);
         const osmInfo = getOSMRateLimitInfo(sessionId);
         return res.status(429).json({
           error: 'OSM API rate limit exceeded',
@@ -253,8 +214,11 @@ const createStartupHandler = (endpoint, baseUrl) => {
       if (response.status === 410) {
         let fallback;
         try {
-          fallback = await buildStartupDataFromOAuthResource(access_token, sessionId);
+          fallback = await buildStartupDataFromOAuthResource(access_token, sessionId, callOptions);
         } catch (fallbackErr) {
+          if (osmRequestTimeouts.isCancelledError(fallbackErr)) {
+            throw fallbackErr;
+          }
           logger.error('Startup fallback threw', {
             error: fallbackErr.message,
             sessionId,
@@ -264,7 +228,8 @@ const createStartupHandler = (endpoint, baseUrl) => {
         }
 
         if (fallback.data) {
-          recordSuccess(breakerGeneration);
+          breakers.recordSuccess(breakerGeneration);
+          keepStartupData(endpoint, access_token, fallback.data);
           logger.info('Startup data served from oauth/resource fallback', {
             sessionId,
             section: 'startup-fallback',
@@ -273,7 +238,7 @@ const createStartupHandler = (endpoint, baseUrl) => {
           return res.json(responseWithRateInfo);
         }
 
-        recordProbeFailure(breakerGeneration);
+        breakers.recordProbeFailure(breakerGeneration);
 
         if (fallback.failureStatus === 429) {
           const osmInfo = getOSMRateLimitInfo(sessionId);
@@ -290,7 +255,7 @@ const createStartupHandler = (endpoint, baseUrl) => {
       }
 
       if (!response.ok) {
-        recordProbeFailure(breakerGeneration);
+        breakers.recordProbeFailure(breakerGeneration);
         return res.status(response.status).json({ error: `OSM API error: ${response.status}` });
       }
 
@@ -301,14 +266,17 @@ const createStartupHandler = (endpoint, baseUrl) => {
 
       try {
         const data = JSON.parse(jsonText);
-        recordSuccess(breakerGeneration);
+        breakers.recordSuccess(breakerGeneration);
+        keepStartupData(endpoint, access_token, data);
         const responseWithRateInfo = addRateLimitInfoToResponse(req, res, data);
         res.json(responseWithRateInfo);
       } catch (parseError) {
-        if (detectBlockedResponse(responseText)) {
-          recordBlocked();
+        const blockedScope = getBlockedScope(responseText);
+        if (blockedScope) {
+          breakers.recordBlocked(blockedScope);
           logger.error('OSM returned Blocked page on startup data', {
             sessionId,
+            blockedScope,
             parseError: parseError.message,
             responseLength: responseText.length,
             responsePreview: responseText.substring(0, 15000),
@@ -319,7 +287,7 @@ const createStartupHandler = (endpoint, baseUrl) => {
             details: responseText.substring(0, 1000),
           });
         }
-        recordProbeFailure(breakerGeneration);
+        breakers.recordProbeFailure(breakerGeneration);
         logger.error('Invalid JSON in startup response from OSM API', {
           sessionId,
           parseError: parseError.message,
@@ -332,241 +300,31 @@ const createStartupHandler = (endpoint, baseUrl) => {
         });
       }
     } catch (err) {
-      recordProbeFailure(breakerGeneration);
+      if (osmRequestTimeouts.isCancelledError(err)) {
+        logger.info('Client disconnected - startup request to OSM cancelled', { sessionId });
+        return;
+      }
+      breakers.recordProbeFailure(breakerGeneration);
+      if (osmRequestTimeouts.isTimeoutError(err)) {
+        return res.status(504).json(osmRequestTimeouts.timeoutResponseBody(err));
+      }
       res.status(500).json({ error: 'Internal Server Error', details: err.message });
     }
   };
 };
 
 /**
- * Creates flexi record update endpoint handler
- * @param {string} endpoint - Endpoint name for logging
- * @param {string} baseUrl - Base OSM API URL
- * @param {Array<string>} requiredParams - Required parameters
- * @param {Function} customValidation - Optional custom validation function
- * @returns {Function} Express request handler
+ * Handler factories for every proxied OSM endpoint in the registry, keyed by
+ * endpoint name
  */
-const createFlexiUpdateHandler = (endpoint, baseUrl, requiredParams, customValidation = null) => {
-  return createOSMApiHandler(endpoint, {
-    method: 'POST',
-    requiredParams,
-    buildUrl: (_req) => baseUrl,
-    buildRequestOptions: (req, access_token) => {
-      // Build form data for OSM API
-      const formData = new URLSearchParams();
-      
-      // Add all body parameters to form data
-      Object.entries(req.body).forEach(([key, value]) => {
-        if (value !== undefined) {
-          formData.append(key, value);
-        }
-      });
-      
-      return {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${access_token}`,
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: formData,
-      };
-    },
-    // Custom validation for flexi record endpoints
-    customValidation,
-  });
-};
-
-/**
- * Pre-configured endpoint handlers for common OSM APIs
- */
-const osmEndpoints = {
-  // Simple GET endpoints
-  getTerms: () => createSimpleGetHandler(
-    'getTerms',
-    'https://www.onlinescoutmanager.co.uk/api.php?action=getTerms',
-    [],
-  ),
-  
-  getSectionConfig: () => createSimpleGetHandler(
-    'getSectionConfig',
-    'https://www.onlinescoutmanager.co.uk/api.php?action=getSectionConfig',
-    ['sectionid'],
-  ),
-  
-  getUserRoles: () => createSimpleGetHandler(
-    'getUserRoles',
-    'https://www.onlinescoutmanager.co.uk/api.php?action=getUserRoles',
-    [],
-  ),
-  
-  getEvents: () => createOSMApiHandler('getEvents', {
-    method: 'GET',
-    requiredParams: ['sectionid', 'termid'],
-    buildUrl: (req) => {
-      const url = new URL('https://www.onlinescoutmanager.co.uk/ext/events/summary/?action=get');
-      
-      // Add query parameters
-      Object.entries(req.query).forEach(([key, value]) => {
-        if (value !== undefined) {
-          url.searchParams.append(key, value);
-        }
-      });
-      
-      return url.toString();
-    },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/json',
-      },
-    }),
-    processResponse: (data, _req) => {
-      // Convert UK date format (dd/mm/yyyy) to ISO format for frontend
-      if (data.items && Array.isArray(data.items)) {
-        data.items = data.items.map(event => {
-          const convertedEvent = { ...event };
-          
-          // Convert date fields from dd/mm/yyyy to ISO format
-          const dateFields = ['date', 'startdate', 'enddate'];
-          dateFields.forEach(field => {
-            if (convertedEvent[field] && convertedEvent[field].includes('/')) {
-              // Convert dd/mm/yyyy to yyyy-mm-dd
-              const [day, month, year] = convertedEvent[field].split('/');
-              if (day && month && year) {
-                convertedEvent[field + '_iso'] = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-                // Keep original for backward compatibility
-                convertedEvent[field + '_original'] = convertedEvent[field];
-                // Update main field to be JavaScript-friendly (mm/dd/yyyy)
-                convertedEvent[field] = `${month}/${day}/${year}`;
-              }
-            }
-          });
-          
-          return convertedEvent;
-        });
-      }
-      
-      return data;
-    },
-  }),
-  
-  getEventAttendance: () => createSimpleGetHandler(
-    'getEventAttendance',
-    'https://www.onlinescoutmanager.co.uk/ext/events/event/?action=getAttendance',
-    ['sectionid', 'termid', 'eventid'],
-  ),
-
-  getProgrammeSummary: () => createSimpleGetHandler(
-    'getProgrammeSummary',
-    'https://www.onlinescoutmanager.co.uk/ext/programme/?action=getProgrammeSummary&verbose=1',
-    ['sectionid', 'termid'],
-  ),
-  
-  // Contact-related endpoints (with special handling)
-  getContactDetails: () => createContactHandler(
-    'getContactDetails',
-    'https://www.onlinescoutmanager.co.uk/ext/members/contact/?action=getIndividual',
-    ['sectionid', 'scoutid'],
-  ),
-  
-  getListOfMembers: () => createContactHandler(
-    'getListOfMembers',
-    'https://www.onlinescoutmanager.co.uk/ext/members/contact/?action=getListOfMembers',
-    ['sectionid', 'termid', 'section'],
-  ),
-  
-  // Flexi record endpoints
-  getFlexiRecords: () => createSimpleGetHandler(
-    'getFlexiRecords',
-    'https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=getFlexiRecords',
-    ['sectionid'], // archived parameter is optional
-  ),
-  
-  getFlexiStructure: () => createOSMApiHandler('getFlexiStructure', {
-    method: 'GET',
-    requiredParams: ['sectionid', 'flexirecordid', 'termid'],
-    buildUrl: (req) => {
-      const { sectionid, flexirecordid, termid } = req.query;
-      return `https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=getStructure&sectionid=${sectionid}&extraid=${flexirecordid}&termid=${termid}`;
-    },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-      },
-    }),
-    processResponse: (data, _req) => {
-      return data;
-    },
-  }),
-  
-  getSingleFlexiRecord: () => createOSMApiHandler('getSingleFlexiRecord', {
-    method: 'GET',
-    requiredParams: ['sectionid', 'flexirecordid', 'termid'],
-    buildUrl: (req) => {
-      const { sectionid, flexirecordid, termid } = req.query;
-      return `https://www.onlinescoutmanager.co.uk/ext/members/flexirecords/?action=getData&extraid=${flexirecordid}&sectionid=${sectionid}&termid=${termid}&nototal`;
-    },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-      },
-    }),
-    processResponse: (data, _req) => {
-      return data;
-    },
-  }),
-  
-  // Event summary endpoints
-  getEventSummary: () => createOSMApiHandler('getEventSummary', {
-    method: 'GET',
-    requiredParams: ['eventid'],
-    buildUrl: (req) => {
-      const { eventid } = req.query;
-      return `https://www.onlinescoutmanager.co.uk/v3/events/event/${eventid}/summary`;
-    },
-    buildRequestOptions: (_req, access_token) => ({
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/json',
-      },
-    }),
-    processResponse: (data, _req) => {
-      // Process the complex event summary data structure
-      // We could potentially flatten or reorganize the data here for easier frontend consumption
-      return data;
-    },
-  }),
-
-  // Shared events endpoints
-  getEventSharingStatus: () => createSimpleGetHandler(
-    'getEventSharingStatus',
-    'https://www.onlinescoutmanager.co.uk/ext/events/event/sharing/?action=getStatus',
-    ['eventid', 'sectionid'],
-  ),
-
-  getSharedEventAttendance: () => createSimpleGetHandler(
-    'getSharedEventAttendance',
-    'https://www.onlinescoutmanager.co.uk/ext/events/event/sharing/?action=getAttendance',
-    ['eventid', 'sectionid'],
-  ),
-
-  // Startup endpoint (with special response processing)
-  getStartupData: () => createStartupHandler(
-    'getStartupData',
-    'https://www.onlinescoutmanager.co.uk/ext/generic/startup/?action=getData',
-  ),
-};
+const osmEndpoints = Object.fromEntries(
+  Object.entries(OSM_ENDPOINTS)
+    .filter(([, entry]) => entry.kind !== 'oauth')
+    .map(([name]) => [name, () => createEndpointHandler(name)]),
+);
 
 module.exports = {
-  createSimpleGetHandler,
-  createSimplePostHandler,
-  createFormPostHandler,
-  createContactHandler,
+  createEndpointHandler,
   createStartupHandler,
-  createFlexiUpdateHandler,
   osmEndpoints,
-};
\ No newline at end of file
+};
@@ -0,0 +1,404 @@
+const { osmUrl } = require('../config/osm');
+const { applyFlexiValueWrite, invalidateFlexiRecordReads } = require('./flexiRecordCache');
+const { transformMemberGridData } = require('../controllers/osm-legacy');
+
+// Every OSM endpoint the backend calls, in one place. Handlers are generated
+// from these entries (see createEndpointHandler in osmEndpointFactories.js)
+// and every path resolves against OSM_BASE_URL (config/osm.js).
+//
+// Entry fields:
+//   method          HTTP method of the OSM call (and of the client's request)
+//   path            OSM path; `:name` segments are filled from the params
+//   requiredParams  Client params that must be present (checked before the call)
+//   query           Client params copied into OSM's query string, or 'all'
+//   body            Client params sent to OSM as form fields (POST)
+//   paramMap        Client param name -> OSM's name for it
+//   prepare         (params, req) => params: validates and normalises the
+//                   client's params; throws a 400 error for bad input
+//   parse           (data, req) => data: reshapes OSM's parsed JSON for the client
+//   onSuccess       (req, data) => void: runs after OSM accepts the call
+//   contract        { schema, mode }: the shape OSM's parsed response must
+//                   have, built from docs/osm-api/schemas, and whether drift
+//                   is only reported ('warn') or rejected ('enforce'); see
+//                   osmContracts.js
+//   kind            'proxy' (default), 'startup' (its own handler) or 'oauth'
+//                   (used by the sign-in flow; no proxy handler)
+//
+// Client params come from the query string for GET and the body for POST.
+
+/**
+ * Builds the error for a request OSM should never see.
+ * @param {string} message - What is wrong with the request
+ * @returns {Error} Error with status 400 and code VALIDATION_ERROR
+ */
+const validationError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'VALIDATION_ERROR';
+  return err;
+};
+
+/**
+ * Converts UK dates (dd/mm/yyyy) on events to ISO, keeping the original.
+ * @param {Object} data - Parsed getEvents response
+ * @returns {Object} Response with *_iso and *_original date fields
+ */
+const convertEventDates = (data) => {
+  if (data.items && Array.isArray(data.items)) {
+    data.items = data.items.map(event => {
+      const convertedEvent = { ...event };
+
+      // Convert date fields from dd/mm/yyyy to ISO format
+      const dateFields = ['date', 'startdate', 'enddate'];
+      dateFields.forEach(field => {
+        if (convertedEvent[field] && convertedEvent[field].includes('/')) {
+          // Convert dd/mm/yyyy to yyyy-mm-dd
+          const [day, month, year] = convertedEvent[field].split('/');
+          if (day && month && year) {
+            convertedEvent[field + '_iso'] = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+            // Keep original for backward compatibility
+            convertedEvent[field + '_original'] = convertedEvent[field];
+            // Update main field to be JavaScript-friendly (mm/dd/yyyy)
+            convertedEvent[field] = `${month}/${day}/${year}`;
+          }
+        }
+      });
+
+      return convertedEvent;
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Reference to a schema in docs/osm-api/schemas.
+ * @param {string} name - Schema name, e.g. 'OSMRawTerm'
+ * @returns {Object} $ref schema
+ */
+const osmSchema = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * OSM's usual list wrapper: `{ items: [...] }`.
+ * @param {string} name - Schema name of each item
+ * @returns {Object} Schema
+ */
+const itemsOf = (name) => ({
+  type: 'object',
+  required: ['items'],
+  properties: { items: { type: 'array', items: osmSchema(name) } },
+});
+
+const OSM_ENDPOINTS = {
+  // Basic config
+  getTerms: {
+    method: 'GET',
+    path: '/api.php?action=getTerms',
+    query: 'all',
+    // Terms by section id
+    contract: {
+      schema: { type: 'object', additionalProperties: { type: 'array', items: osmSchema('OSMRawTerm') } },
+      mode: 'warn',
+    },
+  },
+  getSectionConfig: {
+    method: 'GET',
+    path: '/api.php?action=getSectionConfig',
+    requiredParams: ['sectionid'],
+    query: 'all',
+  },
+  getUserRoles: {
+    method: 'GET',
+    path: '/api.php?action=getUserRoles',
+    query: 'all',
+  },
+  getStartupData: {
+    method: 'GET',
+    path: '/ext/generic/startup/?action=getData',
+    kind: 'startup',
+  },
+
+  // Events
+  getEvents: {
+    method: 'GET',
+    path: '/ext/events/summary/?action=get',
+    requiredParams: ['sectionid', 'termid'],
+    query: 'all',
+    parse: convertEventDates,
+    contract: { schema: itemsOf('OSMRawEvent'), mode: 'warn' },
+  },
+  getEventAttendance: {
+    method: 'GET',
+    path: '/ext/events/event/?action=getAttendance',
+    requiredParams: ['sectionid', 'termid', 'eventid'],
+    query: 'all',
+    contract: { schema: itemsOf('OSMRawAttendance'), mode: 'warn' },
+  },
+  getEventSummary: {
+    method: 'GET',
+    path: '/v3/events/event/:eventid/summary',
+    requiredParams: ['eventid'],
+  },
+  getEventSharingStatus: {
+    method: 'GET',
+    path: '/ext/events/event/sharing/?action=getStatus',
+    requiredParams: ['eventid', 'sectionid'],
+    query: 'all',
+  },
+  getSharedEventAttendance: {
+    method: 'GET',
+    path: '/ext/events/event/sharing/?action=getAttendance',
+    requiredParams: ['eventid', 'sectionid'],
+    query: 'all',
+  },
+
+  // Programme
+  getProgrammeSummary: {
+    method: 'GET',
+    path: '/ext/programme/?action=getProgrammeSummary&verbose=1',
+    requiredParams: ['sectionid', 'termid'],
+    query: 'all',
+  },
+
+  // Members and contacts
+  getContactDetails: {
+    method: 'GET',
+    path: '/ext/members/contact/?action=getIndividual',
+    requiredParams: ['sectionid', 'scoutid'],
+    query: 'all',
+  },
+  getListOfMembers: {
+    method: 'GET',
+    path: '/ext/members/contact/?action=getListOfMembers',
+    requiredParams: ['sectionid', 'termid', 'section'],
+    query: 'all',
+  },
+  getMembersGrid: {
+    method: 'POST',
+    path: '/ext/members/contact/grid/?action=getMembers',
+    requiredParams: ['section_id', 'term_id'],
+    body: ['section_id', 'term_id'],
+    parse: (data) => transformMemberGridData(data),
+  },
+
+  // FlexiRecords
+  getFlexiRecords: {
+    method: 'GET',
+    path: '/ext/members/flexirecords/?action=getFlexiRecords',
+    requiredParams: ['sectionid'], // archived parameter is optional
+    query: 'all',
+    contract: { schema: itemsOf('OSMRawFlexiRecord'), mode: 'warn' },
+  },
+  getFlexiStructure: {
+    method: 'GET',
+    path: '/ext/members/flexirecords/?action=getStructure',
+    requiredParams: ['sectionid', 'flexirecordid', 'termid'],
+    query: ['sectionid', 'flexirecordid', 'termid'],
+    paramMap: { flexirecordid: 'extraid' },
+    contract: { schema: osmSchema('OSMRawFlexiStructure'), mode: 'warn' },
+  },
+  getSingleFlexiRecord: {
+    method: 'GET',
+    path: '/ext/members/flexirecords/?action=getData&nototal',
+    requiredParams: ['sectionid', 'flexirecordid', 'termid'],
+    query: ['flexirecordid', 'sectionid', 'termid'],
+    paramMap: { flexirecordid: 'extraid' },
+    contract: { schema: itemsOf('OSMRawFlexiData'), mode: 'warn' },
+  },
+  updateFlexiRecord: {
+    method: 'POST',
+    path: '/ext/members/flexirecords/?action=updateScout&nototal=null',
+    // value is left out: an empty string clears the field (the spec still
+    // requires it, and checks columnid's f_N format)
+    requiredParams: ['termid', 'sectionid', 'section', 'flexirecordid', 'scoutid', 'columnid'],
+    body: ['termid', 'sectionid', 'section', 'flexirecordid', 'scoutid', 'columnid', 'value'],
+    paramMap: { flexirecordid: 'extraid', columnid: 'column' },
+    onSuccess: (req) => {
+      const { sectionid, scoutid, flexirecordid, columnid, value } = req.body;
+      applyFlexiValueWrite({ sectionid, flexirecordid, scoutids: [scoutid], columnid, value });
+    },
+  },
+  multiUpdateFlexiRecord: {
+    method: 'POST',
+    path: '/ext/members/flexirecords/?action=multiUpdate',
+    requiredParams: ['sectionid', 'scouts', 'value', 'column', 'flexirecordid'],
+    query: ['sectionid'],
+    body: ['scouts', 'value', 'column', 'flexirecordid'],
+    paramMap: { column: 'col', flexirecordid: 'extraid' },
+    // The spec checks scouts (1-50 ids) and column's f_N format
+    prepare: (params) => ({ ...params, scouts: JSON.stringify(params.scouts) }),
+    onSuccess: (req) => {
+      const { sectionid, flexirecordid, scouts, column, value } = req.body;
+      applyFlexiValueWrite({ sectionid, flexirecordid, scoutids: scouts, columnid: column, value });
+    },
+  },
+  createFlexiRecord: {
+    method: 'POST',
+    path: '/ext/members/flexirecords/?action=addRecordSet',
+    requiredParams: ['sectionid', 'name'],
+    query: ['sectionid'],
+    body: ['name', 'dob', 'age', 'patrol', 'type'],
+    prepare: (params) => {
+      const { name, dob = '1', age = '1', patrol = '1', type = 'none' } = params;
+      const as01 = (v) => (v === '1' || v === 1 || v === true || String(v).toLowerCase() === 'true') ? '1' : '0';
+      const nameTrimmed = String(name ?? '').trim();
+      if (!nameTrimmed) {
+        throw validationError('name must be a non-empty string');
+      }
+      return { ...params, name: nameTrimmed, dob: as01(dob), age: as01(age), patrol: as01(patrol), type };
+    },
+    onSuccess: (req) => invalidateFlexiRecordReads({ sectionid: req.body.sectionid }),
+  },
+  addFlexiColumn: {
+    method: 'POST',
+    path: '/ext/members/flexirecords/?action=addColumn',
+    requiredParams: ['sectionid', 'flexirecordid', 'columnName'],
+    query: ['sectionid', 'flexirecordid'],
+    body: ['columnName'],
+    paramMap: { flexirecordid: 'extraid' },
+    prepare: (params) => {
+      const name = String(params.columnName ?? '').trim();
+      if (!name) {
+        throw validationError('columnName must be a non-empty string');
+      }
+      return { ...params, columnName: name };
+    },
+    onSuccess: (req) => invalidateFlexiRecordReads({
+      sectionid: req.body.sectionid,
+      flexirecordid: req.body.flexirecordid,
+    }),
+  },
+
+  // OAuth: used by sign-in, token renewal and the startup fallback
+  oauthAuthorize: { method: 'GET', path: '/oauth/authorize', kind: 'oauth' },
+  oauthToken: { method: 'POST', path: '/oauth/token', kind: 'oauth' },
+  oauthResource: { method: 'GET', path: '/oauth/resource', kind: 'oauth' },
+};
+
+/**
+ * Looks up an endpoint definition.
+ * @param {string} name - Endpoint name, e.g. 'getTerms'
+ * @returns {Object} Entry with defaults filled in
+ * @throws {Error} Unknown endpoint
+ */
+const getEndpoint = (name) => {
+  const entry = OSM_ENDPOINTS[name];
+  if (!entry) {
+    throw new Error(`Unknown OSM endpoint: ${name}`);
+  }
+  return {
+    name,
+    kind: 'proxy',
+    requiredParams: [],
+    query: [],
+    body: [],
+    paramMap: {},
+    prepare: null,
+    parse: null,
+    onSuccess: null,
+    contract: null,
+    ...entry,
+  };
+};
+
+/**
+ * Picks the params an entry sends, renamed to OSM's names. Params that
+ * fill `:name` path segments are not sent again.
+ * @param {Object} params - Client params
+ * @param {Array<string>|string} names - Params to send, or 'all'
+ * @param {Object} paramMap - Client name -> OSM name
+ * @param {Array<string>} pathParams - Params already used in the path
+ * @returns {Array<Array<string>>} [name, value] pairs
+ */
+const pickParams = (params, names, paramMap, pathParams) => {
+  const keys = names === 'all' ? Object.keys(params) : names;
+  return keys
+    .filter((key) => params[key] !== undefined && !pathParams.includes(key))
+    .map((key) => [paramMap[key] || key, String(params[key])]);
+};
+
+/**
+ * Resolves an endpoint's URL against OSM_BASE_URL, filling `:name` path
+ * segments and appending query params. The path's own query string is
+ * kept as written (OSM relies on bare flags like `nototal`).
+ * @param {string} name - Endpoint name
+ * @param {Object} [params] - Client params
+ * @returns {string} Absolute URL
+ */
+const endpointUrl = (name, params = {}) => {
+  const entry = getEndpoint(name);
+  const pathParams = [];
+  const path = entry.path.replace(/:([A-Za-z_]+)/g, (_match, key) => {
+    pathParams.push(key);
+    return encodeURIComponent(String(params[key] ?? ''));
+  });
+  const query = new URLSearchParams(pickParams(params, entry.query, entry.paramMap, pathParams)).toString();
+  const url = osmUrl(path);
+  if (!query) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+/**
+ * How an endpoint's URLs are recognised: the path without its query string
+ * (`:name` segments match any single segment) and the `action` query param.
+ * @param {string} name - Endpoint name
+ * @returns {{name: string, method: string, path: string|RegExp, action: (string|undefined)}} Route
+ */
+const endpointRoute = (name) => {
+  const entry = getEndpoint(name);
+  const [pathname, search = ''] = entry.path.split('?');
+  const action = new URLSearchParams(search).get('action') || undefined;
+  const matchPath = pathname.includes(':')
+    ? new RegExp(`^${pathname.replace(/:[A-Za-z_]+/g, '[^/]+')}$`)
+    : pathname;
+  return { name, method: entry.method, path: matchPath, action };
+};
+
+/**
+ * Finds the endpoint an OSM URL belongs to.
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute OSM URL
+ * @returns {string|null} Endpoint name, or null for a URL not in the registry
+ */
+const matchEndpoint = (method, url) => {
+  const { pathname, searchParams } = new URL(url);
+  const route = Object.keys(OSM_ENDPOINTS).map(endpointRoute).find((candidate) => {
+    const pathMatches = candidate.path instanceof RegExp ? candidate.path.test(pathname) : candidate.path === pathname;
+    return candidate.method === String(method).toUpperCase() && pathMatches
+      && (!candidate.action || searchParams.get('action') === candidate.action);
+  });
+  return route ? route.name : null;
+};
+
+/**
+ * Prepares the OSM call for a client request: validates and normalises its
+ * params, then maps them onto the endpoint's URL and form body. The caller
+ * adds the Authorization header.
+ * @param {string} name - Endpoint name
+ * @param {Object} req - Express request object
+ * @returns {{url: string, method: string, form: URLSearchParams|null}} The call to make
+ * @throws {Error} 400 VALIDATION_ERROR from the entry's prepare
+ */
+const prepareOSMRequest = (name, req) => {
+  const entry = getEndpoint(name);
+  const source = (entry.method === 'GET' ? req.query : req.body) || {};
+  const params = entry.prepare ? entry.prepare({ ...source }, req) : { ...source };
+
+  return {
+    url: endpointUrl(name, params),
+    method: entry.method,
+    form: entry.method === 'GET' ? null : new URLSearchParams(pickParams(params, entry.body, entry.paramMap, [])),
+  };
+};
+
+module.exports = {
+  OSM_ENDPOINTS,
+  getEndpoint,
+  endpointUrl,
+  endpointRoute,
+  matchEndpoint,
+  prepareOSMRequest,
+  validationError,
+};
@@ -1,3 +1,5 @@
+const { EventEmitter } = require('events');
+
 const { logger } = require('../config/sentry');
 const fallbackLogger = {
   info: console.log,
@@ -10,15 +12,38 @@ const log = logger || fallbackLogger;
 
 /**
  * OSM API Health Monitoring
- * Tracks OSM API status and detects when OSM starts blocking/failing
+ * Tracks OSM API status and detects when OSM starts blocking/failing.
+ * Emits 'blocked', 'degraded', 'failing' and 'recovered' with the health
+ * status at that moment, for alerting subscribers.
  */
-class OSMHealthLogger {
+class OSMHealthLogger extends EventEmitter {
   constructor() {
+    super();
     this.consecutiveFailures = 0;
     this.lastSuccessTime = Date.now();
     this.blockDetected = false;
   }
 
+  /**
+   * Emits a health event. A failing subscriber is logged, never rethrown
+   * into the OAuth callback.
+   * @param {string} type - Event name
+   * @param {Object} details - Extra event data
+   * @returns {void}
+   */
+  emitHealthEvent(type, details = {}) {
+    try {
+      this.emit(type, { type, ...this.getHealthStatus(), ...details, timestamp: new Date().toISOString() });
+    } catch (error) {
+      log.error(log.fmt`OSM health event subscriber failed: ${error.message}`, {
+        type,
+        error: error.message,
+        section: 'osm-health-events',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
   /**
    * Log OAuth token exchange result
    */
@@ -26,11 +51,13 @@ class OSMHealthLogger {
     const now = Date.now();
     
     if (success) {
+      const previousFailures = this.consecutiveFailures;
+      const downtimeDuration = now - this.lastSuccessTime;
       // Reset failure tracking on success
-      if (this.consecutiveFailures > 0) {
-        log.info(log.fmt`🎯 OSM OAuth recovered: ${this.consecutiveFailures} consecutive failures ended`, {
-          previousFailures: this.consecutiveFailures,
-          downtimeDuration: now - this.lastSuccessTime,
+      if (previousFailures > 0) {
+        log.info(log.fmt`🎯 OSM OAuth recovered: ${previousFailures} consecutive failures ended`, {
+          previousFailures,
+          downtimeDuration,
           section: 'osm-health-recovery',
           timestamp: new Date().toISOString(),
         });
@@ -39,6 +66,10 @@ class OSMHealthLogger {
       this.consecutiveFailures = 0;
       this.lastSuccessTime = now;
       this.blockDetected = false;
+
+      if (previousFailures > 0) {
+        this.emitHealthEvent('recovered', { previousFailures, downtimeDuration });
+      }
       
       // Only log OAuth success occasionally to reduce noise
       if (Math.random() < 0.1) { // 10% sampling
@@ -66,6 +97,7 @@ class OSMHealthLogger {
           alertLevel: 'critical',
           actionRequired: 'Contact OSM support or check server IP status',
         });
+        this.emitHealthEvent('blocked');
       }
       
       // Log escalating failure patterns
@@ -76,6 +108,7 @@ class OSMHealthLogger {
           section: 'osm-health-degraded',
           timestamp: new Date().toISOString(),
         });
+        this.emitHealthEvent('degraded');
       } else if (this.consecutiveFailures === 10) {
         log.error(log.fmt`🚨 OSM OAuth failing: 10+ consecutive failures`, {
           consecutiveFailures: this.consecutiveFailures,
@@ -84,6 +117,7 @@ class OSMHealthLogger {
           alertLevel: 'high',
           timestamp: new Date().toISOString(),
         });
+        this.emitHealthEvent('failing');
       }
     }
   }
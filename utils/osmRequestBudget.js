@@ -0,0 +1,194 @@
+// OSM applies its limit to our API key as a whole, so this budget is shared
+// by every session in the process. Until OSM has told us otherwise we assume
+// its documented 1000 requests per hour. Queueing for budget is the
+// scheduler's job (utils/osmRequestScheduler.js); this module only counts.
+const DEFAULT_LIMIT = 1000;
+const DEFAULT_WINDOW_MS = 3600000;
+const DEFAULT_SAFETY_MARGIN = 50;
+const DEFAULT_RETRY_AFTER_SECONDS = 3600;
+
+/**
+ * Reads a non-negative integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the budget settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{limit: number, safetyMargin: number}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  limit: readInt(env.OSM_BUDGET_LIMIT, DEFAULT_LIMIT) || DEFAULT_LIMIT,
+  safetyMargin: readInt(env.OSM_BUDGET_SAFETY_MARGIN, DEFAULT_SAFETY_MARGIN),
+});
+
+let config = loadConfigFromEnv();
+
+/**
+ * Creates a fresh budget: a full estimated window until OSM reports.
+ * `remaining` excludes calls still in flight; available() subtracts those.
+ * @returns {Object} Budget state
+ */
+const freshState = () => ({
+  limit: config.limit,
+  remaining: config.limit,
+  resetAt: Date.now() + DEFAULT_WINDOW_MS,
+  source: 'estimate',
+  inFlight: 0,
+  granted: 0,
+});
+
+let state = freshState();
+
+/**
+ * Starts a new window once the current one has passed. OSM restores the
+ * full limit at its reset time.
+ * @param {number} now - Current time in ms
+ * @returns {void}
+ */
+const rollWindow = (now) => {
+  if (now >= state.resetAt) {
+    state.remaining = state.limit;
+    state.resetAt = now + DEFAULT_WINDOW_MS;
+    state.source = 'estimate';
+  }
+};
+
+/**
+ * Requests that can start now without eating into the safety margin.
+ * @returns {number} Available requests
+ */
+const available = () => {
+  rollWindow(Date.now());
+  return Math.max(state.remaining - state.inFlight - config.safetyMargin, 0);
+};
+
+/**
+ * Applies an OSM response's rate limit headers to the budget.
+ * @param {Response} response - OSM response
+ * @returns {void}
+ */
+const recordResponse = (response) => {
+  const now = Date.now();
+  const headers = response?.headers;
+  const limit = Number.parseInt(headers?.get?.('X-RateLimit-Limit'), 10);
+  const remaining = Number.parseInt(headers?.get?.('X-RateLimit-Remaining'), 10);
+  const reset = Number.parseInt(headers?.get?.('X-RateLimit-Reset'), 10);
+
+  if (Number.isInteger(limit) && limit > 0) {
+    state.limit = limit;
+  }
+
+  if (response?.status === 429) {
+    const retryAfter = readInt(headers?.get?.('Retry-After'), DEFAULT_RETRY_AFTER_SECONDS);
+    state.remaining = 0;
+    state.resetAt = Number.isInteger(reset) ? reset * 1000 : now + retryAfter * 1000;
+    state.source = 'osm';
+    return;
+  }
+
+  if (!Number.isInteger(remaining)) {
+    rollWindow(now);
+    state.remaining = Math.max(state.remaining - 1, 0);
+    return;
+  }
+
+  const resetAt = Number.isInteger(reset) ? reset * 1000 : state.resetAt;
+  if (state.source !== 'osm' || resetAt > state.resetAt + 1000) {
+    // First report, or OSM has started a new window
+    state.remaining = remaining;
+    state.resetAt = resetAt;
+  } else {
+    // Same window: responses can arrive out of order, so keep the lowest count
+    state.remaining = Math.min(state.remaining, remaining);
+  }
+  state.source = 'osm';
+};
+
+/**
+ * Reserves one request if the budget allows it right now.
+ * @returns {{settle: Function, cancel: Function}|null} Reservation, or null when exhausted
+ */
+const tryReserve = () => {
+  if (available() <= 0) {
+    return null;
+  }
+  state.inFlight++;
+  state.granted++;
+  let open = true;
+
+  /**
+   * Releases the in-flight slot exactly once.
+   * @returns {boolean} Whether this call released it
+   */
+  const release = () => {
+    if (!open) {
+      return false;
+    }
+    open = false;
+    state.inFlight--;
+    return true;
+  };
+
+  return {
+    /**
+     * Records the OSM response that used this reservation. OSM's headers
+     * replace our estimate; without headers we count the call ourselves.
+     * @param {Response} response - OSM response
+     * @returns {void}
+     */
+    settle(response) {
+      if (release()) {
+        recordResponse(response);
+      }
+    },
+    /**
+     * Returns the reservation unused (the call never reached OSM).
+     * @returns {void}
+     */
+    cancel() {
+      release();
+    },
+  };
+};
+
+/**
+ * Live budget for /rate-limit-status.
+ * @returns {Object} Budget snapshot
+ */
+const getStatus = () => {
+  const availableNow = available();
+  return {
+    limit: state.limit,
+    remaining: state.remaining,
+    resetTime: state.resetAt,
+    source: state.source,
+    inFlight: state.inFlight,
+    safetyMargin: config.safetyMargin,
+    available: availableNow,
+    granted: state.granted,
+  };
+};
+
+/**
+ * Clears the budget, re-reading settings from the environment with
+ * optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+  state = freshState();
+};
+
+module.exports = {
+  tryReserve,
+  getStatus,
+  reset,
+};
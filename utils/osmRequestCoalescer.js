@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Identical reads already on their way to OSM, keyed by buildKey(), with how
+// many callers still wait on each. Entries are removed as soon as the
+// upstream call settles, so nothing here is a cache: a request that arrives
+// afterwards makes its own call.
+const inFlight = new Map();
+const stats = { leaders: 0, coalesced: 0, byEndpoint: {} };
+
+/**
+ * Reduces a caller identity to a fixed-length key part so raw tokens are
+ * never held as Map keys.
+ * @param {string} identity - Caller identity
+ * @returns {string} Short hex digest
+ */
+const hashIdentity = (identity) => crypto.createHash('sha256').update(String(identity)).digest('hex').substring(0, 32);
+
+/**
+ * Builds the key identical requests share. Two requests only share an
+ * upstream call when they would send OSM the same URL on behalf of the same
+ * OSM user, since OSM answers each user with their own data.
+ * @param {string} url - Full OSM URL
+ * @param {string} identity - Who the call is made for (OSM user or token)
+ * @returns {string} Coalescing key
+ */
+const buildKey = (url, identity) => `${hashIdentity(identity)}|${url}`;
+
+/**
+ * Counts a caller as waiting on a shared call until its signal fires. The
+ * call is cancelled only once every caller has gone; callers without a
+ * signal keep it alive to the end.
+ * @param {Object} entry - In-flight entry
+ * @param {AbortSignal|null} signal - Fires when this caller stops waiting
+ * @returns {void}
+ */
+const addWaiter = (entry, signal) => {
+  entry.waiting += 1;
+  if (!signal) {
+    return;
+  }
+  const leave = () => {
+    entry.waiting -= 1;
+    if (entry.waiting === 0) {
+      entry.controller.abort();
+    }
+  };
+  if (signal.aborted) {
+    leave();
+  } else {
+    signal.addEventListener('abort', leave, { once: true });
+    entry.promise.finally(() => signal.removeEventListener('abort', leave)).catch(() => {});
+  }
+};
+
+/**
+ * Runs `fn` for the first caller with a given key and hands every caller
+ * that arrives while it is in flight the same promise.
+ * @param {string} key - Key from buildKey()
+ * @param {Function} fn - Makes the upstream call; given an AbortSignal that fires once every caller's `signal` has
+ * @param {string} [endpoint] - Endpoint name, for per-endpoint counts
+ * @param {AbortSignal} [signal] - Fires when this caller stops waiting, e.g. its client disconnected
+ * @returns {Promise<{result: any, coalesced: boolean}>} The shared result, and whether this caller joined another's call
+ */
+const run = async (key, fn, endpoint = 'unknown', signal = null) => {
+  const existing = inFlight.get(key);
+  if (existing) {
+    stats.coalesced += 1;
+    stats.byEndpoint[endpoint] = (stats.byEndpoint[endpoint] || 0) + 1;
+    addWaiter(existing, signal);
+    return { result: await existing.promise, coalesced: true };
+  }
+
+  stats.leaders += 1;
+  const controller = new AbortController();
+  const entry = { controller, waiting: 0 };
+  entry.promise = Promise.resolve()
+    .then(() => fn(controller.signal))
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, entry);
+  addWaiter(entry, signal);
+  return { result: await entry.promise, coalesced: false };
+};
+
+/**
+ * Coalescing counts for /rate-limit-status.
+ * @returns {{inFlight: number, upstreamCalls: number, coalesced: number, byEndpoint: Object}} Counts
+ */
+const getStats = () => ({
+  inFlight: inFlight.size,
+  upstreamCalls: stats.leaders,
+  coalesced: stats.coalesced,
+  byEndpoint: { ...stats.byEndpoint },
+});
+
+/**
+ * Forgets in-flight calls and counts (test isolation). Callers already
+ * waiting keep their promise.
+ * @returns {void}
+ */
+const clear = () => {
+  inFlight.clear();
+  stats.leaders = 0;
+  stats.coalesced = 0;
+  stats.byEndpoint = {};
+};
+
+module.exports = {
+  buildKey,
+  run,
+  getStats,
+  clear,
+};
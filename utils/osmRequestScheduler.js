@@ -0,0 +1,313 @@
+const osmRequestBudget = require('./osmRequestBudget');
+
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Highest first. A leader saving a flexi record is waiting on the result;
+// attendance is what they look at most; bulk loads and prefetches can wait.
+const PRIORITIES = ['write', 'attendance', 'read', 'bulk'];
+
+// Endpoints whose priority differs from the method default (non-GET -> write,
+// GET -> read). getMembersGrid is a POST to OSM but only reads.
+const ENDPOINT_PRIORITIES = {
+  updateFlexiRecord: 'write',
+  multiUpdateFlexiRecord: 'write',
+  createFlexiRecord: 'write',
+  addFlexiColumn: 'write',
+  getEventAttendance: 'attendance',
+  getSharedEventAttendance: 'attendance',
+  getEventSummary: 'attendance',
+  getMembersGrid: 'read',
+};
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_WAIT_MS = 10000;
+const BUDGET_MODES = ['queue', 'reject'];
+
+const BUDGET_EXHAUSTED = 'OSM_BUDGET_EXHAUSTED';
+const DEADLINE_EXCEEDED = 'OSM_DEADLINE_EXCEEDED';
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the scheduler settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{concurrency: number, maxWaitMs: number, budgetMode: string}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  concurrency: readPositiveInt(env.OSM_SCHEDULER_CONCURRENCY, DEFAULT_CONCURRENCY),
+  maxWaitMs: readPositiveInt(env.OSM_SCHEDULER_MAX_WAIT_MS, DEFAULT_MAX_WAIT_MS),
+  budgetMode: BUDGET_MODES.includes(env.OSM_BUDGET_MODE) ? env.OSM_BUDGET_MODE : 'queue',
+});
+
+let config = loadConfigFromEnv();
+
+// Kept sorted by priority, then arrival
+let queue = [];
+let running = 0;
+let refillTimer = null;
+const counters = { started: 0, rejected: 0, timedOut: 0 };
+
+/**
+ * Picks the priority for an endpoint.
+ * @param {string|null} endpoint - Handler name, e.g. 'updateFlexiRecord'
+ * @param {string} [method] - HTTP method sent to OSM
+ * @returns {string} One of PRIORITIES
+ */
+const getPriorityForEndpoint = (endpoint, method = 'GET') => {
+  return ENDPOINT_PRIORITIES[endpoint] || (method.toUpperCase() === 'GET' ? 'read' : 'write');
+};
+
+/**
+ * Builds the error for a call the scheduler gave up on.
+ * @param {string} code - BUDGET_EXHAUSTED or DEADLINE_EXCEEDED
+ * @param {string} reason - Why
+ * @param {number} retryAfter - Seconds the caller should wait
+ * @returns {Error} Error with status 429, code and retryAfter
+ */
+const schedulerError = (code, reason, retryAfter) => {
+  const err = new Error(reason);
+  err.status = 429;
+  err.code = code;
+  err.retryAfter = retryAfter;
+  return err;
+};
+
+/**
+ * Seconds until the budget refills.
+ * @param {Object} budget - osmRequestBudget.getStatus()
+ * @returns {number} At least 1
+ */
+const secondsUntilRefill = (budget) => Math.max(Math.ceil((budget.resetTime - Date.now()) / 1000), 1);
+
+/**
+ * Error for a call that cannot run because the budget is spent.
+ * @param {string} reason - Why
+ * @returns {Error} BUDGET_EXHAUSTED error
+ */
+const budgetExhausted = (reason) => {
+  counters.rejected++;
+  return schedulerError(BUDGET_EXHAUSTED, `OSM request budget exhausted: ${reason}`, secondsUntilRefill(osmRequestBudget.getStatus()));
+};
+
+/**
+ * Runs a task with its budget reservation, then frees its slot. The
+ * reservation is settled with the response, or returned if the task threw.
+ * @param {Object} entry - Queue entry
+ * @param {{settle: Function, cancel: Function}} reservation - Budget reservation
+ * @returns {void}
+ */
+const start = (entry, reservation) => {
+  running++;
+  counters.started++;
+  Promise.resolve()
+    .then(() => entry.task())
+    .then((response) => {
+      reservation.settle(response);
+      entry.resolve(response);
+    }, (error) => {
+      reservation.cancel();
+      entry.reject(error);
+    })
+    .finally(() => {
+      running--;
+      pump();
+    });
+};
+
+/**
+ * Starts queued calls, highest priority first, while there are free slots
+ * and budget. When the budget is what's holding them, checks again once it
+ * refills.
+ * @returns {void}
+ */
+const pump = () => {
+  if (refillTimer) {
+    clearTimeout(refillTimer);
+    refillTimer = null;
+  }
+
+  while (queue.length > 0 && running < config.concurrency) {
+    const reservation = osmRequestBudget.tryReserve();
+    if (!reservation) {
+      const budget = osmRequestBudget.getStatus();
+      refillTimer = setTimeout(pump, Math.max(budget.resetTime - Date.now(), 0) + 10);
+      refillTimer.unref?.();
+      return;
+    }
+    const entry = queue.shift();
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    start(entry, reservation);
+  }
+};
+
+/**
+ * Drops a queued call whose deadline passed.
+ * @param {Object} entry - Queue entry
+ * @returns {void}
+ */
+const expire = (entry) => {
+  queue = queue.filter((queued) => queued !== entry);
+  entry.signal?.removeEventListener('abort', entry.onAbort);
+  const budget = osmRequestBudget.getStatus();
+  if (budget.available === 0) {
+    entry.reject(budgetExhausted('timed out waiting for budget'));
+    return;
+  }
+  counters.timedOut++;
+  entry.reject(schedulerError(DEADLINE_EXCEEDED, 'Timed out waiting for a free OSM request slot', 1));
+};
+
+/**
+ * Queues an OSM call. It starts once every higher-priority call ahead of it
+ * has started, a concurrency slot is free and the budget allows it. If that
+ * hasn't happened by the deadline the call fails without reaching OSM.
+ * @param {Function} task - Makes the call; resolves with the OSM Response
+ * @param {Object} [options] - Scheduling options
+ * @param {string} [options.priority] - One of PRIORITIES (default 'read')
+ * @param {number} [options.deadlineMs] - Longest wait before starting (default OSM_SCHEDULER_MAX_WAIT_MS)
+ * @param {AbortSignal} [options.signal] - Takes the call out of the queue, e.g. when the client disconnects
+ * @returns {Promise<Response>} The task's result
+ * @throws {Error} BUDGET_EXHAUSTED or DEADLINE_EXCEEDED (status 429, with retryAfter), or the signal's reason
+ */
+const schedule = (task, { priority = 'read', deadlineMs, signal = null } = {}) => {
+  const rank = PRIORITIES.indexOf(priority);
+  if (rank === -1) {
+    return Promise.reject(new Error(`Unknown OSM request priority: ${priority}`));
+  }
+  const waitMs = Number.isFinite(deadlineMs) && deadlineMs >= 0 ? deadlineMs : config.maxWaitMs;
+
+  const budget = osmRequestBudget.getStatus();
+  if (budget.available === 0) {
+    // Only a new window refills the budget, so don't queue a call that
+    // can't outlast the wait for it.
+    if (config.budgetMode === 'reject') {
+      return Promise.reject(budgetExhausted('reject mode'));
+    }
+    if (budget.inFlight === 0 && Date.now() + waitMs < budget.resetTime) {
+      return Promise.reject(budgetExhausted('no budget before the deadline'));
+    }
+  }
+
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { task, rank, priority, resolve, reject, signal };
+    const index = queue.findIndex((queued) => queued.rank > rank);
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+    entry.timer = setTimeout(() => expire(entry), waitMs);
+    if (signal) {
+      // Nobody is waiting for the result any more: free the place in the queue
+      entry.onAbort = () => {
+        queue = queue.filter((queued) => queued !== entry);
+        clearTimeout(entry.timer);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+    pump();
+  });
+};
+
+/**
+ * Logs a call the scheduler refused. Kept here so every caller reports it
+ * the same way.
+ * @param {Error} error - Scheduler error
+ * @param {Object} context - Request details (url, method, sessionId, priority)
+ * @returns {void}
+ */
+const logRejection = (error, context) => {
+  log.warn(log.fmt`OSM request not scheduled: ${context.url}`, {
+    ...context,
+    code: error.code,
+    reason: error.message,
+    retryAfter: error.retryAfter,
+    scheduler: getStatus(),
+    budget: osmRequestBudget.getStatus(),
+    section: 'osm-scheduler',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Whether an error came from the scheduler refusing a call (rather than
+ * from the call itself).
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for BUDGET_EXHAUSTED and DEADLINE_EXCEEDED
+ */
+const isSchedulerError = (error) => error?.code === BUDGET_EXHAUSTED || error?.code === DEADLINE_EXCEEDED;
+
+/**
+ * Live scheduler state for /rate-limit-status.
+ * @returns {Object} Scheduler snapshot
+ */
+const getStatus = () => {
+  const queuedByPriority = Object.fromEntries(PRIORITIES.map((priority) => [priority, 0]));
+  queue.forEach((entry) => {
+    queuedByPriority[entry.priority]++;
+  });
+  return {
+    concurrency: config.concurrency,
+    running,
+    queued: queue.length,
+    queuedByPriority,
+    maxWaitMs: config.maxWaitMs,
+    budgetMode: config.budgetMode,
+    ...counters,
+  };
+};
+
+/**
+ * Fails anything still queued and re-reads settings from the environment
+ * with optional overrides (test isolation). Running calls finish normally.
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  const dropped = queue;
+  queue = [];
+  dropped.forEach((entry) => {
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    entry.reject(schedulerError(DEADLINE_EXCEEDED, 'OSM request scheduler reset', 1));
+  });
+  if (refillTimer) {
+    clearTimeout(refillTimer);
+    refillTimer = null;
+  }
+  config = { ...loadConfigFromEnv(), ...overrides };
+  Object.keys(counters).forEach((key) => {
+    counters[key] = 0;
+  });
+};
+
+module.exports = {
+  PRIORITIES,
+  BUDGET_EXHAUSTED,
+  DEADLINE_EXCEEDED,
+  getPriorityForEndpoint,
+  schedule,
+  isSchedulerError,
+  logRejection,
+  getStatus,
+  reset,
+};
@@ -0,0 +1,162 @@
+// How long an OSM call may take to start answering before we give up on it.
+// Without a limit a hung OSM connection holds the Express request (and a
+// scheduler slot) open until the client gives up. Endpoints not listed use
+// OSM_REQUEST_TIMEOUT_MS; a handler can still pass its own timeoutMs.
+const ENDPOINT_TIMEOUT_MS = {
+  // Whole-section member data and multi-member writes are OSM's slowest calls
+  getMembersGrid: 30000,
+  multiUpdateFlexiRecord: 30000,
+  getStartupData: 20000,
+};
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const TIMEOUT = 'OSM_TIMEOUT';
+const CANCELLED = 'OSM_REQUEST_CANCELLED';
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the timeout settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{defaultTimeoutMs: number}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  defaultTimeoutMs: readPositiveInt(env.OSM_REQUEST_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+});
+
+let config = loadConfigFromEnv();
+
+/**
+ * Picks the timeout for an endpoint.
+ * @param {string|null} endpoint - Handler name, e.g. 'getMembersGrid'
+ * @param {number} [override] - Explicit timeout from the handler config
+ * @returns {number} Timeout in ms
+ */
+const getTimeoutForEndpoint = (endpoint, override) => {
+  if (Number.isFinite(override) && override > 0) {
+    return override;
+  }
+  return ENDPOINT_TIMEOUT_MS[endpoint] ?? config.defaultTimeoutMs;
+};
+
+/**
+ * Builds the error for a call OSM did not answer in time. Named
+ * TimeoutError so the retry policy treats it as transient.
+ * @param {number} timeoutMs - Timeout that passed
+ * @returns {Error} Error with status 504, code and timeoutMs
+ */
+const timeoutError = (timeoutMs) => {
+  const err = new Error(`OSM did not respond within ${timeoutMs}ms`);
+  err.name = 'TimeoutError';
+  err.status = 504;
+  err.code = TIMEOUT;
+  err.timeoutMs = timeoutMs;
+  return err;
+};
+
+/**
+ * Builds the error for a call dropped because nobody is waiting for it.
+ * @returns {Error} Error with code CANCELLED
+ */
+const cancelledError = () => {
+  const err = new Error('OSM request cancelled: the client disconnected');
+  err.name = 'AbortError';
+  err.code = CANCELLED;
+  return err;
+};
+
+/**
+ * Runs one OSM call with its own AbortController, aborting it when the
+ * timeout passes or `signal` (the caller going away) fires. The timer
+ * stops once OSM starts answering.
+ * @param {Function} call - Makes the call with the given AbortSignal, e.g. `(signal) => fetch(url, { signal })`
+ * @param {Object} options - Options
+ * @param {number} options.timeoutMs - Longest wait for OSM to start answering
+ * @param {AbortSignal} [options.signal] - Aborts the call early
+ * @returns {Promise<any>} The call's result
+ * @throws {Error} TIMEOUT (status 504) or CANCELLED, or whatever the call threw
+ */
+const withTimeout = (call, { timeoutMs, signal = null }) => {
+  if (signal?.aborted) {
+    return Promise.reject(cancelledError());
+  }
+
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  // fetch rejects on abort by itself; racing it as well covers calls that don't
+  const aborted = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = timeoutError(timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+    onAbort = () => {
+      const error = cancelledError();
+      controller.abort(error);
+      reject(error);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([Promise.resolve().then(() => call(controller.signal)), aborted]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+};
+
+/**
+ * Whether an error is an OSM call that timed out.
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for TIMEOUT
+ */
+const isTimeoutError = (error) => error?.code === TIMEOUT;
+
+/**
+ * Whether an error is an OSM call cancelled because the client went away.
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for CANCELLED
+ */
+const isCancelledError = (error) => error?.code === CANCELLED;
+
+/**
+ * The 504 body sent to clients when OSM timed out.
+ * @param {Error} error - TIMEOUT error
+ * @returns {{error: string, code: string, timeoutMs: number}} Response body
+ */
+const timeoutResponseBody = (error) => ({
+  error: 'OSM API request timed out',
+  code: TIMEOUT,
+  timeoutMs: error.timeoutMs,
+});
+
+/**
+ * Re-reads settings from the environment with optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+};
+
+module.exports = {
+  ENDPOINT_TIMEOUT_MS,
+  TIMEOUT,
+  CANCELLED,
+  getTimeoutForEndpoint,
+  cancelledError,
+  withTimeout,
+  isTimeoutError,
+  isCancelledError,
+  timeoutResponseBody,
+  reset,
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+
+/**
+ * Per-endpoint freshness windows for cached OSM GET responses. Terms and
+ * FlexiRecord structures barely change within a session, so they can be
+ * served from cache for a long time; attendance is edited live at events
+ * and needs to stay close to OSM. Endpoints not listed use DEFAULT_TTL_MS.
+ */
+const ENDPOINT_TTL_MS = {
+  getTerms: 30 * 60 * 1000,
+  getFlexiStructure: 30 * 60 * 1000,
+  getSectionConfig: 15 * 60 * 1000,
+  getUserRoles: 15 * 60 * 1000,
+  getFlexiRecords: 10 * 60 * 1000,
+  getProgrammeSummary: 10 * 60 * 1000,
+  getEvents: 5 * 60 * 1000,
+  getEventSharingStatus: 5 * 60 * 1000,
+  getListOfMembers: 5 * 60 * 1000,
+  getContactDetails: 5 * 60 * 1000,
+  getEventSummary: 60 * 1000,
+  getSingleFlexiRecord: 60 * 1000,
+  getEventAttendance: 30 * 1000,
+  getSharedEventAttendance: 30 * 1000,
+};
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+// Entries outlive their TTL so an expired copy can still be served when OSM
+// itself is unavailable to us (see getStale).
+const STALE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const MAX_ENTRIES = 1000;
+
+// How long a write keeps rejecting reads that started before it. Covers the
+// longest an OSM read can be in flight (queue deadline, timeouts, retries).
+const WRITE_MARK_RETENTION_MS = 10 * 60 * 1000;
+
+const HEADER_NAME = 'X-Cache';
+const CACHE_HIT = 'HIT';
+const CACHE_MISS = 'MISS';
+const CACHE_STALE = 'STALE';
+
+// Map preserves insertion order, so re-inserting on write/read keeps the
+// oldest-used entry first and gives us LRU eviction for free.
+const entries = new Map();
+const stats = { hits: 0, misses: 0, stale: 0, evictions: 0 };
+
+// Bumped by every invalidate/patch. Readers note it before calling OSM so a
+// payload fetched before a write cannot be stored after it (see set).
+let generation = 0;
+// endpoint|params of each recent write -> { endpoint, params, generation, at }
+const writeMarks = new Map();
+
+/**
+ * Resolves the freshness window for an endpoint.
+ * @param {string} endpoint - Endpoint name (e.g. getTerms)
+ * @param {number} [override] - Explicit TTL from the handler config
+ * @returns {number} TTL in milliseconds (0 disables fresh hits)
+ */
+const getTtlForEndpoint = (endpoint, override) => {
+  if (Number.isFinite(override)) {
+    return Math.max(0, override);
+  }
+  return ENDPOINT_TTL_MS[endpoint] ?? DEFAULT_TTL_MS;
+};
+
+/**
+ * Reduces a caller identity to a stable, non-reversible digest so cache keys
+ * are scoped to the caller's user without a raw token (the identity of a
+ * session whose OSM user is not yet known) ever being held as a Map key or
+ * appearing in admin/debug output.
+ * @param {string} identity - Caller identity
+ * @returns {string} Short hex digest
+ */
+const hashIdentity = (identity) => {
+  return crypto.createHash('sha256').update(String(identity)).digest('hex').substring(0, 32);
+};
+
+/**
+ * Builds a canonical query string so parameter order does not split the
+ * cache (?a=1&b=2 and ?b=2&a=1 share an entry).
+ * @param {Object} params - Query parameters
+ * @returns {string} Sorted, encoded query string
+ */
+const canonicalParams = (params = {}) => {
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .sort()
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]))}`)
+    .join('&');
+};
+
+/**
+ * Builds the cache key for an endpoint call.
+ * @param {string} endpoint - Endpoint name
+ * @param {string} identity - Whose data it is, e.g. 'user:123' (see getCallerIdentity in osmApiHandler)
+ * @param {Object} params - Request query parameters
+ * @returns {string} Cache key
+ */
+const buildCacheKey = (endpoint, identity, params) => {
+  return `${endpoint}|${hashIdentity(identity)}|${canonicalParams(params)}`;
+};
+
+/**
+ * Drops the least recently used entries once the cache is over capacity.
+ * @returns {void}
+ */
+const evictIfNeeded = () => {
+  while (entries.size > MAX_ENTRIES) {
+    const oldestKey = entries.keys().next().value;
+    entries.delete(oldestKey);
+    stats.evictions += 1;
+  }
+};
+
+/**
+ * Returns the current write generation. Note it before calling OSM and pass
+ * it to set() with the result.
+ * @returns {number} Write generation
+ */
+const currentGeneration = () => generation;
+
+/**
+ * Records a write against matching reads so results fetched before it are
+ * refused by set().
+ * @param {Array<string>} endpoints - Endpoint names the write affects
+ * @param {Object} params - Parameter values to match (see matchesEntry)
+ * @returns {void}
+ */
+const markWrite = (endpoints, params) => {
+  const now = Date.now();
+  generation += 1;
+  for (const [markKey, mark] of writeMarks) {
+    if (now - mark.at > WRITE_MARK_RETENTION_MS) {
+      writeMarks.delete(markKey);
+    }
+  }
+  for (const endpoint of endpoints) {
+    writeMarks.set(`${endpoint}|${canonicalParams(params)}`, {
+      endpoint, params: { ...params }, generation, at: now,
+    });
+  }
+};
+
+/**
+ * Tests whether a write has touched an endpoint/params pair since a read
+ * noted the given generation.
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} params - Parameters the read was made with
+ * @param {number} readGeneration - currentGeneration() when the read started
+ * @returns {boolean} True if the read's result is out of date
+ */
+const isSuperseded = (endpoint, params, readGeneration) => {
+  for (const mark of writeMarks.values()) {
+    if (mark.generation > readGeneration
+      && matchesEntry({ endpoint, params }, [mark.endpoint], mark.params)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Stores a successful OSM payload. A payload whose read started before a
+ * matching write (meta.generation older than the write) is not stored, so
+ * a slow read cannot undo an invalidation or patch.
+ * @param {string} key - Cache key from buildCacheKey()
+ * @param {any} data - Processed response payload
+ * @param {number} ttlMs - Freshness window in milliseconds
+ * @param {Object} [meta] - Endpoint and params, kept for targeted invalidation
+ * @param {number} [meta.generation] - currentGeneration() when the read started
+ * @returns {boolean} False if the payload was refused as out of date
+ */
+const set = (key, data, ttlMs, meta = {}) => {
+  if (Number.isFinite(meta.generation)
+    && isSuperseded(meta.endpoint || null, meta.params || {}, meta.generation)) {
+    return false;
+  }
+  const now = Date.now();
+  entries.delete(key);
+  entries.set(key, {
+    data,
+    fetchedAt: now,
+    expiresAt: now + Math.max(0, ttlMs),
+    endpoint: meta.endpoint || null,
+    params: meta.params || {},
+  });
+  evictIfNeeded();
+  return true;
+};
+
+/**
+ * Returns a fresh entry, or null if missing or past its TTL.
+ * @param {string} key - Cache key
+ * @returns {{data: any, fetchedAt: number, expiresAt: number}|null} Cached entry
+ */
+const get = (key) => {
+  const entry = entries.get(key);
+  if (!entry || Date.now() >= entry.expiresAt) {
+    stats.misses += 1;
+    return null;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits += 1;
+  return entry;
+};
+
+/**
+ * Returns the last stored entry even if expired, as long as it is within the
+ * stale retention window. Used when OSM cannot be asked for a fresh copy.
+ * @param {string} key - Cache key
+ * @returns {{data: any, fetchedAt: number, expiresAt: number}|null} Cached entry
+ */
+const getStale = (key) => {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (Date.now() - entry.fetchedAt > STALE_RETENTION_MS) {
+    entries.delete(key);
+    return null;
+  }
+  stats.stale += 1;
+  return entry;
+};
+
+/**
+ * Removes a single entry.
+ * @param {string} key - Cache key
+ * @returns {boolean} True if an entry was removed
+ */
+const remove = (key) => entries.delete(key);
+
+/**
+ * Tests whether an entry belongs to one of the endpoints and was fetched with
+ * the given parameter values. Params left undefined match anything, so
+ * `{ sectionid }` covers every term and FlexiRecord in that section.
+ * @param {Object} entry - Stored cache entry
+ * @param {Array<string>} endpoints - Endpoint names to match
+ * @param {Object} params - Parameter values the entry must have been fetched with
+ * @returns {boolean} True if the entry matches
+ */
+const matchesEntry = (entry, endpoints, params) => {
+  if (!endpoints.includes(entry.endpoint)) {
+    return false;
+  }
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .every((key) => String(entry.params[key]) === String(params[key]));
+};
+
+/**
+ * Drops every entry, for every user, fetched from one of the endpoints with
+ * the given parameters. Used after writes so no one reads back data OSM has
+ * just replaced; reads already in flight are refused by set() when they land.
+ * @param {Array<string>} endpoints - Endpoint names to invalidate
+ * @param {Object} [params] - Parameter values to match (see matchesEntry)
+ * @returns {number} Number of entries removed
+ */
+const invalidate = (endpoints, params = {}) => {
+  markWrite(endpoints, params);
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (matchesEntry(entry, endpoints, params)) {
+      entries.delete(key);
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Rewrites matching entries in place. The patch function receives the cached
+ * payload and returns the replacement, or null when it cannot apply the
+ * change, in which case the entry is dropped rather than left out of date.
+ * Freshness is left untouched so a patched entry still expires on schedule.
+ * @param {Array<string>} endpoints - Endpoint names to patch
+ * @param {Object} params - Parameter values to match (see matchesEntry)
+ * @param {Function} patchFn - (data) => patched data or null
+ * @returns {{patched: number, removed: number}} What happened to the matches
+ */
+const patch = (endpoints, params, patchFn) => {
+  markWrite(endpoints, params);
+  const result = { patched: 0, removed: 0 };
+  for (const [key, entry] of entries) {
+    if (!matchesEntry(entry, endpoints, params)) {
+      continue;
+    }
+    const data = patchFn(entry.data);
+    if (data === null || data === undefined) {
+      entries.delete(key);
+      result.removed += 1;
+    } else {
+      entry.data = data;
+      result.patched += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Empties the cache and resets its counters (admin use / test isolation).
+ * @returns {void}
+ */
+const clear = () => {
+  entries.clear();
+  writeMarks.clear();
+  stats.hits = 0;
+  stats.misses = 0;
+  stats.stale = 0;
+  stats.evictions = 0;
+};
+
+/**
+ * Returns cache size and hit counters for monitoring endpoints.
+ * @returns {{size: number, maxEntries: number, hits: number, misses: number, stale: number, evictions: number}}
+ */
+const getStats = () => ({
+  size: entries.size,
+  maxEntries: MAX_ENTRIES,
+  ...stats,
+});
+
+module.exports = {
+  ENDPOINT_TTL_MS,
+  DEFAULT_TTL_MS,
+  STALE_RETENTION_MS,
+  HEADER_NAME,
+  CACHE_HIT,
+  CACHE_MISS,
+  CACHE_STALE,
+  getTtlForEndpoint,
+  buildCacheKey,
+  currentGeneration,
+  set,
+  get,
+  getStale,
+  remove,
+  invalidate,
+  patch,
+  clear,
+  getStats,
+};
@@ -0,0 +1,218 @@
+// Transient OSM failures - a dropped connection, a timeout, or a gateway
+// error from OSM's load balancer - usually succeed on a second try. Only
+// idempotent calls are retried: repeating a flexi record write OSM may
+// already have applied could apply it twice.
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 250;
+const DEFAULT_MAX_DELAY_MS = 5000;
+
+// Gateway errors: OSM (or its proxy) never got to handle the request
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Codes Node and undici put on connection-level failures (on the error or its cause)
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+];
+
+/**
+ * Reads a non-negative integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the retry settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => ({
+  maxAttempts: readInt(env.OSM_RETRY_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS) || 1,
+  baseDelayMs: readInt(env.OSM_RETRY_BASE_DELAY_MS, DEFAULT_BASE_DELAY_MS),
+  maxDelayMs: readInt(env.OSM_RETRY_MAX_DELAY_MS, DEFAULT_MAX_DELAY_MS),
+});
+
+let config = loadConfigFromEnv();
+const stats = { retried: 0, recovered: 0, exhausted: 0 };
+
+/**
+ * Whether a call may be repeated without changing the outcome.
+ * @param {string} [method] - HTTP method
+ * @param {boolean} [idempotent] - Caller guarantees the call is safe to repeat
+ * @returns {boolean} True if the call may be retried
+ */
+const isIdempotent = (method = 'GET', idempotent = false) => {
+  return idempotent === true || IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+};
+
+/**
+ * Whether a thrown fetch error is a network failure or timeout. fetch
+ * rejects with a TypeError for connection failures; timeouts surface as
+ * TimeoutError/AbortError or a timeout code on the cause.
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True if the call is worth repeating
+ */
+const isRetryableError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'TimeoutError' || error.name === 'AbortError' || error instanceof TypeError) {
+    return true;
+  }
+  return [error.code, error.cause?.code].some((code) => RETRYABLE_ERROR_CODES.includes(code));
+};
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Delay in ms, or null when absent or unreadable
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+};
+
+/**
+ * Backoff before the given retry: "full jitter", a random delay up to an
+ * exponentially growing cap, so callers that failed together do not all
+ * come back at once.
+ * @param {number} retry - Retry number, starting at 1
+ * @returns {number} Delay in ms
+ */
+const getBackoffDelay = (retry) => {
+  const cap = Math.min(config.maxDelayMs, config.baseDelayMs * Math.pow(2, retry - 1));
+  return Math.round(Math.random() * cap);
+};
+
+/**
+ * Waits before the next attempt.
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Throws away the body of a response that is about to be retried. Under
+ * undici an unread body keeps its connection busy until it is garbage
+ * collected.
+ * @param {Object} response - fetch Response
+ * @returns {Promise<void>} Resolves once the body is cancelled
+ */
+const discardBody = async (response) => {
+  try {
+    await response.body?.cancel?.();
+  } catch (_error) {
+    // Already read or errored: nothing left holding the connection
+  }
+};
+
+/**
+ * Runs an OSM call, repeating it after transient failures when it is safe
+ * to. A Retry-After from OSM replaces the backoff; one longer than
+ * maxDelayMs ends the retries and the response is handed back as it is.
+ * @param {Function} attempt - Makes one call; resolves to a fetch Response
+ * @param {Object} [options] - Retry options
+ * @param {string} [options.method] - HTTP method of the call
+ * @param {boolean} [options.idempotent] - Caller guarantees a non-GET call is safe to repeat
+ * @param {Function} [options.shouldStop] - Returns true when retrying should stop, e.g. the client has gone
+ * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, delayMs, reason } before each retry
+ * @returns {Promise<{response: Object, attempts: number}>} Last response and how many calls were made
+ * @throws {Error} The last error when every attempt threw
+ */
+const withRetry = async (attempt, options = {}) => {
+  const { method = 'GET', idempotent = false, shouldStop = () => false, onRetry = () => {} } = options;
+  const maxAttempts = isIdempotent(method, idempotent) ? config.maxAttempts : 1;
+
+  for (let attempts = 1; ; attempts++) {
+    let response = null;
+    let reason;
+    let retryAfterMs = null;
+    try {
+      response = await attempt();
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        if (attempts > 1) {
+          stats.recovered += 1;
+        }
+        return { response, attempts };
+      }
+      reason = `status ${response.status}`;
+      retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'));
+    } catch (error) {
+      if (!isRetryableError(error) || attempts >= maxAttempts || shouldStop()) {
+        if (attempts > 1) {
+          stats.exhausted += 1;
+        }
+        throw error;
+      }
+      reason = error.name === 'TimeoutError' || error.name === 'AbortError'
+        ? 'timeout'
+        : (error.cause?.code || error.code || error.message);
+    }
+
+    const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffDelay(attempts);
+    if (response && (attempts >= maxAttempts || delayMs > config.maxDelayMs || shouldStop())) {
+      if (attempts > 1) {
+        stats.exhausted += 1;
+      }
+      return { response, attempts };
+    }
+
+    if (response) {
+      await discardBody(response);
+    }
+    stats.retried += 1;
+    onRetry({ attempt: attempts, maxAttempts, delayMs, reason });
+    await sleep(delayMs);
+  }
+};
+
+/**
+ * Retry settings and counts for /rate-limit-status.
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number, retried: number, recovered: number, exhausted: number}} Status
+ */
+const getStatus = () => ({ ...config, ...stats });
+
+/**
+ * Clears the counts, re-reading settings from the environment with
+ * optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+  stats.retried = 0;
+  stats.recovered = 0;
+  stats.exhausted = 0;
+};
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  isIdempotent,
+  isRetryableError,
+  parseRetryAfter,
+  getBackoffDelay,
+  withRetry,
+  getStatus,
+  reset,
+};
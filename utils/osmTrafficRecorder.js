@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { matchEndpoint } = require('./osmEndpointRegistry');
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+// Captures real OSM traffic as fixture files, so a change in OSM's response
+// shapes shows up as a diff instead of as Sentry errors. OSM_TRAFFIC_MODE
+// picks what makeOSMRequest does with each call:
+//   off     call OSM (the default)
+//   record  call OSM and write the sanitised request/response pair to disk
+//   replay  answer from the recordings without calling OSM
+// Recordings hold no tokens, names, email addresses, phone numbers, dates of
+// birth or member custom data: they are scrubbed before anything is written.
+// The default directory is git-ignored all the same, so a recording only
+// reaches the repository after someone has reviewed it.
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'mock-osm', 'recordings');
+
+// A missing recording in replay mode: the test needs re-recording
+const RECORDING_MISSING = 'OSM_RECORDING_MISSING';
+
+// Response headers worth keeping: everything makeOSMRequest reads
+const RECORDED_HEADERS = [
+  'content-type',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset',
+  'x-blocked',
+  'x-deprecated',
+];
+
+const REDACTED_TOKEN = 'redacted';
+const REDACTED_NAME = 'Redacted';
+const REDACTED_EMAIL = 'redacted@example.com';
+const REDACTED_PHONE = '00000 000000';
+const REDACTED_DATE = '2000-01-01';
+const REDACTED_TEXT = 'Redacted';
+
+// Scrubbed by key wherever they appear, in requests and responses
+const TOKEN_KEY = /token|secret|password|authori[sz]ation|^code$/i;
+const NAME_KEY = /^(first_?name|last_?name|full_?name|fore_?name|sur_?name|known_?as|middle_?names?|nick_?name|_filterstring)$/i;
+const EMAIL_KEY = /e-?mail/i;
+const PHONE_KEY = /phone|mobile|(^|_)tel(_|\d|$)/i;
+const BIRTH_DATE_KEY = /^(date_?of_?birth|dob|birth_?date)$/i;
+
+// Scrubbed inside any string: OSM puts contact details in free text too
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+44\s?(?:\(0\)\s?)?|\b0)\d(?:[\s-]?\d){8,9}\b/g;
+
+/**
+ * Builds the recorder settings from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{mode: string, dir: string}} Settings
+ */
+const loadConfigFromEnv = (env = process.env) => {
+  const mode = String(env.OSM_TRAFFIC_MODE || 'off').trim().toLowerCase();
+  return {
+    mode: MODES.includes(mode) ? mode : 'off',
+    dir: env.OSM_RECORDINGS_DIR ? path.resolve(env.OSM_RECORDINGS_DIR) : DEFAULT_RECORDINGS_DIR,
+  };
+};
+
+let config = loadConfigFromEnv();
+const stats = { recorded: 0, replayed: 0, missing: 0 };
+
+/**
+ * Scrubs personal data and credentials from free text.
+ * @param {string} text - Text to scrub
+ * @returns {string} Scrubbed text
+ */
+const scrubText = (text) => text.replace(EMAIL_PATTERN, REDACTED_EMAIL).replace(PHONE_PATTERN, REDACTED_PHONE);
+
+/**
+ * Picks the placeholder for a value stored under a sensitive key.
+ * @param {string} key - Key (or OSM column varname) the value is stored under
+ * @returns {string|null} Placeholder, or null if the key is not sensitive
+ */
+const placeholderForKey = (key) => {
+  if (TOKEN_KEY.test(key)) {
+    return REDACTED_TOKEN;
+  }
+  if (NAME_KEY.test(key)) {
+    return REDACTED_NAME;
+  }
+  if (EMAIL_KEY.test(key)) {
+    return REDACTED_EMAIL;
+  }
+  if (PHONE_KEY.test(key)) {
+    return REDACTED_PHONE;
+  }
+  if (BIRTH_DATE_KEY.test(key)) {
+    return REDACTED_DATE;
+  }
+  return null;
+};
+
+/**
+ * Reads the members grid column definitions (`meta.structure`) into a
+ * lookup, so numbered custom_data fields can be told apart.
+ * @param {Object} payload - Response payload
+ * @returns {Map<string, string>|null} `${group_id}.${column_id}` -> varname, or null without a structure
+ */
+const customDataColumns = (payload) => {
+  const structure = payload?.meta?.structure;
+  if (!Array.isArray(structure)) {
+    return null;
+  }
+  const columns = new Map();
+  structure.forEach((group) => (group.columns || []).forEach((column) => {
+    columns.set(`${group.group_id}.${column.column_id}`, String(column.varname || ''));
+  }));
+  return columns;
+};
+
+/**
+ * Scrubs a member's custom_data: parent and emergency contacts, addresses,
+ * medical notes. Fields are numbered rather than named, so every string is
+ * replaced; the column definitions only pick a placeholder of the right
+ * shape (a name, email or phone number).
+ * @param {any} value - custom_data, or part of it
+ * @param {Map<string, string>|null} columns - Lookup from customDataColumns()
+ * @param {string} [groupId] - Group the value belongs to
+ * @param {string} [columnId] - Column the value belongs to
+ * @returns {any} Scrubbed copy
+ */
+const scrubCustomData = (value, columns, groupId = null, columnId = null) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => scrubCustomData(item, columns, groupId, columnId));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [
+      childKey,
+      groupId === null
+        ? scrubCustomData(child, columns, childKey)
+        : scrubCustomData(child, columns, groupId, columnId ?? childKey),
+    ]));
+  }
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  const varname = columns?.get(`${groupId}.${columnId}`) || '';
+  return placeholderForKey(varname) || REDACTED_TEXT;
+};
+
+/**
+ * Scrubs personal data and credentials from a parsed payload, keeping its
+ * shape: only string values are replaced.
+ * @param {any} value - Payload
+ * @param {string} [key] - Key the value is stored under
+ * @param {Map<string, string>|null} [columns] - custom_data column lookup from the enclosing payload
+ * @returns {any} Scrubbed copy
+ */
+const scrub = (value, key = '', columns = null) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => scrub(item, '', columns));
+  }
+  if (value && typeof value === 'object') {
+    if (key === 'custom_data') {
+      return scrubCustomData(value, columns);
+    }
+    const known = customDataColumns(value) || columns;
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, scrub(child, childKey, known)]));
+  }
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  return placeholderForKey(key) || scrubText(value);
+};
+
+/**
+ * Reads a fetch body (form, JSON or text) into plain data.
+ * @param {any} body - fetch body option
+ * @returns {Object|string|null} Form fields, parsed JSON, text, or null
+ */
+const readRequestBody = (body) => {
+  if (body === undefined || body === null) {
+    return null;
+  }
+  if (body instanceof URLSearchParams) {
+    return Object.fromEntries(body);
+  }
+  try {
+    return JSON.parse(String(body));
+  } catch (_error) {
+    return String(body);
+  }
+};
+
+/**
+ * Sorts object keys so the same request always serialises the same way.
+ * @param {any} value - Value to sort
+ * @returns {any} Copy with sorted keys
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * Describes an OSM call the way it is recorded: which endpoint, and the
+ * scrubbed query and body. The Authorization header is never kept.
+ * @param {string} url - OSM URL
+ * @param {Object} options - fetch options
+ * @returns {{endpoint: string, method: string, path: string, query: Object, body: any}} Request
+ */
+const describeRequest = (url, options = {}) => {
+  const method = String(options.method || 'GET').toUpperCase();
+  const { pathname, searchParams } = new URL(url);
+  return sortKeys({
+    endpoint: matchEndpoint(method, url) || 'unknown',
+    method,
+    path: pathname,
+    query: scrub(Object.fromEntries(searchParams)),
+    body: scrub(readRequestBody(options.body)),
+  });
+};
+
+/**
+ * The file a request is recorded in: the endpoint name plus a digest of
+ * the scrubbed request, so the same call always maps to the same file.
+ * @param {Object} request - Request from describeRequest
+ * @returns {string} Absolute file path
+ */
+const recordingPath = (request) => {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 12);
+  return path.join(config.dir, `${request.endpoint}.${digest}.json`);
+};
+
+/**
+ * Splits a response body into what is recorded: parsed and scrubbed JSON
+ * where possible (with any JavaScript prefix, as on the startup endpoint),
+ * otherwise scrubbed text.
+ * @param {string} text - Response body
+ * @returns {{prefix?: string, json?: any, text?: string}} Recorded body
+ */
+const recordBody = (text) => {
+  const start = text.search(/[[{]/);
+  if (start !== -1) {
+    try {
+      const json = scrub(JSON.parse(text.slice(start)));
+      return start === 0 ? { json } : { prefix: text.slice(0, start), json };
+    } catch (_error) {
+      // Not JSON: fall through and keep it as text
+    }
+  }
+  return { text: scrubText(text) };
+};
+
+/**
+ * Writes a sanitised request/response pair.
+ * @param {string} url - OSM URL
+ * @param {Object} options - fetch options
+ * @param {Response} response - OSM's response (left unread)
+ * @returns {Promise<string>} Path of the recording
+ */
+const record = async (url, options, response) => {
+  const request = describeRequest(url, options);
+  const headers = Object.fromEntries(RECORDED_HEADERS
+    .filter((name) => response.headers.get(name) !== null)
+    .map((name) => [name, response.headers.get(name)]));
+  const recording = {
+    request,
+    response: {
+      status: response.status,
+      headers,
+      body: recordBody(await response.clone().text()),
+    },
+  };
+
+  const file = recordingPath(request);
+  fs.mkdirSync(config.dir, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(recording, null, 2)}\n`);
+  stats.recorded += 1;
+  return file;
+};
+
+/**
+ * Answers an OSM call from its recording.
+ * @param {string} url - OSM URL
+ * @param {Object} options - fetch options
+ * @returns {Response} The recorded response
+ * @throws {Error} RECORDING_MISSING when the call was never recorded
+ */
+const replay = (url, options) => {
+  const request = describeRequest(url, options);
+  const file = recordingPath(request);
+  if (!fs.existsSync(file)) {
+    stats.missing += 1;
+    const err = new Error(`No recorded OSM response for ${request.method} ${request.path} (${path.basename(file)})`);
+    err.code = RECORDING_MISSING;
+    throw err;
+  }
+
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { prefix = '', json, text } = response.body;
+  stats.replayed += 1;
+  return new Response(json === undefined ? text : `${prefix}${JSON.stringify(json)}`, {
+    status: response.status,
+    headers: response.headers,
+  });
+};
+
+/**
+ * fetch for OSM calls, honouring OSM_TRAFFIC_MODE. A recording that cannot
+ * be written is logged; the caller still gets OSM's response.
+ * @param {string} url - OSM URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} OSM's response, or the recorded one
+ */
+const osmFetch = async (url, options = {}) => {
+  if (config.mode === 'replay') {
+    return replay(url, options);
+  }
+
+  const response = await fetch(url, options);
+  if (config.mode === 'record') {
+    try {
+      await record(url, options, response);
+    } catch (error) {
+      log.warn(log.fmt`Could not record OSM response: ${url}`, {
+        url,
+        error: error.message,
+        section: 'osm-recording',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+  return response;
+};
+
+/**
+ * Current mode and counts, for monitoring.
+ * @returns {Object} Settings and counts
+ */
+const getStatus = () => ({ mode: config.mode, ...stats });
+
+/**
+ * Clears the counts, re-reading settings from the environment with
+ * optional overrides (test isolation).
+ * @param {Object} [overrides] - Settings to use instead of the environment
+ * @returns {void}
+ */
+const reset = (overrides = {}) => {
+  config = { ...loadConfigFromEnv(), ...overrides };
+  stats.recorded = 0;
+  stats.replayed = 0;
+  stats.missing = 0;
+};
+
+module.exports = {
+  MODES,
+  RECORDING_MISSING,
+  scrub,
+  describeRequest,
+  osmFetch,
+  getStatus,
+  reset,
+};
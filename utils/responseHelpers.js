@@ -35,9 +35,10 @@ const sendErrorResponse = (res, status, message, details = null) => {
  * @returns {void}
  */
 const sendValidationError = (res, errors) => {
-  const message = errors.length === 1 ? errors[0] : 'Validation failed';
+  const message = errors.length === 1 ? errors[0] : `Validation failed: ${errors.join('; ')}`;
   const response = { 
     error: message,
+    code: 'VALIDATION_ERROR',
     validationErrors: errors,
   };
   res.status(400).json(response);
@@ -96,6 +97,29 @@ const detectBlockedResponse = (responseText) => {
   return /^\s*</.test(responseText) && /<title>[^<]*blocked[^<]*<\/title>/i.test(responseText);
 };
 
+// Wording that limits a Blocked page to what was just requested: "this
+// page", "this API", "this part of OSM", or an OSM API path
+const ENDPOINT_BLOCK_PATTERN = /\bthis (?:page|endpoint|API|feature|part of OSM)\b|\/(?:ext|v3)\/[\w/-]+/i;
+
+/**
+ * Works out how much a Blocked page covers. Unless OSM clearly says only the
+ * endpoint that was called is refused, every request from this server is
+ * assumed to be: carrying on against other endpoints during a block risks
+ * a longer ban.
+ * @param {string} responseText - Raw response text from OSM API
+ * @returns {'global'|'endpoint'|null} Block scope, or null if this is not a Blocked page
+ */
+const getBlockedScope = (responseText) => {
+  if (!detectBlockedResponse(responseText)) {
+    return null;
+  }
+  const body = responseText.replace(/<title>[^<]*<\/title>/i, '');
+  if (/\bIP\b|IP address/i.test(body) || !ENDPOINT_BLOCK_PATTERN.test(body)) {
+    return 'global';
+  }
+  return 'endpoint';
+};
+
 /**
  * Processes and parses JSON response text with error handling
  * @param {string} responseText - Raw response text from OSM API
@@ -168,6 +192,7 @@ module.exports = {
   sendUnauthorizedResponse,
   sendServerError,
   detectBlockedResponse,
+  getBlockedScope,
   parseOSMResponse,
   parseOSMStartupResponse,
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Checks values against the OpenAPI schemas in docs/ (swagger-jsdoc output).
+// Covers the subset of OpenAPI 3.0 those schemas use: $ref, allOf, anyOf,
+// oneOf, type, nullable, enum, formats, lengths, patterns, ranges, items,
+// properties, required and additionalProperties.
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+const FORMAT_CHECKS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+};
+
+/**
+ * Appends a property name or array index to a path.
+ * @param {string} path - Path so far ('' for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} e.g. 'items[0].startdate'
+ */
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Looks up a local reference such as '#/components/schemas/OSMRawTerm'.
+ * @param {string} ref - Reference
+ * @param {Object} schemas - components.schemas
+ * @returns {Object} Referenced schema
+ * @throws {Error} Reference to a schema that does not exist
+ */
+const resolveRef = (ref, schemas) => {
+  const name = ref.replace(/^#\/components\/schemas\//, '');
+  if (!schemas[name]) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return schemas[name];
+};
+
+/**
+ * Collects every way a value breaks a schema.
+ * @param {Object} schema - Schema to check against
+ * @param {any} value - Value to check
+ * @param {string} path - Where the value sits
+ * @param {Object} schemas - components.schemas, for $ref
+ * @param {Array<Object>} errors - Collected {path, message} errors
+ * @returns {void}
+ */
+const collectErrors = (schema, value, path, schemas, errors) => {
+  if (!schema) {
+    return;
+  }
+  if (schema.$ref) {
+    collectErrors(resolveRef(schema.$ref, schemas), value, path, schemas, errors);
+    return;
+  }
+  if (value === null && (schema.nullable || !schema.type)) {
+    return;
+  }
+
+  (schema.allOf || []).forEach((part) => collectErrors(part, value, path, schemas, errors));
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives) {
+    const passing = alternatives.filter((part) => validate(part, value, schemas, path).length === 0).length;
+    if (passing === 0 || (schema.oneOf && passing > 1)) {
+      errors.push({ path, message: passing === 0 ? 'matches none of the allowed shapes' : 'matches more than one allowed shape' });
+      return;
+    }
+  }
+
+  if (schema.type && TYPE_CHECKS[schema.type] && !TYPE_CHECKS[schema.type](value)) {
+    errors.push({ path, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format].test(value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => collectErrors(schema.items, item, joinPath(path, index), schemas, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        collectErrors(properties[key], child, joinPath(path, key), schemas, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        collectErrors(schema.additionalProperties, child, joinPath(path, key), schemas, errors);
+      }
+    });
+  }
+};
+
+/**
+ * Checks a value against a schema.
+ * @param {Object} schema - Schema to check against
+ * @param {any} value - Value to check
+ * @param {Object} [schemas] - components.schemas, for $ref
+ * @param {string} [path] - Where the value sits ('' for the root)
+ * @returns {Array<{path: string, message: string}>} Errors; empty when the value matches
+ */
+const validate = (schema, value, schemas = {}, path = '') => {
+  const errors = [];
+  collectErrors(schema, value, path, schemas, errors);
+  return errors;
+};
+
+/**
+ * Renders an error as a sentence, e.g. 'items[0].startdate must be a valid date'.
+ * @param {{path: string, message: string}} error - Error from validate
+ * @param {string} [root] - Name for the value itself when the path is empty
+ * @returns {string} Message
+ */
+const formatError = ({ path, message }, root = 'value') => `${path || root} ${message}`;
+
+module.exports = {
+  validate,
+  formatError,
+  resolveRef,
+};
@@ -2,6 +2,10 @@
  * Server utility functions to reduce redundancy in server.js
  */
 
+const { getOSMBaseUrl, isCustomOSMBaseUrl } = require('../config/osm');
+const { endpointUrl } = require('./osmEndpointRegistry');
+const osmTrafficRecorder = require('./osmTrafficRecorder');
+
 /**
  * Conditional logging helper that reduces repetitive logging patterns
  * @param {boolean} enableLogging - Whether logging is enabled
@@ -74,7 +78,7 @@ const createOAuthDebugResponse = (req, getFrontendUrl) => {
     refererHeader: req.get('Referer') || 'Not set',
     nodeEnv: process.env.NODE_ENV || 'Not set',
     backendUrl: process.env.BACKEND_URL || 'Not set',
-    authUrl: `https://www.onlinescoutmanager.co.uk/oauth/authorize?client_id=${process.env.OAUTH_CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.BACKEND_URL || 'https://vikings-osm-backend.onrender.com')}/oauth/callback&scope=section%3Amember%3Aread%20section%3Aprogramme%3Aread%20section%3Aevent%3Aread%20section%3Aflexirecord%3Awrite&response_type=code`,
+    authUrl: `${endpointUrl('oauthAuthorize')}?client_id=${process.env.OAUTH_CLIENT_ID}&redirect_uri=${encodeURIComponent(process.env.BACKEND_URL || 'https://vikings-osm-backend.onrender.com')}/oauth/callback&scope=section%3Amember%3Aread%20section%3Aprogramme%3Aread%20section%3Aevent%3Aread%20section%3Aflexirecord%3Awrite&response_type=code`,
   };
 };
 
@@ -90,6 +94,13 @@ const logServerStartup = (serverType, port, environment, logger = null) => {
   console.log(`✅ Vikings OSM Backend Server Started (${serverType})`);
   console.log(`🌐 ${serverType} Server running on port ${port}`);
   console.log(`🏠 Environment: ${environment}`);
+  if (isCustomOSMBaseUrl()) {
+    console.log(`🧪 OSM requests go to ${getOSMBaseUrl()} (OSM_BASE_URL)`);
+  }
+  const trafficMode = osmTrafficRecorder.getStatus().mode;
+  if (trafficMode !== 'off') {
+    console.log(`📼 OSM traffic mode: ${trafficMode} (OSM_TRAFFIC_MODE)`);
+  }
   
   // Structured Sentry logging for monitoring (if logger provided)
   if (logger) {
@@ -102,6 +113,8 @@ const logServerStartup = (serverType, port, environment, logger = null) => {
         oauthConfigured: !!(process.env.OAUTH_CLIENT_ID && process.env.OAUTH_CLIENT_SECRET),
         corsEnabled: true,
         rateLimitingEnabled: true,
+        osmBaseUrl: getOSMBaseUrl(),
+        osmTrafficMode: osmTrafficRecorder.getStatus().mode,
       },
       server: {
         nodeVersion: process.version,
@@ -201,6 +214,7 @@ const oAuthCallbackLogger = {
       ...tokenPayload,
       client_secret: '***hidden***',
       code: tokenPayload.code ? tokenPayload.code.substring(0, 20) + '...' : 'none',
+      code_verifier: tokenPayload.code_verifier ? '***hidden***' : 'none',
     });
   },
   
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Decodes a key from the environment. Keys must be 32 random bytes given as
+ * 64 hex characters or base64 (e.g. `openssl rand -base64 32`); anything
+ * else is rejected rather than stretched, so a short passphrase can't slip
+ * through as a key.
+ * @param {string} value - Encoded key
+ * @param {string} name - Env var name, for the error message
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} When the value does not decode to 32 bytes
+ */
+const parseKey = (value, name) => {
+  const trimmed = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be 32 bytes encoded as hex or base64`);
+  }
+  return key;
+};
+
+/**
+ * Short fingerprint stored with each ciphertext so decryption can pick the
+ * right key after a rotation. Reveals nothing useful about the key itself.
+ * @param {Buffer} key - Encryption key
+ * @returns {string} 8 hex characters
+ */
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+
+/**
+ * Loads the token encryption keys. TOKEN_ENCRYPTION_KEY encrypts everything
+ * new; TOKEN_ENCRYPTION_PREVIOUS_KEYS (comma separated) are only used to
+ * read values written before a rotation.
+ * @param {Object} [env] - Environment to read from
+ * @returns {{current: {id: string, key: Buffer}, byId: Map<string, Buffer>}|null} Keys, or null when no key is set
+ * @throws {Error} When a configured key is malformed
+ */
+const loadEncryptionKeys = (env = process.env) => {
+  if (!env.TOKEN_ENCRYPTION_KEY) {
+    return null;
+  }
+
+  const current = parseKey(env.TOKEN_ENCRYPTION_KEY, 'TOKEN_ENCRYPTION_KEY');
+  const byId = new Map([[keyId(current), current]]);
+
+  (env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .forEach((value) => {
+      const key = parseKey(value, 'TOKEN_ENCRYPTION_PREVIOUS_KEYS');
+      byId.set(keyId(key), key);
+    });
+
+  return { current: { id: keyId(current), key: current }, byId };
+};
+
+/**
+ * Encrypts a secret with the current key (AES-256-GCM).
+ * @param {string} plaintext - Secret to protect
+ * @param {string} context - Associated data binding the ciphertext to where it is stored (e.g. session and field)
+ * @param {Object} keys - Keys from loadEncryptionKeys()
+ * @returns {string} `v1:<keyId>:<iv>:<tag>:<ciphertext>`, base64url parts
+ */
+const encryptSecret = (plaintext, context, keys) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.current.key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [
+    FORMAT_VERSION,
+    keys.current.id,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url'),
+  ].join(':');
+};
+
+/**
+ * Decrypts a value produced by encryptSecret().
+ * @param {string} payload - Encrypted value
+ * @param {string} context - Associated data used at encryption time
+ * @param {Object} keys - Keys from loadEncryptionKeys()
+ * @returns {{plaintext: string, needsReencrypt: boolean}} Secret, and whether it was written with an old key
+ * @throws {Error} When the value is malformed, its key is unknown, or it fails authentication
+ */
+const decryptSecret = (payload, context, keys) => {
+  const [version, id, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error('Unrecognised encrypted token format');
+  }
+  const key = keys.byId.get(id);
+  if (!key) {
+    throw new Error(`No encryption key configured for key id ${id}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+
+  return { plaintext, needsReencrypt: id !== keys.current.id };
+};
+
+module.exports = {
+  loadEncryptionKeys,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,631 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadEncryptionKeys, encryptSecret, decryptSecret } = require('./tokenEncryption');
+
+const { logger } = require('../config/sentry');
+const fallbackLogger = {
+  info: console.log,
+  warn: console.warn,
+  error: console.error,
+  debug: console.log,
+  fmt: (strings, ...values) => strings.reduce((result, string, i) => result + string + (values[i] || ''), ''),
+};
+const log = logger || fallbackLogger;
+
+const DEFAULT_BACKEND = 'memory';
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'tokens.json');
+
+// Token data fields that are OSM credentials and never written to disk in clear
+const SECRET_FIELDS = ['access_token', 'previous_access_token', 'refresh_token'];
+
+// Refresh tokens would otherwise keep a session alive forever. A session ends
+// this long after sign-in (matching the session cookie), or once nobody has
+// used it for SESSION_IDLE_TIMEOUT_MS, whichever comes first.
+const DEFAULT_SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a positive integer from the environment.
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Used when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the session lifetime limits from the environment.
+ * @param {Object} env - Environment variables
+ * @returns {{maxAgeMs: number, idleTimeoutMs: number}} Limits
+ */
+const loadSessionLimitsFromEnv = (env = process.env) => ({
+  maxAgeMs: readPositiveInt(env.SESSION_MAX_AGE_MS, DEFAULT_SESSION_MAX_AGE_MS),
+  idleTimeoutMs: readPositiveInt(env.SESSION_IDLE_TIMEOUT_MS, DEFAULT_SESSION_IDLE_TIMEOUT_MS),
+});
+
+const sessionLimits = loadSessionLimitsFromEnv();
+
+/**
+ * Decides whether a session is over. A session whose access token has run
+ * out is kept while it holds a refresh token, so the client can renew it
+ * with POST /token/refresh, until it reaches its maximum age or idle limit.
+ * Sessions stored before signed_in_at/last_used_at existed are aged from
+ * created_at.
+ * @param {Object} tokenData - Session token data
+ * @param {number} [now] - Current time in ms
+ * @param {{maxAgeMs: number, idleTimeoutMs: number}} [limits] - Lifetime limits
+ * @returns {boolean} True if the session should be removed
+ */
+const isSessionExpired = (tokenData, now = Date.now(), limits = sessionLimits) => {
+  const signedInAt = tokenData.signed_in_at ?? tokenData.created_at;
+  if (Number.isFinite(signedInAt) && now - signedInAt > limits.maxAgeMs) {
+    return true;
+  }
+  const lastUsedAt = tokenData.last_used_at ?? signedInAt;
+  if (Number.isFinite(lastUsedAt) && now - lastUsedAt > limits.idleTimeoutMs) {
+    return true;
+  }
+  return now > tokenData.expires_at && !tokenData.refresh_token;
+};
+
+/**
+ * Session token storage. Every backend exposes the same synchronous
+ * interface so auth code never needs to know where sessions live:
+ *
+ *   get(sessionId)             -> tokenData | null
+ *   set(sessionId, tokenData)  -> void
+ *   delete(sessionId)          -> boolean
+ *   findByToken(accessToken)   -> { sessionId, tokenData } | null
+ *                                 (matches the current or the pre-renewal access token)
+ *   entries()                  -> Array<[sessionId, tokenData]>
+ *   deleteExpired(now)         -> number removed (see isSessionExpired)
+ *   clear()                    -> number removed
+ *   size()                     -> number
+ *   flush()                    -> void (writes pending changes now; no-op in memory)
+ *   backend                    -> backend name for stats/debug output
+ *
+ * It also holds OAuth logins in progress (see utils/oauthState), so a login
+ * started before a restart can still finish:
+ *
+ *   putPendingLogin(nonce, { codeVerifier, expiresAt })  -> void
+ *   takePendingLogin(nonce)         -> { codeVerifier, expiresAt } | null (removed, so each is used once)
+ *   prunePendingLogins(now, max)    -> number removed (expired, then oldest until under max)
+ *   clearPendingLogins()            -> void
+ *   pendingLoginEntries()           -> Array<[nonce, { codeVerifier, expiresAt }]>
+ */
+
+/**
+ * Bearer tokens that identify a session: the current access token and,
+ * just after a renewal, the one it replaced (still held by the client).
+ * @param {Object} tokenData - Session token data
+ * @returns {Array<string>} Tokens to index
+ */
+const indexedTokens = (tokenData) => {
+  return [tokenData.access_token, tokenData.previous_access_token].filter(Boolean);
+};
+
+/**
+ * Creates the in-memory backend. Sessions are lost on restart.
+ * @returns {Object} Token store
+ */
+const createMemoryTokenStore = () => {
+  const sessions = new Map();
+  // Reverse index for O(1) bearer token lookup: token -> sessionId
+  const sessionIdByToken = new Map();
+  // nonce -> { codeVerifier, expiresAt }, oldest first
+  const pendingLogins = new Map();
+
+  const store = {
+    backend: 'memory',
+
+    get: (sessionId) => sessions.get(sessionId) || null,
+
+    set: (sessionId, tokenData) => {
+      const previous = sessions.get(sessionId);
+      if (previous) {
+        indexedTokens(previous).forEach((token) => sessionIdByToken.delete(token));
+      }
+      sessions.set(sessionId, tokenData);
+      indexedTokens(tokenData).forEach((token) => sessionIdByToken.set(token, sessionId));
+    },
+
+    delete: (sessionId) => {
+      const tokenData = sessions.get(sessionId);
+      if (!tokenData) {
+        return false;
+      }
+      indexedTokens(tokenData).forEach((token) => sessionIdByToken.delete(token));
+      return sessions.delete(sessionId);
+    },
+
+    findByToken: (accessToken) => {
+      const sessionId = sessionIdByToken.get(accessToken);
+      const tokenData = sessionId ? sessions.get(sessionId) : null;
+      return tokenData ? { sessionId, tokenData } : null;
+    },
+
+    entries: () => Array.from(sessions.entries()),
+
+    deleteExpired: (now = Date.now()) => {
+      let removed = 0;
+      for (const [sessionId, tokenData] of sessions) {
+        if (isSessionExpired(tokenData, now)) {
+          store.delete(sessionId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    clear: () => {
+      const removed = sessions.size;
+      sessions.clear();
+      sessionIdByToken.clear();
+      return removed;
+    },
+
+    size: () => sessions.size,
+
+    flush: () => {},
+
+    putPendingLogin: (nonce, entry) => {
+      pendingLogins.set(nonce, entry);
+    },
+
+    takePendingLogin: (nonce) => {
+      const entry = pendingLogins.get(nonce) || null;
+      pendingLogins.delete(nonce);
+      return entry;
+    },
+
+    prunePendingLogins: (now, maxEntries) => {
+      let removed = 0;
+      for (const [nonce, entry] of pendingLogins) {
+        if (now > entry.expiresAt) {
+          pendingLogins.delete(nonce);
+          removed++;
+        }
+      }
+      while (pendingLogins.size >= maxEntries && pendingLogins.size > 0) {
+        pendingLogins.delete(pendingLogins.keys().next().value);
+        removed++;
+      }
+      return removed;
+    },
+
+    clearPendingLogins: () => {
+      pendingLogins.clear();
+    },
+
+    pendingLoginEntries: () => Array.from(pendingLogins.entries()),
+  };
+
+  return store;
+};
+
+/**
+ * Encrypts the credential fields of a session for writing to disk. Each
+ * ciphertext is bound to its session and field so values can't be swapped
+ * between records in the file.
+ * @param {string} sessionId - Session the data belongs to
+ * @param {Object} tokenData - Session token data (plaintext)
+ * @param {Object} keys - Keys from loadEncryptionKeys()
+ * @returns {Object} Copy with secret fields encrypted
+ */
+const sealSession = (sessionId, tokenData, keys) => {
+  const sealed = { ...tokenData };
+  SECRET_FIELDS.forEach((field) => {
+    if (sealed[field]) {
+      sealed[field] = encryptSecret(sealed[field], `${sessionId}:${field}`, keys);
+    }
+  });
+  return sealed;
+};
+
+/**
+ * Decrypts a session read from disk.
+ * @param {string} sessionId - Session the data belongs to
+ * @param {Object} sealed - Session token data as stored
+ * @param {Object} keys - Keys from loadEncryptionKeys()
+ * @returns {{tokenData: Object, needsReencrypt: boolean, legacyFields: Array<string>}} Plaintext data, whether it was stored under an old key or unencrypted, and which fields were unencrypted
+ * @throws {Error} When a field cannot be decrypted or fails authentication
+ */
+const openSession = (sessionId, sealed, keys) => {
+  const tokenData = { ...sealed };
+  const legacyFields = [];
+  let needsReencrypt = false;
+  SECRET_FIELDS.forEach((field) => {
+    if (!tokenData[field]) {
+      return;
+    }
+    if (!String(tokenData[field]).startsWith('v1:')) {
+      // Written before encryption was enabled, or by hand
+      legacyFields.push(field);
+      needsReencrypt = true;
+      return;
+    }
+    const opened = decryptSecret(tokenData[field], `${sessionId}:${field}`, keys);
+    tokenData[field] = opened.plaintext;
+    needsReencrypt = needsReencrypt || opened.needsReencrypt;
+  });
+  return { tokenData, needsReencrypt, legacyFields };
+};
+
+// Changes within this window go to disk in one write
+const WRITE_DEBOUNCE_MS = 250;
+
+/**
+ * Creates the file backend: the memory store, loaded from a JSON file at
+ * startup and written back shortly after each change, so leaders stay
+ * signed in, and logins in progress can finish, across deploys and
+ * restarts. Credentials are encrypted in the file (AES-256-GCM) and each
+ * session is sealed once per change rather than on every write. Sessions sealed under a previous key are re-encrypted with
+ * the current key the first time they are read; unencrypted credentials are
+ * logged and re-encrypted as soon as the file is loaded. Writes go to a temp
+ * file and are renamed into place so a crash mid-write never leaves a
+ * truncated store.
+ * @param {string} filePath - JSON file holding the sessions
+ * @param {Object} keys - Keys from loadEncryptionKeys()
+ * @returns {Object} Token store
+ * @throws {Error} When no encryption keys are given
+ */
+const createFileTokenStore = (filePath = DEFAULT_FILE_PATH, keys = loadEncryptionKeys()) => {
+  if (!keys) {
+    throw new Error('TOKEN_STORE=file requires TOKEN_ENCRYPTION_KEY to encrypt tokens at rest');
+  }
+
+  const memory = createMemoryTokenStore();
+  // Each session as it is (or is about to be) on disk: sessionId -> sealed data
+  const sealedSessions = new Map();
+  // Sessions still sealed under a previous key, re-encrypted on first read
+  const staleSessions = new Set();
+  // Pending OAuth logins as on disk: nonce -> { code_verifier, expires_at }
+  const sealedPendingLogins = new Map();
+  let writeTimer = null;
+  let legacyCount = 0;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [sessionId, sealed] of Object.entries(saved.sessions || {})) {
+        try {
+          const { tokenData, needsReencrypt, legacyFields } = openSession(sessionId, sealed, keys);
+          memory.set(sessionId, tokenData);
+          if (legacyFields.length > 0) {
+            // Nothing we wrote looks like this: someone put it there
+            log.warn(log.fmt`Token store session held unencrypted credentials: ${legacyFields.join(', ')}`, {
+              filePath,
+              fields: legacyFields,
+              section: 'token-store',
+              timestamp: new Date().toISOString(),
+            });
+            sealedSessions.set(sessionId, sealSession(sessionId, tokenData, keys));
+            legacyCount++;
+          } else {
+            sealedSessions.set(sessionId, sealed);
+            if (needsReencrypt) {
+              staleSessions.add(sessionId);
+            }
+          }
+        } catch (error) {
+          // Unknown key or tampered record: drop it, that leader signs in again
+          log.warn(log.fmt`Token store session could not be decrypted: ${error.message}`, {
+            filePath,
+            error: error.message,
+            section: 'token-store',
+            timestamp: new Date().toISOString(),
+          });
+        }
+      }
+      const now = Date.now();
+      for (const [nonce, sealed] of Object.entries(saved.pendingLogins || {})) {
+        if (!(now <= sealed.expires_at)) {
+          continue;
+        }
+        try {
+          const codeVerifier = decryptSecret(sealed.code_verifier, `pending:${nonce}:code_verifier`, keys).plaintext;
+          memory.putPendingLogin(nonce, { codeVerifier, expiresAt: sealed.expires_at });
+          sealedPendingLogins.set(nonce, sealed);
+        } catch (error) {
+          // That login fails with invalid_state and the leader starts again
+          log.warn(log.fmt`Token store pending login could not be decrypted: ${error.message}`, {
+            filePath,
+            error: error.message,
+            section: 'token-store',
+            timestamp: new Date().toISOString(),
+          });
+        }
+      }
+      log.info(log.fmt`Token store loaded: ${memory.size()} sessions`, {
+        filePath,
+        sessions: memory.size(),
+        staleKeySessions: staleSessions.size,
+        pendingLogins: sealedPendingLogins.size,
+        section: 'token-store',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      // A corrupt file must not stop the server; users just sign in again.
+      log.error(log.fmt`Token store could not be read, starting empty: ${error.message}`, {
+        filePath,
+        error: error.message,
+        section: 'token-store',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  const flush = () => {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({
+          version: 1,
+          sessions: Object.fromEntries(sealedSessions),
+          pendingLogins: Object.fromEntries(sealedPendingLogins),
+        }),
+        { mode: 0o600 },
+      );
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      log.error(log.fmt`Token store write failed: ${error.message}`, {
+        filePath,
+        error: error.message,
+        section: 'token-store',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+
+  // Writes happen off the request path, batched with any other change
+  const scheduleWrite = () => {
+    if (writeTimer) {
+      return;
+    }
+    writeTimer = setTimeout(flush, WRITE_DEBOUNCE_MS);
+    writeTimer.unref?.();
+  };
+
+  const reseal = (sessionId, tokenData) => {
+    staleSessions.delete(sessionId);
+    sealedSessions.set(sessionId, sealSession(sessionId, tokenData, keys));
+    scheduleWrite();
+  };
+
+  const resealIfStale = (sessionId) => {
+    if (!staleSessions.has(sessionId)) {
+      return;
+    }
+    const tokenData = memory.get(sessionId);
+    if (tokenData) {
+      reseal(sessionId, tokenData);
+    }
+  };
+
+  // Drops sealed copies of sessions the memory store no longer holds
+  const forgetRemoved = () => {
+    for (const sessionId of sealedSessions.keys()) {
+      if (!memory.get(sessionId)) {
+        sealedSessions.delete(sessionId);
+        staleSessions.delete(sessionId);
+      }
+    }
+    scheduleWrite();
+  };
+
+  // Drops sealed copies of pending logins the memory store no longer holds
+  const forgetRemovedPendingLogins = () => {
+    const held = new Set(memory.pendingLoginEntries().map(([nonce]) => nonce));
+    for (const nonce of sealedPendingLogins.keys()) {
+      if (!held.has(nonce)) {
+        sealedPendingLogins.delete(nonce);
+      }
+    }
+    scheduleWrite();
+  };
+
+  if (legacyCount > 0) {
+    // Don't leave plaintext credentials on disk any longer than needed
+    flush();
+    log.info(log.fmt`Token store encrypted ${legacyCount} sessions stored without encryption`, {
+      filePath,
+      legacyCount,
+      section: 'token-store',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return {
+    ...memory,
+    backend: 'file',
+
+    get: (sessionId) => {
+      resealIfStale(sessionId);
+      return memory.get(sessionId);
+    },
+
+    findByToken: (accessToken) => {
+      const found = memory.findByToken(accessToken);
+      if (found) {
+        resealIfStale(found.sessionId);
+      }
+      return found;
+    },
+
+    set: (sessionId, tokenData) => {
+      memory.set(sessionId, tokenData);
+      reseal(sessionId, tokenData);
+    },
+
+    delete: (sessionId) => {
+      const removed = memory.delete(sessionId);
+      if (removed) {
+        sealedSessions.delete(sessionId);
+        staleSessions.delete(sessionId);
+        scheduleWrite();
+      }
+      return removed;
+    },
+
+    deleteExpired: (now) => {
+      const removed = memory.deleteExpired(now);
+      if (removed > 0) {
+        forgetRemoved();
+      }
+      return removed;
+    },
+
+    clear: () => {
+      const removed = memory.clear();
+      forgetRemoved();
+      return removed;
+    },
+
+    putPendingLogin: (nonce, entry) => {
+      memory.putPendingLogin(nonce, entry);
+      sealedPendingLogins.set(nonce, {
+        code_verifier: encryptSecret(entry.codeVerifier, `pending:${nonce}:code_verifier`, keys),
+        expires_at: entry.expiresAt,
+      });
+      scheduleWrite();
+    },
+
+    takePendingLogin: (nonce) => {
+      const entry = memory.takePendingLogin(nonce);
+      if (sealedPendingLogins.delete(nonce)) {
+        scheduleWrite();
+      }
+      return entry;
+    },
+
+    prunePendingLogins: (now, maxEntries) => {
+      const removed = memory.prunePendingLogins(now, maxEntries);
+      if (removed > 0) {
+        forgetRemovedPendingLogins();
+      }
+      return removed;
+    },
+
+    clearPendingLogins: () => {
+      memory.clearPendingLogins();
+      forgetRemovedPendingLogins();
+    },
+
+    flush,
+  };
+};
+
+/**
+ * Creates the token store selected by configuration.
+ * @param {Object} [options] - Overrides for the environment settings
+ * @param {string} [options.backend] - 'memory' or 'file' (TOKEN_STORE)
+ * @param {string} [options.filePath] - File backend location (TOKEN_STORE_PATH)
+ * @param {Object} [options.keys] - Encryption keys (TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_PREVIOUS_KEYS)
+ * @returns {Object} Token store
+ * @throws {Error} When the backend name is not recognised, or a persistent backend has no encryption key
+ */
+const createTokenStore = (options = {}) => {
+  const backend = (options.backend || process.env.TOKEN_STORE || DEFAULT_BACKEND).toLowerCase();
+
+  switch (backend) {
+  case 'memory':
+    return createMemoryTokenStore();
+  case 'file':
+    return createFileTokenStore(
+      options.filePath || process.env.TOKEN_STORE_PATH || DEFAULT_FILE_PATH,
+      options.keys !== undefined ? options.keys : loadEncryptionKeys(),
+    );
+  default:
+    throw new Error(`Unknown TOKEN_STORE backend: ${backend} (expected "memory" or "file")`);
+  }
+};
+
+// The process's session store, in the backend selected by TOKEN_STORE. Auth,
+// rate limiting, OAuth state and the OSM proxy all read sessions from it.
+let tokenStore;
+try {
+  tokenStore = createTokenStore();
+} catch (error) {
+  console.error(`❌ CRITICAL: Token store could not be initialised: ${error.message}`);
+  console.error('❌ Persistent token stores need TOKEN_ENCRYPTION_KEY (32 bytes, hex or base64)');
+  console.error('❌ Server cannot start without a usable token store');
+  process.exit(1);
+}
+
+// How stale last_used_at may get before a request updates it, so busy
+// sessions are not rewritten on every call
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Notes that a session is in use, so it is kept and renewed in the
+ * background. Only rewrites the session once per SESSION_TOUCH_INTERVAL_MS.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} tokenData - The session's stored token data
+ * @param {number} [now] - Current time in ms
+ * @returns {void}
+ */
+const markSessionUsed = (sessionId, tokenData, now = Date.now()) => {
+  if (!sessionId || !tokenData) {
+    return;
+  }
+  const lastUsedAt = tokenData.last_used_at ?? tokenData.created_at ?? 0;
+  if (now - lastUsedAt < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+  tokenStore.set(sessionId, { ...tokenData, last_used_at: now });
+};
+
+/**
+ * Notes that the session holding an access token made an OSM call. Tokens
+ * the store does not know are ignored.
+ * @param {string} accessToken - Bearer token from the request
+ * @returns {void}
+ */
+const markTokenUsed = (accessToken) => {
+  const found = accessToken ? tokenStore.findByToken(accessToken) : null;
+  if (found) {
+    markSessionUsed(found.sessionId, found.tokenData);
+  }
+};
+
+/**
+ * Remembers which OSM user a session belongs to, once startup data has told
+ * us. Backend rate limits are counted per OSM user from then on, so all of a
+ * leader's tabs and devices share one budget.
+ * @param {string} accessToken - Access token the startup data was fetched with
+ * @param {string|number} userId - OSM user id (globals.userid)
+ * @returns {boolean} True if a session was updated
+ */
+const recordOSMUserId = (accessToken, userId) => {
+  if (!accessToken || userId === null || userId === undefined || String(userId) === '') {
+    return false;
+  }
+  const found = tokenStore.findByToken(accessToken);
+  if (!found || found.tokenData.osm_user_id === String(userId)) {
+    return false;
+  }
+  tokenStore.set(found.sessionId, { ...found.tokenData, osm_user_id: String(userId) });
+  return true;
+};
+
+module.exports = {
+  tokenStore,
+  markSessionUsed,
+  markTokenUsed,
+  recordOSMUserId,
+  DEFAULT_FILE_PATH,
+  loadSessionLimitsFromEnv,
+  isSessionExpired,
+  createMemoryTokenStore,
+  createFileTokenStore,
+  createTokenStore,
+};